@@ -1,4 +1,5 @@
 const { Kafka, logLevel } = require('kafkajs');
+const { v4: uuidv4 } = require('uuid');
 
 let kafka = null;
 let producer = null;
@@ -130,52 +131,74 @@ const publishLocationUpdate = async (driverId, regionId, location) => {
 };
 
 /**
- * Publish ride event
+ * Ride event message, partitioned by tenant
+ * - eventId stays the same when the message is redelivered, so consumers can drop repeats
  * @param {string} rideId - Ride ID
  * @param {string} tenantId - Tenant ID for partitioning
  * @param {string} eventType - Event type
  * @param {Object} data - Event data
+ * @returns {Object} { topic, key, value }
  */
-const publishRideEvent = async (rideId, tenantId, eventType, data) => {
-  await publishMessage(
-    TOPICS.RIDE_EVENTS,
-    tenantId, // Partition by tenant
-    {
-      rideId,
-      tenantId,
-      eventType,
-      data,
-      timestamp: Date.now(),
-    }
-  );
-};
+const buildRideEvent = (rideId, tenantId, eventType, data) => ({
+  topic: TOPICS.RIDE_EVENTS,
+  key: tenantId, // Partition by tenant
+  value: {
+    eventId: uuidv4(),
+    rideId,
+    tenantId,
+    eventType,
+    data,
+    timestamp: Date.now(),
+  },
+});
 
 /**
- * Publish notification
+ * Notification message, partitioned by user
  * @param {string} userId - User ID
  * @param {string} type - Notification type
  * @param {Object} payload - Notification payload
+ * @returns {Object} { topic, key, value }
  */
-const publishNotification = async (userId, type, payload) => {
-  await publishMessage(
-    TOPICS.NOTIFICATIONS,
+const buildNotification = (userId, type, payload) => ({
+  topic: TOPICS.NOTIFICATIONS,
+  key: userId,
+  value: {
     userId,
-    {
-      userId,
-      type,
-      payload,
-      timestamp: Date.now(),
-    }
-  );
+    type,
+    payload,
+    timestamp: Date.now(),
+  },
+});
+
+/**
+ * Publish ride event
+ * - Inside a transaction, write it to the outbox instead (outboxService.enqueueRideEvent)
+ */
+const publishRideEvent = async (rideId, tenantId, eventType, data) => {
+  const { topic, key, value } = buildRideEvent(rideId, tenantId, eventType, data);
+  await publishMessage(topic, key, value);
+};
+
+/**
+ * Publish notification
+ * - Inside a transaction, write it to the outbox instead (outboxService.enqueueNotification)
+ */
+const publishNotification = async (userId, type, payload) => {
+  const { topic, key, value } = buildNotification(userId, type, payload);
+  await publishMessage(topic, key, value);
 };
 
 /**
  * Create consumer for a topic
+ * - Handler errors are logged and the message skipped, unless retryOnError is set:
+ *   then they're rethrown so kafkajs doesn't commit the offset and redelivers the
+ *   message (the handler must be idempotent). Unparseable messages are always skipped
  * @param {string} groupId - Consumer group ID
  * @param {string} topic - Topic to consume
  * @param {Function} handler - Message handler
+ * @param {Object} [options] - { retryOnError }
  */
-const createConsumer = async (groupId, topic, handler) => {
+const createConsumer = async (groupId, topic, handler, { retryOnError = false } = {}) => {
   if (!kafka) {
     console.warn('Kafka not available, skipping consumer creation');
     return null;
@@ -188,11 +211,21 @@ const createConsumer = async (groupId, topic, handler) => {
 
     await consumerInstance.run({
       eachMessage: async ({ topic, partition, message }) => {
+        let value;
+        try {
+          value = JSON.parse(message.value.toString());
+        } catch (error) {
+          console.error(`Skipping unparseable message at ${topic}/${partition}@${message.offset}:`, error.message);
+          return;
+        }
+
         try {
-          const value = JSON.parse(message.value.toString());
           await handler(value, { topic, partition, offset: message.offset });
         } catch (error) {
           console.error('Error processing message:', error.message);
+          if (retryOnError) {
+            throw error;
+          }
         }
       },
     });
@@ -215,5 +248,7 @@ module.exports = {
   publishLocationUpdate,
   publishRideEvent,
   publishNotification,
+  buildRideEvent,
+  buildNotification,
   createConsumer,
 };
@@ -104,35 +104,94 @@ const invalidateCache = async (pattern) => {
 };
 
 // GeoSpatial helpers for driver locations
+// Drivers are indexed per tenant and tier, each with a last-seen time; a driver not seen
+// for DRIVER_STALE_AFTER_MS is a ghost (app died, phone off) and is never returned
+
+const DRIVER_STALE_AFTER_MS = parseInt(process.env.DRIVER_STALE_AFTER_MS) || 120000;
+
+const geoKey = (tenantId, tier) => `drivers:geo:${tenantId}:${tier}`;
+const seenKey = (tenantId, tier) => `drivers:seen:${tenantId}:${tier}`;
+
+// Every tenant:tier pair with a geo index, for the stale-driver sweep
+const GEO_PARTITIONS_KEY = 'drivers:geo:partitions';
 
 /**
- * Add driver location to geo index
+ * Drop drivers whose last-seen time is older than the stale threshold
+ * @returns {Promise<Set<string>>} IDs of the drivers still live
+ */
+const filterLiveDrivers = async (tenantId, tier, driverIds, now = Date.now()) => {
+  if (driverIds.length === 0) return new Set();
+
+  const pipeline = redis.pipeline();
+  driverIds.forEach(driverId => pipeline.zscore(seenKey(tenantId, tier), driverId));
+  const results = await pipeline.exec();
+
+  const cutoff = now - DRIVER_STALE_AFTER_MS;
+  return new Set(driverIds.filter((driverId, index) => {
+    const [err, lastSeen] = results[index];
+    return !err && lastSeen !== null && parseFloat(lastSeen) >= cutoff;
+  }));
+};
+
+/**
+ * Add driver location to geo index, and mark them seen now
+ * @param {string} tenantId - Driver's tenant
  * @param {string} tier - Vehicle tier (economy, premium, xl)
  * @param {string} driverId - Driver ID
  * @param {number} longitude - Longitude
  * @param {number} latitude - Latitude
  */
-const addDriverLocation = async (tier, driverId, longitude, latitude) => {
+const addDriverLocation = async (tenantId, tier, driverId, longitude, latitude) => {
   if (!redis) return;
-  
-  const key = `drivers:geo:${tier}`;
-  await redis.geoadd(key, longitude, latitude, driverId);
+
+  await redis.multi()
+    .geoadd(geoKey(tenantId, tier), longitude, latitude, driverId)
+    .zadd(seenKey(tenantId, tier), Date.now(), driverId)
+    .sadd(GEO_PARTITIONS_KEY, `${tenantId}:${tier}`)
+    .exec();
 };
 
 /**
  * Remove driver from geo index
+ * @param {string} tenantId - Driver's tenant
  * @param {string} tier - Vehicle tier
  * @param {string} driverId - Driver ID
  */
-const removeDriverLocation = async (tier, driverId) => {
+const removeDriverLocation = async (tenantId, tier, driverId) => {
   if (!redis) return;
-  
-  const key = `drivers:geo:${tier}`;
-  await redis.zrem(key, driverId);
+
+  await redis.multi()
+    .zrem(geoKey(tenantId, tier), driverId)
+    .zrem(seenKey(tenantId, tier), driverId)
+    .exec();
 };
 
 /**
- * Find nearby drivers
+ * Get every live driver in a tenant's tier geo index with their position
+ * @param {string} tenantId - Tenant
+ * @param {string} tier - Vehicle tier
+ * @returns {Promise<Array>} Array of {driverId, longitude, latitude}
+ */
+const getDriverLocations = async (tenantId, tier) => {
+  if (!redis) return [];
+
+  const driverIds = await redis.zrangebyscore(seenKey(tenantId, tier), Date.now() - DRIVER_STALE_AFTER_MS, '+inf');
+  if (driverIds.length === 0) return [];
+
+  const positions = await redis.geopos(geoKey(tenantId, tier), ...driverIds);
+
+  return driverIds
+    .map((driverId, index) => positions[index] && {
+      driverId,
+      longitude: parseFloat(positions[index][0]),
+      latitude: parseFloat(positions[index][1]),
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Find nearby live drivers
+ * @param {string} tenantId - Tenant of the ride
  * @param {string} tier - Vehicle tier
  * @param {number} longitude - Pickup longitude
  * @param {number} latitude - Pickup latitude
@@ -140,12 +199,11 @@ const removeDriverLocation = async (tier, driverId) => {
  * @param {number} count - Max results
  * @returns {Promise<Array>} Array of {driverId, distance}
  */
-const findNearbyDrivers = async (tier, longitude, latitude, radiusKm = 5, count = 10) => {
+const findNearbyDrivers = async (tenantId, tier, longitude, latitude, radiusKm = 5, count = 10) => {
   if (!redis) return [];
-  
-  const key = `drivers:geo:${tier}`;
+
   const results = await redis.georadius(
-    key,
+    geoKey(tenantId, tier),
     longitude,
     latitude,
     radiusKm,
@@ -155,11 +213,60 @@ const findNearbyDrivers = async (tier, longitude, latitude, radiusKm = 5, count
     'COUNT',
     count
   );
-  
-  return results.map(([driverId, distance]) => ({
-    driverId,
-    distance: parseFloat(distance),
-  }));
+
+  const live = await filterLiveDrivers(tenantId, tier, results.map(([driverId]) => driverId));
+
+  return results
+    .filter(([driverId]) => live.has(driverId))
+    .map(([driverId, distance]) => ({
+      driverId,
+      distance: parseFloat(distance),
+    }));
+};
+
+/**
+ * Count live drivers within a radius (supply side of surge pricing)
+ * @param {string} tenantId - Tenant
+ * @param {string} tier - Vehicle tier
+ * @param {number} longitude - Center longitude
+ * @param {number} latitude - Center latitude
+ * @param {number} radiusKm - Search radius in km
+ * @returns {Promise<number>} Number of drivers in the radius
+ */
+const countNearbyDrivers = async (tenantId, tier, longitude, latitude, radiusKm) => {
+  if (!redis) return 0;
+
+  const driverIds = await redis.georadius(geoKey(tenantId, tier), longitude, latitude, radiusKm, 'km');
+  const live = await filterLiveDrivers(tenantId, tier, driverIds);
+
+  return live.size;
+};
+
+/**
+ * Evict drivers not seen for DRIVER_STALE_AFTER_MS from every geo index
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Array>} Evicted drivers as {tenantId, tier, driverId}
+ */
+const evictStaleDrivers = async (now = Date.now()) => {
+  if (!redis) return [];
+
+  const partitions = await redis.smembers(GEO_PARTITIONS_KEY);
+  const evicted = [];
+
+  for (const partition of partitions) {
+    const [tenantId, tier] = partition.split(':');
+    const staleIds = await redis.zrangebyscore(seenKey(tenantId, tier), '-inf', `(${now - DRIVER_STALE_AFTER_MS}`);
+    if (staleIds.length === 0) continue;
+
+    await redis.multi()
+      .zrem(geoKey(tenantId, tier), ...staleIds)
+      .zrem(seenKey(tenantId, tier), ...staleIds)
+      .exec();
+
+    staleIds.forEach(driverId => evicted.push({ tenantId, tier, driverId }));
+  }
+
+  return evicted;
 };
 
 module.exports = {
@@ -170,5 +277,9 @@ module.exports = {
   invalidateCache,
   addDriverLocation,
   removeDriverLocation,
+  getDriverLocations,
   findNearbyDrivers,
+  countNearbyDrivers,
+  evictStaleDrivers,
+  DRIVER_STALE_AFTER_MS,
 };
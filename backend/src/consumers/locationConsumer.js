@@ -31,15 +31,16 @@ const startLocationConsumer = async () => {
  * Process incoming location update
  */
 const processLocationUpdate = async (message) => {
-  const { driverId, latitude, longitude, heading, speed, vehicle_type, status } = message;
+  const { driverId, regionId, latitude, longitude, heading, speed, accuracy, vehicle_type, status } = message;
 
-  // Update Redis geo-index immediately for real-time matching
+  // Update Redis geo-index immediately for real-time matching (drivers publish
+  // with their tenant as the region)
   if (status === 'online') {
-    await addDriverLocation(vehicle_type, driverId, longitude, latitude);
+    await addDriverLocation(regionId, vehicle_type, driverId, longitude, latitude);
   }
 
   // Buffer for batch database writes
-  bufferLocationForDb(driverId, { latitude, longitude, heading, speed });
+  bufferLocationForDb(driverId, { latitude, longitude, heading, speed, accuracy });
 };
 
 /**
@@ -83,6 +84,7 @@ const flushLocationBuffer = async () => {
       longitude: latest.longitude,
       heading: latest.heading,
       speed: latest.speed,
+      accuracy: latest.accuracy,
     });
   });
 
@@ -97,11 +99,13 @@ const flushLocationBuffer = async () => {
     const longitudes = entries.map(e => e.longitude);
     const headings = entries.map(e => e.heading || null);
     const speeds = entries.map(e => e.speed || null);
+    // Trip routes drop fixes by accuracy
+    const accuracies = entries.map(e => e.accuracy || null);
 
     await query(
-      `INSERT INTO driver_locations (driver_id, latitude, longitude, heading, speed)
-       SELECT * FROM unnest($1::uuid[], $2::decimal[], $3::decimal[], $4::decimal[], $5::decimal[])`,
-      [driverIds, latitudes, longitudes, headings, speeds]
+      `INSERT INTO driver_locations (driver_id, latitude, longitude, heading, speed, accuracy)
+       SELECT * FROM unnest($1::uuid[], $2::decimal[], $3::decimal[], $4::decimal[], $5::decimal[], $6::decimal[])`,
+      [driverIds, latitudes, longitudes, headings, speeds, accuracies]
     );
 
     console.log(`Flushed ${entries.length} location updates to database`);
@@ -0,0 +1,60 @@
+const { createConsumer, TOPICS } = require('../config/kafka');
+const { applyRideEvent, purgeProcessedEvents } = require('../services/analyticsService');
+
+let consumer = null;
+let purgeTimer = null;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Start the ride events consumer (hourly analytics rollups)
+ * - A failed event is retried rather than skipped, so a database outage doesn't lose counts
+ */
+const startRideEventsConsumer = async () => {
+  consumer = await createConsumer(
+    'ride-analytics',
+    TOPICS.RIDE_EVENTS,
+    processRideEvent,
+    { retryOnError: true }
+  );
+
+  if (consumer) {
+    // Forget processed event ids once redelivery is no longer possible
+    purgeTimer = setInterval(() => {
+      purgeProcessedEvents().catch(err => console.error('Error purging processed ride events:', err.message));
+    }, PURGE_INTERVAL_MS);
+
+    console.log('✅ Ride events consumer started');
+  }
+
+  return consumer;
+};
+
+/**
+ * Process an incoming ride event
+ * - Redelivered events are counted once (see analyticsService.applyRideEvent)
+ * - Errors propagate so the consumer retries the event
+ */
+const processRideEvent = async (message) => {
+  await applyRideEvent(message);
+};
+
+/**
+ * Stop the ride events consumer
+ */
+const stopRideEventsConsumer = async () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+
+  if (consumer) {
+    await consumer.disconnect();
+    console.log('Ride events consumer stopped');
+  }
+};
+
+module.exports = {
+  startRideEventsConsumer,
+  stopRideEventsConsumer,
+  processRideEvent,
+};
@@ -0,0 +1,188 @@
+const adminService = require('../services/adminService');
+const rateCardService = require('../services/rateCardService');
+const promoService = require('../services/promoService');
+const { actorFromUser } = require('../services/rideEventService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Respond with one page of a listing
+ */
+const sendPage = (res, page) => {
+  res.json({
+    success: true,
+    data: page.items,
+    meta: {
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+    },
+  });
+};
+
+/**
+ * GET /v1/admin/rides - List rides (status, tier, rider_id, driver_id, from, to)
+ */
+const listRides = asyncHandler(async (req, res) => {
+  sendPage(res, await adminService.listRides(req.user.tenantId, req.query));
+});
+
+/**
+ * GET /v1/admin/drivers - List drivers (status, vehicle_type, suspended, search)
+ */
+const listDrivers = asyncHandler(async (req, res) => {
+  sendPage(res, await adminService.listDrivers(req.user.tenantId, req.query));
+});
+
+/**
+ * GET /v1/admin/trips - List trips (status, rider_id, driver_id, from, to)
+ */
+const listTrips = asyncHandler(async (req, res) => {
+  sendPage(res, await adminService.listTrips(req.user.tenantId, req.query));
+});
+
+/**
+ * GET /v1/admin/payments - List payments (status, payment_method, from, to)
+ */
+const listPayments = asyncHandler(async (req, res) => {
+  sendPage(res, await adminService.listPayments(req.user.tenantId, req.query));
+});
+
+/**
+ * GET /v1/admin/live-map - Online drivers and open rides
+ */
+const getLiveMap = asyncHandler(async (req, res) => {
+  const map = await adminService.getLiveMap(req.user.tenantId);
+
+  res.json({
+    success: true,
+    data: map,
+  });
+});
+
+/**
+ * POST /v1/admin/rides/:id/cancel - Force-cancel a ride
+ */
+const cancelRide = asyncHandler(async (req, res) => {
+  const ride = await adminService.forceCancelRide(
+    req.user.tenantId,
+    req.params.id,
+    req.body.reason,
+    actorFromUser(req.user)
+  );
+
+  res.json({
+    success: true,
+    data: ride,
+    message: 'Ride cancelled',
+  });
+});
+
+/**
+ * POST /v1/admin/rides/:id/assign - Assign or reassign a ride to a driver
+ */
+const assignRide = asyncHandler(async (req, res) => {
+  const ride = await adminService.reassignRide(
+    req.user.tenantId,
+    req.params.id,
+    req.body.driver_id,
+    actorFromUser(req.user)
+  );
+
+  res.json({
+    success: true,
+    data: ride,
+    message: ride.previous_driver_id ? 'Ride reassigned' : 'Driver assigned',
+  });
+});
+
+/**
+ * POST /v1/admin/drivers/:id/suspend - Suspend a driver
+ */
+const suspendDriver = asyncHandler(async (req, res) => {
+  const driver = await adminService.suspendDriver(req.user.tenantId, req.params.id, req.body.reason);
+
+  res.json({
+    success: true,
+    data: driver,
+    message: 'Driver suspended',
+  });
+});
+
+/**
+ * POST /v1/admin/drivers/:id/reinstate - Lift a driver's suspension
+ */
+const reinstateDriver = asyncHandler(async (req, res) => {
+  const driver = await adminService.reinstateDriver(req.user.tenantId, req.params.id);
+
+  res.json({
+    success: true,
+    data: driver,
+    message: 'Driver reinstated',
+  });
+});
+
+/**
+ * GET /v1/admin/rate-cards - Every rate card version (tier), with which one is in effect
+ */
+const listRateCards = asyncHandler(async (req, res) => {
+  const rateCards = await rateCardService.listRateCards(req.user.tenantId, req.query);
+
+  res.json({
+    success: true,
+    data: rateCards,
+  });
+});
+
+/**
+ * POST /v1/admin/rate-cards - Publish a new rate card version for a tier
+ */
+const publishRateCard = asyncHandler(async (req, res) => {
+  const rateCard = await rateCardService.publishRateCard(req.user.tenantId, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: rateCard,
+    message: `Rate card v${rateCard.version} published for ${rateCard.tier}`,
+  });
+});
+
+/**
+ * GET /v1/admin/promo-codes - The tenant's promo codes (and those valid everywhere)
+ */
+const listPromoCodes = asyncHandler(async (req, res) => {
+  const promoCodes = await promoService.listPromoCodes(req.user.tenantId);
+
+  res.json({
+    success: true,
+    data: promoCodes,
+  });
+});
+
+/**
+ * POST /v1/admin/promo-codes - Create a promo code for the tenant
+ */
+const createPromoCode = asyncHandler(async (req, res) => {
+  const promoCode = await promoService.createPromoCode(req.user.tenantId, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: promoCode,
+    message: `Promo code ${promoCode.code} created`,
+  });
+});
+
+module.exports = {
+  listRides,
+  listDrivers,
+  listTrips,
+  listPayments,
+  getLiveMap,
+  cancelRide,
+  assignRide,
+  suspendDriver,
+  reinstateDriver,
+  listRateCards,
+  publishRateCard,
+  listPromoCodes,
+  createPromoCode,
+};
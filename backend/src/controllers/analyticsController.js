@@ -0,0 +1,31 @@
+const analyticsService = require('../services/analyticsService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * GET /v1/analytics/rides - Ride metrics per hour or day (from, to, interval)
+ */
+const getRideStats = asyncHandler(async (req, res) => {
+  const stats = await analyticsService.getRideStats(req.user.tenantId, req.query);
+
+  res.json({
+    success: true,
+    data: stats,
+  });
+});
+
+/**
+ * GET /v1/analytics/rides/summary - Ride metrics totalled over a window (from, to)
+ */
+const getRideStatsSummary = asyncHandler(async (req, res) => {
+  const summary = await analyticsService.getRideStatsSummary(req.user.tenantId, req.query);
+
+  res.json({
+    success: true,
+    data: summary,
+  });
+});
+
+module.exports = {
+  getRideStats,
+  getRideStatsSummary,
+};
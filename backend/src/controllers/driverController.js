@@ -1,5 +1,8 @@
 const driverService = require('../services/driverService');
 const matchingService = require('../services/matchingService');
+const poolService = require('../services/poolService');
+const earningsService = require('../services/earningsService');
+const { actorFromUser } = require('../services/rideEventService');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
@@ -49,7 +52,7 @@ const acceptRide = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { ride_id } = req.body;
 
-  const result = await matchingService.acceptRide(ride_id, id);
+  const result = await matchingService.acceptRide(ride_id, id, { actor: actorFromUser(req.user) });
 
   res.json({
     success: true,
@@ -99,6 +102,61 @@ const getPendingOffers = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * PATCH /v1/drivers/:id/rider-filter - Only receive offers from riders rated at least this high
+ */
+const updateRiderFilter = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { min_rider_rating } = req.body;
+  const result = await driverService.updateRiderFilter(id, min_rider_rating);
+
+  res.json({
+    success: true,
+    data: result,
+    message: min_rider_rating ? `Offers limited to riders rated ${min_rider_rating}+` : 'Rider filter cleared',
+  });
+});
+
+/**
+ * GET /v1/drivers/:id/manifest - Get driver's ordered pool pickups and dropoffs
+ */
+const getManifest = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const manifest = await poolService.getDriverManifest(id);
+
+  res.json({
+    success: true,
+    data: manifest,
+  });
+});
+
+/**
+ * GET /v1/drivers/:id/earnings - Earnings statement (from, to, group_by=day|week)
+ */
+const getEarnings = asyncHandler(async (req, res) => {
+  const { from, to, group_by } = req.query;
+  const statement = await earningsService.getStatement(req.params.id, { from, to, groupBy: group_by });
+
+  res.json({
+    success: true,
+    data: statement,
+  });
+});
+
+/**
+ * GET /v1/drivers/:id/payouts - Driver's payouts, newest first
+ */
+const getPayouts = asyncHandler(async (req, res) => {
+  const { limit, offset } = req.query;
+  const payouts = await earningsService.getPayouts(req.params.id, { limit, offset });
+
+  res.json({
+    success: true,
+    data: payouts,
+    meta: { limit, offset },
+  });
+});
+
 module.exports = {
   updateLocation,
   getDriver,
@@ -107,4 +165,8 @@ module.exports = {
   declineRide,
   getCurrentRide,
   getPendingOffers,
+  getManifest,
+  updateRiderFilter,
+  getEarnings,
+  getPayouts,
 };
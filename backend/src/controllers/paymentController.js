@@ -1,18 +1,23 @@
 const paymentService = require('../services/paymentService');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { actorFromUser } = require('../services/rideEventService');
 const { BadRequestError } = require('../utils/errors');
 
 /**
  * POST /v1/payments - Process payment
  */
 const processPayment = asyncHandler(async (req, res) => {
-  const { trip_id, payment_method, idempotency_key } = req.body;
+  const { trip_id, payment_method, idempotency_key, card_token, tip } = req.body;
 
   if (!idempotency_key) {
     throw new BadRequestError('idempotency_key is required');
   }
 
-  const payment = await paymentService.processPayment(trip_id, payment_method, idempotency_key);
+  const payment = await paymentService.processPayment(trip_id, payment_method, idempotency_key, {
+    cardToken: card_token,
+    tip,
+    actor: actorFromUser(req.user),
+  });
 
   res.status(payment.status === 'completed' ? 200 : 202).json({
     success: true,
@@ -50,13 +55,16 @@ const getPaymentByTrip = asyncHandler(async (req, res) => {
  */
 const retryPayment = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { idempotency_key } = req.body;
+  const { idempotency_key, card_token } = req.body;
 
   if (!idempotency_key) {
     throw new BadRequestError('idempotency_key is required');
   }
 
-  const payment = await paymentService.retryPayment(id, idempotency_key);
+  const payment = await paymentService.retryPayment(id, idempotency_key, {
+    cardToken: card_token,
+    actor: actorFromUser(req.user),
+  });
 
   res.json({
     success: true,
@@ -72,7 +80,7 @@ const initiateRefund = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { reason } = req.body;
 
-  const payment = await paymentService.initiateRefund(id, reason);
+  const payment = await paymentService.initiateRefund(id, reason, { actor: actorFromUser(req.user) });
 
   res.json({
     success: true,
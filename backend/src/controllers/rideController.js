@@ -1,12 +1,23 @@
 const rideService = require('../services/rideService');
 const matchingService = require('../services/matchingService');
+const cancellationService = require('../services/cancellationService');
+const rideEventService = require('../services/rideEventService');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
  * POST /v1/rides - Create a new ride request
  */
 const createRide = asyncHandler(async (req, res) => {
-  const ride = await rideService.createRide(req.body);
+  const ride = await rideService.createRide(req.body, { actor: rideEventService.actorFromUser(req.user) });
+
+  // Scheduled rides are dispatched later by the ride scheduler
+  if (ride.status === 'SCHEDULED') {
+    return res.status(201).json({
+      success: true,
+      data: ride,
+      message: 'Ride scheduled successfully',
+    });
+  }
 
   // Automatically start matching drivers
   try {
@@ -46,7 +57,8 @@ const updateRideStatus = asyncHandler(async (req, res) => {
   const ride = await rideService.updateRideStatus(
     req.params.id,
     status,
-    version ? parseInt(version) : null
+    version ? parseInt(version) : null,
+    { actor: rideEventService.actorFromUser(req.user) }
   );
 
   res.json({
@@ -57,16 +69,48 @@ const updateRideStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * POST /v1/rides/:id/cancel - Cancel a ride
+ * POST /v1/rides/:id/cancel - Cancel a ride (rider or driver; ops cancel free of charge)
+ * - A driver cancelling before pickup hands the ride back for re-dispatch
  */
 const cancelRide = asyncHandler(async (req, res) => {
   const { reason } = req.body;
-  const ride = await rideService.cancelRide(req.params.id, reason);
+  const cancelledBy = ['rider', 'driver'].includes(req.user.type) ? req.user.type : 'system';
+  const ride = await cancellationService.cancelRide(req.params.id, {
+    cancelledBy,
+    reason,
+    actor: rideEventService.actorFromUser(req.user),
+  });
+  const { cancellation } = ride;
+
+  let message = 'Ride cancelled successfully';
+  if (cancellation.redispatched) {
+    message = 'Ride released. The rider is being matched with another driver';
+  } else if (cancellation.total > 0) {
+    message = `Ride cancelled. A cancellation fee of ${cancellation.total} applies${
+      ride.payment_hold?.status === 'captured' ? ' and was charged to the card' : ''
+    }`;
+  }
 
   res.json({
     success: true,
     data: ride,
-    message: 'Ride cancelled successfully',
+    message,
+  });
+});
+
+/**
+ * PATCH /v1/rides/:id/stops/:stopId - Mark an intermediate stop arrived/departed
+ */
+const updateStopStatus = asyncHandler(async (req, res) => {
+  const { id, stopId } = req.params;
+  const { status } = req.body;
+
+  const stop = await rideService.updateStopStatus(id, stopId, status);
+
+  res.json({
+    success: true,
+    data: stop,
+    message: `Stop ${stop.sequence} marked ${status}`,
   });
 });
 
@@ -93,6 +137,18 @@ const getRidesByRider = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * GET /v1/rides/:id/timeline - Full history of a ride, for support
+ */
+const getRideTimeline = asyncHandler(async (req, res) => {
+  const timeline = await rideEventService.getRideTimeline(req.params.id);
+
+  res.json({
+    success: true,
+    data: timeline,
+  });
+});
+
 /**
  * GET /v1/riders/:riderId/current-ride - Get rider's current active ride
  */
@@ -111,6 +167,8 @@ module.exports = {
   getRide,
   updateRideStatus,
   cancelRide,
+  updateStopStatus,
+  getRideTimeline,
   getRidesByRider,
   getRiderCurrentRide,
 };
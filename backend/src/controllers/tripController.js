@@ -1,4 +1,11 @@
 const tripService = require('../services/tripService');
+const surgeService = require('../services/surgeService');
+const ratingService = require('../services/ratingService');
+const pricingService = require('../services/pricingService');
+const promoService = require('../services/promoService');
+const routeService = require('../services/routeService');
+const { calculateRouteDistance } = require('../services/rideService');
+const { actorFromUser } = require('../services/rideEventService');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
@@ -6,7 +13,7 @@ const { asyncHandler } = require('../middleware/errorHandler');
  */
 const startTrip = asyncHandler(async (req, res) => {
   const { ride_id } = req.body;
-  const result = await tripService.startTrip(ride_id);
+  const result = await tripService.startTrip(ride_id, { actor: actorFromUser(req.user) });
 
   res.status(201).json({
     success: true,
@@ -20,7 +27,7 @@ const startTrip = asyncHandler(async (req, res) => {
  */
 const endTrip = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const result = await tripService.endTrip(id, req.body);
+  const result = await tripService.endTrip(id, req.body, { actor: actorFromUser(req.user) });
 
   res.json({
     success: true,
@@ -41,13 +48,51 @@ const getTrip = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * GET /v1/trips/:id/route - Path the driver took (so far, while the trip runs)
+ */
+const getTripRoute = asyncHandler(async (req, res) => {
+  const route = await routeService.getTripRoute(req.params.id);
+
+  res.json({
+    success: true,
+    data: route,
+  });
+});
+
+/**
+ * POST /v1/trips/:id/rating - Rate the other party of a completed trip
+ */
+const rateTrip = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const rating = await ratingService.submitRating(id, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: rating,
+    message: 'Rating submitted successfully',
+  });
+});
+
+/**
+ * GET /v1/trips/:id/ratings - Get ratings left on a trip
+ */
+const getTripRatings = asyncHandler(async (req, res) => {
+  const ratings = await ratingService.getTripRatings(req.params.id);
+
+  res.json({
+    success: true,
+    data: ratings,
+  });
+});
+
 /**
  * PATCH /v1/rides/:id/status - Update ride status
  */
 const updateRideStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { status } = req.body;
-  const ride = await tripService.updateRideStatusForTrip(id, status);
+  const ride = await tripService.updateRideStatusForTrip(id, status, { actor: actorFromUser(req.user) });
 
   res.json({
     success: true,
@@ -60,18 +105,54 @@ const updateRideStatus = asyncHandler(async (req, res) => {
  * GET /v1/trips/fare-estimate - Calculate fare estimate
  */
 const getFareEstimate = asyncHandler(async (req, res) => {
-  const { tier, distance_km, duration_mins, surge_multiplier } = req.query;
+  const {
+    tenant_id, tier,
+    pickup_lat, pickup_lng, dropoff_lat, dropoff_lng,
+    distance_km, duration_mins, stops = [], promo_code,
+  } = req.query;
+
+  const hasPickup = pickup_lat !== undefined && pickup_lng !== undefined;
+  const hasDropoff = dropoff_lat !== undefined && dropoff_lng !== undefined;
+
+  const distance = distance_km
+    || (hasPickup && hasDropoff
+      ? calculateRouteDistance([
+        { lat: pickup_lat, lng: pickup_lng },
+        ...stops,
+        { lat: dropoff_lat, lng: dropoff_lng },
+      ])
+      : 5);
 
-  const fare = tripService.calculateFare(
-    tier || 'economy',
-    parseFloat(distance_km) || 5,
-    parseInt(duration_mins) || 15,
-    parseFloat(surge_multiplier) || 1
-  );
+  // Surge always comes from the engine, never from the client
+  const surgeQuote = tenant_id && hasPickup
+    ? await surgeService.createSurgeQuote(tenant_id, tier, pickup_lat, pickup_lng)
+    : null;
+
+  // An unusable promo still gets an estimate, with the reason it wasn't applied
+  const promoCheck = promo_code
+    ? await promoService.previewPromo(promo_code, {
+      tenantId: tenant_id,
+      tier,
+      riderId: req.user.type === 'rider' ? req.user.id : null,
+    })
+    : null;
+
+  const fare = await pricingService.quoteFare(tenant_id, tier, distance, {
+    durationMins: duration_mins,
+    surgeMultiplier: surgeQuote ? surgeQuote.multiplier : 1,
+    promo: promoCheck ? promoCheck.promo : null,
+  });
 
   res.json({
     success: true,
-    data: fare,
+    data: {
+      ...fare,
+      surge_quote_id: surgeQuote ? surgeQuote.id : null,
+      surge_quote_expires_at: surgeQuote ? surgeQuote.expires_at : null,
+      promo: promoCheck
+        ? { code: promoCheck.code, applied: !!promoCheck.promo, reason: promoCheck.reason, discount: fare.discount }
+        : null,
+    },
   });
 });
 
@@ -79,6 +160,9 @@ module.exports = {
   startTrip,
   endTrip,
   getTrip,
+  getTripRoute,
   updateRideStatus,
   getFareEstimate,
+  rateTrip,
+  getTripRatings,
 };
@@ -0,0 +1,53 @@
+const walletService = require('../services/walletService');
+const paymentService = require('../services/paymentService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * GET /v1/wallets/:ownerType/:ownerId - Get wallet balance
+ */
+const getWallet = asyncHandler(async (req, res) => {
+  const { ownerType, ownerId } = req.params;
+  const wallet = await walletService.getWallet(ownerType, ownerId);
+
+  res.json({
+    success: true,
+    data: wallet,
+  });
+});
+
+/**
+ * POST /v1/wallets/:ownerType/:ownerId/topup - Add money to a wallet, charged to a card
+ */
+const topUp = asyncHandler(async (req, res) => {
+  const { ownerType, ownerId } = req.params;
+  const { amount, card_token } = req.body;
+  const wallet = await paymentService.topUpWallet(ownerType, ownerId, amount, req.idempotencyKey, {
+    cardToken: card_token,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: wallet,
+    message: 'Wallet topped up',
+  });
+});
+
+/**
+ * GET /v1/wallets/:ownerType/:ownerId/transactions - Get wallet statement
+ */
+const getStatement = asyncHandler(async (req, res) => {
+  const { ownerType, ownerId } = req.params;
+  const { limit, offset } = req.query;
+  const transactions = await walletService.getStatement(ownerType, ownerId, { limit, offset });
+
+  res.json({
+    success: true,
+    data: transactions,
+  });
+});
+
+module.exports = {
+  getWallet,
+  topUp,
+  getStatement,
+};
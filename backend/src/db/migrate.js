@@ -63,8 +63,8 @@ CREATE TABLE IF NOT EXISTS rides (
     
     -- Status tracking
     status VARCHAR(30) NOT NULL DEFAULT 'REQUESTED',
-    -- REQUESTED, MATCHING, DRIVER_ASSIGNED, DRIVER_EN_ROUTE, 
-    -- DRIVER_ARRIVED, IN_PROGRESS, COMPLETED, CANCELLED
+    -- SCHEDULED, REQUESTED, MATCHING, DRIVER_ASSIGNED, DRIVER_EN_ROUTE, 
+    -- DRIVER_ARRIVED, IN_PROGRESS, COMPLETED, CANCELLED, NO_DRIVERS_FOUND
     
     -- Location details
     pickup_lat DECIMAL(10,8) NOT NULL,
@@ -195,7 +195,8 @@ CREATE TABLE IF NOT EXISTS ride_offers (
     
     -- Offer status
     status VARCHAR(20) DEFAULT 'pending',
-    -- pending, accepted, declined, expired, cancelled
+    -- pending, accepted, declined, expired, cancelled,
+    -- driver_cancelled (accepted, then cancelled by the driver; counts against their acceptance rate)
     
     -- Timestamps
     offered_at TIMESTAMP DEFAULT NOW(),
@@ -244,6 +245,503 @@ ON trips(ride_id, status);
 CREATE INDEX IF NOT EXISTS idx_rides_covering 
 ON rides(id) INCLUDE (tenant_id, rider_id, driver_id, status, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, tier, estimated_fare);
 
+-- =============================================
+-- SURGE PRICING
+-- =============================================
+
+-- Geohash cell of the pickup, used to bucket demand per surge cell
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS pickup_geohash VARCHAR(12);
+
+CREATE INDEX IF NOT EXISTS idx_rides_open_demand
+ON rides(tenant_id, tier, pickup_geohash)
+WHERE status IN ('REQUESTED', 'MATCHING');
+
+-- =============================================
+-- MULTI-ROUND DISPATCH
+-- =============================================
+
+-- When matching started (drives MATCHING_TIMEOUT_MS) and how many waves were sent
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS matching_started_at TIMESTAMP;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS dispatch_round INTEGER DEFAULT 0;
+
+-- =============================================
+-- SCHEDULED RIDES
+-- =============================================
+
+-- Requested pickup time for rides booked ahead (NULL for on-demand rides)
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS cancellation_fee DECIMAL(10,2) DEFAULT 0;
+
+-- Scheduler scans upcoming scheduled rides by pickup time
+CREATE INDEX IF NOT EXISTS idx_rides_scheduled
+ON rides(scheduled_at)
+WHERE status = 'SCHEDULED';
+
+-- =============================================
+-- MULTI-STOP RIDES
+-- =============================================
+
+-- Ordered intermediate stops between pickup and dropoff
+CREATE TABLE IF NOT EXISTS ride_stops (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    ride_id UUID NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL, -- 1-based visiting order
+
+    latitude DECIMAL(10,8) NOT NULL,
+    longitude DECIMAL(11,8) NOT NULL,
+    address TEXT,
+
+    status VARCHAR(20) DEFAULT 'pending',
+    -- pending, arrived, departed, skipped
+    arrived_at TIMESTAMP,
+    departed_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (ride_id, sequence)
+);
+
+-- =============================================
+-- POOL RIDES
+-- =============================================
+
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS seat_capacity INTEGER; -- NULL = default for vehicle_type
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS seats INTEGER DEFAULT 1;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS pool_riders INTEGER DEFAULT 1; -- Most riders sharing the car during this ride
+
+-- Ordered pickups and dropoffs a pool driver still has to make
+CREATE TABLE IF NOT EXISTS pool_stops (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    driver_id UUID NOT NULL REFERENCES drivers(id),
+    ride_id UUID NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    type VARCHAR(10) NOT NULL, -- pickup, dropoff
+    sequence INTEGER NOT NULL, -- visiting order among the driver's pending stops
+
+    latitude DECIMAL(10,8) NOT NULL,
+    longitude DECIMAL(11,8) NOT NULL,
+
+    status VARCHAR(20) DEFAULT 'pending',
+    -- pending, completed, cancelled
+    completed_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pool_stops_driver_pending
+ON pool_stops(driver_id, sequence) WHERE status = 'pending';
+
+-- =============================================
+-- TRIP RATINGS
+-- =============================================
+
+ALTER TABLE riders ADD COLUMN IF NOT EXISTS rating DECIMAL(3,2) DEFAULT 5.0;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS min_rider_rating DECIMAL(3,2); -- NULL = accept any rider
+
+-- One rating per party per trip (rider rates driver, driver rates rider)
+CREATE TABLE IF NOT EXISTS trip_ratings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+    ride_id UUID NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    rated_by VARCHAR(10) NOT NULL, -- rider, driver
+    rater_id UUID NOT NULL,
+    ratee_id UUID NOT NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    tags TEXT[] DEFAULT '{}',
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (trip_id, rated_by)
+);
+
+-- Rolling average over the ratee's most recent ratings
+CREATE INDEX IF NOT EXISTS idx_trip_ratings_ratee
+ON trip_ratings(ratee_id, rated_by, created_at DESC);
+
+-- =============================================
+-- WALLETS (double-entry ledger)
+-- =============================================
+
+-- One wallet per rider/driver, plus per-tenant system accounts:
+-- 'platform' collects trip payments, 'funding' is the contra account for top-ups
+CREATE TABLE IF NOT EXISTS wallets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    owner_type VARCHAR(20) NOT NULL, -- rider, driver, platform, funding
+    owner_id UUID NOT NULL, -- rider/driver id, or tenant id for system accounts
+    balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+    currency VARCHAR(3) DEFAULT 'INR',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE (owner_type, owner_id),
+    -- Only the funding account may go negative (it mirrors money held outside)
+    CHECK (owner_type = 'funding' OR balance >= 0)
+);
+
+-- Every transfer writes a debit and a credit with the same journal_id
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    journal_id UUID NOT NULL,
+    wallet_id UUID NOT NULL REFERENCES wallets(id),
+    entry_type VARCHAR(10) NOT NULL, -- debit, credit
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    balance_after DECIMAL(12,2) NOT NULL,
+    kind VARCHAR(30) NOT NULL, -- topup, trip_payment, refund, cancellation_fee
+    reference_id VARCHAR(255), -- payment id, PSP reference, ...
+    description TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_wallet
+ON wallet_transactions(wallet_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_journal
+ON wallet_transactions(journal_id);
+
+-- =============================================
+-- CARD PRE-AUTHORIZATION
+-- =============================================
+
+-- Card hold placed when a card ride is requested; captured at payment or
+-- released (or partly captured as a cancellation fee) if the ride doesn't happen
+CREATE TABLE IF NOT EXISTS payment_holds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    ride_id UUID NOT NULL UNIQUE REFERENCES rides(id) ON DELETE CASCADE,
+    psp_reference VARCHAR(255) NOT NULL,
+    card_token VARCHAR(100),
+    amount DECIMAL(10,2) NOT NULL, -- Currently authorized (raised by incremental auth)
+    captured_amount DECIMAL(10,2),
+    status VARCHAR(20) NOT NULL DEFAULT 'held', -- held, captured, released
+    psp_response JSONB,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- =============================================
+-- OPERATIONS
+-- =============================================
+
+-- Operations console users, provisioned by hand (never created at login)
+CREATE TABLE IF NOT EXISTS admin_users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    phone VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(255),
+    email VARCHAR(255),
+    role VARCHAR(20) NOT NULL DEFAULT 'ops' CHECK (role IN ('admin', 'ops')),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Suspended drivers can't go online or be offered rides
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+
+-- Operations listings page through a tenant's rides newest first
+CREATE INDEX IF NOT EXISTS idx_rides_tenant_status_created
+ON rides(tenant_id, status, created_at DESC);
+
+-- =============================================
+-- DRIVER EARNINGS & PAYOUTS
+-- =============================================
+
+-- Share of the fare (before taxes) the platform keeps; NULL = DRIVER_COMMISSION_PERCENT
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS driver_commission_percent DECIMAL(5,2);
+
+-- Bonus for completing a number of trips in a day or week
+CREATE TABLE IF NOT EXISTS incentive_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    period VARCHAR(10) NOT NULL CHECK (period IN ('day', 'week')),
+    trips_required INTEGER NOT NULL CHECK (trips_required > 0),
+    bonus_amount DECIMAL(10,2) NOT NULL CHECK (bonus_amount > 0),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Money paid out to a driver in one batch (settled with the bank outside the system)
+CREATE TABLE IF NOT EXISTS driver_payouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    driver_id UUID NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'INR',
+    entry_count INTEGER NOT NULL,
+    period_start TIMESTAMP NOT NULL, -- Oldest earning included
+    period_end TIMESTAMP NOT NULL,   -- Batch cut-off
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, paid, failed
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_payouts_driver
+ON driver_payouts(driver_id, created_at DESC);
+
+-- Signed ledger of what a driver is owed: trip (fare less commission), tip and
+-- incentive entries are credits, cash_collected is the cash the driver kept
+CREATE TABLE IF NOT EXISTS driver_earnings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    driver_id UUID NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('trip', 'tip', 'incentive', 'cash_collected', 'refund')),
+    trip_id UUID REFERENCES trips(id) ON DELETE CASCADE,
+    incentive_rule_id UUID REFERENCES incentive_rules(id),
+    incentive_period_start TIMESTAMP,
+    gross_fare DECIMAL(10,2),      -- Trip entries: fare before taxes
+    commission DECIMAL(10,2),      -- Trip entries: platform's share of gross_fare
+    commission_percent DECIMAL(5,2),
+    amount DECIMAL(10,2) NOT NULL, -- Owed to the driver (negative for cash_collected and refund)
+    payout_id UUID REFERENCES driver_payouts(id),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One entry of each kind per trip, one bonus per rule and period
+CREATE UNIQUE INDEX IF NOT EXISTS idx_driver_earnings_trip
+ON driver_earnings(trip_id, kind) WHERE trip_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_driver_earnings_incentive
+ON driver_earnings(driver_id, incentive_rule_id, incentive_period_start) WHERE kind = 'incentive';
+
+CREATE INDEX IF NOT EXISTS idx_driver_earnings_driver
+ON driver_earnings(driver_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_driver_earnings_unpaid
+ON driver_earnings(driver_id) WHERE payout_id IS NULL;
+
+-- Tip the rider added on top of the fare
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tip_amount DECIMAL(10,2) DEFAULT 0;
+
+-- =============================================
+-- RATE CARDS
+-- =============================================
+
+-- Fare rates per tenant and tier. Versions are never edited: a change is
+-- published as a new version that takes over from its effective_from
+CREATE TABLE IF NOT EXISTS rate_cards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    tier VARCHAR(20) NOT NULL CHECK (tier IN ('economy', 'premium', 'xl', 'pool')),
+    version INTEGER NOT NULL,
+    base_fare DECIMAL(10,2) NOT NULL CHECK (base_fare >= 0),
+    per_km DECIMAL(10,2) NOT NULL CHECK (per_km >= 0),
+    per_min DECIMAL(10,2) NOT NULL CHECK (per_min >= 0),
+    minimum_fare DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (minimum_fare >= 0),
+    booking_fee DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (booking_fee >= 0),
+    tax_percent DECIMAL(5,2) NOT NULL DEFAULT 5 CHECK (tax_percent >= 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    effective_from TIMESTAMP NOT NULL DEFAULT NOW(),
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tenant_id, tier, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_cards_effective
+ON rate_cards(tenant_id, tier, effective_from DESC);
+
+-- The version a ride was quoted on and its trip was charged on
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS rate_card_id UUID REFERENCES rate_cards(id);
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS rate_card_id UUID REFERENCES rate_cards(id);
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS booking_fee DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS minimum_fare_adjustment DECIMAL(10,2) DEFAULT 0;
+
+-- =============================================
+-- PRICING
+-- =============================================
+
+-- 'upfront': the quoted estimated_fare is charged unless the route strays too far; 'metered': actuals
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS pricing_mode VARCHAR(10) DEFAULT 'metered'
+    CHECK (pricing_mode IN ('upfront', 'metered'));
+
+-- Remaining fare line items, and whether an upfront price was kept
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS waiting_fare DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS tolls DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS discount DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS pricing_mode VARCHAR(10);
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS upfront_honored BOOLEAN;
+
+-- =============================================
+-- PROMOTIONS
+-- =============================================
+
+-- Promo codes (stored upper-case). tenant_id NULL: valid in every tenant; tiers NULL: every tier;
+-- max_redemptions / max_redemptions_per_rider NULL: unlimited
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    code VARCHAR(30) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'flat')),
+    discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+    max_discount DECIMAL(10,2) CHECK (max_discount > 0),
+    tiers TEXT[],
+    first_ride_only BOOLEAN NOT NULL DEFAULT FALSE,
+    max_redemptions INTEGER CHECK (max_redemptions > 0),
+    max_redemptions_per_rider INTEGER DEFAULT 1 CHECK (max_redemptions_per_rider > 0),
+    redemption_count INTEGER NOT NULL DEFAULT 0,
+    starts_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    ends_at TIMESTAMP,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (discount_type = 'flat' OR discount_value <= 100),
+    CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- One redemption per ride, written when its trip completes
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    promo_code_id UUID NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+    rider_id UUID NOT NULL REFERENCES riders(id),
+    ride_id UUID UNIQUE NOT NULL REFERENCES rides(id),
+    trip_id UUID REFERENCES trips(id),
+    discount_amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_rider
+ON promo_redemptions(promo_code_id, rider_id);
+
+-- The promo a ride was requested with; it's only redeemed if still valid when the trip ends
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS promo_code_id UUID REFERENCES promo_codes(id);
+
+-- =============================================
+-- CANCELLATIONS
+-- =============================================
+
+-- When the driver reached the pickup (waiting time runs from here)
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMP;
+
+-- Who cancelled and the policy rule that set the fee (see cancellationService)
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(10)
+    CHECK (cancelled_by IN ('rider', 'driver', 'system'));
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS cancellation_policy VARCHAR(30);
+
+-- Cancellation fees a cash or wallet rider hasn't paid yet, collected with their next trip payment
+ALTER TABLE riders ADD COLUMN IF NOT EXISTS balance_due DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS balance_due_amount DECIMAL(10,2) DEFAULT 0;
+
+-- =============================================
+-- WAITING TIME
+-- =============================================
+
+-- When the rider got in; arrived_at..started_at is the time the driver waited at pickup
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+
+-- How long the driver waited, charged beyond the tier's free window as trips.waiting_fare
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS waiting_mins DECIMAL(6,2) DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_rides_waiting
+ON rides(arrived_at) WHERE status = 'DRIVER_ARRIVED';
+
+-- =============================================
+-- TRIP ROUTES
+-- =============================================
+
+-- Where the trip's actual_distance_km came from: the driver's GPS trace ('gps'), the
+-- driver app ('client') or the ride's quote ('estimate')
+ALTER TABLE trips ADD COLUMN IF NOT EXISTS distance_source VARCHAR(10)
+    CHECK (distance_source IN ('gps', 'client', 'estimate'));
+
+-- A driver's trace over a trip's time window
+CREATE INDEX IF NOT EXISTS idx_driver_locations_driver_time
+ON driver_locations(driver_id, recorded_at);
+
+-- =============================================
+-- IDEMPOTENCY KEYS
+-- =============================================
+
+-- Durable copy of idempotent requests and their responses; Redis caches them, and this
+-- table alone serves them while Redis is down. scope is whose key it is (the caller, or
+-- 'payment' for payment attempts); request_hash fingerprints the request it was first used for
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    scope VARCHAR(100) NOT NULL,
+    key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    locked_until TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+-- =============================================
+-- OUTBOX
+-- =============================================
+
+-- Kafka messages written in the transaction that produced them; the outbox relay
+-- publishes them in id order after commit and stamps sent_at
+CREATE TABLE IF NOT EXISTS outbox (
+    id BIGSERIAL PRIMARY KEY,
+    topic VARCHAR(100) NOT NULL,
+    message_key VARCHAR(255),
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP DEFAULT NOW(),
+    sent_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_unsent ON outbox(id) WHERE sent_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_outbox_sent ON outbox(sent_at) WHERE sent_at IS NOT NULL;
+
+-- =============================================
+-- RIDE EVENTS
+-- =============================================
+
+-- Append-only history of a ride: every transition, written in the transaction
+-- that made it. from/to hold the ride's status, or the payment's for PAYMENT_* events
+CREATE TABLE IF NOT EXISTS ride_events (
+    id BIGSERIAL PRIMARY KEY,
+    ride_id UUID NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    from_status VARCHAR(30),
+    to_status VARCHAR(30),
+    actor_type VARCHAR(20) NOT NULL,
+    actor_id UUID,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_events_ride ON ride_events(ride_id, id);
+
+-- =============================================
+-- RIDE ANALYTICS
+-- =============================================
+
+-- Hourly rollups of the ride-events topic, per tenant. Sums only, so any
+-- window can be re-aggregated; averages are worked out when read
+CREATE TABLE IF NOT EXISTS ride_stats_hourly (
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    hour TIMESTAMP NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    matches INTEGER NOT NULL DEFAULT 0,
+    completions INTEGER NOT NULL DEFAULT 0,
+    cancellations INTEGER NOT NULL DEFAULT 0,
+    unfulfilled INTEGER NOT NULL DEFAULT 0, -- Rides that timed out with no driver
+    time_to_match_secs DECIMAL(14, 2) NOT NULL DEFAULT 0, -- Summed over timed_matches
+    timed_matches INTEGER NOT NULL DEFAULT 0,
+    gmv DECIMAL(14, 2) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (tenant_id, hour)
+);
+
+-- Ride events already counted, so a redelivered message isn't counted twice
+CREATE TABLE IF NOT EXISTS analytics_processed_events (
+    event_id UUID PRIMARY KEY,
+    processed_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_processed_events_at ON analytics_processed_events(processed_at);
+
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -15,9 +15,22 @@ const resetDatabase = async () => {
     const dropTables = `
       DROP TABLE IF EXISTS driver_locations CASCADE;
       DROP TABLE IF EXISTS ride_offers CASCADE;
+      DROP TABLE IF EXISTS promo_redemptions CASCADE;
+      DROP TABLE IF EXISTS promo_codes CASCADE;
+      DROP TABLE IF EXISTS rate_cards CASCADE;
+      DROP TABLE IF EXISTS driver_earnings CASCADE;
+      DROP TABLE IF EXISTS driver_payouts CASCADE;
+      DROP TABLE IF EXISTS incentive_rules CASCADE;
+      DROP TABLE IF EXISTS wallet_transactions CASCADE;
+      DROP TABLE IF EXISTS wallets CASCADE;
+      DROP TABLE IF EXISTS trip_ratings CASCADE;
+      DROP TABLE IF EXISTS ride_stops CASCADE;
+      DROP TABLE IF EXISTS pool_stops CASCADE;
+      DROP TABLE IF EXISTS payment_holds CASCADE;
       DROP TABLE IF EXISTS payments CASCADE;
       DROP TABLE IF EXISTS trips CASCADE;
       DROP TABLE IF EXISTS rides CASCADE;
+      DROP TABLE IF EXISTS admin_users CASCADE;
       DROP TABLE IF EXISTS drivers CASCADE;
       DROP TABLE IF EXISTS riders CASCADE;
       DROP TABLE IF EXISTS tenants CASCADE;
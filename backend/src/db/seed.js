@@ -163,7 +163,87 @@ const seedData = async () => {
       );
     }
     console.log(`Created ${drivers.length} drivers`);
-    
+
+    // Create an operations user for the admin console
+    await client.query(
+      `INSERT INTO admin_users (id, tenant_id, phone, name, role)
+       VALUES ($1, $2, $3, $4, 'admin') ON CONFLICT (phone) DO NOTHING`,
+      [uuidv4(), tenantId, '+919800000001', 'Ops Admin']
+    );
+    console.log('Created 1 admin user');
+
+    // Trip-count bonuses for drivers
+    const incentiveRules = [
+      { name: 'Daily 5 trips', period: 'day', trips_required: 5, bonus_amount: 100 },
+      { name: 'Daily 10 trips', period: 'day', trips_required: 10, bonus_amount: 250 },
+      { name: 'Weekly 50 trips', period: 'week', trips_required: 50, bonus_amount: 1500 },
+    ];
+    for (const rule of incentiveRules) {
+      await client.query(
+        `INSERT INTO incentive_rules (id, tenant_id, name, period, trips_required, bonus_amount)
+         SELECT $1, $2, $3, $4, $5, $6
+         WHERE NOT EXISTS (SELECT 1 FROM incentive_rules WHERE tenant_id = $2 AND name = $3)`,
+        [uuidv4(), tenantId, rule.name, rule.period, rule.trips_required, rule.bonus_amount]
+      );
+    }
+    console.log(`Created ${incentiveRules.length} incentive rules`);
+
+    // First rate card version for every tenant and tier
+    const rateCards = {
+      bangalore: {
+        economy: { base_fare: 50, per_km: 12, per_min: 1.5, minimum_fare: 80, booking_fee: 0 },
+        premium: { base_fare: 100, per_km: 18, per_min: 2.5, minimum_fare: 150, booking_fee: 0 },
+        xl: { base_fare: 150, per_km: 22, per_min: 3, minimum_fare: 200, booking_fee: 0 },
+        pool: { base_fare: 40, per_km: 10, per_min: 1.2, minimum_fare: 60, booking_fee: 0 },
+      },
+      mumbai: {
+        economy: { base_fare: 55, per_km: 14, per_min: 1.75, minimum_fare: 90, booking_fee: 10 },
+        premium: { base_fare: 110, per_km: 21, per_min: 3, minimum_fare: 170, booking_fee: 10 },
+        xl: { base_fare: 160, per_km: 25, per_min: 3.5, minimum_fare: 220, booking_fee: 10 },
+        pool: { base_fare: 45, per_km: 11, per_min: 1.4, minimum_fare: 70, booking_fee: 5 },
+      },
+      delhi: {
+        economy: { base_fare: 45, per_km: 11, per_min: 1.5, minimum_fare: 75, booking_fee: 15 },
+        premium: { base_fare: 95, per_km: 17, per_min: 2.5, minimum_fare: 140, booking_fee: 15 },
+        xl: { base_fare: 140, per_km: 20, per_min: 3, minimum_fare: 190, booking_fee: 15 },
+        pool: { base_fare: 35, per_km: 9, per_min: 1.2, minimum_fare: 55, booking_fee: 10 },
+      },
+    };
+    for (const [region, tiers] of Object.entries(rateCards)) {
+      for (const [tier, card] of Object.entries(tiers)) {
+        await client.query(
+          `INSERT INTO rate_cards
+             (tenant_id, tier, version, base_fare, per_km, per_min, minimum_fare, booking_fee, tax_percent, effective_from)
+           SELECT t.id, $2, 1, $3, $4, $5, $6, $7, 5, '2024-01-01'
+           FROM tenants t
+           WHERE t.region = $1
+             AND NOT EXISTS (SELECT 1 FROM rate_cards rc WHERE rc.tenant_id = t.id AND rc.tier = $2)`,
+          [region, tier, card.base_fare, card.per_km, card.per_min, card.minimum_fare, card.booking_fee]
+        );
+      }
+    }
+    console.log('Created rate cards for every tenant');
+
+    // Launch promos in Bangalore
+    const promoCodes = [
+      { code: 'WELCOME50', description: '50% off your first ride, up to ₹100', discount_type: 'percent', discount_value: 50, max_discount: 100, tiers: null, first_ride_only: true },
+      { code: 'FLAT30', description: '₹30 off any ride', discount_type: 'flat', discount_value: 30, max_discount: null, tiers: null, first_ride_only: false },
+      { code: 'PREMIUM20', description: '20% off Premium and XL, up to ₹150', discount_type: 'percent', discount_value: 20, max_discount: 150, tiers: ['premium', 'xl'], first_ride_only: false },
+    ];
+    for (const promo of promoCodes) {
+      await client.query(
+        `INSERT INTO promo_codes
+           (tenant_id, code, description, discount_type, discount_value, max_discount, tiers, first_ride_only)
+         SELECT t.id, $2, $3, $4, $5, $6, $7, $8
+         FROM tenants t
+         WHERE t.region = $1
+           AND NOT EXISTS (SELECT 1 FROM promo_codes WHERE code = $2)`,
+        ['bangalore', promo.code, promo.description, promo.discount_type, promo.discount_value,
+          promo.max_discount, promo.tiers, promo.first_ride_only]
+      );
+    }
+    console.log('Created promo codes');
+
     await client.query('COMMIT');
 
     // Add online drivers to Redis GeoSpatial index
@@ -174,14 +254,18 @@ const seedData = async () => {
       
       for (const driver of driverIds) {
         if (driver.status === 'online') {
-          const geoKey = `drivers:geo:${driver.vehicle_type}`;
-          await redis.geoadd(geoKey, driver.lng, driver.lat, driver.id);
+          const geoKey = `drivers:geo:${tenantId}:${driver.vehicle_type}`;
+          await redis.multi()
+            .geoadd(geoKey, driver.lng, driver.lat, driver.id)
+            .zadd(`drivers:seen:${tenantId}:${driver.vehicle_type}`, Date.now(), driver.id)
+            .sadd('drivers:geo:partitions', `${tenantId}:${driver.vehicle_type}`)
+            .exec();
           console.log(`  Added ${driver.name} to ${geoKey}`);
         }
       }
       
       await redis.quit();
-      console.log('✅ Driver locations added to Redis');
+      console.log('✅ Driver locations added to Redis (evicted as stale unless their app sends locations)');
     } catch (redisError) {
       console.log('⚠️ Could not add to Redis (may not be running):', redisError.message);
     }
@@ -191,6 +275,7 @@ const seedData = async () => {
     console.log(`  Tenant ID (Bangalore): ${tenantId}`);
     console.log(`  Riders: ${riders.length}`);
     console.log(`  Drivers: ${drivers.length} (${drivers.filter(d => d.status === 'online').length} online)`);
+    console.log('  Admin: +919800000001');
     
   } catch (error) {
     await client.query('ROLLBACK');
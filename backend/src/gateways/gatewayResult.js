@@ -0,0 +1,62 @@
+/**
+ * Normalized results shared by all payment gateway adapters
+ */
+
+const GATEWAY_STATUS = {
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  VOIDED: 'voided',
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  DECLINED: 'declined',
+  REQUIRES_ACTION: 'requires_action',
+  NOT_FOUND: 'not_found',
+  ERROR: 'error', // Outcome unknown or request rejected by the PSP
+};
+
+/**
+ * Map a PSP payment object onto a GatewayResult
+ */
+const fromPspPayment = (payment) => {
+  const result = {
+    status: payment.status,
+    psp_reference: payment.id,
+    amount: payment.amount,
+    error_code: null,
+    error: null,
+    next_action: payment.next_action || null,
+    retryable: false,
+    raw: payment,
+  };
+
+  if (payment.status === GATEWAY_STATUS.DECLINED) {
+    result.error_code = (payment.decline_code || 'card_declined').toUpperCase();
+    result.error = `Card declined (${payment.decline_code || 'card_declined'})`;
+  } else if (payment.status === GATEWAY_STATUS.REQUIRES_ACTION) {
+    result.error_code = 'AUTHENTICATION_REQUIRED';
+    result.error = 'Card requires 3-D Secure authentication';
+  }
+
+  return result;
+};
+
+/**
+ * GatewayResult for a request the PSP rejected or never answered
+ * - retryable is set when the PSP may or may not have acted (timeouts, dropped connections)
+ */
+const errorResult = (errorCode, message, { retryable = false, raw = null } = {}) => ({
+  status: errorCode === 'PSP_PAYMENT_NOT_FOUND' ? GATEWAY_STATUS.NOT_FOUND : GATEWAY_STATUS.ERROR,
+  psp_reference: null,
+  amount: null,
+  error_code: errorCode,
+  error: message,
+  next_action: null,
+  retryable,
+  raw,
+});
+
+module.exports = {
+  GATEWAY_STATUS,
+  fromPspPayment,
+  errorResult,
+};
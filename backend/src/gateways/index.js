@@ -0,0 +1,47 @@
+/**
+ * Payment gateway selection
+ *
+ * Every adapter implements the PaymentGateway interface:
+ *   authorize({ amount, currency, cardToken, reference, idempotencyKey })
+ *   capture(pspReference, { amount, idempotencyKey })
+ *   incrementAuthorization(pspReference, { amount, idempotencyKey })   // amount = new total hold
+ *   void(pspReference, { idempotencyKey })
+ *   refund(pspReference, { amount, idempotencyKey })
+ *   status({ pspReference, reference })   // reference = our payment id
+ * Each call resolves (never rejects) with a GatewayResult, see ./gatewayResult.js:
+ *   { status, psp_reference, amount, error_code, error, next_action, retryable, raw }
+ */
+const { createSimulatedGateway } = require('./simulatedGateway');
+const { createMockPspGateway } = require('./mockPspGateway');
+const { GATEWAY_STATUS } = require('./gatewayResult');
+
+// PAYMENT_GATEWAY value -> adapter factory
+const ADAPTERS = {
+  simulated: createSimulatedGateway,
+  mock_psp: createMockPspGateway,
+};
+
+let gateway = null;
+
+/**
+ * Get the configured payment gateway (PAYMENT_GATEWAY, default: simulated)
+ */
+const getPaymentGateway = () => {
+  if (!gateway) {
+    const name = process.env.PAYMENT_GATEWAY || 'simulated';
+    const createGateway = ADAPTERS[name];
+
+    if (!createGateway) {
+      throw new Error(`Unknown PAYMENT_GATEWAY "${name}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+
+    gateway = createGateway();
+    console.log(`💳 Payment gateway: ${gateway.name}`);
+  }
+  return gateway;
+};
+
+module.exports = {
+  getPaymentGateway,
+  GATEWAY_STATUS,
+};
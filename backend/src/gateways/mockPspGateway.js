@@ -0,0 +1,79 @@
+const { fromPspPayment, errorResult } = require('./gatewayResult');
+
+/**
+ * HTTP gateway for the standalone mock PSP (src/mock-psp/server.js)
+ * Any PSP exposing the same REST shape can be used by pointing PSP_BASE_URL at it
+ * @param {Object} [options] - { baseUrl, apiKey, timeoutMs }
+ */
+const createMockPspGateway = ({
+  baseUrl = process.env.PSP_BASE_URL || 'http://localhost:4010',
+  apiKey = process.env.PSP_API_KEY || null,
+  timeoutMs = parseInt(process.env.PSP_TIMEOUT_MS) || 5000,
+} = {}) => {
+  const request = async (method, path, { body, idempotencyKey } = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    try {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+      const payload = await response.json();
+
+      if (!response.ok) {
+        const code = payload.error?.code || `http_${response.status}`;
+        return errorResult(`PSP_${code.toUpperCase()}`, payload.error?.message || response.statusText, {
+          retryable: response.status >= 500,
+          raw: payload,
+        });
+      }
+
+      return fromPspPayment(payload);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return errorResult('PSP_TIMEOUT', `Payment gateway did not respond within ${timeoutMs}ms`, { retryable: true });
+      }
+      return errorResult('PSP_NETWORK_ERROR', `Connection to payment gateway failed: ${error.message}`, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    name: 'mock_psp',
+
+    authorize: ({ amount, currency, cardToken, reference, idempotencyKey }) =>
+      request('POST', '/v1/payments', {
+        body: { amount, currency, card_token: cardToken, merchant_reference: reference },
+        idempotencyKey,
+      }),
+
+    capture: (pspReference, { amount, idempotencyKey } = {}) =>
+      request('POST', `/v1/payments/${pspReference}/capture`, { body: { amount }, idempotencyKey }),
+
+    incrementAuthorization: (pspReference, { amount, idempotencyKey } = {}) =>
+      request('POST', `/v1/payments/${pspReference}/increment`, { body: { amount }, idempotencyKey }),
+
+    void: (pspReference, { idempotencyKey } = {}) =>
+      request('POST', `/v1/payments/${pspReference}/void`, { idempotencyKey }),
+
+    refund: (pspReference, { amount, idempotencyKey } = {}) =>
+      request('POST', `/v1/payments/${pspReference}/refund`, { body: { amount }, idempotencyKey }),
+
+    status: ({ pspReference, reference }) =>
+      pspReference
+        ? request('GET', `/v1/payments/${pspReference}`)
+        : request('GET', `/v1/payments?merchant_reference=${encodeURIComponent(reference)}`),
+  };
+};
+
+module.exports = {
+  createMockPspGateway,
+};
@@ -0,0 +1,66 @@
+const { createMockPsp } = require('../mock-psp/engine');
+const { fromPspPayment, errorResult } = require('./gatewayResult');
+
+/**
+ * In-process gateway backed by the mock PSP engine (no server needed)
+ * Honors the same test cards as the standalone mock PSP; holds state in memory only
+ * @param {Object} [options] - { latency: [minMs, maxMs] } simulated network latency
+ */
+const createSimulatedGateway = ({ latency = [50, 150] } = {}) => {
+  const psp = createMockPsp();
+
+  const call = async (operation) => {
+    const [minMs, maxMs] = latency;
+    if (maxMs > 0) {
+      const delay = Math.floor(Math.random() * (maxMs - minMs + 1)) + minMs;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    try {
+      const { payment, fault } = operation();
+
+      if (fault === 'timeout') {
+        return errorResult('PSP_TIMEOUT', 'Payment gateway did not respond in time', { retryable: true });
+      }
+      if (fault === 'network_error') {
+        return errorResult('PSP_NETWORK_ERROR', 'Connection to payment gateway failed', { retryable: true });
+      }
+
+      return fromPspPayment(payment);
+    } catch (error) {
+      return errorResult(`PSP_${error.code.toUpperCase()}`, error.message);
+    }
+  };
+
+  return {
+    name: 'simulated',
+
+    authorize: ({ amount, currency, cardToken, reference, idempotencyKey }) =>
+      call(() => psp.authorize({
+        amount,
+        currency,
+        card_token: cardToken,
+        merchant_reference: reference,
+        idempotency_key: idempotencyKey,
+      })),
+
+    capture: (pspReference, { amount, idempotencyKey } = {}) =>
+      call(() => psp.capture(pspReference, { amount, idempotency_key: idempotencyKey })),
+
+    incrementAuthorization: (pspReference, { amount, idempotencyKey } = {}) =>
+      call(() => psp.increment(pspReference, { amount, idempotency_key: idempotencyKey })),
+
+    void: (pspReference, { idempotencyKey } = {}) =>
+      call(() => psp.void(pspReference, { idempotency_key: idempotencyKey })),
+
+    refund: (pspReference, { amount, idempotencyKey } = {}) =>
+      call(() => psp.refund(pspReference, { amount, idempotency_key: idempotencyKey })),
+
+    status: ({ pspReference, reference }) =>
+      call(() => ({ payment: psp.find({ id: pspReference, merchant_reference: reference }), fault: null })),
+  };
+};
+
+module.exports = {
+  createSimulatedGateway,
+};
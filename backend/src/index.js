@@ -28,6 +28,13 @@ const { apiMetricsMiddleware } = require('./middleware/metrics');
 const routes = require('./routes');
 const { initializeSocketServer, startNotificationConsumer } = require('./services/notificationService');
 const { startLocationConsumer, stopLocationConsumer } = require('./consumers/locationConsumer');
+const { startRideEventsConsumer, stopRideEventsConsumer } = require('./consumers/rideEventsConsumer');
+const { startOfferExpiryWorker, stopOfferExpiryWorker } = require('./workers/offerExpiryWorker');
+const { startRideScheduler, stopRideScheduler } = require('./workers/rideScheduler');
+const { startPayoutWorker, stopPayoutWorker } = require('./workers/payoutWorker');
+const { startWaitingTimerWorker, stopWaitingTimerWorker } = require('./workers/waitingTimerWorker');
+const { startStaleDriverSweeper, stopStaleDriverSweeper } = require('./workers/staleDriverSweeper');
+const { startOutboxRelay, stopOutboxRelay } = require('./workers/outboxRelay');
 
 const app = express();
 const server = http.createServer(app);
@@ -132,6 +139,13 @@ const shutdown = async (signal) => {
     console.log('HTTP server closed');
     
     await stopLocationConsumer();
+    await stopRideEventsConsumer();
+    await stopOfferExpiryWorker();
+    await stopRideScheduler();
+    await stopPayoutWorker();
+    await stopWaitingTimerWorker();
+    await stopStaleDriverSweeper();
+    await stopOutboxRelay();
     await disconnectDatabase();
     await disconnectRedis();
     await disconnectKafka();
@@ -164,6 +178,15 @@ const startServer = async () => {
     // Start Kafka consumers
     await startNotificationConsumer();
     await startLocationConsumer();
+    await startRideEventsConsumer();
+
+    // Start background workers
+    startOfferExpiryWorker();
+    startRideScheduler();
+    startPayoutWorker();
+    startWaitingTimerWorker();
+    startStaleDriverSweeper();
+    startOutboxRelay();
     
     server.listen(PORT, () => {
       console.log(`\n🚀 Server running on port ${PORT}`);
@@ -9,6 +9,9 @@ const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 const TOKEN_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
 
+// User types with operations access to any ride
+const OPS_ROLES = ['admin', 'ops'];
+
 /**
  * Generate a simple token
  * @param {Object} payload - Token payload
@@ -109,6 +112,34 @@ const authenticate = (req, res, next) => {
   }
 };
 
+/**
+ * Socket.io handshake authentication (io.use)
+ * Verifies the same token as authenticate, sent as auth.token or an Authorization header,
+ * and attaches the identity to socket.user
+ */
+const authenticateSocket = (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token ||
+      (authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : authHeader);
+
+    const payload = verifyToken(token);
+
+    socket.user = {
+      id: payload.userId,
+      type: payload.userType,
+      tenantId: payload.tenantId,
+    };
+
+    next();
+  } catch (error) {
+    // Surfaces on the client as a connect_error with err.data
+    const authError = new Error(error instanceof UnauthorizedError ? error.message : 'Authentication failed');
+    authError.data = { code: 'UNAUTHORIZED' };
+    next(authError);
+  }
+};
+
 /**
  * Optional authentication - doesn't fail if no token
  */
@@ -166,6 +197,11 @@ const authorize = (...allowedRoles) => {
   };
 };
 
+/**
+ * Restrict a route group to operations users (admin console)
+ */
+const requireOps = authorize(...OPS_ROLES);
+
 /**
  * Verify resource ownership
  * Ensures user can only access their own resources
@@ -239,9 +275,12 @@ module.exports = {
   generateToken,
   verifyToken,
   authenticate,
+  authenticateSocket,
   optionalAuth,
   authorize,
+  requireOps,
   verifyOwnership,
   tenantIsolation,
   apiKeyAuth,
+  OPS_ROLES,
 };
@@ -34,6 +34,14 @@ const errorHandler = (err, req, res, next) => {
       response.error.resource = err.resource;
     }
 
+    // Add PSP details for payment errors (e.g. a 3-D Secure challenge to complete)
+    if (err.pspCode) {
+      response.error.psp_code = err.pspCode;
+    }
+    if (err.nextAction) {
+      response.error.next_action = err.nextAction;
+    }
+
     return res.status(err.statusCode).json(response);
   }
 
@@ -1,16 +1,22 @@
-const { getRedisClient } = require('../config/redis');
-const { IdempotencyError } = require('../utils/errors');
-
-const IDEMPOTENCY_TTL = 24 * 60 * 60; // 24 hours in seconds
+const { AppError, ServiceUnavailableError } = require('../utils/errors');
+const {
+  fingerprintRequest,
+  claimKey,
+  saveResponse,
+  releaseKey,
+  IDEMPOTENCY_TTL,
+} = require('../services/idempotencyService');
 
 /**
  * Idempotency middleware
  * Ensures requests with the same idempotency key return the same response
- * 
+ *
  * Usage:
  * - Client sends Idempotency-Key header with a unique key
- * - First request is processed and response is cached
- * - Subsequent requests with same key return cached response
+ * - First request is processed and response is stored (Redis, and durably in Postgres)
+ * - Subsequent requests with same key return stored response
+ * - Reusing a key for a different method, path or body is rejected with 422
+ * - Server errors aren't stored, so the request can be retried with the same key
  */
 const idempotency = (options = {}) => {
   const {
@@ -36,111 +42,69 @@ const idempotency = (options = {}) => {
       return next();
     }
 
-    let redis;
-    try {
-      redis = getRedisClient();
-    } catch (error) {
-      // Redis not available, skip idempotency check
-      console.warn('Redis not available, skipping idempotency check');
-      return next();
-    }
-
-    const cacheKey = `idempotency:${req.method}:${req.originalUrl}:${idempotencyKey}`;
+    // Keys are unique per caller
+    const scope = req.user ? `${req.user.type}:${req.user.id}` : 'anonymous';
+    const requestHash = fingerprintRequest({
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      body: req.body,
+    });
 
+    let claim;
     try {
-      // Check if request is already being processed (lock)
-      const lockKey = `${cacheKey}:lock`;
-      const lockAcquired = await redis.set(lockKey, '1', 'EX', 30, 'NX');
-
-      if (!lockAcquired) {
-        // Request with same key is currently being processed
-        return res.status(409).json({
-          success: false,
-          error: {
-            code: 'IDEMPOTENCY_IN_PROGRESS',
-            message: 'A request with this idempotency key is currently being processed',
-          },
-        });
+      claim = await claimKey(scope, idempotencyKey, requestHash, { ttl });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return next(error);
       }
+      console.error('Idempotency store error:', error.message);
+      // Money must not move without exactly-once protection
+      return required
+        ? next(new ServiceUnavailableError('Idempotency store unavailable, please retry'))
+        : next();
+    }
 
-      // Check for cached response
-      const cachedResponse = await redis.get(cacheKey);
-
-      if (cachedResponse) {
-        // Release lock and return cached response
-        await redis.del(lockKey);
-        const parsed = JSON.parse(cachedResponse);
-        return res.status(parsed.statusCode).json(parsed.body);
-      }
+    if (claim.status === 'replay') {
+      return res.status(claim.response.statusCode).json(claim.response.body);
+    }
 
-      // Store original res.json to intercept response
-      const originalJson = res.json.bind(res);
+    if (claim.status === 'in_progress') {
+      // Request with same key is currently being processed
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'IDEMPOTENCY_IN_PROGRESS',
+          message: 'A request with this idempotency key is currently being processed',
+        },
+      });
+    }
 
-      res.json = async (body) => {
-        try {
-          // Cache the response
-          const responseData = {
-            statusCode: res.statusCode,
-            body,
-            timestamp: Date.now(),
-          };
+    // Store original res.json to intercept response
+    const originalJson = res.json.bind(res);
 
-          await redis.setex(cacheKey, ttl, JSON.stringify(responseData));
-        } catch (cacheError) {
-          console.error('Failed to cache idempotency response:', cacheError.message);
-        } finally {
-          // Release lock
-          await redis.del(lockKey).catch(() => {});
+    res.json = async (body) => {
+      try {
+        if (res.statusCode >= 500) {
+          await releaseKey(scope, idempotencyKey);
+        } else {
+          await saveResponse(scope, idempotencyKey, requestHash, { statusCode: res.statusCode, body }, { ttl });
         }
+      } catch (storeError) {
+        console.error('Failed to store idempotency response:', storeError.message);
+        await releaseKey(scope, idempotencyKey);
+      }
 
-        return originalJson(body);
-      };
+      return originalJson(body);
+    };
 
-      // Store idempotency key in request for later use
-      req.idempotencyKey = idempotencyKey;
+    // Store idempotency key in request for later use
+    req.idempotencyKey = idempotencyKey;
 
-      next();
-    } catch (error) {
-      console.error('Idempotency middleware error:', error.message);
-      // On error, proceed without idempotency
-      next();
-    }
+    next();
   };
 };
 
-/**
- * Check if a specific idempotency key has been used
- * @param {string} key - Idempotency key to check
- * @returns {Promise<Object|null>} Cached response or null
- */
-const checkIdempotencyKey = async (key) => {
-  try {
-    const redis = getRedisClient();
-    const cached = await redis.get(`idempotency:${key}`);
-    return cached ? JSON.parse(cached) : null;
-  } catch (error) {
-    return null;
-  }
-};
-
-/**
- * Store response for idempotency key
- * @param {string} key - Idempotency key
- * @param {Object} response - Response to cache
- * @param {number} ttl - TTL in seconds
- */
-const storeIdempotencyResponse = async (key, response, ttl = IDEMPOTENCY_TTL) => {
-  try {
-    const redis = getRedisClient();
-    await redis.setex(`idempotency:${key}`, ttl, JSON.stringify(response));
-  } catch (error) {
-    console.error('Failed to store idempotency response:', error.message);
-  }
-};
-
 module.exports = {
   idempotency,
-  checkIdempotencyKey,
-  storeIdempotencyResponse,
   IDEMPOTENCY_TTL,
 };
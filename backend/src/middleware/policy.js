@@ -0,0 +1,213 @@
+const { queryRead } = require('../config/database');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { OPS_ROLES } = require('./auth');
+
+/**
+ * Route policies
+ *
+ * Every API route declares who may call it: the user types allowed (roles) and an
+ * ownership rule tying the resource to the caller. Ops roles pass any role/ownership
+ * check but, like everyone else, only see resources of their own tenant.
+ * Resources of another tenant answer 404 so their existence isn't leaked.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Where a rule finds the id of the resource it checks
+const fromParam = (name) => (req) => req.params[name];
+const fromBody = (name) => (req) => req.body?.[name];
+const fromQuery = (name) => (req) => req.query?.[name];
+
+/**
+ * Load the parties of a resource (tenant_id, rider_id, driver_id)
+ */
+const loadParties = async (resource, sql, id) => {
+  if (typeof id !== 'string' || !UUID_PATTERN.test(id)) {
+    throw new NotFoundError(resource);
+  }
+
+  const result = await queryRead(sql, [id]);
+  if (result.rowCount === 0) {
+    throw new NotFoundError(resource);
+  }
+
+  return result.rows[0];
+};
+
+const LOADERS = {
+  Ride: (id) => loadParties('Ride',
+    'SELECT tenant_id, rider_id, driver_id FROM rides WHERE id = $1', id),
+  Trip: (id) => loadParties('Trip',
+    `SELECT r.tenant_id, r.rider_id, r.driver_id
+     FROM trips t JOIN rides r ON t.ride_id = r.id
+     WHERE t.id = $1`, id),
+  Payment: (id) => loadParties('Payment',
+    `SELECT r.tenant_id, r.rider_id, r.driver_id
+     FROM payments p JOIN trips t ON p.trip_id = t.id JOIN rides r ON t.ride_id = r.id
+     WHERE p.id = $1`, id),
+  Rider: (id) => loadParties('Rider',
+    'SELECT tenant_id FROM riders WHERE id = $1', id),
+  Driver: (id) => loadParties('Driver',
+    'SELECT tenant_id FROM drivers WHERE id = $1', id),
+};
+
+// =============================================
+// OWNERSHIP RULES
+// Each rule resolves to { owner, tenantId, resource }: whether the caller owns
+// the resource, and the tenant of the loaded resource or of the request (null if none)
+// =============================================
+
+const rules = {
+  // The id in the request is the caller's own (e.g. a driver acting on /drivers/:id).
+  // Ops acting on someone else's id are held to that user's tenant
+  self: (resource, source) => async (req, user) => {
+    const id = source(req);
+    if (id === user.id) {
+      return { owner: true, tenantId: req.body?.tenant_id || null };
+    }
+    if (!OPS_ROLES.includes(user.type)) {
+      return { owner: false, tenantId: null };
+    }
+
+    const record = await LOADERS[resource](id);
+    return { owner: false, tenantId: record.tenant_id, resource };
+  },
+
+  // The caller is one of the resource's parties ('rider', 'driver' or both)
+  party: (resource, source, parties = ['rider', 'driver']) => async (req, user) => {
+    const record = await LOADERS[resource](source(req));
+    const owner = parties.includes(user.type) && record[`${user.type}_id`] === user.id;
+    return { owner, tenantId: record.tenant_id, resource };
+  },
+
+  // The resource only has to be in the caller's tenant
+  sameTenant: (resource, source) => async (req) => {
+    const record = await LOADERS[resource](source(req));
+    return { owner: true, tenantId: record.tenant_id, resource };
+  },
+
+  // A tenant id given in the request must be the caller's
+  tenantField: (source) => async (req) => ({ owner: true, tenantId: source(req) || null }),
+
+  // /wallets/:ownerType/:ownerId is the caller's own wallet
+  walletOwner: () => async (req, user) => {
+    const { ownerType, ownerId } = req.params;
+    return rules.self(ownerType === 'driver' ? 'Driver' : 'Rider', () => ownerId)(req, {
+      ...user,
+      // A rider and a driver may share an id, the wallet's owner type has to match too
+      id: ownerType === user.type ? user.id : null,
+    });
+  },
+};
+
+const RIDER = ['rider'];
+const DRIVER = ['driver'];
+const RIDER_OR_DRIVER = ['rider', 'driver'];
+const OPS_ONLY = [];
+
+/**
+ * Policy of every API route, keyed by "METHOD path" as registered on the router
+ * - ownerOnly: ops get no override, only the resource's owner may call the route
+ */
+const POLICIES = {
+  // Rides
+  'POST /rides': { roles: RIDER, rule: rules.self('Rider', fromBody('rider_id')) },
+  'GET /rides/:id': { roles: RIDER_OR_DRIVER, rule: rules.party('Ride', fromParam('id')) },
+  'PATCH /rides/:id/status': { roles: DRIVER, rule: rules.party('Ride', fromParam('id'), DRIVER) },
+  'POST /rides/:id/cancel': { roles: RIDER_OR_DRIVER, rule: rules.party('Ride', fromParam('id')) },
+  'PATCH /rides/:id/stops/:stopId': { roles: DRIVER, rule: rules.party('Ride', fromParam('id'), DRIVER) },
+  'GET /rides/:id/timeline': { roles: OPS_ONLY, rule: rules.sameTenant('Ride', fromParam('id')) },
+  'GET /riders/:riderId/rides': { roles: RIDER, rule: rules.self('Rider', fromParam('riderId')) },
+  'GET /riders/:riderId/current-ride': { roles: RIDER, rule: rules.self('Rider', fromParam('riderId')) },
+
+  // Drivers
+  'POST /drivers/:id/location': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+  'GET /drivers/:id': { roles: RIDER_OR_DRIVER, rule: rules.sameTenant('Driver', fromParam('id')) },
+  'PATCH /drivers/:id/status': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+  'POST /drivers/:id/accept': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+  'POST /drivers/:id/decline': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+  'GET /drivers/:id/current-ride': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+  'GET /drivers/:id/pending-offers': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+  'PATCH /drivers/:id/rider-filter': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+  'GET /drivers/:id/manifest': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+  'GET /drivers/:id/earnings': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+  'GET /drivers/:id/payouts': { roles: DRIVER, rule: rules.self('Driver', fromParam('id')) },
+
+  // Trips
+  'POST /trips/start': { roles: DRIVER, rule: rules.party('Ride', fromBody('ride_id'), DRIVER) },
+  'GET /trips/fare-estimate': { roles: RIDER_OR_DRIVER, rule: rules.tenantField(fromQuery('tenant_id')) },
+  'POST /trips/:id/end': { roles: DRIVER, rule: rules.party('Trip', fromParam('id'), DRIVER) },
+  'GET /trips/:id': { roles: RIDER_OR_DRIVER, rule: rules.party('Trip', fromParam('id')) },
+  'GET /trips/:id/route': { roles: RIDER_OR_DRIVER, rule: rules.party('Trip', fromParam('id')) },
+  'POST /trips/:id/rating': { roles: RIDER_OR_DRIVER, rule: rules.party('Trip', fromParam('id')) },
+  'GET /trips/:id/ratings': { roles: RIDER_OR_DRIVER, rule: rules.party('Trip', fromParam('id')) },
+  'PATCH /trips/ride/:id/status': { roles: DRIVER, rule: rules.party('Ride', fromParam('id'), DRIVER) },
+
+  // Payments
+  'POST /payments': { roles: RIDER, rule: rules.party('Trip', fromBody('trip_id'), RIDER) },
+  'GET /payments/:id': { roles: RIDER_OR_DRIVER, rule: rules.party('Payment', fromParam('id')) },
+  'GET /trips/:tripId/payment': { roles: RIDER_OR_DRIVER, rule: rules.party('Trip', fromParam('tripId')) },
+  'POST /payments/:id/retry': { roles: RIDER, rule: rules.party('Payment', fromParam('id'), RIDER) },
+  'POST /payments/:id/refund': { roles: OPS_ONLY, rule: rules.sameTenant('Payment', fromParam('id')) },
+
+  // Wallets
+  'GET /wallets/:ownerType/:ownerId': { roles: RIDER_OR_DRIVER, rule: rules.walletOwner() },
+  // Charged to the caller's own card, so nobody tops up a wallet on someone else's behalf
+  'POST /wallets/:ownerType/:ownerId/topup': { roles: RIDER_OR_DRIVER, rule: rules.walletOwner(), ownerOnly: true },
+  'GET /wallets/:ownerType/:ownerId/transactions': { roles: RIDER_OR_DRIVER, rule: rules.walletOwner() },
+};
+
+/**
+ * Enforce a route's policy (after authenticate)
+ * @param {string} key - "METHOD path" key in POLICIES
+ */
+const policy = (key) => {
+  const routePolicy = POLICIES[key];
+  if (!routePolicy) {
+    throw new Error(`No policy defined for route "${key}"`);
+  }
+
+  const middleware = async (req, res, next) => {
+    try {
+      const user = req.user;
+      if (!user) {
+        throw new UnauthorizedError('Authentication required');
+      }
+
+      const isOps = OPS_ROLES.includes(user.type);
+      if (!isOps && !routePolicy.roles.includes(user.type)) {
+        throw new ForbiddenError(
+          routePolicy.roles.length > 0
+            ? `Access denied. Required role: ${routePolicy.roles.join(' or ')}`
+            : 'Access denied. Operations role required'
+        );
+      }
+
+      const { owner, tenantId, resource } = await routePolicy.rule(req, user);
+
+      if (tenantId && tenantId !== user.tenantId) {
+        // Don't reveal that another tenant's resource exists
+        if (resource) {
+          throw new NotFoundError(resource);
+        }
+        throw new ForbiddenError('Access denied. Resource belongs to another tenant');
+      }
+
+      if (!owner && (!isOps || routePolicy.ownerOnly)) {
+        throw new ForbiddenError('You can only access your own resources');
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  middleware.policyKey = key;
+  return middleware;
+};
+
+module.exports = {
+  policy,
+  POLICIES,
+};
@@ -24,6 +24,18 @@ const longitudeSchema = z.number().refine(
 );
 
 // Ride schemas
+const MAX_RIDE_STOPS = parseInt(process.env.MAX_RIDE_STOPS) || 3;
+
+// Intermediate waypoint between pickup and dropoff
+const stopSchema = z.object({
+  lat: latitudeSchema,
+  lng: longitudeSchema,
+  address: z.string().optional(),
+});
+
+// Promo codes are case-insensitive
+const promoCodeSchema = z.string().trim().toUpperCase().min(3).max(30);
+
 const createRideSchema = z.object({
   tenant_id: uuidSchema,
   rider_id: uuidSchema,
@@ -33,14 +45,34 @@ const createRideSchema = z.object({
   dropoff_lat: latitudeSchema,
   dropoff_lng: longitudeSchema,
   dropoff_address: z.string().optional(),
-  tier: z.enum(['economy', 'premium', 'xl']).default('economy'),
+  tier: z.enum(['economy', 'premium', 'xl', 'pool']).default('economy'),
   payment_method: z.enum(['cash', 'card', 'wallet']).default('cash'),
+  card_token: z.string().min(1).max(100).optional(), // PSP card token for the pre-authorization hold
+  surge_quote_id: uuidSchema.optional(),
+  scheduled_at: z.string().datetime({ offset: true }).optional(), // Book now, ride later
+  stops: z.array(stopSchema).max(MAX_RIDE_STOPS, `A ride can have at most ${MAX_RIDE_STOPS} stops`).default([]),
+  seats: z.number().int().min(1).max(2).default(1), // Seats booked on a pool ride
+  pricing_mode: z.enum(['upfront', 'metered']).optional(), // Default: PRICING_DEFAULT_MODE (pool is always metered)
+  promo_code: promoCodeSchema.optional(),
 });
 
 const getRideParamsSchema = z.object({
   id: uuidSchema,
 });
 
+const cancelRideSchema = z.object({
+  reason: z.string().trim().max(500).optional(),
+});
+
+const stopParamsSchema = z.object({
+  id: uuidSchema,
+  stopId: uuidSchema,
+});
+
+const updateStopSchema = z.object({
+  status: z.enum(['arrived', 'departed']),
+});
+
 // Driver schemas
 const updateLocationSchema = z.object({
   latitude: latitudeSchema,
@@ -54,6 +86,24 @@ const driverParamsSchema = z.object({
   id: uuidSchema,
 });
 
+const riderFilterSchema = z.object({
+  min_rider_rating: z.number().min(1).max(5).nullable(),
+});
+
+const driverEarningsQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  group_by: z.enum(['day', 'week']).default('day'),
+}).refine(
+  (data) => !data.from || !data.to || data.from < data.to,
+  { message: 'from must be before to', path: ['from'] }
+);
+
+const driverPayoutsQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
 const acceptRideSchema = z.object({
   ride_id: uuidSchema,
 });
@@ -67,6 +117,39 @@ const endTripSchema = z.object({
   actual_distance_km: z.number().positive().optional(),
   actual_duration_mins: z.number().int().positive().optional(),
   route_polyline: z.string().optional(),
+  tolls: z.number().min(0).max(5000).optional(), // Paid by the driver, passed on to the rider at cost
+});
+
+const submitRatingSchema = z.object({
+  rated_by: z.enum(['rider', 'driver']),
+  rating: z.number().int().min(1).max(5),
+  tags: z.array(z.string().trim().min(1).max(30)).max(5).default([]),
+  comment: z.string().trim().max(500).optional(),
+});
+
+const fareEstimateQuerySchema = z.object({
+  tenant_id: uuidSchema.optional(),
+  tier: z.enum(['economy', 'premium', 'xl', 'pool']).default('economy'),
+  pickup_lat: z.coerce.number().min(-90).max(90).optional(),
+  pickup_lng: z.coerce.number().min(-180).max(180).optional(),
+  dropoff_lat: z.coerce.number().min(-90).max(90).optional(),
+  dropoff_lng: z.coerce.number().min(-180).max(180).optional(),
+  distance_km: z.coerce.number().positive().optional(),
+  duration_mins: z.coerce.number().int().positive().optional(),
+  // Stops as "lat,lng;lat,lng" in visiting order
+  stops: z.preprocess(
+    (val) => (typeof val === 'string' && val.length > 0
+      ? val.split(';').map((pair) => {
+        const [lat, lng] = pair.split(',');
+        return { lat, lng };
+      })
+      : undefined),
+    z.array(z.object({
+      lat: z.coerce.number().min(-90).max(90),
+      lng: z.coerce.number().min(-180).max(180),
+    })).max(MAX_RIDE_STOPS).optional()
+  ),
+  promo_code: promoCodeSchema.optional(),
 });
 
 // Payment schemas
@@ -74,6 +157,127 @@ const createPaymentSchema = z.object({
   trip_id: uuidSchema,
   payment_method: z.enum(['cash', 'card', 'wallet']),
   idempotency_key: z.string().min(1).max(255),
+  card_token: z.string().min(1).max(100).optional(), // PSP card token (card payments only)
+  tip: z.number().min(0).max(10000).optional(), // Added to the fare, paid to the driver in full
+});
+
+const retryPaymentSchema = z.object({
+  idempotency_key: z.string().min(1).max(255),
+  card_token: z.string().min(1).max(100).optional(),
+});
+
+// Wallet schemas
+const walletParamsSchema = z.object({
+  ownerType: z.enum(['rider', 'driver']),
+  ownerId: uuidSchema,
+});
+
+const walletTopUpSchema = z.object({
+  amount: z.number().positive().max(50000),
+  card_token: z.string().min(1).max(100).optional(), // PSP card token charged for the top-up
+  idempotency_key: z.string().min(1).max(255).optional(),
+});
+
+const walletStatementQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+// Admin schemas
+const RIDE_STATUSES = [
+  'SCHEDULED', 'REQUESTED', 'MATCHING', 'DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE',
+  'DRIVER_ARRIVED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'NO_DRIVERS_FOUND',
+];
+
+// Filters shared by every admin listing: a created_at window and paging
+const adminListQuerySchema = z.object({
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(25),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+const adminRidesQuerySchema = adminListQuerySchema.extend({
+  // One status or several, comma separated (e.g. "MATCHING,DRIVER_ASSIGNED")
+  status: z.preprocess(
+    (val) => (typeof val === 'string' && val.length > 0 ? val.split(',') : undefined),
+    z.array(z.enum(RIDE_STATUSES)).optional()
+  ),
+  tier: z.enum(['economy', 'premium', 'xl', 'pool']).optional(),
+  rider_id: uuidSchema.optional(),
+  driver_id: uuidSchema.optional(),
+});
+
+const adminDriversQuerySchema = adminListQuerySchema.extend({
+  status: z.enum(['online', 'offline', 'busy']).optional(),
+  vehicle_type: z.enum(['economy', 'premium', 'xl']).optional(),
+  suspended: z.enum(['true', 'false']).transform((val) => val === 'true').optional(),
+  search: z.string().trim().min(1).max(100).optional(), // Name, phone or vehicle number
+});
+
+const adminTripsQuerySchema = adminListQuerySchema.extend({
+  status: z.enum(['STARTED', 'IN_PROGRESS', 'COMPLETED', 'DISPUTED']).optional(),
+  rider_id: uuidSchema.optional(),
+  driver_id: uuidSchema.optional(),
+});
+
+const adminPaymentsQuerySchema = adminListQuerySchema.extend({
+  status: z.enum(['pending', 'processing', 'completed', 'failed', 'refunded']).optional(),
+  payment_method: z.enum(['cash', 'card', 'wallet']).optional(),
+});
+
+const adminReasonSchema = z.object({
+  reason: z.string().trim().min(1).max(500),
+});
+
+const adminAssignDriverSchema = z.object({
+  driver_id: uuidSchema,
+});
+
+const adminRateCardsQuerySchema = z.object({
+  tier: z.enum(['economy', 'premium', 'xl', 'pool']).optional(),
+});
+
+const publishRateCardSchema = z.object({
+  tier: z.enum(['economy', 'premium', 'xl', 'pool']),
+  base_fare: z.number().min(0).max(10000),
+  per_km: z.number().min(0).max(1000),
+  per_min: z.number().min(0).max(1000),
+  minimum_fare: z.number().min(0).max(10000).default(0),
+  booking_fee: z.number().min(0).max(1000).default(0),
+  tax_percent: z.number().min(0).max(50),
+  currency: z.string().length(3).toUpperCase().default('INR'),
+  effective_from: z.coerce.date().optional(), // Default: now; may be scheduled ahead
+});
+
+const createPromoCodeSchema = z.object({
+  code: z.string().trim().toUpperCase().regex(/^[A-Z0-9]{3,30}$/, 'Code must be 3-30 letters or digits'),
+  description: z.string().max(255).optional(),
+  discount_type: z.enum(['percent', 'flat']),
+  discount_value: z.number().positive().max(10000),
+  max_discount: z.number().positive().max(10000).optional(), // Cap on a percent discount
+  tiers: z.array(z.enum(['economy', 'premium', 'xl', 'pool'])).min(1).optional(), // Default: every tier
+  first_ride_only: z.boolean().default(false),
+  max_redemptions: z.number().int().positive().optional(), // Default: unlimited
+  max_redemptions_per_rider: z.number().int().positive().nullable().default(1), // null: unlimited
+  starts_at: z.coerce.date().optional(), // Default: now
+  ends_at: z.coerce.date().optional(),
+}).refine(
+  (data) => data.discount_type === 'flat' || data.discount_value <= 100,
+  { message: 'A percent discount cannot exceed 100', path: ['discount_value'] }
+).refine(
+  (data) => !data.ends_at || data.ends_at > (data.starts_at || new Date()),
+  { message: 'ends_at must be after starts_at', path: ['ends_at'] }
+);
+
+// Analytics schemas
+const analyticsWindowQuerySchema = z.object({
+  from: z.coerce.date().optional(), // Default: 24 hours before `to`
+  to: z.coerce.date().optional(),   // Default: now
+});
+
+const analyticsRidesQuerySchema = analyticsWindowQuerySchema.extend({
+  interval: z.enum(['hour', 'day']).default('hour'),
 });
 
 /**
@@ -141,12 +345,35 @@ module.exports = {
   schemas: {
     createRide: createRideSchema,
     getRideParams: getRideParamsSchema,
+    cancelRide: cancelRideSchema,
+    stopParams: stopParamsSchema,
+    updateStop: updateStopSchema,
     updateLocation: updateLocationSchema,
     driverParams: driverParamsSchema,
+    riderFilter: riderFilterSchema,
+    driverEarningsQuery: driverEarningsQuerySchema,
+    driverPayoutsQuery: driverPayoutsQuerySchema,
     acceptRide: acceptRideSchema,
     tripParams: tripParamsSchema,
     endTrip: endTripSchema,
+    submitRating: submitRatingSchema,
+    fareEstimateQuery: fareEstimateQuerySchema,
     createPayment: createPaymentSchema,
+    retryPayment: retryPaymentSchema,
+    walletParams: walletParamsSchema,
+    walletTopUp: walletTopUpSchema,
+    walletStatementQuery: walletStatementQuerySchema,
+    adminRidesQuery: adminRidesQuerySchema,
+    adminDriversQuery: adminDriversQuerySchema,
+    adminTripsQuery: adminTripsQuerySchema,
+    adminPaymentsQuery: adminPaymentsQuerySchema,
+    adminReason: adminReasonSchema,
+    adminAssignDriver: adminAssignDriverSchema,
+    adminRateCardsQuery: adminRateCardsQuerySchema,
+    publishRateCard: publishRateCardSchema,
+    createPromoCode: createPromoCodeSchema,
+    analyticsWindowQuery: analyticsWindowQuerySchema,
+    analyticsRidesQuery: analyticsRidesQuerySchema,
   },
   // Middleware
   validate,
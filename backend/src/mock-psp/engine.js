@@ -0,0 +1,208 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Deterministic test cards understood by the mock PSP
+ * - no_increment: approves holds but declines raising them
+ * - timeout: the authorization is recorded but the response never arrives in time
+ * - network_error: the connection drops before anything is recorded
+ */
+const TEST_CARDS = {
+  tok_visa: { outcome: 'approve', brand: 'visa', last4: '4242' },
+  tok_mastercard: { outcome: 'approve', brand: 'mastercard', last4: '4444' },
+  tok_no_increment: { outcome: 'approve', incrementable: false, brand: 'visa', last4: '0341' },
+  tok_decline: { outcome: 'decline', declineCode: 'card_declined', brand: 'visa', last4: '0002' },
+  tok_insufficient_funds: { outcome: 'decline', declineCode: 'insufficient_funds', brand: 'visa', last4: '9995' },
+  tok_3ds_required: { outcome: 'requires_action', brand: 'visa', last4: '3220' },
+  tok_timeout: { outcome: 'timeout', brand: 'visa', last4: '0408' },
+  tok_network_error: { outcome: 'network_error', brand: 'visa', last4: '0500' },
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Create an in-memory mock PSP
+ * Shared by the standalone mock PSP server and the in-process simulated gateway
+ */
+const createMockPsp = () => {
+  const payments = new Map();
+  const idempotentResults = new Map();
+
+  const pspError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+  const getPayment = (id) => {
+    const payment = payments.get(id);
+    if (!payment) {
+      throw pspError(404, 'payment_not_found', `No such payment: ${id}`);
+    }
+    return payment;
+  };
+
+  const update = (payment, changes) => {
+    Object.assign(payment, changes, { updated_at: new Date().toISOString() });
+    return { ...payment };
+  };
+
+  // Replay the original response for a repeated idempotency key
+  const once = (key, operation) => {
+    if (key && idempotentResults.has(key)) {
+      return { payment: { ...idempotentResults.get(key) }, fault: null };
+    }
+    const result = operation();
+    if (key && result.payment) {
+      idempotentResults.set(key, result.payment);
+    }
+    return result;
+  };
+
+  /**
+   * Place a hold on a card
+   * @returns {{ payment, fault }} fault is 'timeout' | 'network_error' | null
+   */
+  const authorize = ({ amount, currency = 'INR', card_token, merchant_reference, idempotency_key }) =>
+    once(idempotency_key, () => {
+      const card = TEST_CARDS[card_token];
+      if (!card) {
+        throw pspError(400, 'invalid_card_token', `Unknown card token: ${card_token}`);
+      }
+
+      if (card.outcome === 'network_error') {
+        return { payment: null, fault: 'network_error' };
+      }
+
+      const id = `psp_${uuidv4().replace(/-/g, '').substring(0, 24)}`;
+      const now = new Date().toISOString();
+      const payment = {
+        id,
+        merchant_reference: merchant_reference || null,
+        amount: roundAmount(amount),
+        currency,
+        captured_amount: 0,
+        refunded_amount: 0,
+        card: { brand: card.brand, last4: card.last4, incrementable: card.incrementable !== false },
+        status: 'authorized',
+        decline_code: null,
+        next_action: null,
+        created_at: now,
+        updated_at: now,
+      };
+
+      if (card.outcome === 'decline') {
+        payment.status = 'declined';
+        payment.decline_code = card.declineCode;
+      } else if (card.outcome === 'requires_action') {
+        payment.status = 'requires_action';
+        payment.next_action = { type: 'three_d_secure', url: `/3ds/${id}` };
+      }
+
+      payments.set(id, payment);
+      return { payment: { ...payment }, fault: card.outcome === 'timeout' ? 'timeout' : null };
+    });
+
+  /**
+   * Capture an authorized hold (up to the authorized amount)
+   */
+  const capture = (id, { amount, idempotency_key } = {}) =>
+    once(idempotency_key, () => {
+      const payment = getPayment(id);
+      if (payment.status !== 'authorized') {
+        throw pspError(409, 'invalid_state', `Cannot capture a ${payment.status} payment`);
+      }
+
+      const captureAmount = roundAmount(amount ?? payment.amount);
+      if (captureAmount > payment.amount) {
+        throw pspError(400, 'amount_too_large', `Capture of ${captureAmount} exceeds authorized ${payment.amount}`);
+      }
+
+      return { payment: update(payment, { status: 'captured', captured_amount: captureAmount }), fault: null };
+    });
+
+  /**
+   * Raise an authorized hold to a new total amount
+   */
+  const increment = (id, { amount, idempotency_key } = {}) =>
+    once(idempotency_key, () => {
+      const payment = getPayment(id);
+      if (payment.status !== 'authorized') {
+        throw pspError(409, 'invalid_state', `Cannot increment a ${payment.status} payment`);
+      }
+
+      const total = roundAmount(amount);
+      if (total <= payment.amount) {
+        throw pspError(400, 'amount_too_small', `New total ${total} must exceed authorized ${payment.amount}`);
+      }
+      if (!payment.card.incrementable) {
+        throw pspError(402, 'increment_declined', 'Card issuer declined the incremental authorization');
+      }
+
+      return { payment: update(payment, { amount: total }), fault: null };
+    });
+
+  /**
+   * Release an authorized hold without charging it
+   */
+  const voidPayment = (id, { idempotency_key } = {}) =>
+    once(idempotency_key, () => {
+      const payment = getPayment(id);
+      if (payment.status !== 'authorized' && payment.status !== 'requires_action') {
+        throw pspError(409, 'invalid_state', `Cannot void a ${payment.status} payment`);
+      }
+
+      return { payment: update(payment, { status: 'voided' }), fault: null };
+    });
+
+  /**
+   * Refund a captured payment (defaults to whatever is left to refund)
+   */
+  const refund = (id, { amount, idempotency_key } = {}) =>
+    once(idempotency_key, () => {
+      const payment = getPayment(id);
+      if (payment.status !== 'captured' && payment.status !== 'partially_refunded') {
+        throw pspError(409, 'invalid_state', `Cannot refund a ${payment.status} payment`);
+      }
+
+      const refundable = roundAmount(payment.captured_amount - payment.refunded_amount);
+      const refundAmount = roundAmount(amount ?? refundable);
+      if (refundAmount > refundable) {
+        throw pspError(400, 'amount_too_large', `Refund of ${refundAmount} exceeds refundable ${refundable}`);
+      }
+
+      const refunded = roundAmount(payment.refunded_amount + refundAmount);
+      return {
+        payment: update(payment, {
+          refunded_amount: refunded,
+          status: refunded >= payment.captured_amount ? 'refunded' : 'partially_refunded',
+        }),
+        fault: null,
+      };
+    });
+
+  /**
+   * Look up a payment by PSP id or by the merchant's own reference
+   */
+  const find = ({ id, merchant_reference }) => {
+    if (id) {
+      return { ...getPayment(id) };
+    }
+
+    const matches = [...payments.values()]
+      .filter(payment => payment.merchant_reference === merchant_reference);
+    if (matches.length === 0) {
+      throw pspError(404, 'payment_not_found', `No payment for reference: ${merchant_reference}`);
+    }
+    return { ...matches[matches.length - 1] };
+  };
+
+  return {
+    authorize,
+    capture,
+    increment,
+    void: voidPayment,
+    refund,
+    find,
+  };
+};
+
+module.exports = {
+  createMockPsp,
+  TEST_CARDS,
+};
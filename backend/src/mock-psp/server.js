@@ -0,0 +1,93 @@
+/**
+ * Standalone mock PSP for local development
+ * Run with: npm run psp:mock
+ *
+ * Behaves like a card processor's REST API (authorize / increment / capture / void / refund / status)
+ * with deterministic test cards, see TEST_CARDS in ./engine.js
+ */
+require('dotenv').config();
+
+const express = require('express');
+const { createMockPsp, TEST_CARDS } = require('./engine');
+
+const PORT = parseInt(process.env.MOCK_PSP_PORT) || 4010;
+const API_KEY = process.env.PSP_API_KEY || null;
+// How long a tok_timeout authorization takes to answer (longer than the client timeout)
+const TIMEOUT_DELAY_MS = parseInt(process.env.MOCK_PSP_TIMEOUT_DELAY_MS) || 30000;
+
+const psp = createMockPsp();
+const app = express();
+
+app.use(express.json());
+
+// Reject calls without the configured API key
+app.use('/v1', (req, res, next) => {
+  if (API_KEY && req.get('Authorization') !== `Bearer ${API_KEY}`) {
+    return res.status(401).json({ error: { code: 'unauthorized', message: 'Invalid API key' } });
+  }
+  next();
+});
+
+/**
+ * Run an engine call and translate its result/fault into an HTTP response
+ */
+const respond = (res, operation, successStatus = 200) => {
+  try {
+    const { payment, fault } = operation();
+
+    if (fault === 'network_error') {
+      res.socket.destroy();
+      return;
+    }
+
+    const send = () => res.status(successStatus).json(payment);
+    if (fault === 'timeout') {
+      setTimeout(send, TIMEOUT_DELAY_MS);
+    } else {
+      send();
+    }
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: { code: error.code || 'internal_error', message: error.message },
+    });
+  }
+};
+
+const idempotencyKey = (req) => req.get('Idempotency-Key') || null;
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy', test_cards: Object.keys(TEST_CARDS) });
+});
+
+app.post('/v1/payments', (req, res) => {
+  respond(res, () => psp.authorize({ ...req.body, idempotency_key: idempotencyKey(req) }), 201);
+});
+
+app.get('/v1/payments', (req, res) => {
+  respond(res, () => ({ payment: psp.find({ merchant_reference: req.query.merchant_reference }), fault: null }));
+});
+
+app.get('/v1/payments/:id', (req, res) => {
+  respond(res, () => ({ payment: psp.find({ id: req.params.id }), fault: null }));
+});
+
+app.post('/v1/payments/:id/capture', (req, res) => {
+  respond(res, () => psp.capture(req.params.id, { ...req.body, idempotency_key: idempotencyKey(req) }));
+});
+
+app.post('/v1/payments/:id/increment', (req, res) => {
+  respond(res, () => psp.increment(req.params.id, { ...req.body, idempotency_key: idempotencyKey(req) }));
+});
+
+app.post('/v1/payments/:id/void', (req, res) => {
+  respond(res, () => psp.void(req.params.id, { idempotency_key: idempotencyKey(req) }));
+});
+
+app.post('/v1/payments/:id/refund', (req, res) => {
+  respond(res, () => psp.refund(req.params.id, { ...req.body, idempotency_key: idempotencyKey(req) }));
+});
+
+app.listen(PORT, () => {
+  console.log(`💳 Mock PSP listening on port ${PORT}`);
+  console.log(`   Test cards: ${Object.keys(TEST_CARDS).join(', ')}`);
+});
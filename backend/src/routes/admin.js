@@ -0,0 +1,118 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { validate, validateMultiple, schemas } = require('../middleware/validation');
+const { requireOps, authorize } = require('../middleware/auth');
+
+/**
+ * Operations console routes, mounted at /v1/admin behind authenticate.
+ * Everything is scoped to the operator's tenant.
+ */
+const router = express.Router();
+
+router.use(requireOps);
+
+// =====================
+// Listings
+// =====================
+
+// List rides
+router.get(
+  '/rides',
+  validate(schemas.adminRidesQuery, 'query'),
+  adminController.listRides
+);
+
+// List drivers
+router.get(
+  '/drivers',
+  validate(schemas.adminDriversQuery, 'query'),
+  adminController.listDrivers
+);
+
+// List trips
+router.get(
+  '/trips',
+  validate(schemas.adminTripsQuery, 'query'),
+  adminController.listTrips
+);
+
+// List payments
+router.get(
+  '/payments',
+  validate(schemas.adminPaymentsQuery, 'query'),
+  adminController.listPayments
+);
+
+// Online drivers and open rides for the live map
+router.get(
+  '/live-map',
+  adminController.getLiveMap
+);
+
+// =====================
+// Interventions
+// =====================
+
+// Force-cancel a ride (free of charge)
+router.post(
+  '/rides/:id/cancel',
+  validateMultiple({ params: schemas.getRideParams, body: schemas.adminReason }),
+  adminController.cancelRide
+);
+
+// Assign a MATCHING ride, or reassign one whose driver hasn't picked up yet
+router.post(
+  '/rides/:id/assign',
+  validateMultiple({ params: schemas.getRideParams, body: schemas.adminAssignDriver }),
+  adminController.assignRide
+);
+
+// Suspend a driver
+router.post(
+  '/drivers/:id/suspend',
+  validateMultiple({ params: schemas.driverParams, body: schemas.adminReason }),
+  adminController.suspendDriver
+);
+
+// Lift a driver's suspension
+router.post(
+  '/drivers/:id/reinstate',
+  validate(schemas.driverParams, 'params'),
+  adminController.reinstateDriver
+);
+
+// =====================
+// Rate cards
+// =====================
+
+// Every version of the tenant's rate cards
+router.get(
+  '/rate-cards',
+  validate(schemas.adminRateCardsQuery, 'query'),
+  adminController.listRateCards
+);
+
+// Publish a new version (admins only; ops can't change prices)
+router.post(
+  '/rate-cards',
+  authorize('admin'),
+  validate(schemas.publishRateCard),
+  adminController.publishRateCard
+);
+
+// =====================
+// Promo codes
+// =====================
+
+// The tenant's promo codes, with how often each was redeemed
+router.get('/promo-codes', adminController.listPromoCodes);
+
+// Create a promo code (admins only)
+router.post(
+  '/promo-codes',
+  authorize('admin'),
+  validate(schemas.createPromoCode),
+  adminController.createPromoCode
+);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const analyticsController = require('../controllers/analyticsController');
+const { validate, schemas } = require('../middleware/validation');
+const { requireOps } = require('../middleware/auth');
+
+/**
+ * Ride analytics for operations, mounted at /v1/analytics behind authenticate.
+ * Read from the hourly rollups the ride events consumer keeps, scoped to the
+ * operator's tenant.
+ */
+const router = express.Router();
+
+router.use(requireOps);
+
+// Ride metrics per hour or per day
+router.get(
+  '/rides',
+  validate(schemas.analyticsRidesQuery, 'query'),
+  analyticsController.getRideStats
+);
+
+// Ride metrics totalled over a window
+router.get(
+  '/rides/summary',
+  validate(schemas.analyticsWindowQuery, 'query'),
+  analyticsController.getRideStatsSummary
+);
+
+module.exports = router;
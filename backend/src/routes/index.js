@@ -4,10 +4,14 @@ const driverController = require('../controllers/driverController');
 const tripController = require('../controllers/tripController');
 const paymentController = require('../controllers/paymentController');
 const authController = require('../controllers/authController');
-const { validate, schemas } = require('../middleware/validation');
+const walletController = require('../controllers/walletController');
+const adminRoutes = require('./admin');
+const analyticsRoutes = require('./analytics');
+const { validate, validateMultiple, schemas } = require('../middleware/validation');
 const { idempotency } = require('../middleware/idempotency');
 const { rateLimiter } = require('../middleware/rateLimiter');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, tenantIsolation } = require('../middleware/auth');
+const { policy } = require('../middleware/policy');
 
 const router = express.Router();
 
@@ -52,13 +56,15 @@ router.post('/auth/logout', authenticate, authController.logout);
 // Ride Routes
 // =====================
 
-// Apply optional auth to track user
-router.use(optionalAuth);
+// Everything below requires a signed-in user; each route's policy (middleware/policy.js)
+// then checks the caller's role, ownership of the resource and tenant
+router.use(authenticate, tenantIsolation);
 
 // Create a new ride request
 router.post(
   '/rides',
   rateLimiter('createRide'),  // 10 requests per minute
+  policy('POST /rides'),
   idempotency(),
   validate(schemas.createRide, 'body'),
   rideController.createRide
@@ -67,6 +73,7 @@ router.post(
 // Get ride by ID
 router.get(
   '/rides/:id',
+  policy('GET /rides/:id'),
   validate(schemas.getRideParams, 'params'),
   rideController.getRide
 );
@@ -74,6 +81,7 @@ router.get(
 // Update ride status
 router.patch(
   '/rides/:id/status',
+  policy('PATCH /rides/:id/status'),
   validate(schemas.getRideParams, 'params'),
   rideController.updateRideStatus
 );
@@ -81,19 +89,38 @@ router.patch(
 // Cancel a ride
 router.post(
   '/rides/:id/cancel',
-  validate(schemas.getRideParams, 'params'),
+  policy('POST /rides/:id/cancel'),
+  validateMultiple({ params: schemas.getRideParams, body: schemas.cancelRide }),
   rideController.cancelRide
 );
 
+// Mark an intermediate stop arrived/departed
+router.patch(
+  '/rides/:id/stops/:stopId',
+  policy('PATCH /rides/:id/stops/:stopId'),
+  validateMultiple({ params: schemas.stopParams, body: schemas.updateStop }),
+  rideController.updateStopStatus
+);
+
+// Full history of a ride (support)
+router.get(
+  '/rides/:id/timeline',
+  policy('GET /rides/:id/timeline'),
+  validate(schemas.getRideParams, 'params'),
+  rideController.getRideTimeline
+);
+
 // Get rides by rider
 router.get(
   '/riders/:riderId/rides',
+  policy('GET /riders/:riderId/rides'),
   rideController.getRidesByRider
 );
 
 // Get rider's current active ride
 router.get(
   '/riders/:riderId/current-ride',
+  policy('GET /riders/:riderId/current-ride'),
   rideController.getRiderCurrentRide
 );
 
@@ -105,6 +132,7 @@ router.get(
 router.post(
   '/drivers/:id/location',
   rateLimiter('driverLocation'),  // 3 requests per second
+  policy('POST /drivers/:id/location'),
   validate(schemas.driverParams, 'params'),
   validate(schemas.updateLocation, 'body'),
   driverController.updateLocation
@@ -113,6 +141,7 @@ router.post(
 // Get driver details
 router.get(
   '/drivers/:id',
+  policy('GET /drivers/:id'),
   validate(schemas.driverParams, 'params'),
   driverController.getDriver
 );
@@ -120,6 +149,7 @@ router.get(
 // Update driver status (online/offline)
 router.patch(
   '/drivers/:id/status',
+  policy('PATCH /drivers/:id/status'),
   validate(schemas.driverParams, 'params'),
   driverController.updateStatus
 );
@@ -128,6 +158,7 @@ router.patch(
 router.post(
   '/drivers/:id/accept',
   rateLimiter('acceptRide'),  // 30 requests per minute
+  policy('POST /drivers/:id/accept'),
   validate(schemas.driverParams, 'params'),
   validate(schemas.acceptRide, 'body'),
   driverController.acceptRide
@@ -136,6 +167,7 @@ router.post(
 // Decline a ride
 router.post(
   '/drivers/:id/decline',
+  policy('POST /drivers/:id/decline'),
   validate(schemas.driverParams, 'params'),
   driverController.declineRide
 );
@@ -143,6 +175,7 @@ router.post(
 // Get driver's current ride
 router.get(
   '/drivers/:id/current-ride',
+  policy('GET /drivers/:id/current-ride'),
   validate(schemas.driverParams, 'params'),
   driverController.getCurrentRide
 );
@@ -150,10 +183,52 @@ router.get(
 // Get pending ride offers for driver
 router.get(
   '/drivers/:id/pending-offers',
+  policy('GET /drivers/:id/pending-offers'),
   validate(schemas.driverParams, 'params'),
   driverController.getPendingOffers
 );
 
+// Set the lowest rider rating the driver accepts offers for
+router.patch(
+  '/drivers/:id/rider-filter',
+  policy('PATCH /drivers/:id/rider-filter'),
+  validateMultiple({
+    params: schemas.driverParams,
+    body: schemas.riderFilter,
+  }),
+  driverController.updateRiderFilter
+);
+
+// Get driver's ordered pool pickups and dropoffs
+router.get(
+  '/drivers/:id/manifest',
+  policy('GET /drivers/:id/manifest'),
+  validate(schemas.driverParams, 'params'),
+  driverController.getManifest
+);
+
+// Get driver's earnings statement
+router.get(
+  '/drivers/:id/earnings',
+  policy('GET /drivers/:id/earnings'),
+  validateMultiple({
+    params: schemas.driverParams,
+    query: schemas.driverEarningsQuery,
+  }),
+  driverController.getEarnings
+);
+
+// Get driver's payouts
+router.get(
+  '/drivers/:id/payouts',
+  policy('GET /drivers/:id/payouts'),
+  validateMultiple({
+    params: schemas.driverParams,
+    query: schemas.driverPayoutsQuery,
+  }),
+  driverController.getPayouts
+);
+
 // =====================
 // Trip Routes
 // =====================
@@ -161,12 +236,22 @@ router.get(
 // Start a trip
 router.post(
   '/trips/start',
+  policy('POST /trips/start'),
   tripController.startTrip
 );
 
+// Get fare estimate (registered before /trips/:id so it isn't parsed as an ID)
+router.get(
+  '/trips/fare-estimate',
+  policy('GET /trips/fare-estimate'),
+  validate(schemas.fareEstimateQuery, 'query'),
+  tripController.getFareEstimate
+);
+
 // End a trip
 router.post(
   '/trips/:id/end',
+  policy('POST /trips/:id/end'),
   validate(schemas.tripParams, 'params'),
   tripController.endTrip
 );
@@ -174,19 +259,42 @@ router.post(
 // Get trip details
 router.get(
   '/trips/:id',
+  policy('GET /trips/:id'),
   validate(schemas.tripParams, 'params'),
   tripController.getTrip
 );
 
-// Get fare estimate
+// Get the route the driver took (GPS trace)
 router.get(
-  '/trips/fare-estimate',
-  tripController.getFareEstimate
+  '/trips/:id/route',
+  policy('GET /trips/:id/route'),
+  validate(schemas.tripParams, 'params'),
+  tripController.getTripRoute
+);
+
+// Rate the other party of a completed trip (rider or driver)
+router.post(
+  '/trips/:id/rating',
+  policy('POST /trips/:id/rating'),
+  validateMultiple({
+    params: schemas.tripParams,
+    body: schemas.submitRating,
+  }),
+  tripController.rateTrip
+);
+
+// Get ratings left on a trip
+router.get(
+  '/trips/:id/ratings',
+  policy('GET /trips/:id/ratings'),
+  validate(schemas.tripParams, 'params'),
+  tripController.getTripRatings
 );
 
 // Update ride status (driver en route, arrived)
 router.patch(
   '/trips/ride/:id/status',
+  policy('PATCH /trips/ride/:id/status'),
   tripController.updateRideStatus
 );
 
@@ -198,6 +306,7 @@ router.patch(
 router.post(
   '/payments',
   rateLimiter('payment'),  // 10 requests per minute
+  policy('POST /payments'),
   idempotency({ required: true }),
   validate(schemas.createPayment, 'body'),
   paymentController.processPayment
@@ -206,12 +315,14 @@ router.post(
 // Get payment by ID
 router.get(
   '/payments/:id',
+  policy('GET /payments/:id'),
   paymentController.getPayment
 );
 
 // Get payment by trip
 router.get(
   '/trips/:tripId/payment',
+  policy('GET /trips/:tripId/payment'),
   paymentController.getPaymentByTrip
 );
 
@@ -219,7 +330,9 @@ router.get(
 router.post(
   '/payments/:id/retry',
   rateLimiter('payment'),
+  policy('POST /payments/:id/retry'),
   idempotency({ required: true }),
+  validate(schemas.retryPayment, 'body'),
   paymentController.retryPayment
 );
 
@@ -227,7 +340,56 @@ router.post(
 router.post(
   '/payments/:id/refund',
   rateLimiter('payment'),
+  policy('POST /payments/:id/refund'),
   paymentController.initiateRefund
 );
 
+// =====================
+// Wallet Routes
+// =====================
+
+// Get wallet balance (ownerType: rider | driver)
+router.get(
+  '/wallets/:ownerType/:ownerId',
+  policy('GET /wallets/:ownerType/:ownerId'),
+  validate(schemas.walletParams, 'params'),
+  walletController.getWallet
+);
+
+// Top up a wallet
+router.post(
+  '/wallets/:ownerType/:ownerId/topup',
+  rateLimiter('payment'),
+  policy('POST /wallets/:ownerType/:ownerId/topup'),
+  idempotency({ required: true }),
+  validateMultiple({
+    params: schemas.walletParams,
+    body: schemas.walletTopUp,
+  }),
+  walletController.topUp
+);
+
+// Get wallet statement
+router.get(
+  '/wallets/:ownerType/:ownerId/transactions',
+  policy('GET /wallets/:ownerType/:ownerId/transactions'),
+  validateMultiple({
+    params: schemas.walletParams,
+    query: schemas.walletStatementQuery,
+  }),
+  walletController.getStatement
+);
+
+// =====================
+// Admin Routes (operations console, see routes/admin.js)
+// =====================
+
+router.use('/admin', adminRoutes);
+
+// =====================
+// Analytics Routes (ride metrics for operations, see routes/analytics.js)
+// =====================
+
+router.use('/analytics', analyticsRoutes);
+
 module.exports = router;
@@ -0,0 +1,299 @@
+const { queryRead } = require('../config/database');
+const { getDriverLocations } = require('../config/redis');
+const { NotFoundError } = require('../utils/errors');
+const rideService = require('./rideService');
+const cancellationService = require('./cancellationService');
+const driverService = require('./driverService');
+const { startDriverSimulation, stopDriverSimulation } = require('./simulationService');
+
+// Vehicle types with a driver geo index (pool rides are served from these)
+const VEHICLE_TYPES = ['economy', 'premium', 'xl'];
+
+// Rides that haven't reached a final status
+const OPEN_RIDE_STATUSES = [
+  'REQUESTED', 'MATCHING', 'DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE', 'DRIVER_ARRIVED', 'IN_PROGRESS',
+];
+
+// Cap on open rides drawn on the live map
+const LIVE_MAP_RIDE_LIMIT = 500;
+
+// =============================================
+// LISTINGS
+// =============================================
+
+/**
+ * Collect WHERE conditions and their parameters, skipping filters that weren't given
+ */
+const createFilter = () => {
+  const conditions = [];
+  const params = [];
+
+  return {
+    conditions,
+    params,
+    // condition receives the placeholder of the value, e.g. (p) => `r.status = ${p}`
+    add(condition, value) {
+      if (value === undefined || value === null) return;
+      params.push(value);
+      conditions.push(condition(`$${params.length}`));
+    },
+  };
+};
+
+/**
+ * Run a filtered listing and its total count
+ * @returns {Promise<Object>} { items, total, limit, offset }
+ */
+const listPage = async ({ select, from, filter, orderBy, limit, offset }) => {
+  const where = filter.conditions.join(' AND ');
+  const { params } = filter;
+
+  const [rows, count] = await Promise.all([
+    queryRead(
+      `SELECT ${select} FROM ${from} WHERE ${where}
+       ORDER BY ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    queryRead(`SELECT COUNT(*) AS total FROM ${from} WHERE ${where}`, params),
+  ]);
+
+  return {
+    items: rows.rows,
+    total: parseInt(count.rows[0].total),
+    limit,
+    offset,
+  };
+};
+
+/**
+ * List a tenant's rides, newest first
+ */
+const listRides = async (tenantId, filters) => {
+  const filter = createFilter();
+  filter.add((p) => `r.tenant_id = ${p}`, tenantId);
+  filter.add((p) => `r.status = ANY(${p})`, filters.status);
+  filter.add((p) => `r.tier = ${p}`, filters.tier);
+  filter.add((p) => `r.rider_id = ${p}`, filters.rider_id);
+  filter.add((p) => `r.driver_id = ${p}`, filters.driver_id);
+  filter.add((p) => `r.created_at >= ${p}`, filters.from);
+  filter.add((p) => `r.created_at < ${p}`, filters.to);
+
+  return listPage({
+    select: `r.id, r.status, r.tier, r.payment_method, r.estimated_fare, r.surge_multiplier,
+      r.pickup_lat, r.pickup_lng, r.pickup_address, r.dropoff_lat, r.dropoff_lng, r.dropoff_address,
+      r.rider_id, rd.name AS rider_name, rd.phone AS rider_phone,
+      r.driver_id, d.name AS driver_name, d.vehicle_number,
+      r.scheduled_at, r.matching_started_at, r.dispatch_round, r.created_at, r.updated_at`,
+    from: `rides r
+      JOIN riders rd ON rd.id = r.rider_id
+      LEFT JOIN drivers d ON d.id = r.driver_id`,
+    filter,
+    orderBy: 'r.created_at DESC',
+    limit: filters.limit,
+    offset: filters.offset,
+  });
+};
+
+/**
+ * List a tenant's drivers, newest first
+ */
+const listDrivers = async (tenantId, filters) => {
+  const filter = createFilter();
+  filter.add((p) => `d.tenant_id = ${p}`, tenantId);
+  filter.add((p) => `d.status = ${p}`, filters.status);
+  filter.add((p) => `d.vehicle_type = ${p}`, filters.vehicle_type);
+  filter.add((p) => `(d.suspended_at IS NOT NULL) = ${p}`, filters.suspended);
+  filter.add(
+    (p) => `(d.name ILIKE ${p} OR d.phone ILIKE ${p} OR d.vehicle_number ILIKE ${p})`,
+    filters.search && `%${filters.search}%`
+  );
+  filter.add((p) => `d.created_at >= ${p}`, filters.from);
+  filter.add((p) => `d.created_at < ${p}`, filters.to);
+
+  return listPage({
+    select: `d.id, d.name, d.phone, d.vehicle_number, d.vehicle_type, d.status, d.rating,
+      d.total_rides, d.acceptance_rate, d.suspended_at, d.suspension_reason, d.created_at`,
+    from: 'drivers d',
+    filter,
+    orderBy: 'd.created_at DESC',
+    limit: filters.limit,
+    offset: filters.offset,
+  });
+};
+
+/**
+ * List a tenant's trips, newest first
+ */
+const listTrips = async (tenantId, filters) => {
+  const filter = createFilter();
+  filter.add((p) => `r.tenant_id = ${p}`, tenantId);
+  filter.add((p) => `t.status = ${p}`, filters.status);
+  filter.add((p) => `r.rider_id = ${p}`, filters.rider_id);
+  filter.add((p) => `r.driver_id = ${p}`, filters.driver_id);
+  filter.add((p) => `t.created_at >= ${p}`, filters.from);
+  filter.add((p) => `t.created_at < ${p}`, filters.to);
+
+  return listPage({
+    select: `t.*, r.rider_id, r.driver_id, r.tier, r.payment_method`,
+    from: 'trips t JOIN rides r ON r.id = t.ride_id',
+    filter,
+    orderBy: 't.created_at DESC',
+    limit: filters.limit,
+    offset: filters.offset,
+  });
+};
+
+/**
+ * List a tenant's payments, newest first
+ */
+const listPayments = async (tenantId, filters) => {
+  const filter = createFilter();
+  filter.add((p) => `r.tenant_id = ${p}`, tenantId);
+  filter.add((p) => `p.status = ${p}`, filters.status);
+  filter.add((p) => `p.payment_method = ${p}`, filters.payment_method);
+  filter.add((p) => `p.created_at >= ${p}`, filters.from);
+  filter.add((p) => `p.created_at < ${p}`, filters.to);
+
+  return listPage({
+    select: `p.id, p.trip_id, p.amount, p.currency, p.payment_method, p.status, p.psp_reference,
+      p.created_at, p.completed_at, t.ride_id, r.rider_id, r.driver_id`,
+    from: `payments p
+      JOIN trips t ON t.id = p.trip_id
+      JOIN rides r ON r.id = t.ride_id`,
+    filter,
+    orderBy: 'p.created_at DESC',
+    limit: filters.limit,
+    offset: filters.offset,
+  });
+};
+
+// =============================================
+// LIVE MAP
+// =============================================
+
+/**
+ * Online drivers (from the Redis geo index) and open rides of a tenant
+ */
+const getLiveMap = async (tenantId) => {
+  const locations = (await Promise.all(VEHICLE_TYPES.map(tier => getDriverLocations(tenantId, tier)))).flat();
+  const positionById = new Map(locations.map(l => [l.driverId, l]));
+
+  const [driversResult, ridesResult, countsResult] = await Promise.all([
+    positionById.size > 0
+      ? queryRead(
+        `SELECT id, name, vehicle_type, vehicle_number, status, rating, suspended_at
+         FROM drivers WHERE id = ANY($1) AND tenant_id = $2`,
+        [[...positionById.keys()], tenantId]
+      )
+      : { rows: [] },
+    queryRead(
+      `SELECT id, status, tier, rider_id, driver_id, pickup_lat, pickup_lng, pickup_address,
+         dropoff_lat, dropoff_lng, dropoff_address, created_at
+       FROM rides
+       WHERE tenant_id = $1 AND status = ANY($2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [tenantId, OPEN_RIDE_STATUSES, LIVE_MAP_RIDE_LIMIT]
+    ),
+    queryRead(
+      `SELECT status, COUNT(*) AS count FROM rides
+       WHERE tenant_id = $1 AND status = ANY($2)
+       GROUP BY status`,
+      [tenantId, OPEN_RIDE_STATUSES]
+    ),
+  ]);
+
+  return {
+    drivers: driversResult.rows.map(driver => ({
+      ...driver,
+      latitude: positionById.get(driver.id).latitude,
+      longitude: positionById.get(driver.id).longitude,
+    })),
+    rides: ridesResult.rows,
+    ride_counts: countsResult.rows.reduce((acc, row) => {
+      acc[row.status] = parseInt(row.count);
+      return acc;
+    }, {}),
+  };
+};
+
+// =============================================
+// INTERVENTIONS
+// =============================================
+
+/**
+ * Make sure a record belongs to the operator's tenant (404 otherwise)
+ */
+const assertInTenant = async (table, resource, id, tenantId) => {
+  const result = await queryRead(
+    `SELECT id FROM ${table} WHERE id = $1 AND tenant_id = $2`,
+    [id, tenantId]
+  );
+
+  if (result.rowCount === 0) {
+    throw new NotFoundError(resource);
+  }
+};
+
+/**
+ * Cancel a ride on behalf of operations (e.g. stuck in MATCHING)
+ * - Free of charge under the 'system' cancellation policy; pending offers are
+ *   withdrawn and the driver, if any, freed and told
+ */
+const forceCancelRide = async (tenantId, rideId, reason, actor) => {
+  await assertInTenant('rides', 'Ride', rideId, tenantId);
+
+  return cancellationService.cancelRide(rideId, {
+    cancelledBy: 'system',
+    reason: `Cancelled by operations: ${reason}`,
+    actor,
+  });
+};
+
+/**
+ * Hand a ride to a chosen driver: a MATCHING ride, or one whose driver hasn't
+ * picked up yet (see rideService.assignDriver)
+ */
+const reassignRide = async (tenantId, rideId, driverId, actor) => {
+  await assertInTenant('rides', 'Ride', rideId, tenantId);
+
+  const ride = await rideService.assignDriver(rideId, driverId, { reassign: true, actor });
+
+  if (ride.previous_driver_id) {
+    stopDriverSimulation(ride.previous_driver_id);
+  }
+
+  startDriverSimulation(rideId, driverId, ride.rider_id, 'TO_PICKUP')
+    .catch(err => console.error('Failed to start simulation:', err.message));
+
+  return ride;
+};
+
+/**
+ * Suspend one of the tenant's drivers
+ */
+const suspendDriver = async (tenantId, driverId, reason) => {
+  await assertInTenant('drivers', 'Driver', driverId, tenantId);
+  return driverService.suspendDriver(driverId, reason);
+};
+
+/**
+ * Reinstate one of the tenant's suspended drivers
+ */
+const reinstateDriver = async (tenantId, driverId) => {
+  await assertInTenant('drivers', 'Driver', driverId, tenantId);
+  return driverService.reinstateDriver(driverId);
+};
+
+module.exports = {
+  listRides,
+  listDrivers,
+  listTrips,
+  listPayments,
+  getLiveMap,
+  forceCancelRide,
+  reassignRide,
+  suspendDriver,
+  reinstateDriver,
+  OPEN_RIDE_STATUSES,
+};
@@ -0,0 +1,215 @@
+const { query, queryRead, executeTransaction } = require('../config/database');
+const { ValidationError } = require('../utils/errors');
+
+const ANALYTICS_CONFIG = {
+  defaultWindowHours: 24,   // Window read when no from/to is given
+  maxWindowDays: 92,        // Longest window one request may read
+  processedRetentionDays: 7, // Event ids are kept this long to drop redelivered messages
+};
+
+/**
+ * A match counts towards time-to-match when the event says when matching started
+ */
+const match = (data, timestamp) => {
+  const counters = { matches: 1 };
+  if (data.matching_started_at) {
+    counters.timed_matches = 1;
+    counters.time_to_match_secs = Math.max(0, (timestamp - new Date(data.matching_started_at).getTime()) / 1000);
+  }
+  return counters;
+};
+
+// What each ride event adds to its hour; other events aren't counted
+// - A scheduled ride is a request in the hour it was booked, not the hour of its pickup
+const ROLLUPS = {
+  RIDE_CREATED: () => ({ requests: 1 }),
+  RIDE_SCHEDULED: () => ({ requests: 1 }),
+  RIDE_ACCEPTED: match,
+  // Ops dispatch; handing a ride to another driver isn't a new match
+  DRIVER_ASSIGNED: (data, timestamp) => (data.previous_driver_id ? null : match(data, timestamp)),
+  TRIP_COMPLETED: (data) => ({ completions: 1, gmv: parseFloat(data.fare?.total) || 0 }),
+  RIDE_CANCELLED: () => ({ cancellations: 1 }),
+  NO_DRIVERS_FOUND: () => ({ unfulfilled: 1 }),
+};
+
+/**
+ * Counters a ride event adds to its tenant's hourly rollup
+ * @returns {Object|null} { requests, matches, ... } or null if the event isn't counted
+ */
+const getRollupCounters = ({ eventType, data = {}, timestamp }) => {
+  const rollup = ROLLUPS[eventType];
+  if (!rollup) return null;
+
+  const counters = rollup(data, timestamp);
+  if (!counters) return null;
+
+  return {
+    requests: 0,
+    matches: 0,
+    completions: 0,
+    cancellations: 0,
+    unfulfilled: 0,
+    time_to_match_secs: 0,
+    timed_matches: 0,
+    gmv: 0,
+    ...counters,
+  };
+};
+
+/**
+ * Add a ride event to its tenant's hourly rollup
+ * - Bucketed by the hour the event happened, not when it arrived
+ * - An event id seen before is skipped, so redelivered messages count once
+ * @param {Object} event - Ride event message (see kafka.buildRideEvent)
+ * @returns {Promise<boolean>} Whether the event was counted
+ */
+const applyRideEvent = async (event) => {
+  const counters = getRollupCounters(event);
+  if (!counters || !event.tenantId) return false;
+
+  return executeTransaction(async (client) => {
+    if (event.eventId) {
+      const seen = await client.query(
+        'INSERT INTO analytics_processed_events (event_id) VALUES ($1) ON CONFLICT DO NOTHING',
+        [event.eventId]
+      );
+      if (seen.rowCount === 0) return false;
+    }
+
+    await client.query(
+      `INSERT INTO ride_stats_hourly (
+         tenant_id, hour, requests, matches, completions, cancellations, unfulfilled,
+         time_to_match_secs, timed_matches, gmv
+       ) VALUES ($1, date_trunc('hour', to_timestamp($2 / 1000.0)), $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (tenant_id, hour) DO UPDATE SET
+         requests = ride_stats_hourly.requests + EXCLUDED.requests,
+         matches = ride_stats_hourly.matches + EXCLUDED.matches,
+         completions = ride_stats_hourly.completions + EXCLUDED.completions,
+         cancellations = ride_stats_hourly.cancellations + EXCLUDED.cancellations,
+         unfulfilled = ride_stats_hourly.unfulfilled + EXCLUDED.unfulfilled,
+         time_to_match_secs = ride_stats_hourly.time_to_match_secs + EXCLUDED.time_to_match_secs,
+         timed_matches = ride_stats_hourly.timed_matches + EXCLUDED.timed_matches,
+         gmv = ride_stats_hourly.gmv + EXCLUDED.gmv,
+         updated_at = NOW()`,
+      [
+        event.tenantId, event.timestamp || Date.now(),
+        counters.requests, counters.matches, counters.completions, counters.cancellations, counters.unfulfilled,
+        counters.time_to_match_secs, counters.timed_matches, counters.gmv,
+      ]
+    );
+
+    return true;
+  });
+};
+
+/**
+ * Drop processed event ids past the redelivery window
+ */
+const purgeProcessedEvents = async () => {
+  const result = await query(
+    'DELETE FROM analytics_processed_events WHERE processed_at < NOW() - make_interval(days => $1)',
+    [ANALYTICS_CONFIG.processedRetentionDays]
+  );
+  return result.rowCount;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Summed rollup row -> metrics, with the averages worked out
+ */
+const formatStats = (row) => {
+  const completions = parseInt(row.completions) || 0;
+  const timedMatches = parseInt(row.timed_matches) || 0;
+  const gmv = parseFloat(row.gmv) || 0;
+
+  return {
+    requests: parseInt(row.requests) || 0,
+    matches: parseInt(row.matches) || 0,
+    completions,
+    cancellations: parseInt(row.cancellations) || 0,
+    unfulfilled: parseInt(row.unfulfilled) || 0,
+    avg_time_to_match_secs: timedMatches > 0 ? round2(parseFloat(row.time_to_match_secs) / timedMatches) : null,
+    gmv: round2(gmv),
+    avg_fare: completions > 0 ? round2(gmv / completions) : null,
+  };
+};
+
+/**
+ * Resolve and check the window to read (default: the last 24 hours)
+ * - Rollups are hourly, so the start is rounded down to the hour
+ */
+const resolveWindow = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - ANALYTICS_CONFIG.defaultWindowHours * 60 * 60 * 1000);
+  start.setMinutes(0, 0, 0);
+
+  if (start >= end) {
+    throw new ValidationError('Validation failed', [{ field: 'from', message: 'from must be before to' }]);
+  }
+  if (end - start > ANALYTICS_CONFIG.maxWindowDays * 24 * 60 * 60 * 1000) {
+    throw new ValidationError('Validation failed', [
+      { field: 'from', message: `Window can't be longer than ${ANALYTICS_CONFIG.maxWindowDays} days` },
+    ]);
+  }
+
+  return { from: start, to: end };
+};
+
+const SUMS = `SUM(requests) AS requests, SUM(matches) AS matches, SUM(completions) AS completions,
+  SUM(cancellations) AS cancellations, SUM(unfulfilled) AS unfulfilled,
+  SUM(time_to_match_secs) AS time_to_match_secs, SUM(timed_matches) AS timed_matches, SUM(gmv) AS gmv`;
+
+/**
+ * A tenant's ride metrics over a window, per hour or per day
+ * - Read from the rollups only; hours with no rides are left out
+ * @param {Object} options - { from, to, interval: 'hour' | 'day' }
+ * @returns {Promise<Object>} { from, to, interval, buckets: [{ bucket, ...metrics }] }
+ */
+const getRideStats = async (tenantId, { from, to, interval = 'hour' } = {}) => {
+  const window = resolveWindow({ from, to });
+
+  const result = await queryRead(
+    `SELECT date_trunc($2, hour) AS bucket, ${SUMS}
+     FROM ride_stats_hourly
+     WHERE tenant_id = $1 AND hour >= $3 AND hour < $4
+     GROUP BY bucket
+     ORDER BY bucket`,
+    [tenantId, interval, window.from, window.to]
+  );
+
+  return {
+    ...window,
+    interval,
+    buckets: result.rows.map(row => ({ bucket: row.bucket, ...formatStats(row) })),
+  };
+};
+
+/**
+ * A tenant's ride metrics totalled over a window
+ * @returns {Promise<Object>} { from, to, ...metrics }
+ */
+const getRideStatsSummary = async (tenantId, { from, to } = {}) => {
+  const window = resolveWindow({ from, to });
+
+  const result = await queryRead(
+    `SELECT ${SUMS}
+     FROM ride_stats_hourly
+     WHERE tenant_id = $1 AND hour >= $2 AND hour < $3`,
+    [tenantId, window.from, window.to]
+  );
+
+  return {
+    ...window,
+    ...formatStats(result.rows[0] || {}),
+  };
+};
+
+module.exports = {
+  getRollupCounters,
+  applyRideEvent,
+  purgeProcessedEvents,
+  getRideStats,
+  getRideStatsSummary,
+  ANALYTICS_CONFIG,
+};
@@ -7,6 +7,14 @@ const { NotFoundError, BadRequestError, UnauthorizedError } = require('../utils/
 const OTP_EXPIRY_SECONDS = 300; // 5 minutes
 const OTP_LENGTH = 6;
 
+// Table and resource name behind each token user type
+const USER_TABLES = {
+  rider: { table: 'riders', resource: 'Rider' },
+  driver: { table: 'drivers', resource: 'Driver' },
+  admin: { table: 'admin_users', resource: 'Operations user' },
+  ops: { table: 'admin_users', resource: 'Operations user' },
+};
+
 /**
  * Send OTP to phone number
  * In production, integrate with Twilio/MSG91/etc.
@@ -84,14 +92,19 @@ const verifyOtp = async (phone, otp, userType, tenantId) => {
     user = await findOrCreateRider(phone, tenantId);
   } else if (userType === 'driver') {
     user = await findOrCreateDriver(phone, tenantId);
+  } else if (userType === 'admin') {
+    user = await findOperationsUser(phone, tenantId);
   } else {
     throw new BadRequestError('Invalid user type');
   }
 
+  // Operations users sign in as 'admin' but carry their own role (admin/ops)
+  const tokenUserType = user.role || userType;
+
   // Generate token
   const token = generateToken({
     userId: user.id,
-    userType,
+    userType: tokenUserType,
     tenantId: user.tenant_id,
     phone: user.phone,
   });
@@ -102,7 +115,7 @@ const verifyOtp = async (phone, otp, userType, tenantId) => {
       id: user.id,
       phone: user.phone,
       name: user.name,
-      type: userType,
+      type: tokenUserType,
       tenantId: user.tenant_id,
       isNewUser: user.isNew,
     },
@@ -161,12 +174,28 @@ const findOrCreateDriver = async (phone, tenantId) => {
   return { ...result.rows[0], isNew: true };
 };
 
+/**
+ * Find a provisioned operations user (never created on login)
+ */
+const findOperationsUser = async (phone, tenantId) => {
+  const result = await query(
+    'SELECT * FROM admin_users WHERE phone = $1',
+    [phone]
+  );
+
+  if (result.rowCount === 0 || (tenantId && result.rows[0].tenant_id !== tenantId)) {
+    throw new UnauthorizedError('Not an operations user for this tenant');
+  }
+
+  return { ...result.rows[0], isNew: false };
+};
+
 /**
  * Update user profile
  */
 const updateProfile = async (userId, userType, data) => {
   const { name, email } = data;
-  const table = userType === 'rider' ? 'riders' : 'drivers';
+  const { table, resource } = USER_TABLES[userType];
 
   const result = await query(
     `UPDATE ${table} 
@@ -179,7 +208,7 @@ const updateProfile = async (userId, userType, data) => {
   );
 
   if (result.rowCount === 0) {
-    throw new NotFoundError(userType === 'rider' ? 'Rider' : 'Driver');
+    throw new NotFoundError(resource);
   }
 
   return result.rows[0];
@@ -212,15 +241,16 @@ const updateDriverVehicle = async (driverId, data) => {
  * Get user by ID
  */
 const getUserById = async (userId, userType) => {
-  const table = userType === 'rider' ? 'riders' : 'drivers';
-  
+  const { table, resource } = USER_TABLES[userType];
+
+
   const result = await query(
     `SELECT * FROM ${table} WHERE id = $1`,
     [userId]
   );
 
   if (result.rowCount === 0) {
-    throw new NotFoundError(userType === 'rider' ? 'Rider' : 'Driver');
+    throw new NotFoundError(resource);
   }
 
   return result.rows[0];
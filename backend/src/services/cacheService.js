@@ -10,9 +10,12 @@ const CACHE_TTL = {
   DRIVER_LOCATION: 3,          // Location - very short for real-time
   RIDER: 300,                  // Rider profile - longer TTL
   SURGE: 60,                   // Surge pricing
+  SURGE_STATE: 3600,           // Smoothed surge state per cell
+  SURGE_QUOTE: 300,            // Surge quote shown to rider
   RIDE_ESTIMATE: 300,          // Fare estimates
   NEARBY_DRIVERS: 2,           // Nearby driver list - very short
   PAYMENT: 60,                 // Payment status
+  RATE_CARDS: 300,             // Rate card versions (dropped on publish)
   IDEMPOTENCY: 86400,          // 24 hours
 };
 
@@ -28,9 +31,12 @@ const CACHE_KEYS = {
   RIDER: (id) => `rider:${id}`,
   RIDER_CURRENT_RIDE: (id) => `rider:current_ride:${id}`,
   SURGE: (region, tier) => `surge:${region}:${tier}`,
+  SURGE_STATE: (tenantId, cell, tier) => `surge:state:${tenantId}:${cell}:${tier}`,
+  SURGE_QUOTE: (quoteId) => `surge:quote:${quoteId}`,
   NEARBY_DRIVERS: (tier, lat, lng, radius) => `nearby:${tier}:${lat.toFixed(3)}:${lng.toFixed(3)}:${radius}`,
   RIDE_ESTIMATE: (pickup, dropoff, tier) => `estimate:${pickup}:${dropoff}:${tier}`,
   PAYMENT: (tripId) => `payment:${tripId}`,
+  RATE_CARDS: (tenantId, tier) => `rate_cards:${tenantId}:${tier}`,
   IDEMPOTENCY: (key) => `idempotency:${key}`,
   LOCK: (resource) => `lock:${resource}`,
 };
@@ -268,22 +274,6 @@ const getSurgeMultiplier = async (region, tier, computeFn) => {
   return getOrCompute(key, CACHE_TTL.SURGE, computeFn);
 };
 
-/**
- * Compute surge multiplier based on demand/supply
- */
-const computeSurgeMultiplier = async (tenantId, tier, lat, lng) => {
-  // In production, this would:
-  // 1. Count active ride requests in the area
-  // 2. Count available drivers in the area
-  // 3. Calculate ratio and apply surge formula
-  
-  // For demo, return random surge occasionally
-  const random = Math.random();
-  if (random < 0.1) return 1.5;
-  if (random < 0.05) return 2.0;
-  return 1.0;
-};
-
 /**
  * Warm up cache with frequently accessed data
  */
@@ -373,7 +363,6 @@ module.exports = {
   cachePaymentStatus,
   getPaymentFromCache,
   getSurgeMultiplier,
-  computeSurgeMultiplier,
   warmUpCache,
   clearAllCaches,
   getCacheStats,
@@ -0,0 +1,338 @@
+const { executeTransaction } = require('../config/database');
+const { publishRideEvent, publishNotification } = require('../config/kafka');
+const { NotFoundError, InvalidStateTransitionError } = require('../utils/errors');
+const { invalidateRideCache, invalidateDriverCache } = require('./cacheService');
+const { releaseRideHold } = require('./paymentService');
+const { debitCancellationFee } = require('./walletService');
+const { calculateWaitingFare } = require('./pricingService');
+const { findDriversForRide, updateAcceptanceRate } = require('./matchingService');
+const { stopDriverSimulation } = require('./simulationService');
+const { recordRideEvent, SYSTEM_ACTOR } = require('./rideEventService');
+
+// Cancellation policy
+const CANCELLATION_POLICY = {
+  graceMins: parseInt(process.env.CANCELLATION_GRACE_MINS) || 2,      // Riders cancel free this long after a driver is assigned
+  driverNoShowMins: parseInt(process.env.DRIVER_NO_SHOW_MINS) || 15,  // A driver not at pickup this long after accepting is a no-show
+  riderNoShowMins: parseInt(process.env.RIDER_NO_SHOW_MINS) || 5,     // Drivers may cancel for a no-show after waiting this long
+  scheduledFreeMins: 60,                                              // Scheduled rides cancel free until this long before pickup
+  // Booking is allowed closer to pickup than scheduledFreeMins, so a late booking gets this long to cancel free
+  scheduledBookingGraceMins: parseInt(process.env.SCHEDULED_CANCELLATION_GRACE_MINS) || 10,
+  fee: { economy: 50, premium: 100, xl: 150, pool: 40 },
+};
+
+// Statuses with a driver on the way to (or at) the pickup
+const DRIVER_BOUND_STATUSES = ['DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE', 'DRIVER_ARRIVED'];
+
+// Statuses anyone but operations may still cancel from
+const CANCELLABLE_STATUSES = ['SCHEDULED', 'REQUESTED', 'MATCHING', ...DRIVER_BOUND_STATUSES];
+
+const minutesSince = (timestamp, now) => (now - new Date(timestamp).getTime()) / 60000;
+
+const getTierFee = (tier) => CANCELLATION_POLICY.fee[tier] || CANCELLATION_POLICY.fee.economy;
+
+/**
+ * Whether a scheduled ride is inside its late-cancellation window
+ * - Keyed off the pickup time, so it holds after the ride is released for matching
+ * - A ride booked less than scheduledFreeMins ahead gets scheduledBookingGraceMins
+ *   from booking to change its mind
+ */
+const isLateScheduled = (ride, now) => {
+  if (!ride.scheduled_at) {
+    return false;
+  }
+  const freeUntil = new Date(ride.scheduled_at).getTime() - CANCELLATION_POLICY.scheduledFreeMins * 60000;
+  return now >= freeUntil && minutesSince(ride.created_at, now) > CANCELLATION_POLICY.scheduledBookingGraceMins;
+};
+
+/**
+ * Decide what a cancellation costs and what happens to the ride
+ * - Riders cancel free before a driver is assigned, within the grace period after,
+ *   and when the driver is a no-show; otherwise they pay the tier's fee, plus waiting
+ *   time once the driver has arrived
+ * - A scheduled ride inside its late window (isLateScheduled) pays the tier's fee
+ *   whether or not it has been released for matching
+ * - A driver cancelling before pickup is penalized and the ride re-dispatched, unless
+ *   they waited long enough at pickup for a rider no-show, which the rider pays for
+ * - Operations ('system') cancel anything not yet finished, free of charge
+ * @param {Object} ride - Ride row
+ * @param {string} cancelledBy - 'rider', 'driver' or 'system'
+ * @param {number} [now=Date.now()]
+ * @returns {Object} { policy, fee, waitingFare, total, redispatch, driverPenalty }
+ * @throws {InvalidStateTransitionError} If the ride can't be cancelled by them
+ */
+const assessCancellation = (ride, cancelledBy, now = Date.now()) => {
+  const decision = (policy, { fee = 0, waitingFare = 0, redispatch = false, driverPenalty = false } = {}) => ({
+    policy,
+    fee,
+    waitingFare,
+    total: Math.round((fee + waitingFare) * 100) / 100,
+    redispatch,
+    driverPenalty,
+  });
+
+  const waitingFare = () => (ride.arrived_at
+    ? calculateWaitingFare(ride.tier, minutesSince(ride.arrived_at, now))
+    : 0);
+
+  if (cancelledBy === 'system') {
+    if (['COMPLETED', 'CANCELLED', 'NO_DRIVERS_FOUND'].includes(ride.status)) {
+      throw new InvalidStateTransitionError(ride.status, 'CANCELLED', 'Ride');
+    }
+    return decision('operations');
+  }
+
+  const allowed = cancelledBy === 'driver' ? DRIVER_BOUND_STATUSES : CANCELLABLE_STATUSES;
+  if (!allowed.includes(ride.status)) {
+    throw new InvalidStateTransitionError(ride.status, 'CANCELLED', 'Ride');
+  }
+
+  if (cancelledBy === 'driver') {
+    const waitedMins = ride.arrived_at ? minutesSince(ride.arrived_at, now) : 0;
+    if (ride.status === 'DRIVER_ARRIVED' && waitedMins >= CANCELLATION_POLICY.riderNoShowMins) {
+      return decision('rider_no_show', { fee: getTierFee(ride.tier), waitingFare: waitingFare() });
+    }
+    return decision('driver_cancelled', { redispatch: true, driverPenalty: true });
+  }
+
+  const lateScheduled = isLateScheduled(ride, now);
+
+  switch (ride.status) {
+    case 'SCHEDULED':
+    case 'REQUESTED':
+    case 'MATCHING':
+      if (lateScheduled) {
+        return decision('late_scheduled', { fee: getTierFee(ride.tier) });
+      }
+      return decision(ride.status === 'SCHEDULED' ? 'free_before_pickup' : 'free_before_match');
+    case 'DRIVER_ARRIVED':
+      return decision('driver_arrived', { fee: getTierFee(ride.tier), waitingFare: waitingFare() });
+    default: {
+      const sinceMatch = minutesSince(ride.matched_at, now);
+      if (sinceMatch >= CANCELLATION_POLICY.driverNoShowMins) {
+        return decision('driver_no_show', { driverPenalty: true });
+      }
+      if (lateScheduled) {
+        return decision('late_scheduled', { fee: getTierFee(ride.tier) });
+      }
+      if (sinceMatch <= CANCELLATION_POLICY.graceMins) {
+        return decision('free_grace');
+      }
+      return decision('late_cancellation', { fee: getTierFee(ride.tier) });
+    }
+  }
+};
+
+/**
+ * Collect a cash or wallet ride's cancellation fee (inside the cancellation transaction)
+ * - Wallet rides pay what the wallet holds; the rest, and a cash ride's whole fee, goes
+ *   on the rider's balance due, which their next trip payment collects
+ * @returns {Promise<Object>} { walletDebited, balanceDue }
+ */
+const collectCancellationFee = async (client, ride, amount) => {
+  const walletDebited = ride.payment_method === 'wallet'
+    ? await debitCancellationFee(client, ride, amount)
+    : 0;
+  const balanceDue = Math.round((amount - walletDebited) * 100) / 100;
+
+  if (balanceDue > 0) {
+    await client.query(
+      'UPDATE riders SET balance_due = balance_due + $1, updated_at = NOW() WHERE id = $2',
+      [balanceDue, ride.rider_id]
+    );
+  }
+
+  return { walletDebited, balanceDue };
+};
+
+/**
+ * Cancel a ride under the cancellation policy
+ * - A driver cancelling before pickup releases the ride back to MATCHING and it is
+ *   dispatched again (the driver isn't offered it again); the rider keeps their ride
+ * - Otherwise the ride is CANCELLED with the fee the policy sets; a card hold is
+ *   released, or the fee captured from it; cash and wallet fees are collected with
+ *   collectCancellationFee
+ * - Penalized driver cancellations count as unaccepted offers in the acceptance rate
+ * @param {string} rideId
+ * @param {Object} options - { cancelledBy: 'rider' | 'driver' | 'system', reason, actor }
+ * @returns {Promise<Object>} Ride, with `cancellation` describing the outcome
+ */
+const cancelRide = async (rideId, { cancelledBy, reason = null, actor = SYSTEM_ACTOR }) => {
+  const { ride, driverId, cancellation } = await executeTransaction(async (client) => {
+    const current = await client.query('SELECT * FROM rides WHERE id = $1 FOR UPDATE', [rideId]);
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Ride');
+    }
+
+    const existing = current.rows[0];
+    const assessment = assessCancellation(existing, cancelledBy);
+
+    const updated = assessment.redispatch
+      // A fresh matching clock, so the timeout doesn't count the time spent with this driver
+      ? await client.query(
+        `UPDATE rides
+         SET status = 'MATCHING', driver_id = NULL, matched_at = NULL, arrived_at = NULL,
+             matching_started_at = NOW(), dispatch_round = 0, version = version + 1, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [rideId]
+      )
+      : await client.query(
+        `UPDATE rides
+         SET status = 'CANCELLED', cancelled_at = NOW(), cancellation_reason = $1, cancellation_fee = $2,
+             cancelled_by = $3, cancellation_policy = $4, version = version + 1, updated_at = NOW()
+         WHERE id = $5
+         RETURNING *`,
+        [reason, assessment.total, cancelledBy, assessment.policy, rideId]
+      );
+
+    const collected = !assessment.redispatch && assessment.total > 0 && existing.payment_method !== 'card'
+      ? await collectCancellationFee(client, existing, assessment.total)
+      : { walletDebited: 0, balanceDue: 0 };
+
+    await client.query(
+      "UPDATE ride_offers SET status = 'cancelled' WHERE ride_id = $1 AND status = 'pending'",
+      [rideId]
+    );
+
+    if (assessment.driverPenalty) {
+      await client.query(
+        `UPDATE ride_offers SET status = 'driver_cancelled', responded_at = NOW(), decline_reason = $3
+         WHERE ride_id = $1 AND driver_id = $2 AND status = 'accepted'`,
+        [rideId, existing.driver_id, reason || assessment.policy]
+      );
+    }
+
+    if (existing.driver_id) {
+      // A pool driver with other riders on board stays busy
+      await client.query(
+        `UPDATE drivers SET status = 'online', updated_at = NOW()
+         WHERE id = $1 AND NOT EXISTS (
+           SELECT 1 FROM rides
+           WHERE driver_id = $1 AND status IN ('DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE', 'DRIVER_ARRIVED', 'IN_PROGRESS')
+         )`,
+        [existing.driver_id]
+      );
+    }
+
+    if (existing.tier === 'pool') {
+      // Drop the rider's remaining stops from the driver's pool manifest
+      await client.query(
+        `UPDATE pool_stops SET status = 'cancelled', updated_at = NOW()
+         WHERE ride_id = $1 AND status = 'pending'`,
+        [rideId]
+      );
+    }
+
+    await recordRideEvent(client, {
+      rideId,
+      eventType: assessment.redispatch ? 'DRIVER_CANCELLED' : 'RIDE_CANCELLED',
+      fromStatus: existing.status,
+      toStatus: updated.rows[0].status,
+      actor,
+      metadata: {
+        cancelled_by: cancelledBy,
+        reason,
+        policy: assessment.policy,
+        fee: assessment.total,
+        wallet_debited: collected.walletDebited,
+        balance_due: collected.balanceDue,
+        driver_id: existing.driver_id,
+        driver_penalized: assessment.driverPenalty,
+      },
+    });
+
+    return {
+      ride: updated.rows[0],
+      driverId: existing.driver_id,
+      cancellation: {
+        cancelled_by: cancelledBy,
+        policy: assessment.policy,
+        fee: assessment.fee,
+        waiting_fare: assessment.waitingFare,
+        total: assessment.total,
+        wallet_debited: collected.walletDebited,
+        balance_due: collected.balanceDue,
+        redispatched: assessment.redispatch,
+        driver_penalized: assessment.driverPenalty,
+      },
+    };
+  });
+
+  ride.cancellation = cancellation;
+
+  if (driverId) {
+    stopDriverSimulation(driverId);
+  }
+
+  if (!cancellation.redispatched && ride.payment_method === 'card') {
+    ride.payment_hold = await releaseRideHold(rideId, { captureAmount: cancellation.total });
+  }
+
+  await Promise.all([
+    invalidateRideCache(rideId, driverId, ride.rider_id),
+    driverId ? invalidateDriverCache(driverId) : null,
+    cancellation.driver_penalized
+      ? updateAcceptanceRate(driverId).catch(err => console.error('Acceptance rate update failed:', err.message))
+      : null,
+  ]);
+
+  if (cancellation.redispatched) {
+    await Promise.all([
+      publishRideEvent(rideId, ride.tenant_id, 'DRIVER_CANCELLED', {
+        ride_id: rideId,
+        driver_id: driverId,
+        reason,
+      }),
+      publishNotification(ride.rider_id, 'DRIVER_CANCELLED', {
+        ride_id: rideId,
+        message: 'Your driver cancelled. Finding you another driver.',
+      }),
+    ]);
+
+    try {
+      const matchResult = await findDriversForRide(rideId);
+      console.log(`Re-dispatching ride ${rideId}: ${matchResult.message}`);
+    } catch (matchError) {
+      // The stalled-matching worker picks the ride up again
+      console.error(`Re-dispatch error for ride ${rideId}:`, matchError.message);
+    }
+
+    return ride;
+  }
+
+  // Tell whoever didn't cancel
+  await Promise.all([
+    publishRideEvent(rideId, ride.tenant_id, 'RIDE_CANCELLED', {
+      ride_id: rideId,
+      cancelled_by: cancelledBy,
+      policy: cancellation.policy,
+      fee: cancellation.total,
+      reason,
+    }),
+    cancelledBy !== 'rider'
+      ? publishNotification(ride.rider_id, 'RIDE_CANCELLED', {
+        ride_id: rideId,
+        cancelled_by: cancelledBy,
+        fee: cancellation.total,
+        message: cancelledBy === 'system'
+          ? 'Your ride was cancelled by support. You have not been charged.'
+          : `Your driver waited at pickup and cancelled. A no-show fee of ${cancellation.total} applies.`,
+      })
+      : null,
+    cancelledBy !== 'driver' && driverId
+      ? publishNotification(driverId, 'RIDE_CANCELLED', {
+        ride_id: rideId,
+        cancelled_by: cancelledBy,
+        message: cancelledBy === 'system' ? 'This ride was cancelled by support.' : 'The rider cancelled this ride.',
+      })
+      : null,
+  ]);
+
+  return ride;
+};
+
+module.exports = {
+  assessCancellation,
+  cancelRide,
+  CANCELLATION_POLICY,
+};
@@ -7,7 +7,7 @@ const {
   removeDriverLocation 
 } = require('../config/redis');
 const { publishLocationUpdate, publishNotification } = require('../config/kafka');
-const { NotFoundError, ConflictError, InvalidStateTransitionError } = require('../utils/errors');
+const { NotFoundError, ConflictError, ForbiddenError, InvalidStateTransitionError } = require('../utils/errors');
 const {
   cacheGet,
   cacheSet,
@@ -17,6 +17,9 @@ const {
   invalidateDriverCache,
 } = require('./cacheService');
 
+// Number of most recent ratings that make up a driver's or rider's average
+const RATING_WINDOW_SIZE = parseInt(process.env.RATING_WINDOW_SIZE) || 100;
+
 // =============================================
 // LOCATION UPDATE BATCHING FOR HIGH THROUGHPUT
 // =============================================
@@ -120,7 +123,7 @@ const updateLocation = async (driverId, locationData) => {
 
   // Update geo-index if driver is online (Redis GEO - O(log(N)))
   if (driverInfo.status === 'online') {
-    await addDriverLocation(driverInfo.vehicle_type, driverId, longitude, latitude);
+    await addDriverLocation(driverInfo.tenant_id, driverInfo.vehicle_type, driverId, longitude, latitude);
   }
 
   // Batch location for DB history (async, non-blocking)
@@ -135,6 +138,7 @@ const updateLocation = async (driverId, locationData) => {
     longitude,
     heading,
     speed,
+    accuracy,
     vehicle_type: driverInfo.vehicle_type,
     status: driverInfo.status,
   }).catch(err => console.error('Kafka publish failed:', err.message));
@@ -156,6 +160,16 @@ const updateDriverStatus = async (driverId, status) => {
     throw new ConflictError(`Invalid status: ${status}`);
   }
 
+  if (status === 'online') {
+    const suspended = await query(
+      'SELECT 1 FROM drivers WHERE id = $1 AND suspended_at IS NOT NULL',
+      [driverId]
+    );
+    if (suspended.rowCount > 0) {
+      throw new ForbiddenError('Driver account is suspended');
+    }
+  }
+
   const result = await query(
     `UPDATE drivers SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
     [status, driverId]
@@ -188,11 +202,11 @@ const updateDriverStatus = async (driverId, status) => {
     
     if (locationResult.rows[0]) {
       const { latitude, longitude } = locationResult.rows[0];
-      await addDriverLocation(driver.vehicle_type, driverId, longitude, latitude);
+      await addDriverLocation(driver.tenant_id, driver.vehicle_type, driverId, longitude, latitude);
     }
   } else {
     // Remove from geo-index when offline or busy
-    await removeDriverLocation(driver.vehicle_type, driverId);
+    await removeDriverLocation(driver.tenant_id, driver.vehicle_type, driverId);
   }
 
   // Invalidate other caches
@@ -201,6 +215,75 @@ const updateDriverStatus = async (driverId, status) => {
   return driver;
 };
 
+/**
+ * Suspend a driver (operations)
+ * - Takes them offline and out of the geo index, and withdraws their pending offers
+ * - A ride already underway is left to finish; matching skips suspended drivers
+ */
+const suspendDriver = async (driverId, reason = null) => {
+  const result = await query(
+    `UPDATE drivers
+     SET suspended_at = NOW(), suspension_reason = $1,
+         status = CASE WHEN status = 'busy' THEN status ELSE 'offline' END,
+         updated_at = NOW()
+     WHERE id = $2 AND suspended_at IS NULL
+     RETURNING *`,
+    [reason, driverId]
+  );
+
+  if (result.rowCount === 0) {
+    const exists = await query('SELECT 1 FROM drivers WHERE id = $1', [driverId]);
+    if (exists.rowCount === 0) {
+      throw new NotFoundError('Driver');
+    }
+    throw new ConflictError('Driver is already suspended');
+  }
+
+  const driver = result.rows[0];
+
+  await Promise.all([
+    removeDriverLocation(driver.tenant_id, driver.vehicle_type, driverId),
+    query(
+      "UPDATE ride_offers SET status = 'cancelled' WHERE driver_id = $1 AND status = 'pending'",
+      [driverId]
+    ),
+    invalidateDriverCache(driverId),
+  ]);
+
+  publishNotification(driverId, 'DRIVER_SUSPENDED', { reason })
+    .catch(err => console.error('Notification failed:', err.message));
+
+  return driver;
+};
+
+/**
+ * Lift a driver's suspension; they stay offline until they go online themselves
+ */
+const reinstateDriver = async (driverId) => {
+  const result = await query(
+    `UPDATE drivers
+     SET suspended_at = NULL, suspension_reason = NULL, updated_at = NOW()
+     WHERE id = $1 AND suspended_at IS NOT NULL
+     RETURNING *`,
+    [driverId]
+  );
+
+  if (result.rowCount === 0) {
+    const exists = await query('SELECT 1 FROM drivers WHERE id = $1', [driverId]);
+    if (exists.rowCount === 0) {
+      throw new NotFoundError('Driver');
+    }
+    throw new ConflictError('Driver is not suspended');
+  }
+
+  await invalidateDriverCache(driverId);
+
+  publishNotification(driverId, 'DRIVER_REINSTATED', {})
+    .catch(err => console.error('Notification failed:', err.message));
+
+  return result.rows[0];
+};
+
 /**
  * OPTIMIZED: Get driver status (Redis hash for sub-ms latency)
  */
@@ -286,17 +369,44 @@ const getOnlineDriversCount = async (tenantId) => {
 };
 
 /**
- * Update driver rating after trip (atomic)
+ * Recompute a driver's rating from their most recent trip ratings (atomic)
+ * - Rolling window of RATING_WINDOW_SIZE ratings so old trips age out
+ * - Drivers with no ratings yet keep their current rating
  */
-const updateDriverRating = async (driverId, newRating) => {
+const updateDriverRating = async (driverId, windowSize = RATING_WINDOW_SIZE) => {
   const result = await query(
     `UPDATE drivers 
-     SET rating = (rating * total_rides + $1) / (total_rides + 1),
-         total_rides = total_rides + 1,
+     SET rating = COALESCE((
+           SELECT ROUND(AVG(rating)::numeric, 2) FROM (
+             SELECT rating FROM trip_ratings
+             WHERE ratee_id = $1 AND rated_by = 'rider'
+             ORDER BY created_at DESC
+             LIMIT $2
+           ) recent
+         ), rating),
          updated_at = NOW()
-     WHERE id = $2
+     WHERE id = $1
      RETURNING *`,
-    [newRating, driverId]
+    [driverId, windowSize]
+  );
+
+  if (result.rowCount === 0) {
+    throw new NotFoundError('Driver');
+  }
+
+  await invalidateDriverCache(driverId);
+  return result.rows[0];
+};
+
+/**
+ * Set the lowest rider rating a driver wants to receive offers for (null = any)
+ */
+const updateRiderFilter = async (driverId, minRiderRating) => {
+  const result = await query(
+    `UPDATE drivers SET min_rider_rating = $1, updated_at = NOW()
+     WHERE id = $2
+     RETURNING id, min_rider_rating`,
+    [minRiderRating, driverId]
   );
 
   if (result.rowCount === 0) {
@@ -325,7 +435,8 @@ const getPendingOffers = async (driverId) => {
        r.tier,
        r.estimated_fare,
        r.estimated_distance_km,
-       ri.name as rider_name
+       ri.name as rider_name,
+       ri.rating as rider_rating
      FROM ride_offers ro
      JOIN rides r ON ro.ride_id = r.id
      JOIN riders ri ON r.rider_id = ri.id
@@ -361,11 +472,15 @@ module.exports = {
   getDriverById,
   updateLocation,
   updateDriverStatus,
+  suspendDriver,
+  reinstateDriver,
   getDriverStatus,
   getDriversByTenant,
   getOnlineDriversCount,
   updateDriverRating,
+  updateRiderFilter,
   getPendingOffers,
   getDriverPendingOffers,
   cleanup,
+  RATING_WINDOW_SIZE,
 };
@@ -0,0 +1,369 @@
+const { query, queryRead, executeTransaction } = require('../config/database');
+const { publishNotification } = require('../config/kafka');
+
+// Platform commission, unless the tenant sets its own (tenants.driver_commission_percent)
+const EARNINGS_CONFIG = {
+  defaultCommissionPercent: parseFloat(process.env.DRIVER_COMMISSION_PERCENT) || 20,
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the commission a tenant charges on the fare
+ */
+const getCommissionPercent = async (client, tenantId) => {
+  const result = await client.query(
+    'SELECT driver_commission_percent FROM tenants WHERE id = $1',
+    [tenantId]
+  );
+
+  const percent = result.rows[0]?.driver_commission_percent;
+  return percent === null || percent === undefined
+    ? EARNINGS_CONFIG.defaultCommissionPercent
+    : parseFloat(percent);
+};
+
+/**
+ * Split a fare between the driver and the platform
+ * - Commission is taken from the fare before taxes; taxes never reach the driver
+ * - Tolls the driver paid are handed back in full
+ */
+const splitFare = (fare, commissionPercent) => {
+  const grossFare = roundAmount(fare.subtotal + fare.surgeFare);
+  const commission = roundAmount(grossFare * commissionPercent / 100);
+
+  return {
+    grossFare,
+    commission,
+    amount: roundAmount(grossFare - commission + (fare.tolls || 0)),
+  };
+};
+
+/**
+ * Rebuild the fare splitFare needs from a completed trip's row
+ */
+const tripFare = (trip) => ({
+  subtotal: roundAmount(['base_fare', 'distance_fare', 'time_fare', 'minimum_fare_adjustment']
+    .reduce((sum, column) => sum + (parseFloat(trip[column]) || 0), 0)),
+  surgeFare: parseFloat(trip.surge_fare) || 0,
+  tolls: parseFloat(trip.tolls) || 0,
+});
+
+/**
+ * Work out the driver's share of a fare without recording it
+ * @returns {Promise<Object>} { grossFare, commission, amount, commissionPercent }
+ */
+const estimateTripEarning = async (client, tenantId, fare) => {
+  const commissionPercent = await getCommissionPercent(client, tenantId);
+  return { ...splitFare(fare, commissionPercent), commissionPercent };
+};
+
+/**
+ * Award any trip-count bonus the driver has just reached (inside a transaction)
+ * - A rule pays once per day/week; reaching it again in the same period is a no-op
+ * - Refunded trips don't count
+ */
+const awardIncentives = async (client, tenantId, driverId) => {
+  const result = await client.query(
+    `INSERT INTO driver_earnings
+       (tenant_id, driver_id, kind, incentive_rule_id, incentive_period_start, amount)
+     SELECT $1, $2, 'incentive', ir.id, date_trunc(ir.period, NOW()), ir.bonus_amount
+     FROM incentive_rules ir
+     WHERE ir.tenant_id = $1 AND ir.active
+       AND ir.trips_required <= (
+         SELECT COUNT(*) FROM driver_earnings de
+         WHERE de.driver_id = $2 AND de.kind = 'trip'
+           AND de.created_at >= date_trunc(ir.period, NOW())
+           AND NOT EXISTS (
+             SELECT 1 FROM driver_earnings rf WHERE rf.trip_id = de.trip_id AND rf.kind = 'refund'
+           )
+       )
+     ON CONFLICT (driver_id, incentive_rule_id, incentive_period_start) WHERE kind = 'incentive'
+     DO NOTHING
+     RETURNING *`,
+    [tenantId, driverId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Record what the driver earned on a trip (inside the payment transaction)
+ * @param {Object} client - Transaction client
+ * @param {Object} trip - { tripId, tenantId, driverId, fare } (fare as from pricingService or tripFare)
+ * @returns {Promise<Object>} { earning, incentives }
+ */
+const recordTripEarning = async (client, { tripId, tenantId, driverId, fare }) => {
+  const split = await estimateTripEarning(client, tenantId, fare);
+  const { commissionPercent } = split;
+
+  const result = await client.query(
+    `INSERT INTO driver_earnings
+       (tenant_id, driver_id, kind, trip_id, gross_fare, commission, commission_percent, amount)
+     VALUES ($1, $2, 'trip', $3, $4, $5, $6, $7)
+     ON CONFLICT (trip_id, kind) WHERE trip_id IS NOT NULL DO NOTHING
+     RETURNING *`,
+    [tenantId, driverId, tripId, split.grossFare, split.commission, commissionPercent, split.amount]
+  );
+
+  if (result.rowCount === 0) {
+    // Already recorded (e.g. a retried transaction)
+    const existing = await client.query(
+      "SELECT * FROM driver_earnings WHERE trip_id = $1 AND kind = 'trip'",
+      [tripId]
+    );
+    return { earning: existing.rows[0], incentives: [] };
+  }
+
+  const incentives = await awardIncentives(client, tenantId, driverId);
+
+  return { earning: result.rows[0], incentives };
+};
+
+/**
+ * Record the driver's side of a completed payment (inside the payment transaction)
+ * - The trip's share is only earned once the rider has paid
+ * - The tip goes to the driver in full
+ * - Cash stays with the driver, so it's taken off what the platform owes them
+ * @param {Object} client - Transaction client
+ * @param {Object} payment - { tripId, tenantId, driverId, fare, paymentMethod, amount, tip }
+ * @returns {Promise<Object>} { earning, incentives } for the trip
+ */
+const recordPaymentEarnings = async (client, { tripId, tenantId, driverId, fare, paymentMethod, amount, tip = 0 }) => {
+  const tripEarning = await recordTripEarning(client, { tripId, tenantId, driverId, fare });
+
+  const entries = [];
+  if (parseFloat(tip) > 0) {
+    entries.push({ kind: 'tip', amount: roundAmount(parseFloat(tip)) });
+  }
+  if (paymentMethod === 'cash') {
+    entries.push({ kind: 'cash_collected', amount: -roundAmount(parseFloat(amount)) });
+  }
+
+  for (const entry of entries) {
+    await client.query(
+      `INSERT INTO driver_earnings (tenant_id, driver_id, kind, trip_id, amount)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (trip_id, kind) WHERE trip_id IS NOT NULL DO NOTHING`,
+      [tenantId, driverId, entry.kind, tripId, entry.amount]
+    );
+  }
+
+  return tripEarning;
+};
+
+/**
+ * Take a refunded trip's fare share and tip back off the driver (inside the refund transaction)
+ * - One refund entry per trip, netted against their next payout if the trip was already paid out
+ * @returns {Promise<Object|null>} The refund entry, or null if nothing was earned on the trip
+ */
+const reverseTripEarnings = async (client, tripId) => {
+  const result = await client.query(
+    `INSERT INTO driver_earnings (tenant_id, driver_id, kind, trip_id, gross_fare, commission, amount)
+     SELECT tenant_id, driver_id, 'refund', trip_id, -SUM(gross_fare), -SUM(commission), -SUM(amount)
+     FROM driver_earnings
+     WHERE trip_id = $1 AND kind IN ('trip', 'tip')
+     GROUP BY tenant_id, driver_id, trip_id
+     ON CONFLICT (trip_id, kind) WHERE trip_id IS NOT NULL DO NOTHING
+     RETURNING *`,
+    [tripId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Sums of a set of earnings rows, shared by the per-period and total figures
+const SUMMARY_COLUMNS = `
+  COUNT(*) FILTER (WHERE kind = 'trip') AS trips,
+  COALESCE(SUM(gross_fare), 0) AS gross_fare,
+  COALESCE(SUM(commission), 0) AS commission,
+  COALESCE(SUM(amount) FILTER (WHERE kind = 'trip'), 0) AS trip_earnings,
+  COALESCE(SUM(amount) FILTER (WHERE kind = 'tip'), 0) AS tips,
+  COALESCE(SUM(amount) FILTER (WHERE kind = 'incentive'), 0) AS incentives,
+  COALESCE(SUM(amount) FILTER (WHERE kind = 'cash_collected'), 0) AS cash_collected,
+  COALESCE(SUM(amount) FILTER (WHERE kind = 'refund'), 0) AS refunds`;
+
+const toSummary = (row) => {
+  const summary = {
+    trips: parseInt(row.trips),
+    gross_fare: roundAmount(parseFloat(row.gross_fare)),
+    commission: roundAmount(parseFloat(row.commission)),
+    trip_earnings: roundAmount(parseFloat(row.trip_earnings)),
+    tips: roundAmount(parseFloat(row.tips)),
+    incentives: roundAmount(parseFloat(row.incentives)),
+    cash_collected: roundAmount(parseFloat(row.cash_collected)),
+    refunds: roundAmount(parseFloat(row.refunds)),
+  };
+
+  // What the driver made after refunds, and what the platform still has to pay after cash kept
+  summary.earnings = roundAmount(summary.trip_earnings + summary.tips + summary.incentives + summary.refunds);
+  summary.net_payable = roundAmount(summary.earnings + summary.cash_collected);
+
+  return summary;
+};
+
+/**
+ * Get a driver's earnings statement, broken down by day or week
+ * @param {string} driverId
+ * @param {Object} options - { from, to, groupBy: 'day' | 'week' } (defaults: the last 7 days, by day)
+ */
+const getStatement = async (driverId, { from, to, groupBy = 'day' } = {}) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const range = [driverId, start, end];
+
+  const [periodsResult, totalsResult, entriesResult, unpaidResult] = await Promise.all([
+    queryRead(
+      `SELECT date_trunc('${groupBy === 'week' ? 'week' : 'day'}', created_at) AS period_start, ${SUMMARY_COLUMNS}
+       FROM driver_earnings
+       WHERE driver_id = $1 AND created_at >= $2 AND created_at < $3
+       GROUP BY period_start
+       ORDER BY period_start DESC`,
+      range
+    ),
+    queryRead(
+      `SELECT ${SUMMARY_COLUMNS}
+       FROM driver_earnings
+       WHERE driver_id = $1 AND created_at >= $2 AND created_at < $3`,
+      range
+    ),
+    queryRead(
+      `SELECT de.id, de.kind, de.trip_id, de.gross_fare, de.commission, de.commission_percent,
+         de.amount, de.payout_id, de.created_at, ir.name AS incentive_name
+       FROM driver_earnings de
+       LEFT JOIN incentive_rules ir ON ir.id = de.incentive_rule_id
+       WHERE de.driver_id = $1 AND de.created_at >= $2 AND de.created_at < $3
+       ORDER BY de.created_at DESC
+       LIMIT 100`,
+      range
+    ),
+    queryRead(
+      `SELECT COALESCE(SUM(amount), 0) AS balance
+       FROM driver_earnings
+       WHERE driver_id = $1 AND payout_id IS NULL`,
+      [driverId]
+    ),
+  ]);
+
+  return {
+    driver_id: driverId,
+    from: start,
+    to: end,
+    group_by: groupBy,
+    totals: toSummary(totalsResult.rows[0]),
+    periods: periodsResult.rows.map(row => ({
+      period_start: row.period_start,
+      ...toSummary(row),
+    })),
+    entries: entriesResult.rows,
+    unpaid_balance: roundAmount(parseFloat(unpaidResult.rows[0].balance)),
+    currency: 'INR',
+  };
+};
+
+/**
+ * Get a driver's payouts, newest first
+ */
+const getPayouts = async (driverId, { limit = 20, offset = 0 } = {}) => {
+  const result = await queryRead(
+    `SELECT * FROM driver_payouts
+     WHERE driver_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [driverId, limit, offset]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Roll one driver's unpaid earnings before the cut-off into a payout
+ * - Rows are locked so a concurrent batch can't pay them twice
+ * - Nothing is paid while cash kept outweighs what's owed; it carries over
+ */
+const createPayout = async (driverId, tenantId, cutoff) => {
+  return executeTransaction(async (client) => {
+    const unpaid = await client.query(
+      `SELECT id, amount, created_at FROM driver_earnings
+       WHERE driver_id = $1 AND payout_id IS NULL AND created_at < $2
+       FOR UPDATE`,
+      [driverId, cutoff]
+    );
+
+    const amount = roundAmount(unpaid.rows.reduce((sum, row) => sum + parseFloat(row.amount), 0));
+    if (amount <= 0) {
+      return null;
+    }
+
+    const periodStart = unpaid.rows.reduce(
+      (oldest, row) => (row.created_at < oldest ? row.created_at : oldest),
+      unpaid.rows[0].created_at
+    );
+
+    const payoutResult = await client.query(
+      `INSERT INTO driver_payouts (tenant_id, driver_id, amount, entry_count, period_start, period_end)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [tenantId, driverId, amount, unpaid.rowCount, periodStart, cutoff]
+    );
+    const payout = payoutResult.rows[0];
+
+    await client.query(
+      'UPDATE driver_earnings SET payout_id = $1 WHERE id = ANY($2)',
+      [payout.id, unpaid.rows.map(row => row.id)]
+    );
+
+    return payout;
+  });
+};
+
+/**
+ * Pay out every driver's earnings from before today
+ * @param {Object} [options]
+ * @param {Date} [options.cutoff] - Only earnings before this are paid (default: start of today)
+ * @returns {Promise<Array>} Payouts created
+ */
+const runPayoutBatch = async ({ cutoff } = {}) => {
+  const batchCutoff = cutoff
+    || (await query("SELECT date_trunc('day', NOW()) AS cutoff")).rows[0].cutoff;
+
+  const due = await query(
+    `SELECT driver_id, tenant_id FROM driver_earnings
+     WHERE payout_id IS NULL AND created_at < $1
+     GROUP BY driver_id, tenant_id
+     HAVING SUM(amount) > 0`,
+    [batchCutoff]
+  );
+
+  const payouts = [];
+  for (const { driver_id: driverId, tenant_id: tenantId } of due.rows) {
+    try {
+      const payout = await createPayout(driverId, tenantId, batchCutoff);
+      if (payout) {
+        payouts.push(payout);
+        await publishNotification(driverId, 'PAYOUT_CREATED', {
+          payout_id: payout.id,
+          amount: parseFloat(payout.amount),
+        });
+      }
+    } catch (error) {
+      console.error(`Payout failed for driver ${driverId}:`, error.message);
+    }
+  }
+
+  return payouts;
+};
+
+module.exports = {
+  splitFare,
+  tripFare,
+  estimateTripEarning,
+  recordTripEarning,
+  recordPaymentEarnings,
+  reverseTripEarnings,
+  awardIncentives,
+  getStatement,
+  getPayouts,
+  runPayoutBatch,
+  EARNINGS_CONFIG,
+};
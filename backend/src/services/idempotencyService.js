@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { getRedisClient } = require('../config/redis');
+const { IdempotencyKeyMismatchError } = require('../utils/errors');
+const { CACHE_KEYS } = require('./cacheService');
+
+const IDEMPOTENCY_TTL = 24 * 60 * 60; // 24 hours in seconds
+const IDEMPOTENCY_LOCK_TTL = 30; // A request holding a key this long is presumed dead
+
+const responseKey = (scope, key) => CACHE_KEYS.IDEMPOTENCY(`${scope}:${key}`);
+const lockKey = (scope, key) => `${responseKey(scope, key)}:lock`;
+
+/**
+ * JSON with object keys sorted, so equal bodies hash equally whatever their key order
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint of a request an idempotency key is bound to
+ * @param {Object} request - { method, path, body }
+ * @returns {string} SHA-256 hex digest
+ */
+const fingerprintRequest = ({ method, path, body }) => crypto
+  .createHash('sha256')
+  .update(`${method.toUpperCase()} ${path}\n${stableStringify(body || {})}`)
+  .digest('hex');
+
+/**
+ * Run Redis commands, or return null when Redis is down
+ */
+const withRedis = async (commands) => {
+  try {
+    return await commands(getRedisClient());
+  } catch (error) {
+    console.warn('Redis unavailable for idempotency, using Postgres:', error.message);
+    return null;
+  }
+};
+
+const toResponse = (row) => ({ statusCode: row.response_status, body: row.response_body });
+
+const assertSameRequest = (storedHash, requestHash) => {
+  if (storedHash && storedHash !== requestHash) {
+    throw new IdempotencyKeyMismatchError();
+  }
+};
+
+/**
+ * Completed response stored in Postgres for a key, if any
+ */
+const findStoredResponse = async (scope, key) => {
+  const result = await query(
+    `SELECT request_hash, response_status, response_body FROM idempotency_keys
+     WHERE scope = $1 AND key = $2 AND status = 'completed' AND expires_at > NOW()`,
+    [scope, key]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Claim a key in Postgres (Redis is down)
+ * - An expired key, or one whose request died holding it, is taken over
+ */
+const claimInPostgres = async (scope, key, requestHash, ttl) => {
+  await query(
+    `DELETE FROM idempotency_keys
+     WHERE scope = $1 AND key = $2
+       AND (expires_at < NOW() OR (status = 'processing' AND locked_until < NOW()))`,
+    [scope, key]
+  );
+
+  const inserted = await query(
+    `INSERT INTO idempotency_keys (scope, key, request_hash, status, locked_until, expires_at)
+     VALUES ($1, $2, $3, 'processing', NOW() + make_interval(secs => $4), NOW() + make_interval(secs => $5))
+     ON CONFLICT (scope, key) DO NOTHING
+     RETURNING key`,
+    [scope, key, requestHash, IDEMPOTENCY_LOCK_TTL, ttl]
+  );
+  if (inserted.rowCount > 0) {
+    return { status: 'claimed' };
+  }
+
+  const existing = await query(
+    `SELECT request_hash, status, response_status, response_body FROM idempotency_keys
+     WHERE scope = $1 AND key = $2`,
+    [scope, key]
+  );
+  const row = existing.rows[0];
+  if (!row) {
+    // Released between our insert and select
+    return { status: 'in_progress' };
+  }
+
+  assertSameRequest(row.request_hash, requestHash);
+  return row.status === 'completed'
+    ? { status: 'replay', response: toResponse(row) }
+    : { status: 'in_progress' };
+};
+
+/**
+ * Claim an idempotency key for a request about to run
+ * - Redis holds the lock and caches responses; the durable copy in Postgres is checked
+ *   too, so a response Redis lost is still replayed, and alone serves while Redis is down
+ * @param {string} scope - Whose key it is (keys are unique per scope)
+ * @param {string} key - Idempotency key
+ * @param {string} requestHash - fingerprintRequest() of the request
+ * @param {Object} [options] - { ttl } in seconds
+ * @returns {Promise<Object>} { status: 'claimed' | 'replay' | 'in_progress', response }
+ * @throws {IdempotencyKeyMismatchError} If the key was used for a different request
+ */
+const claimKey = async (scope, key, requestHash, { ttl = IDEMPOTENCY_TTL } = {}) => {
+  const cached = await withRedis(async (redis) => {
+    const response = await redis.get(responseKey(scope, key));
+    if (response) {
+      return { response: JSON.parse(response) };
+    }
+
+    const locked = await redis.set(lockKey(scope, key), requestHash, 'EX', IDEMPOTENCY_LOCK_TTL, 'NX');
+    return locked ? { claimed: true } : { heldBy: await redis.get(lockKey(scope, key)) };
+  });
+
+  if (!cached) {
+    return claimInPostgres(scope, key, requestHash, ttl);
+  }
+
+  if (cached.response) {
+    assertSameRequest(cached.response.requestHash, requestHash);
+    return { status: 'replay', response: { statusCode: cached.response.statusCode, body: cached.response.body } };
+  }
+
+  if (!cached.claimed) {
+    assertSameRequest(cached.heldBy, requestHash);
+    return { status: 'in_progress' };
+  }
+
+  let stored;
+  try {
+    stored = await findStoredResponse(scope, key);
+  } catch (error) {
+    await releaseKey(scope, key);
+    throw error;
+  }
+  if (stored) {
+    await withRedis(redis => redis.del(lockKey(scope, key)));
+    assertSameRequest(stored.request_hash, requestHash);
+    return { status: 'replay', response: toResponse(stored) };
+  }
+
+  return { status: 'claimed' };
+};
+
+/**
+ * Response already stored for a key, without claiming it
+ * @returns {Promise<Object|null>} { statusCode, body } or null
+ * @throws {IdempotencyKeyMismatchError} If the key was used for a different request
+ */
+const findResponse = async (scope, key, requestHash) => {
+  const cached = await withRedis(redis => redis.get(responseKey(scope, key)));
+  if (cached) {
+    const response = JSON.parse(cached);
+    assertSameRequest(response.requestHash, requestHash);
+    return { statusCode: response.statusCode, body: response.body };
+  }
+
+  const stored = await findStoredResponse(scope, key);
+  if (!stored) return null;
+
+  assertSameRequest(stored.request_hash, requestHash);
+  return toResponse(stored);
+};
+
+/**
+ * Store the response of a request and release its key
+ * - Postgres first: pass the transaction client to commit it with the work it describes
+ * @param {Object} response - { statusCode, body }
+ * @param {Object} [options] - { db, ttl }
+ */
+const saveResponse = async (scope, key, requestHash, response, { db = { query }, ttl = IDEMPOTENCY_TTL } = {}) => {
+  await db.query(
+    `INSERT INTO idempotency_keys
+       (scope, key, request_hash, status, response_status, response_body, locked_until, expires_at)
+     VALUES ($1, $2, $3, 'completed', $4, $5, NULL, NOW() + make_interval(secs => $6))
+     ON CONFLICT (scope, key) DO UPDATE
+     SET request_hash = EXCLUDED.request_hash, status = 'completed', response_status = EXCLUDED.response_status,
+         response_body = EXCLUDED.response_body, locked_until = NULL, expires_at = EXCLUDED.expires_at`,
+    [scope, key, requestHash, response.statusCode, JSON.stringify(response.body), ttl]
+  );
+
+  await withRedis(redis => redis.multi()
+    .setex(responseKey(scope, key), ttl, JSON.stringify({ requestHash, ...response }))
+    .del(lockKey(scope, key))
+    .exec());
+};
+
+/**
+ * Give up a claimed key without a response, so the request can be retried
+ */
+const releaseKey = async (scope, key) => {
+  await Promise.all([
+    withRedis(redis => redis.del(lockKey(scope, key))),
+    query(
+      "DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2 AND status = 'processing'",
+      [scope, key]
+    ).catch(error => console.error('Failed to release idempotency key:', error.message)),
+  ]);
+};
+
+module.exports = {
+  fingerprintRequest,
+  claimKey,
+  findResponse,
+  saveResponse,
+  releaseKey,
+  IDEMPOTENCY_TTL,
+};
@@ -8,6 +8,8 @@ const {
 } = require('../config/redis');
 const { publishRideEvent, publishNotification } = require('../config/kafka');
 const { acquireLock, releaseLock } = require('./lockingService');
+const { enqueueRideEvent, enqueueNotification } = require('./outboxService');
+const { recordRideEvent } = require('./rideEventService');
 const { 
   NotFoundError, 
   ConflictError, 
@@ -27,20 +29,65 @@ const {
   invalidateDriverCurrentRide,
 } = require('./cacheService');
 const { startDriverSimulation, stopDriverSimulation, switchToTripPhase } = require('./simulationService');
+const { findPoolCandidates, attachRideToManifest, POOL_CONFIG } = require('./poolService');
+const { releaseRideHold } = require('./paymentService');
 
 const MATCHING_RADIUS_KM = parseFloat(process.env.MATCHING_RADIUS_KM) || 100;
 const MATCHING_TIMEOUT_MS = parseInt(process.env.MATCHING_TIMEOUT_MS) || 30000;
 const OFFER_EXPIRY_MS = 15000;
 
+// Dispatch waves: offer to the best few first, then widen the net
+const MATCHING_INITIAL_RADIUS_KM = Math.min(
+  parseFloat(process.env.MATCHING_INITIAL_RADIUS_KM) || 2,
+  MATCHING_RADIUS_KM
+);
+const RADIUS_GROWTH_FACTOR = 2;
+const DISPATCH_WAVE_SIZES = [3, 5];
+const CANDIDATE_SEARCH_LIMIT = 50;
+
 /**
- * OPTIMIZED: Find and match nearby drivers for a ride
- * - Uses Redis GEO for O(log(N)) nearby search
- * - Parallel DB queries where possible
- * - Batch notifications
+ * Search radius for a dispatch round (grows geometrically up to the max)
+ */
+const getDispatchRadius = (round) => {
+  return Math.min(
+    MATCHING_INITIAL_RADIUS_KM * Math.pow(RADIUS_GROWTH_FACTOR, round),
+    MATCHING_RADIUS_KM
+  );
+};
+
+/**
+ * Number of offers sent in a dispatch round (last size repeats)
+ */
+const getWaveSize = (round) => {
+  return DISPATCH_WAVE_SIZES[Math.min(round, DISPATCH_WAVE_SIZES.length - 1)];
+};
+
+/**
+ * Score and rank drivers by distance, rating and acceptance rate
+ */
+const scoreDrivers = (drivers, distanceMap) => {
+  return drivers
+    .map(driver => {
+      const distance = distanceMap.get(driver.id) || 999;
+      const distanceScore = 1 / (1 + distance);
+      const ratingScore = driver.rating / 5;
+      const acceptanceScore = driver.acceptance_rate / 100;
+      
+      return {
+        ...driver,
+        distance,
+        score: (distanceScore * 0.4) + (ratingScore * 0.3) + (acceptanceScore * 0.3),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * OPTIMIZED: Start matching drivers for a ride
+ * - Moves the ride to MATCHING and starts the matching clock
+ * - Sends the first dispatch wave
  */
 const findDriversForRide = async (rideId) => {
-  const startTime = Date.now();
-  
   // Get ride details (use read pool)
   const rideResult = await queryRead('SELECT * FROM rides WHERE id = $1', [rideId]);
   if (rideResult.rowCount === 0) {
@@ -53,73 +100,234 @@ const findDriversForRide = async (rideId) => {
     throw new InvalidStateTransitionError(ride.status, 'MATCHING', 'Ride');
   }
 
-  // Update ride to MATCHING status (async, don't wait)
-  query(
-    "UPDATE rides SET status = 'MATCHING', updated_at = NOW() WHERE id = $1",
-    [rideId]
-  ).catch(err => console.error('Status update failed:', err.message));
-
-  // Find nearby drivers using Redis GeoSpatial - O(log(N) + M)
-  const nearbyDrivers = await findNearbyDrivers(
-    ride.tier,
-    ride.pickup_lng,
-    ride.pickup_lat,
-    MATCHING_RADIUS_KM,
-    20
-  );
-
-  if (nearbyDrivers.length === 0) {
-    await query(
-      "UPDATE rides SET status = 'REQUESTED', updated_at = NOW() WHERE id = $1",
+  // Matching clock is kept across re-dispatches so MATCHING_TIMEOUT_MS is a hard limit
+  await executeTransaction(async (client) => {
+    await client.query(
+      `UPDATE rides 
+       SET status = 'MATCHING', matching_started_at = COALESCE(matching_started_at, NOW()), updated_at = NOW()
+       WHERE id = $1`,
       [rideId]
     );
-    return { drivers: [], message: 'No drivers available nearby' };
+
+    // A re-dispatch is already in MATCHING; only the first one is a transition
+    if (ride.status === 'REQUESTED') {
+      await recordRideEvent(client, {
+        rideId,
+        eventType: 'MATCHING_STARTED',
+        fromStatus: 'REQUESTED',
+        toStatus: 'MATCHING',
+      });
+    }
+  });
+  await invalidateRideCache(rideId, null, ride.rider_id);
+
+  return dispatchNextWave(rideId);
+};
+
+/**
+ * OPTIMIZED: Find fresh candidate drivers for a ride within a radius
+ * - Uses Redis GEO for O(log(N)) nearby search
+ * - Skips drivers who were already offered this ride
+ * - Skips drivers whose rider filter excludes this rider (ride.rider_rating)
+ */
+const findCandidateDrivers = async (ride, radiusKm, excludedDriverIds) => {
+  // Pool rides are served by several vehicle types, and first offered to
+  // drivers already on a pool trip that passes nearby
+  const isPool = ride.tier === 'pool';
+  const geoTiers = isPool ? POOL_CONFIG.vehicleTiers : [ride.tier];
+
+  const [pooledDrivers, ...nearbyByTier] = await Promise.all([
+    isPool ? findPoolCandidates(ride, excludedDriverIds) : [],
+    ...geoTiers.map(tier => findNearbyDrivers(
+      ride.tenant_id,
+      tier,
+      ride.pickup_lng,
+      ride.pickup_lat,
+      radiusKm,
+      CANDIDATE_SEARCH_LIMIT
+    )),
+  ]);
+
+  const nearbyDrivers = nearbyByTier.flat().filter(d => !excludedDriverIds.has(d.driverId));
+
+  if (nearbyDrivers.length === 0) {
+    return pooledDrivers;
   }
 
   // Get driver details - single optimized query
-  const driverIds = nearbyDrivers.map(d => d.driverId);
+  // Drivers can opt out of riders rated below their min_rider_rating
   const driversResult = await queryRead(
     `SELECT id, name, rating, total_rides, acceptance_rate, vehicle_type 
      FROM drivers 
-     WHERE id = ANY($1) AND status = 'online'`,
-    [driverIds]
+     WHERE id = ANY($1) AND status = 'online' AND suspended_at IS NULL
+       AND (min_rider_rating IS NULL OR min_rider_rating <= $2)`,
+    [nearbyDrivers.map(d => d.driverId), ride.rider_rating || 5]
   );
 
   // Create distance lookup map for O(1) access
   const distanceMap = new Map(nearbyDrivers.map(d => [d.driverId, d.distance]));
 
-  // Score and rank drivers
-  const scoredDrivers = driversResult.rows
-    .map(driver => {
-      const distance = distanceMap.get(driver.id) || 999;
-      const distanceScore = 1 / (1 + distance);
-      const ratingScore = driver.rating / 5;
-      const acceptanceScore = driver.acceptance_rate / 100;
-      
-      return {
-        ...driver,
-        distance,
-        score: (distanceScore * 0.4) + (ratingScore * 0.3) + (acceptanceScore * 0.3),
-      };
-    })
-    .sort((a, b) => b.score - a.score);
+  return [...pooledDrivers, ...scoreDrivers(driversResult.rows, distanceMap)];
+};
 
-  // BATCH: Create offers for all drivers in parallel
-  const offerPromises = scoredDrivers.map(driver => 
-    createRideOffer(rideId, driver.id, ride.tenant_id)
-  );
-  
-  await Promise.all(offerPromises);
+/**
+ * Send the next wave of offers for a ride
+ * - Waits while offers from the previous wave are outstanding
+ * - Widens the radius round by round up to MATCHING_RADIUS_KM
+ * - Gives up with NO_DRIVERS_FOUND once MATCHING_TIMEOUT_MS has elapsed
+ */
+const dispatchNextWave = async (rideId) => {
+  const startTime = Date.now();
+
+  const lock = await acquireLock(`dispatch:${rideId}`, 5000);
+  if (!lock) {
+    return { drivers: [], message: 'Dispatch already in progress' };
+  }
+
+  try {
+    const rideResult = await query(
+      `SELECT r.*, ri.rating AS rider_rating
+       FROM rides r
+       JOIN riders ri ON ri.id = r.rider_id
+       WHERE r.id = $1`,
+      [rideId]
+    );
+    if (rideResult.rowCount === 0) {
+      throw new NotFoundError('Ride');
+    }
+
+    const ride = rideResult.rows[0];
+
+    if (ride.status !== 'MATCHING') {
+      return { drivers: [], message: `Ride is ${ride.status}, dispatch stopped` };
+    }
+
+    const elapsed = Date.now() - new Date(ride.matching_started_at).getTime();
+    if (elapsed >= MATCHING_TIMEOUT_MS) {
+      // If the ride is locked it is most likely being accepted; the expiry worker re-checks otherwise
+      await markNoDriversFound(rideId);
+      return { drivers: [], message: 'Matching timed out' };
+    }
+
+    // Let outstanding offers play out before widening the search
+    const pendingResult = await query(
+      `SELECT COUNT(*) FROM ride_offers 
+       WHERE ride_id = $1 AND status = 'pending' AND expires_at > NOW()`,
+      [rideId]
+    );
+    if (parseInt(pendingResult.rows[0].count) > 0) {
+      return { drivers: [], message: 'Waiting for outstanding offers' };
+    }
+
+    // Drivers who already saw this ride (declined, expired or superseded) are excluded
+    const offeredResult = await query(
+      'SELECT DISTINCT driver_id FROM ride_offers WHERE ride_id = $1',
+      [rideId]
+    );
+    const excludedDriverIds = new Set(offeredResult.rows.map(row => row.driver_id));
+
+    // Expand the radius until we find fresh candidates or hit the max radius
+    let round = ride.dispatch_round || 0;
+    let radiusKm;
+    let wave = [];
 
-  const duration = Date.now() - startTime;
-  if (duration > 500) {
-    console.warn(`⚠️ Slow matching: ${duration}ms for ride ${rideId}`);
+    do {
+      radiusKm = getDispatchRadius(round);
+      const candidates = await findCandidateDrivers(ride, radiusKm, excludedDriverIds);
+      wave = candidates.slice(0, getWaveSize(round));
+      round++;
+    } while (wave.length === 0 && radiusKm < MATCHING_RADIUS_KM);
+
+    await query(
+      'UPDATE rides SET dispatch_round = $1, updated_at = NOW() WHERE id = $2',
+      [round, rideId]
+    );
+
+    if (wave.length === 0) {
+      return { drivers: [], message: 'No drivers available nearby' };
+    }
+
+    // BATCH: Create offers for the wave in parallel
+    await Promise.all(wave.map(driver =>
+      createRideOffer(rideId, driver.id, ride.tenant_id)
+    ));
+
+    const duration = Date.now() - startTime;
+    if (duration > 500) {
+      console.warn(`⚠️ Slow matching: ${duration}ms for ride ${rideId}`);
+    }
+
+    return {
+      drivers: wave,
+      message: `Sent offers to ${wave.length} drivers within ${radiusKm}km (round ${round}) in ${duration}ms`,
+    };
+  } finally {
+    await releaseLock(lock);
   }
+};
+
+/**
+ * Move a ride that could not be matched to NO_DRIVERS_FOUND and notify the rider
+ * @returns {Promise<Object|null>} Updated ride, or null if the ride moved on meanwhile
+ */
+const markNoDriversFound = async (rideId) => {
+  // Same lock as acceptRide so a late accept and the timeout can't both win
+  const lock = await acquireLock(`ride:${rideId}`, 5000);
+  if (!lock) {
+    return null;
+  }
+
+  try {
+    const ride = await executeTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE rides 
+         SET status = 'NO_DRIVERS_FOUND', version = version + 1, updated_at = NOW()
+         WHERE id = $1 AND status = 'MATCHING'
+         RETURNING *`,
+        [rideId]
+      );
+
+      if (result.rowCount === 0) {
+        return null;
+      }
+
+      await client.query(
+        "UPDATE ride_offers SET status = 'cancelled' WHERE ride_id = $1 AND status = 'pending'",
+        [rideId]
+      );
+
+      await recordRideEvent(client, {
+        rideId,
+        eventType: 'NO_DRIVERS_FOUND',
+        fromStatus: 'MATCHING',
+        toStatus: 'NO_DRIVERS_FOUND',
+        metadata: { dispatch_rounds: result.rows[0].dispatch_round },
+      });
+
+      return result.rows[0];
+    });
+
+    if (!ride) {
+      return null;
+    }
 
-  return {
-    drivers: scoredDrivers,
-    message: `Sent offers to ${scoredDrivers.length} drivers in ${duration}ms`,
-  };
+    await Promise.all([
+      invalidateRideCache(rideId, null, ride.rider_id),
+      ride.payment_method === 'card' ? releaseRideHold(rideId) : null,
+      publishRideEvent(rideId, ride.tenant_id, 'NO_DRIVERS_FOUND', {
+        ride_id: rideId,
+        dispatch_rounds: ride.dispatch_round,
+      }),
+      publishNotification(ride.rider_id, 'NO_DRIVERS_FOUND', {
+        ride_id: rideId,
+        message: 'No drivers are available right now. Please try again.',
+      }),
+    ]);
+
+    return ride;
+  } finally {
+    await releaseLock(lock);
+  }
 };
 
 /**
@@ -154,7 +362,7 @@ const createRideOffer = async (rideId, driverId, tenantId) => {
  * - Optimistic concurrency with version check
  * - Parallel cache invalidation
  */
-const acceptRide = async (rideId, driverId) => {
+const acceptRide = async (rideId, driverId, { actor = { type: 'driver', id: driverId } } = {}) => {
   const startTime = Date.now();
   
   // Acquire distributed lock
@@ -192,9 +400,11 @@ const acceptRide = async (rideId, driverId) => {
       }
 
       // Check driver availability with SKIP LOCKED for non-blocking
+      // (a busy driver can still take a pool ride alongside their current pool trip)
+      const availableStatuses = ride.tier === 'pool' ? ['online', 'busy'] : ['online'];
       const driverResult = await client.query(
-        'SELECT * FROM drivers WHERE id = $1 AND status = $2 FOR UPDATE SKIP LOCKED',
-        [driverId, 'online']
+        'SELECT * FROM drivers WHERE id = $1 AND status = ANY($2) AND suspended_at IS NULL FOR UPDATE SKIP LOCKED',
+        [driverId, availableStatuses]
       );
 
       if (driverResult.rowCount === 0) {
@@ -215,6 +425,10 @@ const acceptRide = async (rideId, driverId) => {
         throw new ConflictError('No pending offer for this driver');
       }
 
+      if (ride.tier === 'pool') {
+        await attachRideToManifest(client, driver, ride);
+      }
+
       // BATCH UPDATE: Use single query to update multiple tables
       const [updatedRide] = await Promise.all([
         client.query(
@@ -240,23 +454,32 @@ const acceptRide = async (rideId, driverId) => {
       ]);
 
       // Remove driver from geo-index
-      await removeDriverLocation(driver.vehicle_type, driverId);
+      await removeDriverLocation(driver.tenant_id, driver.vehicle_type, driverId);
 
-      // PARALLEL: Invalidate caches and publish events
+      // PARALLEL: Invalidate caches and queue events (published once the transaction commits)
       await Promise.all([
         invalidateRideCache(rideId, driverId, ride.rider_id),
-        publishRideEvent(rideId, ride.tenant_id, 'RIDE_ACCEPTED', {
+        enqueueRideEvent(client, rideId, ride.tenant_id, 'RIDE_ACCEPTED', {
           ride_id: rideId,
           driver_id: driverId,
           driver_name: driver.name,
+          matching_started_at: ride.matching_started_at,
         }),
-        publishNotification(ride.rider_id, 'DRIVER_ASSIGNED', {
+        enqueueNotification(client, ride.rider_id, 'DRIVER_ASSIGNED', {
           ride_id: rideId,
           driver_id: driverId,
           driver_name: driver.name,
           vehicle_number: driver.vehicle_number,
           rating: driver.rating,
         }),
+        recordRideEvent(client, {
+          rideId,
+          eventType: 'RIDE_ACCEPTED',
+          fromStatus: 'MATCHING',
+          toStatus: 'DRIVER_ASSIGNED',
+          actor,
+          metadata: { driver_id: driverId, dispatch_round: ride.dispatch_round },
+        }),
       ]);
 
       // Start driver simulation (moving towards pickup)
@@ -294,30 +517,18 @@ const declineRide = async (rideId, driverId, reason = null) => {
   }
 
   // Update acceptance rate async (non-blocking)
-  query(
-    `UPDATE drivers 
-     SET acceptance_rate = (
-       SELECT COALESCE(
-         (COUNT(*) FILTER (WHERE status = 'accepted')::float / 
-          NULLIF(COUNT(*), 0) * 100), 
-         100
-       )
-       FROM ride_offers WHERE driver_id = $1
-     ),
-     updated_at = NOW()
-     WHERE id = $1`,
-    [driverId]
-  ).catch(err => console.error('Acceptance rate update failed:', err.message));
+  updateAcceptanceRate(driverId)
+    .catch(err => console.error('Acceptance rate update failed:', err.message));
 
-  // Check remaining offers async
-  queryRead(
+  // Re-dispatch right away once every outstanding offer has been declined
+  query(
     "SELECT COUNT(*) FROM ride_offers WHERE ride_id = $1 AND status = 'pending'",
     [rideId]
   ).then(pendingOffers => {
     if (parseInt(pendingOffers.rows[0].count) === 0) {
-      console.log(`All offers declined for ride ${rideId}`);
+      return dispatchNextWave(rideId);
     }
-  }).catch(err => console.error('Pending check failed:', err.message));
+  }).catch(err => console.error('Re-dispatch after decline failed:', err.message));
 
   return result.rows[0];
 };
@@ -335,12 +546,14 @@ const getDriverCurrentRide = async (driverId) => {
   // Use optimized index: idx_rides_driver_status_updated
   const result = await queryRead(
     `SELECT r.*, 
-       ri.name as rider_name, ri.phone as rider_phone,
+       ri.name as rider_name, ri.phone as rider_phone, ri.rating as rider_rating,
        t.id as trip_id, t.status as trip_status, t.total_fare,
+       de.amount as driver_earnings,
        p.status as payment_status
      FROM rides r
      JOIN riders ri ON r.rider_id = ri.id
      LEFT JOIN trips t ON t.ride_id = r.id
+     LEFT JOIN driver_earnings de ON de.trip_id = t.id AND de.kind = 'trip'
      LEFT JOIN payments p ON p.trip_id = t.id
      WHERE r.driver_id = $1 
        AND (
@@ -371,19 +584,88 @@ const expirePendingOffers = async () => {
     `UPDATE ride_offers 
      SET status = 'expired'
      WHERE status = 'pending' AND expires_at < NOW()
-     RETURNING ride_id, driver_id`
+     RETURNING id, ride_id, driver_id`
   );
 
   return result.rows;
 };
 
+/**
+ * Recompute a driver's acceptance rate from their offer history
+ */
+const updateAcceptanceRate = async (driverId) => {
+  await query(
+    `UPDATE drivers 
+     SET acceptance_rate = (
+       SELECT COALESCE(
+         (COUNT(*) FILTER (WHERE status = 'accepted')::float / 
+          NULLIF(COUNT(*), 0) * 100), 
+         100
+       )
+       FROM ride_offers WHERE driver_id = $1
+     ),
+     updated_at = NOW()
+     WHERE id = $1`,
+    [driverId]
+  );
+};
+
+/**
+ * Find rides stuck in MATCHING: past the matching timeout, or idle with no
+ * outstanding offers (e.g. no drivers were nearby on the last wave)
+ */
+const findStalledMatchingRides = async (limit = 100) => {
+  const result = await query(
+    `SELECT r.id FROM rides r
+     WHERE r.status = 'MATCHING'
+       AND (
+         r.matching_started_at < NOW() - $1 * INTERVAL '1 millisecond'
+         OR (
+           r.updated_at < NOW() - $2 * INTERVAL '1 millisecond'
+           AND NOT EXISTS (
+             SELECT 1 FROM ride_offers o 
+             WHERE o.ride_id = r.id AND o.status = 'pending'
+           )
+         )
+       )
+     LIMIT $3`,
+    [MATCHING_TIMEOUT_MS, OFFER_EXPIRY_MS, limit]
+  );
+
+  return result.rows.map(row => row.id);
+};
+
+/**
+ * Find rides left in REQUESTED: matching never started (e.g. the dispatch after a
+ * scheduled release or a driver cancellation failed)
+ */
+const findStalledRequestedRides = async (limit = 100) => {
+  const result = await query(
+    `SELECT id FROM rides
+     WHERE status = 'REQUESTED' AND updated_at < NOW() - $1 * INTERVAL '1 millisecond'
+     ORDER BY updated_at
+     LIMIT $2`,
+    [OFFER_EXPIRY_MS, limit]
+  );
+
+  return result.rows.map(row => row.id);
+};
+
 module.exports = {
   findDriversForRide,
+  dispatchNextWave,
+  markNoDriversFound,
+  getDispatchRadius,
+  getWaveSize,
   createRideOffer,
   acceptRide,
   declineRide,
   getDriverCurrentRide,
   expirePendingOffers,
+  updateAcceptanceRate,
+  findStalledMatchingRides,
+  findStalledRequestedRides,
   MATCHING_RADIUS_KM,
+  MATCHING_TIMEOUT_MS,
   OFFER_EXPIRY_MS,
 };
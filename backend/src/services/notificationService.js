@@ -2,10 +2,48 @@ const { Server } = require('socket.io');
 const { createConsumer, TOPICS, publishLocationUpdate } = require('../config/kafka');
 const { addDriverLocation, getRedisClient } = require('../config/redis');
 const { queryRead } = require('../config/database');
+const { authenticateSocket, OPS_ROLES } = require('../middleware/auth');
 
 let io = null;
 const connectedClients = new Map(); // userId -> Set of socket IDs
 
+/**
+ * Whether a user may watch a ride: its rider, its assigned driver, or ops of its tenant
+ */
+const canAccessRide = async (user, rideId) => {
+  const result = await queryRead(
+    'SELECT tenant_id, rider_id, driver_id FROM rides WHERE id = $1',
+    [rideId]
+  );
+  const ride = result.rows[0];
+
+  if (!ride) {
+    return false;
+  }
+
+  if (OPS_ROLES.includes(user.type)) {
+    return Boolean(user.tenantId) && ride.tenant_id === user.tenantId;
+  }
+
+  return user.type === 'driver' ? ride.driver_id === user.id : ride.rider_id === user.id;
+};
+
+// Ride statuses in which the assigned driver shares their position with the ride room
+const BROADCAST_STATUSES = ['DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE', 'DRIVER_ARRIVED', 'IN_PROGRESS'];
+
+/**
+ * Whether a driver socket may broadcast its position to a ride room
+ * - Checked on every update (primary key lookup), so a driver who was unassigned by a
+ *   cancellation or reassignment stops reaching the room straight away
+ */
+const canBroadcastToRide = async (socket, rideId) => {
+  const result = await queryRead(
+    'SELECT 1 FROM rides WHERE id = $1 AND driver_id = $2 AND status = ANY($3)',
+    [rideId, socket.user.id, BROADCAST_STATUSES]
+  );
+  return result.rowCount > 0;
+};
+
 /**
  * Initialize WebSocket server
  */
@@ -19,35 +57,48 @@ const initializeSocketServer = (httpServer) => {
     pingTimeout: 60000,
   });
 
+  // Identity comes from the verified token, never from what the client claims
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
     console.log(`Socket connected: ${socket.id}`);
 
-    // Handle user authentication/registration
-    socket.on('register', ({ userId, userType }) => {
-      if (!userId) return;
+    const { id: userId, type: userType } = socket.user;
+    socket.userId = userId;
+    socket.userType = userType;
 
-      // Store socket mapping
-      if (!connectedClients.has(userId)) {
-        connectedClients.set(userId, new Set());
-      }
-      connectedClients.get(userId).add(socket.id);
+    // Store socket mapping
+    if (!connectedClients.has(userId)) {
+      connectedClients.set(userId, new Set());
+    }
+    connectedClients.get(userId).add(socket.id);
 
-      // Join user-specific room
-      socket.join(`user:${userId}`);
-      socket.join(`type:${userType}`); // 'rider' or 'driver'
+    // Join user-specific room
+    socket.join(`user:${userId}`);
+    socket.join(`type:${userType}`); // 'rider' or 'driver'
 
-      socket.userId = userId;
-      socket.userType = userType;
+    console.log(`User ${userId} (${userType}) registered on socket ${socket.id}`);
+    socket.emit('registered', { userId, userType, socketId: socket.id });
 
-      console.log(`User ${userId} (${userType}) registered on socket ${socket.id}`);
-      
-      socket.emit('registered', { userId, socketId: socket.id });
+    // Kept for older clients; the socket is already registered from its token
+    socket.on('register', () => {
+      socket.emit('registered', { userId, userType, socketId: socket.id });
     });
 
-    // Handle ride subscription
-    socket.on('subscribe:ride', ({ rideId }) => {
-      socket.join(`ride:${rideId}`);
-      console.log(`Socket ${socket.id} subscribed to ride ${rideId}`);
+    // Handle ride subscription (rider, assigned driver or ops only)
+    socket.on('subscribe:ride', async ({ rideId } = {}) => {
+      try {
+        if (!rideId || !(await canAccessRide(socket.user, rideId))) {
+          socket.emit('subscribe:ride:error', { rideId, message: 'Not allowed to watch this ride' });
+          return;
+        }
+
+        socket.join(`ride:${rideId}`);
+        console.log(`Socket ${socket.id} subscribed to ride ${rideId}`);
+      } catch (error) {
+        console.error('Error authorizing ride subscription:', error.message);
+        socket.emit('subscribe:ride:error', { rideId, message: 'Could not subscribe to ride' });
+      }
     });
 
     socket.on('unsubscribe:ride', ({ rideId }) => {
@@ -56,7 +107,10 @@ const initializeSocketServer = (httpServer) => {
 
     // Handle driver location update (WebSocket-based, replaces HTTP API)
     socket.on('driver:location:update', async (data) => {
-      if (socket.userType !== 'driver' || !socket.userId) return;
+      if (socket.userType !== 'driver') {
+        socket.emit('driver:location:error', { message: 'Only drivers can send location updates' });
+        return;
+      }
 
       const { latitude, longitude, heading, speed, accuracy } = data;
       const driverId = socket.userId;
@@ -92,7 +146,7 @@ const initializeSocketServer = (httpServer) => {
 
         // Update Redis geo-index if driver is online (for matching)
         if (driverInfo.status === 'online') {
-          await addDriverLocation(driverInfo.vehicle_type, driverId, longitude, latitude);
+          await addDriverLocation(driverInfo.tenant_id, driverInfo.vehicle_type, driverId, longitude, latitude);
         }
 
         // Publish to Kafka (async, fire and forget)
@@ -101,12 +155,13 @@ const initializeSocketServer = (httpServer) => {
           longitude,
           heading: heading || null,
           speed: speed || null,
+          accuracy: accuracy || null,
           vehicle_type: driverInfo.vehicle_type,
           status: driverInfo.status,
         }).catch(err => console.error('Kafka publish failed:', err.message));
 
         // Broadcast to ride room if driver has active ride (for rider tracking)
-        if (data.rideId) {
+        if (data.rideId && await canBroadcastToRide(socket, data.rideId)) {
           io.to(`ride:${data.rideId}`).emit('driver:location:update', {
             driverId,
             latitude,
@@ -125,11 +180,11 @@ const initializeSocketServer = (httpServer) => {
     });
 
     // Handle driver location broadcast (legacy, for backward compatibility)
-    socket.on('driver:location', (data) => {
+    socket.on('driver:location', async (data) => {
       if (socket.userType !== 'driver') return;
 
       // Broadcast to the ride room
-      if (data.rideId) {
+      if (data.rideId && await canBroadcastToRide(socket, data.rideId).catch(() => false)) {
         io.to(`ride:${data.rideId}`).emit('driver:location:update', {
           driverId: socket.userId,
           latitude: data.latitude,
@@ -239,14 +294,29 @@ const handleNotification = async (message) => {
   // Map notification types to socket events
   const eventMap = {
     RIDE_OFFER: 'ride:offer',
+    OFFER_EXPIRED: 'ride:offer_expired',
     DRIVER_ASSIGNED: 'ride:driver_assigned',
+    RIDE_ASSIGNED: 'ride:assigned',             // Driver assigned a ride by operations
+    RIDE_REASSIGNED: 'ride:reassigned',         // Driver's ride handed to another driver
+    RIDE_CANCELLED: 'ride:cancelled',
+    DRIVER_CANCELLED: 'ride:driver_cancelled',  // Rider's driver cancelled; the ride is re-dispatched
+    NO_DRIVERS_FOUND: 'ride:no_drivers_found',
+    RIDE_REMINDER: 'ride:reminder',
+    SCHEDULED_RIDE_DISPATCHED: 'ride:scheduled_dispatched',
     RIDE_DRIVER_EN_ROUTE: 'ride:driver_en_route',
     RIDE_DRIVER_ARRIVED: 'ride:driver_arrived',
+    RIDE_WAITING: 'ride:waiting',               // Waiting-at-pickup timer (rider and driver)
     DRIVER_LOCATION: 'driver:location:update',  // Real-time driver location
+    STOP_ARRIVED: 'ride:stop_arrived',
+    STOP_DEPARTED: 'ride:stop_departed',
     TRIP_STARTED: 'trip:started',
     TRIP_COMPLETED: 'trip:completed',
     PAYMENT_COMPLETED: 'payment:completed',
     PAYMENT_RECEIVED: 'payment:received',
+    WALLET_UPDATED: 'wallet:updated',
+    DRIVER_SUSPENDED: 'driver:suspended',
+    DRIVER_REINSTATED: 'driver:reinstated',
+    PAYOUT_CREATED: 'payout:created',
   };
 
   const event = eventMap[type] || `notification:${type.toLowerCase()}`;
@@ -289,4 +359,6 @@ module.exports = {
   startNotificationConsumer,
   getStats,
   isUserOnline,
+  canAccessRide,
+  canBroadcastToRide,
 };
@@ -0,0 +1,123 @@
+const { query } = require('../config/database');
+const { buildRideEvent, buildNotification } = require('../config/kafka');
+
+const OUTBOX_CONFIG = {
+  batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE) || 100,
+  maxBackoffMs: 5 * 60 * 1000,    // Retries back off exponentially up to this
+  retentionHours: 24,             // Sent rows are kept this long, for tracing
+};
+
+/**
+ * Write a Kafka message to the outbox; the outbox relay publishes it once the
+ * transaction commits, and never if it rolls back
+ * @param {Object} db - Transaction client
+ * @param {Object} message - { topic, key, value }
+ */
+const enqueueMessage = async (db, { topic, key, value }) => {
+  await db.query(
+    'INSERT INTO outbox (topic, message_key, payload) VALUES ($1, $2, $3)',
+    [topic, key, JSON.stringify(value)]
+  );
+};
+
+/**
+ * Transactional publishRideEvent
+ */
+const enqueueRideEvent = (db, rideId, tenantId, eventType, data) =>
+  enqueueMessage(db, buildRideEvent(rideId, tenantId, eventType, data));
+
+/**
+ * Transactional publishNotification
+ */
+const enqueueNotification = (db, userId, type, payload) =>
+  enqueueMessage(db, buildNotification(userId, type, payload));
+
+/**
+ * Unsent messages due for publishing, oldest first
+ * - A message waiting out a retry holds back the later messages with its key, so each
+ *   key's messages reach Kafka in the order they were written
+ */
+const fetchDueMessages = async (limit = OUTBOX_CONFIG.batchSize) => {
+  const result = await query(
+    `SELECT o.id, o.topic, o.message_key, o.payload, o.attempts, o.created_at
+     FROM outbox o
+     WHERE o.sent_at IS NULL AND o.next_attempt_at <= NOW()
+       AND NOT EXISTS (
+         SELECT 1 FROM outbox earlier
+         WHERE earlier.sent_at IS NULL AND earlier.id < o.id
+           AND earlier.topic = o.topic AND earlier.message_key IS NOT DISTINCT FROM o.message_key
+           AND earlier.next_attempt_at > NOW()
+       )
+     ORDER BY o.id
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+};
+
+/**
+ * Mark messages as published
+ */
+const markSent = async (ids) => {
+  if (ids.length === 0) return;
+
+  await query('UPDATE outbox SET sent_at = NOW(), last_error = NULL WHERE id = ANY($1)', [ids]);
+};
+
+/**
+ * Record a failed publish and schedule the retry
+ */
+const markFailed = async (message, error) => {
+  const backoffMs = Math.min(OUTBOX_CONFIG.maxBackoffMs, 1000 * 2 ** message.attempts);
+
+  await query(
+    `UPDATE outbox
+     SET attempts = attempts + 1, last_error = $2,
+         next_attempt_at = NOW() + make_interval(secs => $3)
+     WHERE id = $1`,
+    [message.id, error.message, backoffMs / 1000]
+  );
+};
+
+/**
+ * How far publishing is behind
+ * @returns {Promise<Object>} { pending, failing, oldest_pending_secs }
+ */
+const getOutboxLag = async () => {
+  const result = await query(
+    `SELECT COUNT(*) AS pending,
+       COUNT(*) FILTER (WHERE attempts > 0) AS failing,
+       COALESCE(EXTRACT(EPOCH FROM NOW() - MIN(created_at)), 0) AS oldest_pending_secs
+     FROM outbox
+     WHERE sent_at IS NULL`
+  );
+  const row = result.rows[0];
+
+  return {
+    pending: parseInt(row.pending),
+    failing: parseInt(row.failing),
+    oldest_pending_secs: Math.round(parseFloat(row.oldest_pending_secs)),
+  };
+};
+
+/**
+ * Drop sent messages past the retention window
+ */
+const purgeSentMessages = async () => {
+  const result = await query(
+    'DELETE FROM outbox WHERE sent_at < NOW() - make_interval(hours => $1)',
+    [OUTBOX_CONFIG.retentionHours]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  enqueueRideEvent,
+  enqueueNotification,
+  fetchDueMessages,
+  markSent,
+  markFailed,
+  getOutboxLag,
+  purgeSentMessages,
+  OUTBOX_CONFIG,
+};
@@ -1,8 +1,19 @@
 const { v4: uuidv4 } = require('uuid');
 const { query, queryRead, executeTransaction } = require('../config/database');
 const { getRedisClient, invalidateCache } = require('../config/redis');
-const { publishNotification } = require('../config/kafka');
-const { NotFoundError, ConflictError, IdempotencyError } = require('../utils/errors');
+const {
+  NotFoundError,
+  ConflictError,
+  InsufficientFundsError,
+  PaymentGatewayError,
+  PaymentDeclinedError,
+} = require('../utils/errors');
+const { getPaymentGateway, GATEWAY_STATUS } = require('../gateways');
+const { debitForTrip, creditRefund, creditTopUp } = require('./walletService');
+const { tripFare, recordPaymentEarnings, reverseTripEarnings } = require('./earningsService');
+const { fingerprintRequest, findResponse, saveResponse } = require('./idempotencyService');
+const { enqueueNotification } = require('./outboxService');
+const { recordRideEvent, SYSTEM_ACTOR } = require('./rideEventService');
 const {
   cacheGet,
   cacheSet,
@@ -16,42 +27,61 @@ const {
   invalidateRiderCurrentRide,
 } = require('./cacheService');
 
-const IDEMPOTENCY_TTL = 24 * 60 * 60; // 24 hours
+// Payment attempts share one idempotency key space, whichever route they came through
+const PAYMENT_IDEMPOTENCY_SCOPE = 'payment';
 const PAYMENT_LOCK_TTL = 30000; // 30 seconds
+// Riders have no saved cards yet, so card payments use this PSP card token unless one is given
+const DEFAULT_CARD_TOKEN = process.env.PSP_DEFAULT_CARD_TOKEN || 'tok_visa';
+
+// Card pre-authorization
+const PREAUTH_CONFIG = {
+  bufferPercent: parseFloat(process.env.CARD_HOLD_BUFFER_PERCENT) || 20, // Held on top of the estimated fare
+};
 
 /**
  * OPTIMIZED: Process payment for a trip (idempotent with distributed locking)
- * - Uses Redis for idempotency check (sub-ms)
+ * - Idempotent per key: Redis check first (sub-ms), Postgres when Redis is down; a key
+ *   reused for another trip, method or tip is rejected
  * - Distributed lock to prevent double processing
  * - Parallel cache invalidation
+ * - An optional tip is charged with the fare and goes to the driver in full
  */
-const processPayment = async (tripId, paymentMethod, idempotencyKey) => {
+const processPayment = async (tripId, paymentMethod, idempotencyKey, { cardToken, tip, actor = SYSTEM_ACTOR } = {}) => {
   const startTime = Date.now();
-  const redis = getRedisClient();
-  
+
+  const requestHash = fingerprintRequest({
+    method: 'POST',
+    path: `/trips/${tripId}/payment`,
+    body: { payment_method: paymentMethod, tip },
+  });
+
   // FAST PATH: Check idempotency in Redis first
-  const existingPayment = await checkIdempotencyKey(idempotencyKey);
+  const existingPayment = await findResponse(PAYMENT_IDEMPOTENCY_SCOPE, idempotencyKey, requestHash);
   if (existingPayment) {
-    return existingPayment;
+    return existingPayment.body;
   }
 
   // Acquire distributed lock on payment processing
   const lockKey = `payment_lock:${tripId}`;
   const lockValue = uuidv4();
-  const lockAcquired = await redis.set(lockKey, lockValue, 'PX', PAYMENT_LOCK_TTL, 'NX');
-  
-  if (!lockAcquired) {
+  const lock = await acquirePaymentLock(lockKey, lockValue);
+
+  if (!lock) {
     // Another process is handling this payment
     // Wait briefly and check idempotency again
     await new Promise(r => setTimeout(r, 100));
-    const retryCheck = await checkIdempotencyKey(idempotencyKey);
-    if (retryCheck) return retryCheck;
+    const retryCheck = await findResponse(PAYMENT_IDEMPOTENCY_SCOPE, idempotencyKey, requestHash);
+    if (retryCheck) return retryCheck.body;
     
     throw new ConflictError('Payment is being processed. Please try again.');
   }
 
   try {
     const result = await executeTransaction(async (client) => {
+      if (lock === 'postgres') {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [lockKey]);
+      }
+
       // Check if payment already exists
       const existingResult = await client.query(
         'SELECT * FROM payments WHERE trip_id = $1',
@@ -84,36 +114,55 @@ const processPayment = async (tripId, paymentMethod, idempotencyKey) => {
         throw new ConflictError('Trip must be completed before payment');
       }
 
-      const amount = trip.total_fare;
-      const paymentId = uuidv4();
+      // A retry keeps the tip of the first attempt unless a new one is given
+      const tipAmount = tip !== undefined
+        ? tip
+        : parseFloat(existingResult.rows[0]?.tip_amount || 0);
+
+      // Cancellation fees the rider still owes (see cancellationService) are collected with this trip
+      const dueResult = await client.query(
+        'SELECT balance_due FROM riders WHERE id = $1 FOR UPDATE',
+        [trip.rider_id]
+      );
+      const balanceDue = parseFloat(dueResult.rows[0]?.balance_due || 0);
+
+      const amount = Math.round((parseFloat(trip.total_fare) + tipAmount + balanceDue) * 100) / 100;
+      const paymentId = existingResult.rowCount > 0 ? existingResult.rows[0].id : uuidv4();
 
       // Create or update payment record
       if (existingResult.rowCount > 0) {
         await client.query(
           `UPDATE payments 
-           SET status = 'processing', idempotency_key = $1, updated_at = NOW()
-           WHERE trip_id = $2`,
-          [idempotencyKey, tripId]
+           SET status = 'processing', idempotency_key = $1, amount = $2, tip_amount = $3,
+               balance_due_amount = $4, updated_at = NOW()
+           WHERE trip_id = $5`,
+          [idempotencyKey, amount, tipAmount, balanceDue, tripId]
         );
       } else {
         await client.query(
-          `INSERT INTO payments (id, trip_id, amount, currency, payment_method, status, idempotency_key)
-           VALUES ($1, $2, $3, 'INR', $4, 'processing', $5)`,
-          [paymentId, tripId, amount, paymentMethod, idempotencyKey]
+          `INSERT INTO payments
+             (id, trip_id, amount, tip_amount, balance_due_amount, currency, payment_method, status, idempotency_key)
+           VALUES ($1, $2, $3, $4, $5, 'INR', $6, 'processing', $7)`,
+          [paymentId, tripId, amount, tipAmount, balanceDue, paymentMethod, idempotencyKey]
         );
       }
 
-      // Process payment (mock PSP)
+      // Process payment (card payments go through the payment gateway)
       let paymentResult;
       switch (paymentMethod) {
         case 'cash':
           paymentResult = await processCashPayment(tripId, amount);
           break;
-        case 'card':
-          paymentResult = await processCardPayment(tripId, amount);
+        case 'card': {
+          // Card rides normally carry a hold from ride request; capture against it
+          const hold = await lockActiveHold(client, trip.ride_id);
+          paymentResult = hold
+            ? await captureRideHold(client, hold, paymentId, amount, idempotencyKey, cardToken)
+            : await processCardPayment(paymentId, amount, idempotencyKey, cardToken || DEFAULT_CARD_TOKEN);
           break;
+        }
         case 'wallet':
-          paymentResult = await processWalletPayment(tripId, amount);
+          paymentResult = await processWalletPayment(client, trip, amount, paymentId);
           break;
         default:
           throw new ConflictError(`Invalid payment method: ${paymentMethod}`);
@@ -121,6 +170,28 @@ const processPayment = async (tripId, paymentMethod, idempotencyKey) => {
 
       // Update payment with result
       const isCompleted = paymentResult.status === 'completed';
+
+      // Paid some other way: the card hold is no longer needed
+      if (isCompleted && paymentMethod !== 'card') {
+        const hold = await lockActiveHold(client, trip.ride_id);
+        if (hold) {
+          await settleHold(client, hold);
+        }
+      }
+
+      // The trip's share, tip and cash kept go on the driver's earnings once paid
+      if (isCompleted) {
+        await recordPaymentEarnings(client, {
+          tripId,
+          tenantId: trip.tenant_id,
+          driverId: trip.driver_id,
+          fare: tripFare(trip),
+          paymentMethod,
+          amount,
+          tip: tipAmount,
+        });
+        await settleBalanceDue(client, trip.rider_id, balanceDue);
+      }
       const finalResult = await client.query(
         `UPDATE payments 
          SET status = $1, psp_reference = $2, psp_response = $3, 
@@ -133,8 +204,27 @@ const processPayment = async (tripId, paymentMethod, idempotencyKey) => {
 
       const payment = finalResult.rows[0];
 
-      // Store idempotency result
-      await storeIdempotencyResult(idempotencyKey, payment);
+      await recordRideEvent(client, {
+        rideId: trip.ride_id,
+        eventType: `PAYMENT_${payment.status.toUpperCase()}`,
+        fromStatus: existingResult.rows[0]?.status || null,
+        toStatus: payment.status,
+        actor,
+        metadata: {
+          payment_id: payment.id,
+          trip_id: tripId,
+          payment_method: paymentMethod,
+          amount,
+          tip: tipAmount,
+          balance_due: balanceDue,
+          psp_reference: payment.psp_reference,
+        },
+      });
+
+      // Store idempotency result, committed with the payment
+      await saveResponse(PAYMENT_IDEMPOTENCY_SCOPE, idempotencyKey, requestHash, { statusCode: 200, body: payment }, {
+        db: client,
+      });
 
       // PARALLEL: Cache payment and invalidate related caches
       const cachePromises = [
@@ -144,17 +234,19 @@ const processPayment = async (tripId, paymentMethod, idempotencyKey) => {
         invalidateRiderCurrentRide(trip.rider_id),
       ];
 
-      // PARALLEL: Send notifications if completed
+      // PARALLEL: Queue notifications if completed (sent once the transaction commits)
       if (payment.status === 'completed') {
         cachePromises.push(
-          publishNotification(trip.rider_id, 'PAYMENT_COMPLETED', {
+          enqueueNotification(client, trip.rider_id, 'PAYMENT_COMPLETED', {
             trip_id: tripId,
             amount: amount,
             payment_method: paymentMethod,
           }),
-          publishNotification(trip.driver_id, 'PAYMENT_RECEIVED', {
+          enqueueNotification(client, trip.driver_id, 'PAYMENT_RECEIVED', {
             trip_id: tripId,
-            amount: amount * 0.8,
+            amount: amount,
+            tip: tipAmount,
+            payment_method: paymentMethod,
           })
         );
       }
@@ -171,11 +263,52 @@ const processPayment = async (tripId, paymentMethod, idempotencyKey) => {
 
     return result;
   } finally {
-    // Release lock only if we own it
+    if (lock === 'redis') {
+      await releasePaymentLock(lockKey, lockValue);
+    }
+  }
+};
+
+/**
+ * Take the cancellation fees a completed payment collected off the rider's balance due
+ */
+const settleBalanceDue = async (client, riderId, amount) => {
+  if (parseFloat(amount) > 0) {
+    await client.query(
+      'UPDATE riders SET balance_due = GREATEST(balance_due - $1, 0), updated_at = NOW() WHERE id = $2',
+      [amount, riderId]
+    );
+  }
+};
+
+/**
+ * Take the payment lock for a trip
+ * - While Redis is down the payment transaction takes a Postgres advisory lock instead
+ * @returns {Promise<string|null>} 'redis', 'postgres', or null if another request holds it
+ */
+const acquirePaymentLock = async (lockKey, lockValue) => {
+  try {
+    const redis = getRedisClient();
+    const acquired = await redis.set(lockKey, lockValue, 'PX', PAYMENT_LOCK_TTL, 'NX');
+    return acquired ? 'redis' : null;
+  } catch (error) {
+    console.warn('Redis unavailable, locking payment in Postgres:', error.message);
+    return 'postgres';
+  }
+};
+
+/**
+ * Release the payment lock only if we own it
+ */
+const releasePaymentLock = async (lockKey, lockValue) => {
+  try {
+    const redis = getRedisClient();
     const currentValue = await redis.get(lockKey);
     if (currentValue === lockValue) {
       await redis.del(lockKey);
     }
+  } catch (error) {
+    console.error('Failed to release payment lock:', error.message);
   }
 };
 
@@ -193,50 +326,344 @@ const processCashPayment = async (tripId, amount) => {
 };
 
 /**
- * Process card payment (mock PSP integration)
+ * If a gateway call's outcome is unknown (timeout, dropped connection), ask the PSP
+ * what actually happened; keep the lookup only if it shows the state we were after
+ */
+const confirmOutcome = async (gateway, result, lookup, expectedStatus) => {
+  if (!result.retryable) {
+    return result;
+  }
+
+  const current = await gateway.status(lookup);
+  return current.status === expectedStatus ? current : result;
+};
+
+/**
+ * Process card payment through the payment gateway (authorize, then capture)
+ * - PSP idempotency keys derive from the request's key, so a retried DB transaction
+ *   replays the same authorization instead of placing a second hold
+ * - A hold that can't be captured is voided so the rider isn't left with it
+ */
+const processCardPayment = async (paymentId, amount, idempotencyKey, cardToken) => {
+  const gateway = getPaymentGateway();
+  const details = { method: 'card', amount, psp: gateway.name, card_token: cardToken };
+
+  const failed = (result, extra = {}) => ({
+    ...details,
+    ...extra,
+    status: 'failed',
+    reference: result.psp_reference,
+    psp_status: result.status,
+    error: result.error,
+    error_code: result.error_code,
+    next_action: result.next_action,
+  });
+
+  let authorization = await gateway.authorize({
+    amount: parseFloat(amount),
+    currency: 'INR',
+    cardToken,
+    reference: paymentId,
+    idempotencyKey: `${idempotencyKey}:authorize`,
+  });
+  authorization = await confirmOutcome(gateway, authorization, { reference: paymentId }, GATEWAY_STATUS.AUTHORIZED);
+
+  if (authorization.status !== GATEWAY_STATUS.AUTHORIZED) {
+    return failed(authorization, { authorization: authorization.raw });
+  }
+
+  let capture = await gateway.capture(authorization.psp_reference, {
+    amount: parseFloat(amount),
+    idempotencyKey: `${idempotencyKey}:capture`,
+  });
+  capture = await confirmOutcome(
+    gateway, capture, { pspReference: authorization.psp_reference }, GATEWAY_STATUS.CAPTURED
+  );
+
+  if (capture.status !== GATEWAY_STATUS.CAPTURED) {
+    const voided = await gateway.void(authorization.psp_reference, {
+      idempotencyKey: `${idempotencyKey}:void`,
+    });
+    return failed(capture, { authorization: authorization.raw, void_status: voided.status });
+  }
+
+  return {
+    ...details,
+    status: 'completed',
+    reference: capture.psp_reference,
+    psp_status: capture.status,
+    card: capture.raw.card,
+    authorization: authorization.raw,
+    capture: capture.raw,
+  };
+};
+
+/**
+ * Top up a rider/driver wallet from their card
+ * - The wallet is credited only after the PSP has captured the charge, with the
+ *   capture's PSP reference on the ledger entry
+ * - A charge whose credit can't be written is refunded
+ * @throws {PaymentDeclinedError} If the card is declined or needs authentication
+ * @throws {PaymentGatewayError} If the PSP fails or its answer is unknown (safe to retry with the same key)
+ * @returns {Promise<Object>} The credited wallet
+ */
+const topUpWallet = async (ownerType, ownerId, amount, idempotencyKey, { cardToken = DEFAULT_CARD_TOKEN } = {}) => {
+  // Callers pick their own keys, keep top-up charges apart from trip payments
+  const chargeKey = `topup:${ownerType}:${ownerId}:${idempotencyKey}`;
+  const charge = await processCardPayment(uuidv4(), amount, chargeKey, cardToken);
+
+  if (charge.status !== 'completed') {
+    throw charge.psp_status === GATEWAY_STATUS.ERROR
+      ? new PaymentGatewayError(charge.error || 'Card could not be charged', charge.error_code)
+      : new PaymentDeclinedError(charge.error || 'Card declined', charge.error_code, charge.next_action);
+  }
+
+  // creditTopUp throws only when its transaction rolled back, so a refund never follows a credit
+  try {
+    return await creditTopUp(ownerType, ownerId, amount, charge.reference);
+  } catch (error) {
+    const refund = await getPaymentGateway().refund(charge.reference, { idempotencyKey: `${chargeKey}:refund` });
+    if (refund.status !== GATEWAY_STATUS.REFUNDED) {
+      console.error(`Failed to refund top-up charge ${charge.reference}:`, refund.error);
+    }
+    throw error;
+  }
+};
+
+// =============================================
+// CARD PRE-AUTHORIZATION
+// =============================================
+
+/**
+ * Amount held on the card for a ride: the estimated fare plus a buffer, rounded up
+ */
+const calculateHoldAmount = (estimatedFare) =>
+  Math.ceil(parseFloat(estimatedFare) * (1 + PREAUTH_CONFIG.bufferPercent / 100));
+
+/**
+ * Place a card hold for a ride that is about to be created
+ * @throws {PaymentDeclinedError} If the card can't be authorized
+ * @returns {Promise<Object>} Hold to save with saveRideHold
+ */
+const authorizeRideHold = async (rideId, estimatedFare, cardToken = DEFAULT_CARD_TOKEN) => {
+  const gateway = getPaymentGateway();
+  const amount = calculateHoldAmount(estimatedFare);
+
+  let authorization = await gateway.authorize({
+    amount,
+    currency: 'INR',
+    cardToken,
+    reference: rideId,
+    idempotencyKey: `${rideId}:hold`,
+  });
+  authorization = await confirmOutcome(gateway, authorization, { reference: rideId }, GATEWAY_STATUS.AUTHORIZED);
+
+  if (authorization.status !== GATEWAY_STATUS.AUTHORIZED) {
+    throw new PaymentDeclinedError(
+      authorization.error || 'Card could not be authorized',
+      authorization.error_code,
+      authorization.next_action
+    );
+  }
+
+  return {
+    ride_id: rideId,
+    psp_reference: authorization.psp_reference,
+    card_token: cardToken,
+    amount,
+    psp_response: authorization.raw,
+  };
+};
+
+/**
+ * Save a placed hold (inside the ride's transaction)
+ */
+const saveRideHold = async (client, hold) => {
+  const result = await client.query(
+    `INSERT INTO payment_holds (ride_id, psp_reference, card_token, amount, psp_response)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [hold.ride_id, hold.psp_reference, hold.card_token, hold.amount, JSON.stringify(hold.psp_response)]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Void a hold whose ride was never saved
  */
-const processCardPayment = async (tripId, amount) => {
-  await simulateApiDelay(50, 150); // Reduced delay for demo
+const discardRideHold = async (hold) => {
+  const result = await getPaymentGateway().void(hold.psp_reference, {
+    idempotencyKey: `${hold.ride_id}:hold:void`,
+  });
 
-  // 95% success rate
-  const success = Math.random() < 0.95;
+  if (result.status !== GATEWAY_STATUS.VOIDED) {
+    console.error(`Failed to void card hold for unsaved ride ${hold.ride_id}:`, result.error);
+  }
+};
+
+/**
+ * Lock a ride's outstanding hold, if it has one
+ */
+const lockActiveHold = async (client, rideId) => {
+  const result = await client.query(
+    "SELECT * FROM payment_holds WHERE ride_id = $1 AND status = 'held' FOR UPDATE",
+    [rideId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Close out a locked hold: capture captureAmount of it (capped at the hold) and
+ * release the rest, or void it entirely
+ * @returns {Promise<Object|null>} Updated hold, or null if the PSP didn't confirm (hold stays open)
+ */
+const settleHold = async (client, hold, captureAmount = 0) => {
+  const gateway = getPaymentGateway();
+  const amount = Math.min(parseFloat(captureAmount) || 0, parseFloat(hold.amount));
+
+  const result = amount > 0
+    ? await gateway.capture(hold.psp_reference, { amount, idempotencyKey: `${hold.ride_id}:hold:capture` })
+    : await gateway.void(hold.psp_reference, { idempotencyKey: `${hold.ride_id}:hold:void` });
+
+  const expected = amount > 0 ? GATEWAY_STATUS.CAPTURED : GATEWAY_STATUS.VOIDED;
+  if (result.status !== expected) {
+    console.error(`Failed to settle card hold for ride ${hold.ride_id}:`, result.error);
+    return null;
+  }
+
+  const updated = await client.query(
+    `UPDATE payment_holds
+     SET status = $1, captured_amount = $2, psp_response = $3, updated_at = NOW()
+     WHERE id = $4
+     RETURNING *`,
+    [amount > 0 ? 'captured' : 'released', amount > 0 ? amount : null, JSON.stringify(result.raw), hold.id]
+  );
+
+  return updated.rows[0];
+};
+
+/**
+ * Release a ride's card hold when the ride ends without a trip
+ * - captureAmount keeps part of the hold, e.g. a late cancellation fee
+ * @returns {Promise<Object|null>} Settled hold, or null if there was nothing to settle
+ */
+const releaseRideHold = async (rideId, { captureAmount = 0 } = {}) => {
+  return executeTransaction(async (client) => {
+    const hold = await lockActiveHold(client, rideId);
+    return hold ? settleHold(client, hold, captureAmount) : null;
+  });
+};
+
+/**
+ * Charge a card ride's final fare against its hold (inside the payment transaction)
+ * - Fare within the hold: capture it, the rest of the hold is released
+ * - Fare above the hold: raise the hold first (incremental authorization); if the
+ *   issuer refuses, release the hold and charge the card afresh
+ */
+const captureRideHold = async (client, hold, paymentId, amount, idempotencyKey, cardToken) => {
+  const gateway = getPaymentGateway();
+  const finalAmount = parseFloat(amount);
+  const holdAmount = parseFloat(hold.amount);
+  const holdDetails = { id: hold.id, amount: holdAmount, incremented_to: null };
+
+  if (finalAmount > holdAmount) {
+    const increment = await gateway.incrementAuthorization(hold.psp_reference, {
+      amount: finalAmount,
+      idempotencyKey: `${idempotencyKey}:increment`,
+    });
+
+    if (increment.status !== GATEWAY_STATUS.AUTHORIZED) {
+      await settleHold(client, hold);
+      const charge = await processCardPayment(paymentId, amount, idempotencyKey, cardToken || hold.card_token);
+      return { ...charge, hold: { ...holdDetails, increment_error: increment.error_code } };
+    }
+
+    holdDetails.incremented_to = finalAmount;
+    await client.query(
+      'UPDATE payment_holds SET amount = $1, updated_at = NOW() WHERE id = $2',
+      [finalAmount, hold.id]
+    );
+  }
+
+  let capture = await gateway.capture(hold.psp_reference, {
+    amount: finalAmount,
+    idempotencyKey: `${idempotencyKey}:capture`,
+  });
+
+  // Covers both a timeout now and a capture that went through on an earlier attempt
+  if (capture.status === GATEWAY_STATUS.ERROR) {
+    const current = await gateway.status({ pspReference: hold.psp_reference });
+    if (current.status === GATEWAY_STATUS.CAPTURED) {
+      capture = current;
+    }
+  }
+
+  const details = { method: 'card', amount, psp: gateway.name, card_token: hold.card_token, hold: holdDetails };
+
+  // Hold stays open, so a retry can try the capture again
+  if (capture.status !== GATEWAY_STATUS.CAPTURED) {
+    return {
+      ...details,
+      status: 'failed',
+      reference: hold.psp_reference,
+      psp_status: capture.status,
+      error: capture.error,
+      error_code: capture.error_code,
+    };
+  }
+
+  await client.query(
+    `UPDATE payment_holds
+     SET status = 'captured', captured_amount = $1, psp_response = $2, updated_at = NOW()
+     WHERE id = $3`,
+    [finalAmount, JSON.stringify(capture.raw), hold.id]
+  );
+
+  return {
+    ...details,
+    status: 'completed',
+    reference: capture.psp_reference,
+    psp_status: capture.status,
+    card: capture.raw.card,
+    capture: capture.raw,
+  };
+};
+
+/**
+ * Process wallet payment (inside the payment transaction)
+ * - Debits the rider's wallet into the platform account
+ * - Fails without writing anything if the balance doesn't cover the fare
+ */
+const processWalletPayment = async (client, trip, amount, paymentId) => {
+  try {
+    const { journal_id, from } = await debitForTrip(client, trip, amount, paymentId);
 
-  if (success) {
     return {
       status: 'completed',
-      reference: `CARD-${uuidv4().substring(0, 8).toUpperCase()}`,
-      method: 'card',
+      reference: `WALLET-${journal_id}`,
+      method: 'wallet',
       amount,
-      psp: 'mock_gateway',
-      transaction_id: uuidv4(),
+      wallet_balance_after: from.balance,
     };
-  } else {
+  } catch (error) {
+    if (!(error instanceof InsufficientFundsError)) {
+      throw error;
+    }
+
     return {
       status: 'failed',
       reference: null,
-      method: 'card',
+      method: 'wallet',
       amount,
-      error: 'Card declined',
-      error_code: 'CARD_DECLINED',
+      wallet_balance: error.balance,
+      error: error.message,
+      error_code: error.code,
     };
   }
 };
 
-/**
- * Process wallet payment
- */
-const processWalletPayment = async (tripId, amount) => {
-  await simulateApiDelay(30, 100);
-
-  return {
-    status: 'completed',
-    reference: `WALLET-${Date.now()}`,
-    method: 'wallet',
-    amount,
-    wallet_balance_after: Math.random() * 1000,
-  };
-};
-
 /**
  * OPTIMIZED: Get payment by trip ID (cached)
  */
@@ -279,82 +706,172 @@ const getPaymentById = async (id) => {
 
 /**
  * Retry failed payment
+ * - Card payments are checked with the PSP first: a charge whose outcome was
+ *   unknown may have gone through, in which case it's recorded instead of charged again
+ * - Reuses the previous card token unless a new one is given
  */
-const retryPayment = async (paymentId, idempotencyKey) => {
+const retryPayment = async (paymentId, idempotencyKey, { cardToken, actor = SYSTEM_ACTOR } = {}) => {
   const payment = await getPaymentById(paymentId);
 
   if (payment.status !== 'failed') {
     throw new ConflictError('Only failed payments can be retried');
   }
 
+  if (payment.payment_method === 'card') {
+    const current = await getPaymentGateway().status({ reference: payment.id });
+
+    if (current.status === GATEWAY_STATUS.CAPTURED) {
+      const completed = await executeTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE payments
+           SET status = 'completed', psp_reference = $1,
+               psp_response = COALESCE(psp_response, '{}'::jsonb) || $2::jsonb,
+               completed_at = NOW(), updated_at = NOW()
+           WHERE id = $3
+           RETURNING *`,
+          [current.psp_reference, JSON.stringify({ status: 'completed', psp_status: current.status, capture: current.raw }), paymentId]
+        );
+
+        const tripResult = await client.query(
+          'SELECT t.*, r.tenant_id, r.rider_id, r.driver_id FROM trips t JOIN rides r ON r.id = t.ride_id WHERE t.id = $1',
+          [payment.trip_id]
+        );
+        const trip = tripResult.rows[0];
+        await recordPaymentEarnings(client, {
+          tripId: payment.trip_id,
+          tenantId: trip.tenant_id,
+          driverId: trip.driver_id,
+          fare: tripFare(trip),
+          paymentMethod: 'card',
+          amount: payment.amount,
+          tip: payment.tip_amount,
+        });
+        await settleBalanceDue(client, trip.rider_id, payment.balance_due_amount);
+
+        // The charge went through after all
+        await recordRideEvent(client, {
+          rideId: trip.ride_id,
+          eventType: 'PAYMENT_COMPLETED',
+          fromStatus: 'failed',
+          toStatus: 'completed',
+          actor,
+          metadata: {
+            payment_id: paymentId,
+            trip_id: payment.trip_id,
+            payment_method: 'card',
+            amount: payment.amount,
+            psp_reference: current.psp_reference,
+            recovered: true,
+          },
+        });
+
+        return result.rows[0];
+      });
+      await invalidateCache(CACHE_KEYS.PAYMENT(payment.trip_id));
+      return completed;
+    }
+  }
+
   await query(
     "UPDATE payments SET status = 'pending', updated_at = NOW() WHERE id = $1",
     [paymentId]
   );
 
-  return processPayment(payment.trip_id, payment.payment_method, idempotencyKey);
+  return processPayment(payment.trip_id, payment.payment_method, idempotencyKey, {
+    cardToken: cardToken || payment.psp_response?.card_token || DEFAULT_CARD_TOKEN,
+    actor,
+  });
 };
 
 /**
  * Initiate refund
+ * - Wallet payments are credited back to the rider's wallet in the same transaction
+ * - Card payments are refunded through the payment gateway; if the PSP doesn't
+ *   confirm, the transaction rolls back and the payment stays completed
+ * - The driver's fare share and tip are taken back off their earnings
  */
-const initiateRefund = async (paymentId, reason) => {
-  const payment = await getPaymentById(paymentId);
+const initiateRefund = async (paymentId, reason, { actor = SYSTEM_ACTOR } = {}) => {
+  const refunded = await executeTransaction(async (client) => {
+    // Lock the payment so two refunds can't both pass the status check
+    const paymentResult = await client.query(
+      `SELECT p.*, t.id AS trip_id, t.ride_id, r.rider_id, r.tenant_id
+       FROM payments p
+       JOIN trips t ON p.trip_id = t.id
+       JOIN rides r ON t.ride_id = r.id
+       WHERE p.id = $1
+       FOR UPDATE OF p`,
+      [paymentId]
+    );
 
-  if (payment.status !== 'completed') {
-    throw new ConflictError('Only completed payments can be refunded');
-  }
+    if (paymentResult.rowCount === 0) {
+      throw new NotFoundError('Payment');
+    }
 
-  if (payment.payment_method === 'cash') {
-    throw new ConflictError('Cash payments cannot be refunded through the system');
-  }
+    const payment = paymentResult.rows[0];
 
-  await simulateApiDelay(50, 150);
+    if (payment.status !== 'completed') {
+      throw new ConflictError('Only completed payments can be refunded');
+    }
 
-  const result = await query(
-    `UPDATE payments 
-     SET status = 'refunded', 
-         psp_response = psp_response || $1::jsonb,
-         updated_at = NOW()
-     WHERE id = $2
-     RETURNING *`,
-    [JSON.stringify({ refund_reason: reason, refunded_at: new Date().toISOString() }), paymentId]
-  );
+    if (payment.payment_method === 'cash') {
+      throw new ConflictError('Cash payments cannot be refunded through the system');
+    }
 
-  // Invalidate cache
-  await invalidateCache(CACHE_KEYS.PAYMENT(payment.trip_id));
+    const refundDetails = { refund_reason: reason, refunded_at: new Date().toISOString() };
+
+    if (payment.payment_method === 'wallet') {
+      const trip = { id: payment.trip_id, rider_id: payment.rider_id, tenant_id: payment.tenant_id };
+      const { journal_id, to } = await creditRefund(client, trip, payment.amount, paymentId);
+      refundDetails.refund_reference = `WALLET-${journal_id}`;
+      refundDetails.wallet_balance_after = to.balance;
+    } else {
+      const refund = await getPaymentGateway().refund(payment.psp_reference, {
+        amount: parseFloat(payment.amount),
+        idempotencyKey: `${paymentId}:refund`,
+      });
+
+      if (refund.status !== GATEWAY_STATUS.REFUNDED) {
+        throw new PaymentGatewayError(refund.error || `Refund not confirmed (${refund.status})`, refund.error_code);
+      }
 
-  return result.rows[0];
-};
+      refundDetails.refund_reference = refund.psp_reference;
+      refundDetails.psp_refund = refund.raw;
+    }
 
-// Helper functions
+    const result = await client.query(
+      `UPDATE payments 
+       SET status = 'refunded', 
+           psp_response = psp_response || $1::jsonb,
+           updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [JSON.stringify(refundDetails), paymentId]
+    );
 
-const checkIdempotencyKey = async (key) => {
-  try {
-    const redis = getRedisClient();
-    const cached = await redis.get(`payment:idempotency:${key}`);
-    return cached ? JSON.parse(cached) : null;
-  } catch (error) {
-    return null;
-  }
-};
+    await reverseTripEarnings(client, payment.trip_id);
+
+    await recordRideEvent(client, {
+      rideId: payment.ride_id,
+      eventType: 'PAYMENT_REFUNDED',
+      fromStatus: 'completed',
+      toStatus: 'refunded',
+      actor,
+      metadata: {
+        payment_id: paymentId,
+        trip_id: payment.trip_id,
+        amount: payment.amount,
+        reason,
+        refund_reference: refundDetails.refund_reference,
+      },
+    });
+
+    return result.rows[0];
+  });
 
-const storeIdempotencyResult = async (key, result) => {
-  try {
-    const redis = getRedisClient();
-    await redis.setex(
-      `payment:idempotency:${key}`,
-      IDEMPOTENCY_TTL,
-      JSON.stringify(result)
-    );
-  } catch (error) {
-    console.error('Failed to store idempotency result:', error.message);
-  }
-};
+  // Invalidate cache
+  await invalidateCache(CACHE_KEYS.PAYMENT(refunded.trip_id));
 
-const simulateApiDelay = (minMs, maxMs) => {
-  const delay = Math.floor(Math.random() * (maxMs - minMs + 1)) + minMs;
-  return new Promise(resolve => setTimeout(resolve, delay));
+  return refunded;
 };
 
 module.exports = {
@@ -363,4 +880,11 @@ module.exports = {
   getPaymentById,
   retryPayment,
   initiateRefund,
+  topUpWallet,
+  calculateHoldAmount,
+  authorizeRideHold,
+  saveRideHold,
+  discardRideHold,
+  releaseRideHold,
+  PREAUTH_CONFIG,
 };
@@ -0,0 +1,309 @@
+const { queryRead } = require('../config/database');
+const { ConflictError } = require('../utils/errors');
+const { calculateDistance } = require('./rideService');
+const { SUPPLY_TIERS } = require('./surgeService');
+
+// Pool (shared ride) configuration
+const POOL_CONFIG = {
+  maxDetourKm: parseFloat(process.env.POOL_MAX_DETOUR_KM) || 3,       // Extra distance any rider may be taken out of their way
+  searchRadiusKm: parseFloat(process.env.POOL_SEARCH_RADIUS_KM) || 3,  // How far a pooling driver may be from the new pickup
+  vehicleTiers: SUPPLY_TIERS.pool,                                    // Vehicles that serve pool rides
+  defaultSeatCapacity: { economy: 3, premium: 3, xl: 5 },             // Used when a driver has no seat_capacity set
+};
+
+// Ride statuses during which a pool rider holds a seat
+const ACTIVE_POOL_STATUSES = ['DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE', 'DRIVER_ARRIVED', 'IN_PROGRESS'];
+
+// =============================================
+// ROUTE PLANNING
+// =============================================
+
+/**
+ * Cumulative distance from the start to each point of a route
+ */
+const cumulativeDistances = (start, points) => {
+  const distances = [];
+  let total = 0;
+  let previous = start;
+
+  for (const point of points) {
+    total += calculateDistance(previous.lat, previous.lng, point.lat, point.lng);
+    distances.push(total);
+    previous = point;
+  }
+
+  return distances;
+};
+
+/**
+ * Find the cheapest place to insert a new rider's pickup and dropoff into a
+ * driver's manifest without reordering the existing stops.
+ *
+ * The detour is the worst extra distance any rider travels because of the
+ * insertion: existing riders reach each of their stops later, and the new
+ * rider waits longer for pickup or rides further than the direct route.
+ *
+ * @param {{lat, lng}} start - Driver's current position
+ * @param {Array<{lat, lng}>} manifest - Pending stops in visiting order
+ * @param {{lat, lng}} pickup - New rider's pickup stop
+ * @param {{lat, lng}} dropoff - New rider's dropoff stop
+ * @returns {{ stops: Array, detourKm: number }}
+ */
+const planPoolInsertion = (start, manifest, pickup, dropoff) => {
+  const baseline = cumulativeDistances(start, manifest);
+  const directKm = calculateDistance(pickup.lat, pickup.lng, dropoff.lat, dropoff.lng);
+  const directToPickupKm = calculateDistance(start.lat, start.lng, pickup.lat, pickup.lng);
+  let best = null;
+
+  for (let i = 0; i <= manifest.length; i++) {
+    for (let j = i; j <= manifest.length; j++) {
+      const stops = [
+        ...manifest.slice(0, i),
+        pickup,
+        ...manifest.slice(i, j),
+        dropoff,
+        ...manifest.slice(j),
+      ];
+      const distances = cumulativeDistances(start, stops);
+
+      // Delay to existing stops (indexes shift by 1 after the pickup, by 2 after the dropoff)
+      let detourKm = 0;
+      manifest.forEach((_, k) => {
+        const newIndex = k + (k >= i ? 1 : 0) + (k >= j ? 1 : 0);
+        detourKm = Math.max(detourKm, distances[newIndex] - baseline[k]);
+      });
+
+      // New rider's extra wait for pickup and time in the car beyond the direct route
+      const inVehicleKm = distances[j + 1] - distances[i];
+      detourKm = Math.max(detourKm, distances[i] - directToPickupKm, inVehicleKm - directKm);
+
+      const totalKm = distances[distances.length - 1];
+      if (!best || detourKm < best.detourKm || (detourKm === best.detourKm && totalKm < best.totalKm)) {
+        best = { stops, detourKm, totalKm };
+      }
+    }
+  }
+
+  return {
+    stops: best.stops,
+    detourKm: Math.round(best.detourKm * 100) / 100,
+  };
+};
+
+// =============================================
+// MANIFEST
+// =============================================
+
+const toStop = (ride, type) => ({
+  ride_id: ride.id,
+  type,
+  lat: parseFloat(type === 'pickup' ? ride.pickup_lat : ride.dropoff_lat),
+  lng: parseFloat(type === 'pickup' ? ride.pickup_lng : ride.dropoff_lng),
+});
+
+const fromRow = (row) => ({
+  ...row,
+  lat: parseFloat(row.latitude),
+  lng: parseFloat(row.longitude),
+});
+
+/**
+ * Seats a driver can offer to pool riders
+ */
+const getSeatCapacity = (driver) => {
+  return driver.seat_capacity
+    || POOL_CONFIG.defaultSeatCapacity[driver.vehicle_type]
+    || POOL_CONFIG.defaultSeatCapacity.economy;
+};
+
+/**
+ * Latest known position of each driver
+ */
+const getLatestDriverLocations = async (driverIds, db = { query: queryRead }) => {
+  const result = await db.query(
+    `SELECT DISTINCT ON (driver_id) driver_id, latitude, longitude
+     FROM driver_locations
+     WHERE driver_id = ANY($1)
+     ORDER BY driver_id, recorded_at DESC`,
+    [driverIds]
+  );
+
+  return new Map(result.rows.map(row => [
+    row.driver_id,
+    { lat: parseFloat(row.latitude), lng: parseFloat(row.longitude) },
+  ]));
+};
+
+/**
+ * Find drivers on an IN_PROGRESS pool trip who can take this ride:
+ * nearby, with enough free seats and within the detour limit
+ * @returns {Promise<Array>} Candidates ordered by detour (smallest first)
+ */
+const findPoolCandidates = async (ride, excludedDriverIds = new Set()) => {
+  const seats = ride.seats || 1;
+
+  const driversResult = await queryRead(
+    `SELECT d.id, d.name, d.rating, d.total_rides, d.acceptance_rate, d.vehicle_type, d.seat_capacity,
+       SUM(r.seats) AS seats_in_use
+     FROM drivers d
+     JOIN rides r ON r.driver_id = d.id
+     WHERE r.tier = 'pool' AND r.tenant_id = $1 AND r.status = ANY($2) AND d.suspended_at IS NULL
+       AND (d.min_rider_rating IS NULL OR d.min_rider_rating <= $3)
+     GROUP BY d.id
+     HAVING bool_or(r.status = 'IN_PROGRESS')`,
+    [ride.tenant_id, ACTIVE_POOL_STATUSES, ride.rider_rating || 5]
+  );
+
+  const drivers = driversResult.rows.filter(driver =>
+    !excludedDriverIds.has(driver.id) &&
+    parseInt(driver.seats_in_use) + seats <= getSeatCapacity(driver)
+  );
+
+  if (drivers.length === 0) {
+    return [];
+  }
+
+  const driverIds = drivers.map(driver => driver.id);
+  const [locations, manifestResult] = await Promise.all([
+    getLatestDriverLocations(driverIds),
+    queryRead(
+      `SELECT * FROM pool_stops
+       WHERE driver_id = ANY($1) AND status = 'pending'
+       ORDER BY driver_id, sequence`,
+      [driverIds]
+    ),
+  ]);
+
+  const pickup = toStop(ride, 'pickup');
+  const dropoff = toStop(ride, 'dropoff');
+  const candidates = [];
+
+  for (const driver of drivers) {
+    const position = locations.get(driver.id);
+    if (!position) continue;
+
+    const distance = calculateDistance(position.lat, position.lng, pickup.lat, pickup.lng);
+    if (distance > POOL_CONFIG.searchRadiusKm) continue;
+
+    const manifest = manifestResult.rows
+      .filter(row => row.driver_id === driver.id)
+      .map(fromRow);
+    const plan = planPoolInsertion(position, manifest, pickup, dropoff);
+
+    if (plan.detourKm <= POOL_CONFIG.maxDetourKm) {
+      candidates.push({ ...driver, distance, detourKm: plan.detourKm, pooled: true });
+    }
+  }
+
+  return candidates.sort((a, b) => a.detourKm - b.detourKm);
+};
+
+/**
+ * Add a pool ride to the driver's manifest (inside the accept transaction)
+ * - Only drivers who are free or already on pool rides can take it
+ * - Re-checks seat capacity and the detour limit under row locks
+ * - Rewrites the driver's pending stops in the planned order
+ */
+const attachRideToManifest = async (client, driver, ride) => {
+  const seatsResult = await client.query(
+    `SELECT id, tier, seats FROM rides
+     WHERE driver_id = $1 AND status = ANY($2)
+     FOR UPDATE`,
+    [driver.id, ACTIVE_POOL_STATUSES]
+  );
+
+  if (seatsResult.rows.some(row => row.tier !== 'pool')) {
+    throw new ConflictError('Driver is not available');
+  }
+
+  const seatsInUse = seatsResult.rows.reduce((sum, row) => sum + row.seats, 0);
+  if (seatsInUse + (ride.seats || 1) > getSeatCapacity(driver)) {
+    throw new ConflictError('Not enough free seats for this pool ride');
+  }
+
+  const manifestResult = await client.query(
+    `SELECT * FROM pool_stops
+     WHERE driver_id = $1 AND status = 'pending'
+     ORDER BY sequence
+     FOR UPDATE`,
+    [driver.id]
+  );
+  const manifest = manifestResult.rows.map(fromRow);
+
+  const pickup = toStop(ride, 'pickup');
+  const dropoff = toStop(ride, 'dropoff');
+
+  const locations = await getLatestDriverLocations([driver.id], client);
+  const position = locations.get(driver.id) || pickup;
+  const plan = planPoolInsertion(position, manifest, pickup, dropoff);
+
+  if (manifest.length > 0 && plan.detourKm > POOL_CONFIG.maxDetourKm) {
+    throw new ConflictError('Pool detour limit exceeded');
+  }
+
+  await client.query(
+    "DELETE FROM pool_stops WHERE driver_id = $1 AND status = 'pending'",
+    [driver.id]
+  );
+
+  for (const [index, stop] of plan.stops.entries()) {
+    await client.query(
+      `INSERT INTO pool_stops (driver_id, ride_id, type, sequence, latitude, longitude)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [driver.id, stop.ride_id, stop.type, index + 1, stop.lat, stop.lng]
+    );
+  }
+
+  // Every rider on board now shares the car with this many riders (at most)
+  const riderCount = new Set(plan.stops.map(stop => stop.ride_id)).size;
+  await client.query(
+    `UPDATE rides SET pool_riders = GREATEST(pool_riders, $1)
+     WHERE id = ANY($2)`,
+    [riderCount, [...new Set(plan.stops.map(stop => stop.ride_id))]]
+  );
+
+  return plan;
+};
+
+/**
+ * Mark a rider's pickup or dropoff as done (inside the trip transaction)
+ */
+const completePoolStop = async (client, rideId, type) => {
+  await client.query(
+    `UPDATE pool_stops SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+     WHERE ride_id = $1 AND type = $2 AND status = 'pending'`,
+    [rideId, type]
+  );
+};
+
+/**
+ * Get a driver's ordered pickup/dropoff manifest
+ */
+const getDriverManifest = async (driverId) => {
+  const result = await queryRead(
+    `SELECT ps.id, ps.ride_id, ps.type, ps.sequence, ps.latitude, ps.longitude,
+       r.status AS ride_status, r.seats, r.pickup_address, r.dropoff_address,
+       ri.name AS rider_name, ri.phone AS rider_phone,
+       t.id AS trip_id
+     FROM pool_stops ps
+     JOIN rides r ON r.id = ps.ride_id
+     JOIN riders ri ON ri.id = r.rider_id
+     LEFT JOIN trips t ON t.ride_id = r.id
+     WHERE ps.driver_id = $1 AND ps.status = 'pending'
+     ORDER BY ps.sequence`,
+    [driverId]
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  planPoolInsertion,
+  getSeatCapacity,
+  findPoolCandidates,
+  attachRideToManifest,
+  completePoolStop,
+  getDriverManifest,
+  POOL_CONFIG,
+  ACTIVE_POOL_STATUSES,
+};
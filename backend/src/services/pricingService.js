@@ -0,0 +1,197 @@
+const { getActiveRateCard, getRideRateCard, getDefaultRateCard } = require('./rateCardService');
+const { calculatePromoDiscount } = require('./promoService');
+
+const PRICING_CONFIG = {
+  // Rides are charged their quoted fare ('upfront') or on the meter ('metered'); pool is always metered
+  defaultMode: process.env.PRICING_DEFAULT_MODE === 'metered' ? 'metered' : 'upfront',
+  // How far the driven distance may stray from the quoted route before an upfront price no longer holds
+  upfrontMaxDeviation: parseFloat(process.env.UPFRONT_MAX_ROUTE_DEVIATION) || 0.2,
+  minutesPerKm: 3,            // Estimated trip time when there's no better figure
+  poolSharingOverhead: 0.3,   // Share of the split-away fare each extra pool rider adds back
+  // Waiting at pickup: free for a few minutes after the driver arrives, then charged per minute
+  freeWaitingMins: { economy: 3, premium: 5, xl: 5, pool: 2 },
+  waitingPerMin: { economy: 2, premium: 3, xl: 4, pool: 1.5 },
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Estimated trip time for a distance
+ */
+const estimateDuration = (distanceKm) => Math.ceil(distanceKm * PRICING_CONFIG.minutesPerKm);
+
+/**
+ * Fraction of the distance/time fare a pool rider pays when the car was shared
+ * by `sharedRiders` riders: the cost is split, plus an overhead per extra rider
+ * for the detours
+ */
+const getPoolShareFactor = (sharedRiders = 1) => {
+  const riders = Math.max(1, sharedRiders);
+  return (1 + PRICING_CONFIG.poolSharingOverhead * (riders - 1)) / riders;
+};
+
+/**
+ * A tier's free waiting window and per-minute waiting rate
+ * @param {string} tier
+ * @returns {Object} { freeMins, perMin }
+ */
+const getWaitingRates = (tier) => ({
+  freeMins: PRICING_CONFIG.freeWaitingMins[tier] || PRICING_CONFIG.freeWaitingMins.economy,
+  perMin: PRICING_CONFIG.waitingPerMin[tier] || PRICING_CONFIG.waitingPerMin.economy,
+});
+
+/**
+ * Charge for waiting at pickup beyond the tier's free waiting window
+ * - Every started minute past the window is charged
+ * @param {string} tier
+ * @param {number} waitedMins - Minutes since the driver arrived
+ */
+const calculateWaitingFare = (tier, waitedMins) => {
+  const { freeMins, perMin } = getWaitingRates(tier);
+  const chargedMins = Math.max(0, Math.ceil(waitedMins - freeMins));
+  return roundAmount(chargedMins * perMin);
+};
+
+/**
+ * Pricing mode for a new ride
+ * @param {string} tier
+ * @param {string} [requested] - 'upfront' or 'metered'; defaults to PRICING_DEFAULT_MODE
+ */
+const resolvePricingMode = (tier, requested) => {
+  if (tier === 'pool') return 'metered';
+  return requested || PRICING_CONFIG.defaultMode;
+};
+
+/**
+ * Calculate an itemized fare
+ * - The metered fare (base + distance + time) is topped up to the minimum fare, then surged
+ * - Waiting time and the booking fee are added unsurged; a promo discount comes off before tax
+ * - Tolls are passed through at cost, untaxed
+ * @param {string} tier
+ * @param {number} distanceKm
+ * @param {number} durationMins
+ * @param {number} [surgeMultiplier=1]
+ * @param {Object} [options]
+ * @param {number} [options.sharedRiders=1] - Pool riders who shared the car; splits the distance and time fare
+ * @param {Object} [options.rateCard] - Rates to charge (see rateCardService); defaults to the built-in rates for the tier
+ * @param {number} [options.waitingFare=0]
+ * @param {number} [options.tolls=0]
+ * @param {Object} [options.promo] - Promo to apply (see promoService.toPromo)
+ */
+const calculateFare = (tier, distanceKm, durationMins, surgeMultiplier = 1, {
+  sharedRiders = 1,
+  rateCard,
+  waitingFare = 0,
+  tolls = 0,
+  promo = null,
+} = {}) => {
+  const card = rateCard || getDefaultRateCard(tier);
+  const shareFactor = tier === 'pool' ? getPoolShareFactor(sharedRiders) : 1;
+
+  const baseFare = card.baseFare;
+  const distanceFare = roundAmount(distanceKm * card.perKm * shareFactor);
+  const timeFare = roundAmount(durationMins * card.perMin * shareFactor);
+  const meteredFare = baseFare + distanceFare + timeFare;
+  const minimumFareAdjustment = Math.max(0, roundAmount(card.minimumFare - meteredFare));
+  const subtotal = meteredFare + minimumFareAdjustment;
+  const surgeFare = surgeMultiplier > 1 ? roundAmount(subtotal * (surgeMultiplier - 1)) : 0;
+  const bookingFee = card.bookingFee;
+  const beforeDiscount = subtotal + surgeFare + waitingFare + bookingFee;
+  const discount = promo ? calculatePromoDiscount(promo, beforeDiscount) : 0;
+  const taxes = roundAmount((beforeDiscount - discount) * card.taxPercent / 100);
+  const total = roundAmount(beforeDiscount - discount + taxes + tolls);
+
+  return {
+    baseFare,
+    distanceFare,
+    timeFare,
+    minimumFareAdjustment,
+    surgeFare,
+    surgeMultiplier,
+    waitingFare,
+    bookingFee,
+    tolls,
+    discount,
+    promoCode: promo ? promo.code : null,
+    sharedRiders: tier === 'pool' ? Math.max(1, sharedRiders) : 1,
+    shareFactor: Math.round(shareFactor * 1000) / 1000,
+    taxes,
+    taxPercent: card.taxPercent,
+    subtotal,
+    total,
+    currency: card.currency,
+    rateCardId: card.id,
+    rateCardVersion: card.version,
+  };
+};
+
+/**
+ * Quote a fare on the tenant's current rate card (fare estimate and ride creation)
+ * @param {string} tenantId
+ * @param {string} tier
+ * @param {number} distanceKm - Planned route distance
+ * @param {Object} [options] - { durationMins, surgeMultiplier, sharedRiders, pricingMode, promo }
+ * @returns {Promise<Object>} Fare breakdown plus distanceKm, durationMins and pricingMode
+ */
+const quoteFare = async (tenantId, tier, distanceKm, {
+  durationMins = estimateDuration(distanceKm),
+  surgeMultiplier = 1,
+  sharedRiders = 1,
+  pricingMode,
+  promo,
+} = {}) => {
+  const rateCard = await getActiveRateCard(tenantId, tier);
+
+  return {
+    ...calculateFare(tier, distanceKm, durationMins, surgeMultiplier, { sharedRiders, rateCard, promo }),
+    distanceKm,
+    durationMins,
+    pricingMode: resolvePricingMode(tier, pricingMode),
+  };
+};
+
+/**
+ * Work out what a finished trip costs
+ * - Always on the rate card and surge the ride was quoted with
+ * - An upfront ride pays its quote (repriced from the planned route) unless the driven
+ *   distance strayed from it by more than UPFRONT_MAX_ROUTE_DEVIATION; then it's metered
+ * @param {Object} ride - Ride row
+ * @param {Object} actuals - { distanceKm, durationMins, sharedRiders, waitingFare, tolls, promo }
+ * @returns {Promise<Object>} Fare breakdown plus pricingMode, upfrontHonored and routeDeviation
+ */
+const finalizeFare = async (ride, { distanceKm, durationMins, sharedRiders = 1, ...extras }) => {
+  const rateCard = await getRideRateCard(ride);
+  const surgeMultiplier = parseFloat(ride.surge_multiplier) || 1;
+  const quotedDistance = parseFloat(ride.estimated_distance_km) || 0;
+  const routeDeviation = quotedDistance > 0
+    ? Math.round(Math.abs(distanceKm - quotedDistance) / quotedDistance * 1000) / 1000
+    : 0;
+
+  const upfrontHonored = ride.pricing_mode === 'upfront'
+    && quotedDistance > 0
+    && routeDeviation <= PRICING_CONFIG.upfrontMaxDeviation;
+
+  const fare = upfrontHonored
+    ? calculateFare(ride.tier, quotedDistance, ride.estimated_duration_mins || estimateDuration(quotedDistance),
+      surgeMultiplier, { sharedRiders, rateCard, ...extras })
+    : calculateFare(ride.tier, distanceKm, durationMins, surgeMultiplier, { sharedRiders, rateCard, ...extras });
+
+  return {
+    ...fare,
+    pricingMode: ride.pricing_mode || 'metered',
+    upfrontHonored,
+    routeDeviation,
+  };
+};
+
+module.exports = {
+  calculateFare,
+  quoteFare,
+  finalizeFare,
+  estimateDuration,
+  calculateWaitingFare,
+  getWaitingRates,
+  getPoolShareFactor,
+  resolvePricingMode,
+  PRICING_CONFIG,
+};
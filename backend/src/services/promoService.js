@@ -0,0 +1,223 @@
+const { query, queryRead } = require('../config/database');
+const { ValidationError } = require('../utils/errors');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Read-only lookups outside a transaction
+const readDb = { query: queryRead };
+
+/**
+ * Convert a promo_codes row into the rule the pricing module applies
+ */
+const toPromo = (row) => ({
+  id: row.id,
+  code: row.code,
+  discountType: row.discount_type,
+  discountValue: parseFloat(row.discount_value),
+  maxDiscount: row.max_discount === null || row.max_discount === undefined ? null : parseFloat(row.max_discount),
+});
+
+/**
+ * Discount a promo gives on a fare
+ * - Percent discounts stop at max_discount; no discount exceeds the fare itself
+ * @param {Object} promo - As from toPromo
+ * @param {number} amount - Fare the discount applies to (before tax)
+ */
+const calculatePromoDiscount = (promo, amount) => {
+  let discount = promo.discountType === 'percent'
+    ? amount * promo.discountValue / 100
+    : promo.discountValue;
+
+  if (promo.maxDiscount !== null) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+
+  return roundAmount(Math.max(0, Math.min(discount, amount)));
+};
+
+/**
+ * Find a promo code (codes are case-insensitive)
+ */
+const findPromoCode = async (code) => {
+  const result = await queryRead(
+    'SELECT * FROM promo_codes WHERE code = $1',
+    [code.trim().toUpperCase()]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Why a rider can't use a promo on a ride, or null if they can
+ * @param {Object} db - Transaction client, or readDb
+ * @param {Object} promo - promo_codes row
+ * @param {Object} ride - { tenantId, tier, riderId, rideId, at }
+ */
+const getIneligibilityReason = async (db, promo, { tenantId, tier, riderId, rideId = null, at = new Date() }) => {
+  const when = new Date(at);
+
+  if (!promo.active) return 'This promo code is no longer active';
+  if (new Date(promo.starts_at) > when) return 'This promo code is not active yet';
+  if (promo.ends_at && new Date(promo.ends_at) <= when) return 'This promo code has expired';
+  if (promo.tenant_id && promo.tenant_id !== tenantId) return 'This promo code is not valid in your city';
+  if (promo.tiers && promo.tiers.length > 0 && !promo.tiers.includes(tier)) {
+    return `This promo code is only valid for ${promo.tiers.join(', ')} rides`;
+  }
+  if (promo.max_redemptions !== null && promo.redemption_count >= promo.max_redemptions) {
+    return 'This promo code has been fully redeemed';
+  }
+
+  if (promo.max_redemptions_per_rider !== null) {
+    const usedResult = await db.query(
+      `SELECT COUNT(*) FROM promo_redemptions
+       WHERE promo_code_id = $1 AND rider_id = $2 AND ride_id IS DISTINCT FROM $3`,
+      [promo.id, riderId, rideId]
+    );
+    if (parseInt(usedResult.rows[0].count) >= promo.max_redemptions_per_rider) {
+      return 'You have already used this promo code';
+    }
+  }
+
+  if (promo.first_ride_only) {
+    const ridesResult = await db.query(
+      `SELECT COUNT(*) FROM rides
+       WHERE rider_id = $1 AND status = 'COMPLETED' AND id IS DISTINCT FROM $2`,
+      [riderId, rideId]
+    );
+    if (parseInt(ridesResult.rows[0].count) > 0) {
+      return 'This promo code is only valid on your first ride';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a promo code without applying it (fare estimate)
+ * @returns {Promise<Object>} { code, promo, reason } - promo is null when it can't be used
+ */
+const previewPromo = async (code, ride) => {
+  const row = await findPromoCode(code);
+  if (!row) {
+    return { code: code.trim().toUpperCase(), promo: null, reason: 'Unknown promo code' };
+  }
+
+  const reason = await getIneligibilityReason(readDb, row, ride);
+  return { code: row.code, promo: reason ? null : toPromo(row), reason };
+};
+
+/**
+ * Resolve the promo code a ride is requested with
+ * @throws {ValidationError} If the code is unknown or the rider can't use it
+ */
+const resolvePromo = async (code, ride) => {
+  const { promo, reason } = await previewPromo(code, ride);
+  if (!promo) {
+    throw new ValidationError('Validation failed', [{ field: 'promo_code', message: reason }]);
+  }
+  return promo;
+};
+
+/**
+ * Claim a ride's promo at trip completion (inside the end-trip transaction)
+ * - The promo row stays locked until the transaction ends, so concurrent trips
+ *   can't push it past its usage limits
+ * - Checked as of when the ride was requested, except for usage, which is checked now
+ * @returns {Promise<Object|null>} The promo (as from toPromo), or null if it can no longer be used
+ */
+const claimRidePromo = async (client, ride) => {
+  if (!ride.promo_code_id) return null;
+
+  const result = await client.query(
+    'SELECT * FROM promo_codes WHERE id = $1 FOR UPDATE',
+    [ride.promo_code_id]
+  );
+  if (result.rowCount === 0) return null;
+
+  const reason = await getIneligibilityReason(client, result.rows[0], {
+    tenantId: ride.tenant_id,
+    tier: ride.tier,
+    riderId: ride.rider_id,
+    rideId: ride.id,
+    at: ride.created_at,
+  });
+  if (reason) {
+    console.log(`Promo ${result.rows[0].code} not applied to ride ${ride.id}: ${reason}`);
+    return null;
+  }
+
+  return toPromo(result.rows[0]);
+};
+
+/**
+ * Record a redemption of a claimed promo (inside the end-trip transaction)
+ * - One redemption per ride; a retried completion doesn't count twice
+ */
+const recordRedemption = async (client, { promo, ride, tripId, discount }) => {
+  const result = await client.query(
+    `INSERT INTO promo_redemptions (promo_code_id, rider_id, ride_id, trip_id, discount_amount)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (ride_id) DO NOTHING
+     RETURNING *`,
+    [promo.id, ride.rider_id, ride.id, tripId, discount]
+  );
+
+  if (result.rowCount > 0) {
+    await client.query(
+      'UPDATE promo_codes SET redemption_count = redemption_count + 1, updated_at = NOW() WHERE id = $1',
+      [promo.id]
+    );
+  }
+
+  return result.rows[0] || null;
+};
+
+/**
+ * List a tenant's promo codes (and those valid in every tenant), newest first
+ */
+const listPromoCodes = async (tenantId) => {
+  const result = await queryRead(
+    `SELECT * FROM promo_codes
+     WHERE tenant_id = $1 OR tenant_id IS NULL
+     ORDER BY created_at DESC`,
+    [tenantId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Create a promo code for a tenant
+ * @param {string} tenantId
+ * @param {Object} promo - { code, description, discount_type, discount_value, max_discount, tiers,
+ *   first_ride_only, max_redemptions, max_redemptions_per_rider, starts_at, ends_at }
+ * @param {string} [createdBy] - Admin user creating it
+ */
+const createPromoCode = async (tenantId, promo, createdBy = null) => {
+  const result = await query(
+    `INSERT INTO promo_codes (
+      tenant_id, code, description, discount_type, discount_value, max_discount, tiers,
+      first_ride_only, max_redemptions, max_redemptions_per_rider, starts_at, ends_at, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()), $12, $13)
+    RETURNING *`,
+    [
+      tenantId, promo.code, promo.description, promo.discount_type, promo.discount_value,
+      promo.max_discount || null, promo.tiers || null, promo.first_ride_only,
+      promo.max_redemptions || null, promo.max_redemptions_per_rider, promo.starts_at || null,
+      promo.ends_at || null, createdBy,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  calculatePromoDiscount,
+  previewPromo,
+  resolvePromo,
+  claimRidePromo,
+  recordRedemption,
+  listPromoCodes,
+  createPromoCode,
+  toPromo,
+};
@@ -0,0 +1,198 @@
+const { query, queryRead, executeTransaction } = require('../config/database');
+const { invalidateCache } = require('../config/redis');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { getOrCompute, CACHE_KEYS, CACHE_TTL } = require('./cacheService');
+
+// Rates used for a tenant and tier that has no rate card yet
+const DEFAULT_RATE_CARDS = {
+  economy: { baseFare: 50, perKm: 12, perMin: 1.5, minimumFare: 80, bookingFee: 0, taxPercent: 5 },
+  premium: { baseFare: 100, perKm: 18, perMin: 2.5, minimumFare: 150, bookingFee: 0, taxPercent: 5 },
+  xl: { baseFare: 150, perKm: 22, perMin: 3, minimumFare: 200, bookingFee: 0, taxPercent: 5 },
+  pool: { baseFare: 40, perKm: 10, perMin: 1.2, minimumFare: 60, bookingFee: 0, taxPercent: 5 },
+};
+
+// How far back a new version may start, to absorb clock skew with the caller
+const PUBLISH_GRACE_MS = 60 * 1000;
+
+/**
+ * Default rate card for a tier (unknown tiers are charged as economy)
+ */
+const getDefaultRateCard = (tier) => ({
+  id: null,
+  version: null,
+  tier: DEFAULT_RATE_CARDS[tier] ? tier : 'economy',
+  ...(DEFAULT_RATE_CARDS[tier] || DEFAULT_RATE_CARDS.economy),
+  currency: 'INR',
+  effectiveFrom: null,
+});
+
+/**
+ * Convert a rate_cards row into the rates the fare calculators take
+ */
+const toRateCard = (row) => ({
+  id: row.id,
+  version: row.version,
+  tier: row.tier,
+  baseFare: parseFloat(row.base_fare),
+  perKm: parseFloat(row.per_km),
+  perMin: parseFloat(row.per_min),
+  minimumFare: parseFloat(row.minimum_fare),
+  bookingFee: parseFloat(row.booking_fee),
+  taxPercent: parseFloat(row.tax_percent),
+  currency: row.currency,
+  effectiveFrom: row.effective_from,
+});
+
+/**
+ * Every version of a tenant's rate card for a tier, newest first (cached)
+ */
+const getRateCardVersions = async (tenantId, tier) => {
+  return getOrCompute(CACHE_KEYS.RATE_CARDS(tenantId, tier), CACHE_TTL.RATE_CARDS, async () => {
+    const result = await queryRead(
+      `SELECT * FROM rate_cards
+       WHERE tenant_id = $1 AND tier = $2
+       ORDER BY effective_from DESC, version DESC`,
+      [tenantId, tier]
+    );
+    return result.rows;
+  });
+};
+
+/**
+ * Get the rate card in effect for a tenant and tier
+ * - Versions scheduled for later are ignored until their effective_from
+ * - Falls back to the default rates when the tenant has no card for the tier
+ * @param {string} tenantId
+ * @param {string} tier
+ * @param {Date} [at] - Point in time (default: now)
+ */
+const getActiveRateCard = async (tenantId, tier, at = new Date()) => {
+  if (!tenantId) {
+    return getDefaultRateCard(tier);
+  }
+
+  const versions = await getRateCardVersions(tenantId, tier);
+  const active = versions.find(row => new Date(row.effective_from) <= new Date(at));
+
+  return active ? toRateCard(active) : getDefaultRateCard(tier);
+};
+
+/**
+ * Get the rate card a ride was quoted on
+ * - Rides from before rate cards were stamped use the card in effect when they were requested
+ */
+const getRideRateCard = async (ride) => {
+  if (ride.rate_card_id) {
+    const result = await query('SELECT * FROM rate_cards WHERE id = $1', [ride.rate_card_id]);
+    if (result.rowCount > 0) {
+      return toRateCard(result.rows[0]);
+    }
+  }
+
+  return getActiveRateCard(ride.tenant_id, ride.tier, ride.created_at || new Date());
+};
+
+/**
+ * List a tenant's rate cards, newest version first, marking which one is in effect per tier
+ * @param {string} tenantId
+ * @param {Object} [filters] - { tier }
+ */
+const listRateCards = async (tenantId, { tier } = {}) => {
+  const params = [tenantId];
+  let tierCondition = '';
+  if (tier) {
+    params.push(tier);
+    tierCondition = 'AND tier = $2';
+  }
+
+  const result = await queryRead(
+    `SELECT * FROM rate_cards
+     WHERE tenant_id = $1 ${tierCondition}
+     ORDER BY tier, version DESC`,
+    params
+  );
+
+  // The newest version already in effect is active; later ones are scheduled, older superseded
+  const now = new Date();
+  const activeIds = new Map();
+  for (const row of result.rows) {
+    const effective = new Date(row.effective_from) <= now;
+    const current = activeIds.get(row.tier);
+    if (effective && (!current || new Date(row.effective_from) > new Date(current.effective_from))) {
+      activeIds.set(row.tier, row);
+    }
+  }
+
+  return result.rows.map(row => {
+    const active = activeIds.get(row.tier);
+    let status = 'superseded';
+    if (active && active.id === row.id) status = 'active';
+    else if (new Date(row.effective_from) > now) status = 'scheduled';
+    return { ...row, status };
+  });
+};
+
+/**
+ * Publish a new version of a tenant's rate card for a tier
+ * - Versions number 1, 2, 3... per tenant and tier; published versions are never changed
+ * - It takes effect at effective_from (default: now), which can't be in the past
+ *   so fares already charged stay reproducible
+ * @param {string} tenantId
+ * @param {Object} card - { tier, base_fare, per_km, per_min, minimum_fare, booking_fee, tax_percent, currency, effective_from }
+ * @param {string} [createdBy] - Admin user publishing it
+ */
+const publishRateCard = async (tenantId, card, createdBy = null) => {
+  const effectiveFrom = card.effective_from || new Date();
+  if (effectiveFrom.getTime() < Date.now() - PUBLISH_GRACE_MS) {
+    throw new ValidationError('Validation failed', [
+      { field: 'effective_from', message: 'A rate card cannot take effect in the past' },
+    ]);
+  }
+
+  const published = await executeTransaction(async (client) => {
+    // Publishers of the same tenant queue on its row, so each gets the next version
+    const tenantResult = await client.query(
+      'SELECT id FROM tenants WHERE id = $1 FOR UPDATE',
+      [tenantId]
+    );
+    if (tenantResult.rowCount === 0) {
+      throw new NotFoundError('Tenant');
+    }
+
+    const versionResult = await client.query(
+      `SELECT COALESCE(MAX(version), 0) + 1 AS version
+       FROM rate_cards WHERE tenant_id = $1 AND tier = $2`,
+      [tenantId, card.tier]
+    );
+
+    const result = await client.query(
+      `INSERT INTO rate_cards (
+        tenant_id, tier, version, base_fare, per_km, per_min,
+        minimum_fare, booking_fee, tax_percent, currency, effective_from, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *`,
+      [
+        tenantId, card.tier, parseInt(versionResult.rows[0].version),
+        card.base_fare, card.per_km, card.per_min,
+        card.minimum_fare || 0, card.booking_fee || 0, card.tax_percent,
+        card.currency || 'INR', effectiveFrom, createdBy,
+      ]
+    );
+
+    return result.rows[0];
+  });
+
+  await invalidateCache(CACHE_KEYS.RATE_CARDS(tenantId, card.tier));
+
+  return published;
+};
+
+module.exports = {
+  getActiveRateCard,
+  getRideRateCard,
+  getDefaultRateCard,
+  listRateCards,
+  publishRateCard,
+  toRateCard,
+  DEFAULT_RATE_CARDS,
+};
@@ -0,0 +1,123 @@
+const { query, queryRead, executeTransaction } = require('../config/database');
+const { publishRideEvent } = require('../config/kafka');
+const { NotFoundError, ConflictError, ForbiddenError } = require('../utils/errors');
+const { updateDriverRating, RATING_WINDOW_SIZE } = require('./driverService');
+
+// Who rates whom: the rider rates the driver and the driver rates the rider
+const RATEE_OF = {
+  rider: 'driver',
+  driver: 'rider',
+};
+
+/**
+ * Recompute a rider's rating from their most recent trip ratings
+ */
+const updateRiderRating = async (riderId, windowSize = RATING_WINDOW_SIZE) => {
+  const result = await query(
+    `UPDATE riders
+     SET rating = COALESCE((
+           SELECT ROUND(AVG(rating)::numeric, 2) FROM (
+             SELECT rating FROM trip_ratings
+             WHERE ratee_id = $1 AND rated_by = 'driver'
+             ORDER BY created_at DESC
+             LIMIT $2
+           ) recent
+         ), rating),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [riderId, windowSize]
+  );
+
+  if (result.rowCount === 0) {
+    throw new NotFoundError('Rider');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Rate the other party of a completed trip
+ * - One rating per party per trip
+ * - The ratee's rolling average is written back to drivers/riders.rating
+ * @param {string} tripId
+ * @param {Object} ratingData - { rated_by, rating, tags, comment }
+ * @param {Object} [user] - Authenticated user, if any; must be the party rating
+ */
+const submitRating = async (tripId, ratingData, user = null) => {
+  const { rated_by, rating, tags = [], comment = null } = ratingData;
+
+  const { saved, ride } = await executeTransaction(async (client) => {
+    const tripResult = await client.query(
+      `SELECT t.id, t.status, r.id AS ride_id, r.tenant_id, r.rider_id, r.driver_id
+       FROM trips t
+       JOIN rides r ON t.ride_id = r.id
+       WHERE t.id = $1`,
+      [tripId]
+    );
+
+    if (tripResult.rowCount === 0) {
+      throw new NotFoundError('Trip');
+    }
+
+    const trip = tripResult.rows[0];
+
+    if (trip.status !== 'COMPLETED') {
+      throw new ConflictError(`Only completed trips can be rated (currently ${trip.status})`);
+    }
+
+    const raterId = trip[`${rated_by}_id`];
+    const rateeId = trip[`${RATEE_OF[rated_by]}_id`];
+
+    if (user && (user.type !== rated_by || user.id !== raterId)) {
+      throw new ForbiddenError(`Only the trip's ${rated_by} can submit this rating`);
+    }
+
+    const result = await client.query(
+      `INSERT INTO trip_ratings (trip_id, ride_id, rated_by, rater_id, ratee_id, rating, tags, comment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (trip_id, rated_by) DO NOTHING
+       RETURNING *`,
+      [tripId, trip.ride_id, rated_by, raterId, rateeId, rating, tags, comment]
+    );
+
+    if (result.rowCount === 0) {
+      throw new ConflictError(`This trip has already been rated by the ${rated_by}`);
+    }
+
+    return { saved: result.rows[0], ride: trip };
+  });
+
+  const ratee = rated_by === 'rider'
+    ? await updateDriverRating(saved.ratee_id)
+    : await updateRiderRating(saved.ratee_id);
+
+  await publishRideEvent(ride.ride_id, ride.tenant_id, 'TRIP_RATED', {
+    ride_id: ride.ride_id,
+    trip_id: tripId,
+    rated_by,
+    rating,
+  });
+
+  return {
+    ...saved,
+    ratee_rating: parseFloat(ratee.rating),
+  };
+};
+
+/**
+ * Get the ratings left on a trip (at most one per party)
+ */
+const getTripRatings = async (tripId) => {
+  const result = await queryRead(
+    'SELECT * FROM trip_ratings WHERE trip_id = $1 ORDER BY created_at',
+    [tripId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  submitRating,
+  getTripRatings,
+  updateRiderRating,
+};
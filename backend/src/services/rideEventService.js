@@ -0,0 +1,71 @@
+const { queryRead } = require('../config/database');
+const { NotFoundError } = require('../utils/errors');
+
+// Changes nobody asked for: workers, timeouts, re-dispatch
+const SYSTEM_ACTOR = { type: 'system', id: null };
+
+/**
+ * The actor behind an API request (rider, driver, ops or admin)
+ */
+const actorFromUser = (user) => (user ? { type: user.type, id: user.id } : SYSTEM_ACTOR);
+
+/**
+ * Append a transition to a ride's history
+ * - Written through the transaction that makes the change, so the history
+ *   can't disagree with the ride
+ * @param {Object} db - Transaction client
+ * @param {Object} event - { rideId, eventType, fromStatus, toStatus, actor, metadata }
+ */
+const recordRideEvent = async (db, {
+  rideId,
+  eventType,
+  fromStatus = null,
+  toStatus = null,
+  actor = SYSTEM_ACTOR,
+  metadata = {},
+}) => {
+  await db.query(
+    `INSERT INTO ride_events (ride_id, event_type, from_status, to_status, actor_type, actor_id, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [rideId, eventType, fromStatus, toStatus, actor.type, actor.id, JSON.stringify(metadata)]
+  );
+};
+
+/**
+ * Full history of a ride, oldest first
+ * @returns {Promise<Object>} { ride_id, status, created_at, events }
+ */
+const getRideTimeline = async (rideId) => {
+  const rideResult = await queryRead(
+    'SELECT id, status, created_at FROM rides WHERE id = $1',
+    [rideId]
+  );
+
+  if (rideResult.rowCount === 0) {
+    throw new NotFoundError('Ride');
+  }
+
+  const ride = rideResult.rows[0];
+
+  const eventsResult = await queryRead(
+    `SELECT id, event_type, from_status, to_status, actor_type, actor_id, metadata, created_at
+     FROM ride_events
+     WHERE ride_id = $1
+     ORDER BY id`,
+    [rideId]
+  );
+
+  return {
+    ride_id: ride.id,
+    status: ride.status,
+    created_at: ride.created_at,
+    events: eventsResult.rows,
+  };
+};
+
+module.exports = {
+  recordRideEvent,
+  getRideTimeline,
+  actorFromUser,
+  SYSTEM_ACTOR,
+};
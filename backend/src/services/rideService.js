@@ -1,8 +1,13 @@
 const { v4: uuidv4 } = require('uuid');
 const { query, queryRead, executeTransaction } = require('../config/database');
-const { cacheGetOrSet, invalidateCache } = require('../config/redis');
-const { publishRideEvent } = require('../config/kafka');
-const { NotFoundError, ConflictError, InvalidStateTransitionError } = require('../utils/errors');
+const { cacheGetOrSet, invalidateCache, removeDriverLocation } = require('../config/redis');
+const { publishRideEvent, publishNotification } = require('../config/kafka');
+const {
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  InvalidStateTransitionError,
+} = require('../utils/errors');
 const {
   cacheGet,
   cacheSet,
@@ -15,23 +20,47 @@ const {
   getRiderCurrentRideFromCache,
   invalidateRiderCurrentRide,
 } = require('./cacheService');
+const { resolveSurgeMultiplier, encodeGeohash, SURGE_CONFIG } = require('./surgeService');
+const { authorizeRideHold, saveRideHold, discardRideHold } = require('./paymentService');
+const { quoteFare } = require('./pricingService');
+const { resolvePromo } = require('./promoService');
+const { recordRideEvent, SYSTEM_ACTOR } = require('./rideEventService');
+const { enqueueRideEvent, enqueueNotification } = require('./outboxService');
 
 // Valid status transitions
 const STATUS_TRANSITIONS = {
+  SCHEDULED: ['REQUESTED', 'CANCELLED'],
   REQUESTED: ['MATCHING', 'CANCELLED'],
-  MATCHING: ['DRIVER_ASSIGNED', 'CANCELLED'],
+  MATCHING: ['DRIVER_ASSIGNED', 'CANCELLED', 'NO_DRIVERS_FOUND'],
   DRIVER_ASSIGNED: ['DRIVER_EN_ROUTE', 'CANCELLED'],
   DRIVER_EN_ROUTE: ['DRIVER_ARRIVED', 'CANCELLED'],
   DRIVER_ARRIVED: ['IN_PROGRESS', 'CANCELLED'],
   IN_PROGRESS: ['COMPLETED'],
   COMPLETED: [],
   CANCELLED: [],
+  NO_DRIVERS_FOUND: [],
+};
+
+// Stop status -> status it must currently be in
+const STOP_STATUS_TRANSITIONS = {
+  arrived: 'pending',
+  departed: 'arrived',
+};
+
+// Scheduled ride configuration
+const SCHEDULING_CONFIG = {
+  minLeadMins: parseInt(process.env.SCHEDULED_RIDE_MIN_LEAD_MINS) || 30,           // Earliest bookable pickup
+  maxAdvanceDays: parseInt(process.env.SCHEDULED_RIDE_MAX_ADVANCE_DAYS) || 7,      // Latest bookable pickup
+  dispatchLeadMins: parseInt(process.env.SCHEDULED_RIDE_DISPATCH_LEAD_MINS) || 10, // Start matching this long before pickup
+  reminderLeadMins: parseInt(process.env.SCHEDULED_RIDE_REMINDER_LEAD_MINS) || 60, // Remind the rider this long before pickup
 };
 
 /**
  * OPTIMIZED: Create a new ride request
+ * - Card rides place a hold for the estimated fare plus a buffer before the ride is
+ *   saved; a declined card means no ride
  */
-const createRide = async (rideData) => {
+const createRide = async (rideData, { actor = null } = {}) => {
   const {
     tenant_id,
     rider_id,
@@ -43,45 +72,127 @@ const createRide = async (rideData) => {
     dropoff_address,
     tier,
     payment_method,
+    card_token,
+    surge_quote_id,
+    scheduled_at,
+    stops = [],
+    seats = 1,
+    pricing_mode,
+    promo_code,
   } = rideData;
 
+  if (tier === 'pool' && stops.length > 0) {
+    throw new ValidationError('Validation failed', [
+      { field: 'stops', message: 'Pool rides cannot have intermediate stops' },
+    ]);
+  }
+
   const id = uuidv4();
+  const scheduledAt = scheduled_at ? validateScheduledAt(scheduled_at) : null;
 
-  // Calculate fare and distance synchronously (no DB needed)
-  const distance = calculateDistance(pickup_lat, pickup_lng, dropoff_lat, dropoff_lng);
-  const estimatedFare = calculateEstimatedFare(distance, tier);
-  const estimatedDuration = Math.ceil(distance * 3);
-  const surgeMultiplier = 1.0; // Cache lookup could be added here
-
-  const result = await query(
-    `INSERT INTO rides (
-      id, tenant_id, rider_id, status,
-      pickup_lat, pickup_lng, pickup_address,
-      dropoff_lat, dropoff_lng, dropoff_address,
-      tier, payment_method,
-      surge_multiplier, estimated_fare, estimated_distance_km, estimated_duration_mins
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-    RETURNING *`,
-    [
-      id, tenant_id, rider_id, 'REQUESTED',
-      pickup_lat, pickup_lng, pickup_address,
-      dropoff_lat, dropoff_lng, dropoff_address,
-      tier, payment_method,
-      surgeMultiplier, estimatedFare * surgeMultiplier, distance, estimatedDuration,
-    ]
-  );
+  // Distance summed over every leg
+  const distance = calculateRouteDistance([
+    { lat: pickup_lat, lng: pickup_lng },
+    ...stops,
+    { lat: dropoff_lat, lng: dropoff_lng },
+  ]);
 
-  const ride = result.rows[0];
+  // Lock in the quoted surge (or the live value if the quote is missing/stale).
+  // Today's demand says nothing about a future pickup, so scheduled rides never surge.
+  const surge = scheduledAt
+    ? { multiplier: SURGE_CONFIG.baseMultiplier, cell: encodeGeohash(pickup_lat, pickup_lng) }
+    : await resolveSurgeMultiplier(tenant_id, tier, pickup_lat, pickup_lng, surge_quote_id);
+  const surgeMultiplier = surge.multiplier;
+
+  // A promo the rider can't use fails the request rather than being silently dropped
+  const promo = promo_code
+    ? await resolvePromo(promo_code, { tenantId: tenant_id, tier, riderId: rider_id })
+    : null;
+
+  // Priced exactly as the fare estimate was, so the rider sees the same figure
+  const quote = await quoteFare(tenant_id, tier, distance, { surgeMultiplier, pricingMode: pricing_mode, promo });
+  const quotedFare = quote.total;
+
+  // Held without the discount: the promo may be used up by the time the trip ends
+  const hold = payment_method === 'card'
+    ? await authorizeRideHold(id, quotedFare + quote.discount, card_token)
+    : null;
+
+  const ride = await executeTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO rides (
+        id, tenant_id, rider_id, status,
+        pickup_lat, pickup_lng, pickup_address, pickup_geohash,
+        dropoff_lat, dropoff_lng, dropoff_address,
+        tier, payment_method,
+        surge_multiplier, estimated_fare, estimated_distance_km, estimated_duration_mins,
+        scheduled_at, seats, rate_card_id, pricing_mode, promo_code_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+      RETURNING *`,
+      [
+        id, tenant_id, rider_id, scheduledAt ? 'SCHEDULED' : 'REQUESTED',
+        pickup_lat, pickup_lng, pickup_address, surge.cell,
+        dropoff_lat, dropoff_lng, dropoff_address,
+        tier, payment_method,
+        surgeMultiplier, quotedFare, distance, quote.durationMins,
+        scheduledAt, tier === 'pool' ? seats : 1, quote.rateCardId, quote.pricingMode,
+        promo ? promo.id : null,
+      ]
+    );
+
+    const created = result.rows[0];
+    created.stops = [];
+    created.fare_quote = quote;
+
+    for (const [index, stop] of stops.entries()) {
+      const stopResult = await client.query(
+        `INSERT INTO ride_stops (ride_id, sequence, latitude, longitude, address)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [id, index + 1, stop.lat, stop.lng, stop.address]
+      );
+      created.stops.push(stopResult.rows[0]);
+    }
 
-  // Cache the new ride and invalidate rider's current ride cache
+    if (hold) {
+      created.payment_hold = await saveRideHold(client, hold);
+    }
+
+    await recordRideEvent(client, {
+      rideId: id,
+      eventType: scheduledAt ? 'RIDE_SCHEDULED' : 'RIDE_CREATED',
+      toStatus: created.status,
+      actor: actor || { type: 'rider', id: rider_id },
+      metadata: {
+        tier,
+        payment_method,
+        estimated_fare: quotedFare,
+        surge_multiplier: surgeMultiplier,
+        scheduled_at: scheduledAt,
+        stops: stops.length,
+      },
+    });
+
+    return created;
+  }).catch(async (error) => {
+    if (hold) {
+      await discardRideHold(hold);
+    }
+    throw error;
+  });
+
+  // Cache the new ride; a scheduled ride only becomes the rider's current ride once dispatched
   await Promise.all([
     cacheSet(CACHE_KEYS.RIDE(ride.id), ride, CACHE_TTL.RIDE),
-    cacheRiderCurrentRide(rider_id, ride),
-    publishRideEvent(ride.id, tenant_id, 'RIDE_CREATED', {
+    scheduledAt ? null : cacheRiderCurrentRide(rider_id, ride),
+    publishRideEvent(ride.id, tenant_id, scheduledAt ? 'RIDE_SCHEDULED' : 'RIDE_CREATED', {
       ride_id: ride.id,
       rider_id,
       pickup: { lat: pickup_lat, lng: pickup_lng },
       tier,
+      surge_multiplier: surgeMultiplier,
+      scheduled_at: scheduledAt,
+      stops: stops.length,
     }),
   ]);
 
@@ -104,7 +215,12 @@ const getRideById = async (id) => {
       WHERE r.id = $1`,
       [id]
     );
-    return result.rows[0] || null;
+
+    const found = result.rows[0];
+    if (!found) return null;
+
+    found.stops = await getRideStops(id);
+    return found;
   });
 
   if (!ride) {
@@ -116,8 +232,9 @@ const getRideById = async (id) => {
 
 /**
  * OPTIMIZED: Update ride status with optimistic locking
+ * - The transition is recorded in the ride's history with the actor who made it
  */
-const updateRideStatus = async (id, newStatus, expectedVersion = null) => {
+const updateRideStatus = async (id, newStatus, expectedVersion = null, { actor = SYSTEM_ACTOR } = {}) => {
   // Get current status from cache if available
   let currentRide = await cacheGet(CACHE_KEYS.RIDE(id));
   if (!currentRide) {
@@ -154,16 +271,26 @@ const updateRideStatus = async (id, newStatus, expectedVersion = null) => {
     params = [newStatus, id];
   }
 
-  const result = await query(updateQuery, params);
+  const updatedRide = await executeTransaction(async (client) => {
+    const result = await client.query(updateQuery, params);
 
-  if (result.rowCount === 0) {
-    if (expectedVersion !== null) {
-      throw new ConflictError('Ride was modified by another request. Please retry.');
+    if (result.rowCount === 0) {
+      if (expectedVersion !== null) {
+        throw new ConflictError('Ride was modified by another request. Please retry.');
+      }
+      throw new NotFoundError('Ride');
     }
-    throw new NotFoundError('Ride');
-  }
 
-  const updatedRide = result.rows[0];
+    await recordRideEvent(client, {
+      rideId: id,
+      eventType: 'RIDE_STATUS_CHANGED',
+      fromStatus: currentRide.status,
+      toStatus: newStatus,
+      actor,
+    });
+
+    return result.rows[0];
+  });
 
   // PARALLEL: Cache update and event publishing
   await Promise.all([
@@ -179,11 +306,19 @@ const updateRideStatus = async (id, newStatus, expectedVersion = null) => {
   return updatedRide;
 };
 
+// Rides a driver has been assigned to but not picked up yet can be handed to another driver
+const REASSIGNABLE_STATUSES = ['DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE', 'DRIVER_ARRIVED'];
+
 /**
  * OPTIMIZED: Assign driver to ride with row-level locking
+ * - Used for manual dispatch by operations: the driver must be online, in the
+ *   ride's tenant and not suspended, and other drivers' pending offers are withdrawn
+ * - With `reassign`, a ride whose driver hasn't picked up yet moves to the new
+ *   driver and the previous driver is freed
+ * - Pool rides are only matched through dispatch (they join a driver's manifest)
  */
-const assignDriver = async (rideId, driverId, expectedVersion = null) => {
-  return executeTransaction(async (client) => {
+const assignDriver = async (rideId, driverId, { expectedVersion = null, reassign = false, actor = SYSTEM_ACTOR } = {}) => {
+  const { updatedRide, driver, previousDriverId } = await executeTransaction(async (client) => {
     // Lock ride row with NOWAIT for fast failure
     const rideResult = await client.query(
       'SELECT * FROM rides WHERE id = $1 FOR UPDATE NOWAIT',
@@ -206,11 +341,38 @@ const assignDriver = async (rideId, driverId, expectedVersion = null) => {
       throw new ConflictError('Ride was modified by another request');
     }
 
-    if (ride.status !== 'MATCHING') {
+    const assignable = ride.status === 'MATCHING' ||
+      (reassign && REASSIGNABLE_STATUSES.includes(ride.status));
+    if (!assignable) {
       throw new InvalidStateTransitionError(ride.status, 'DRIVER_ASSIGNED', 'Ride');
     }
 
-    // PARALLEL: Update ride and driver
+    if (ride.tier === 'pool') {
+      throw new ConflictError('Pool rides can only be matched through dispatch');
+    }
+
+    if (ride.driver_id === driverId) {
+      throw new ConflictError('Driver is already assigned to this ride');
+    }
+
+    const driverResult = await client.query(
+      'SELECT * FROM drivers WHERE id = $1 AND tenant_id = $2 FOR UPDATE',
+      [driverId, ride.tenant_id]
+    );
+
+    if (driverResult.rowCount === 0) {
+      throw new NotFoundError('Driver');
+    }
+
+    const assignee = driverResult.rows[0];
+    if (assignee.suspended_at) {
+      throw new ConflictError('Driver is suspended');
+    }
+    if (assignee.status !== 'online') {
+      throw new ConflictError('Driver is not available');
+    }
+
+    // PARALLEL: Update ride, driver and outstanding offers
     const [updateResult] = await Promise.all([
       client.query(
         `UPDATE rides 
@@ -224,60 +386,220 @@ const assignDriver = async (rideId, driverId, expectedVersion = null) => {
         "UPDATE drivers SET status = 'busy', updated_at = NOW() WHERE id = $1",
         [driverId]
       ),
+      client.query(
+        "UPDATE ride_offers SET status = 'cancelled' WHERE ride_id = $1 AND status = 'pending'",
+        [rideId]
+      ),
     ]);
 
-    const updatedRide = updateResult.rows[0];
+    if (ride.driver_id) {
+      await client.query(
+        "UPDATE drivers SET status = 'online', updated_at = NOW() WHERE id = $1 AND status = 'busy'",
+        [ride.driver_id]
+      );
+    }
 
-    // PARALLEL: Cache invalidation and event publishing
-    await Promise.all([
-      invalidateRideCache(rideId, driverId, ride.rider_id),
-      publishRideEvent(rideId, ride.tenant_id, 'DRIVER_ASSIGNED', {
-        ride_id: rideId,
-        driver_id: driverId,
-      }),
-    ]);
+    await recordRideEvent(client, {
+      rideId,
+      eventType: 'DRIVER_ASSIGNED',
+      fromStatus: ride.status,
+      toStatus: 'DRIVER_ASSIGNED',
+      actor,
+      metadata: { driver_id: driverId, previous_driver_id: ride.driver_id },
+    });
 
-    return updatedRide;
+    return { updatedRide: updateResult.rows[0], driver: assignee, previousDriverId: ride.driver_id };
   }, { isolationLevel: 'SERIALIZABLE' });
+
+  // PARALLEL: Cache invalidation and event publishing (after commit)
+  await Promise.all([
+    removeDriverLocation(driver.tenant_id, driver.vehicle_type, driverId),
+    invalidateRideCache(rideId, driverId, updatedRide.rider_id),
+    previousDriverId ? invalidateDriverCache(previousDriverId) : null,
+    publishRideEvent(rideId, updatedRide.tenant_id, 'DRIVER_ASSIGNED', {
+      ride_id: rideId,
+      driver_id: driverId,
+      previous_driver_id: previousDriverId,
+      matching_started_at: updatedRide.matching_started_at,
+    }),
+    publishNotification(updatedRide.rider_id, 'DRIVER_ASSIGNED', {
+      ride_id: rideId,
+      driver_id: driverId,
+      driver_name: driver.name,
+      vehicle_number: driver.vehicle_number,
+      rating: driver.rating,
+    }),
+    publishNotification(driverId, 'RIDE_ASSIGNED', { ride_id: rideId }),
+    previousDriverId
+      ? publishNotification(previousDriverId, 'RIDE_REASSIGNED', { ride_id: rideId })
+      : null,
+  ]);
+
+  return { ...updatedRide, previous_driver_id: previousDriverId };
 };
 
+// =============================================
+// MULTI-STOP RIDES
+// =============================================
+
 /**
- * Cancel ride
+ * Get the intermediate stops of a ride in visiting order
  */
-const cancelRide = async (id, reason = null) => {
-  const result = await query(
-    `UPDATE rides 
-     SET status = 'CANCELLED', cancelled_at = NOW(), cancellation_reason = $1,
-         version = version + 1, updated_at = NOW()
-     WHERE id = $2 AND status NOT IN ('COMPLETED', 'CANCELLED')
-     RETURNING *`,
-    [reason, id]
+const getRideStops = async (rideId) => {
+  const result = await queryRead(
+    'SELECT * FROM ride_stops WHERE ride_id = $1 ORDER BY sequence',
+    [rideId]
   );
+  return result.rows;
+};
 
-  if (result.rowCount === 0) {
-    throw new ConflictError('Ride cannot be cancelled');
-  }
+/**
+ * Mark a stop as arrived or departed
+ * - Only while the trip is IN_PROGRESS
+ * - Stops are visited in order: earlier stops must be departed (or skipped) first
+ */
+const updateStopStatus = async (rideId, stopId, status) => {
+  const stop = await executeTransaction(async (client) => {
+    const rideResult = await client.query(
+      'SELECT id, status, tenant_id, rider_id FROM rides WHERE id = $1 FOR UPDATE',
+      [rideId]
+    );
 
-  const ride = result.rows[0];
+    if (rideResult.rowCount === 0) {
+      throw new NotFoundError('Ride');
+    }
 
-  // Free up driver if assigned
-  const promises = [
-    invalidateRideCache(id, ride.driver_id, ride.rider_id),
-  ];
+    const ride = rideResult.rows[0];
+    if (ride.status !== 'IN_PROGRESS') {
+      throw new ConflictError(`Stops can only be updated while the ride is IN_PROGRESS (currently ${ride.status})`);
+    }
 
-  if (ride.driver_id) {
-    promises.push(
-      query(
-        "UPDATE drivers SET status = 'online', updated_at = NOW() WHERE id = $1",
-        [ride.driver_id]
-      ),
-      invalidateDriverCache(ride.driver_id)
+    const stopsResult = await client.query(
+      'SELECT * FROM ride_stops WHERE ride_id = $1 ORDER BY sequence',
+      [rideId]
     );
-  }
 
-  await Promise.all(promises);
+    const current = stopsResult.rows.find(s => s.id === stopId);
+    if (!current) {
+      throw new NotFoundError('Ride stop');
+    }
 
-  return ride;
+    const expectedStatus = STOP_STATUS_TRANSITIONS[status];
+    if (current.status !== expectedStatus) {
+      throw new InvalidStateTransitionError(current.status, status, 'Ride stop');
+    }
+
+    const unfinished = stopsResult.rows.find(s =>
+      s.sequence < current.sequence && !['departed', 'skipped'].includes(s.status)
+    );
+    if (unfinished) {
+      throw new ConflictError(`Stop ${unfinished.sequence} has not been completed yet`);
+    }
+
+    const timestampColumn = status === 'arrived' ? 'arrived_at' : 'departed_at';
+    const updated = await client.query(
+      `UPDATE ride_stops SET status = $1, ${timestampColumn} = NOW(), updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [status, stopId]
+    );
+
+    return { ...updated.rows[0], ride };
+  });
+
+  const { ride, ...updatedStop } = stop;
+  const eventType = status === 'arrived' ? 'STOP_ARRIVED' : 'STOP_DEPARTED';
+  const payload = {
+    ride_id: rideId,
+    stop_id: stopId,
+    sequence: updatedStop.sequence,
+    status,
+  };
+
+  await Promise.all([
+    invalidateRideCache(rideId, null, ride.rider_id),
+    publishRideEvent(rideId, ride.tenant_id, eventType, payload),
+    publishNotification(ride.rider_id, eventType, payload),
+  ]);
+
+  return updatedStop;
+};
+
+/**
+ * Claim scheduled rides due a pickup reminder and queue the reminders
+ * - Claim and reminders commit together (outbox), so a claimed reminder is never lost
+ */
+const claimScheduledRideReminders = async (limit = 100) => {
+  return executeTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE rides SET reminder_sent_at = NOW()
+       WHERE id IN (
+         SELECT id FROM rides
+         WHERE status = 'SCHEDULED' AND reminder_sent_at IS NULL
+           AND scheduled_at <= NOW() + $1 * INTERVAL '1 minute'
+         ORDER BY scheduled_at
+         LIMIT $2
+       )
+       RETURNING *`,
+      [SCHEDULING_CONFIG.reminderLeadMins, limit]
+    );
+
+    for (const ride of result.rows) {
+      await enqueueNotification(client, ride.rider_id, 'RIDE_REMINDER', {
+        ride_id: ride.id,
+        scheduled_at: ride.scheduled_at,
+        pickup_address: ride.pickup_address,
+      });
+    }
+
+    return result.rows;
+  });
+};
+
+/**
+ * Move scheduled rides that are within the dispatch lead time to REQUESTED
+ * - Events and the rider's notification are queued in the release transaction (outbox)
+ */
+const releaseScheduledRides = async (limit = 100) => {
+  const rides = await executeTransaction(async (client) => {
+    // The history is written by the same statement as the release
+    const result = await client.query(
+      `WITH released AS (
+         UPDATE rides SET status = 'REQUESTED', version = version + 1, updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM rides
+           WHERE status = 'SCHEDULED'
+             AND scheduled_at <= NOW() + $1 * INTERVAL '1 minute'
+           ORDER BY scheduled_at
+           LIMIT $2
+         )
+         RETURNING *
+       ), events AS (
+         INSERT INTO ride_events (ride_id, event_type, from_status, to_status, actor_type)
+         SELECT id, 'RIDE_STATUS_CHANGED', 'SCHEDULED', 'REQUESTED', $3 FROM released
+       )
+       SELECT * FROM released`,
+      [SCHEDULING_CONFIG.dispatchLeadMins, limit, SYSTEM_ACTOR.type]
+    );
+
+    for (const ride of result.rows) {
+      await enqueueRideEvent(client, ride.id, ride.tenant_id, 'RIDE_STATUS_CHANGED', {
+        ride_id: ride.id,
+        old_status: 'SCHEDULED',
+        new_status: 'REQUESTED',
+      });
+      await enqueueNotification(client, ride.rider_id, 'SCHEDULED_RIDE_DISPATCHED', {
+        ride_id: ride.id,
+        scheduled_at: ride.scheduled_at,
+      });
+    }
+
+    return result.rows;
+  });
+
+  await Promise.all(rides.map(ride => invalidateRideCache(ride.id, null, ride.rider_id)));
+
+  return rides;
 };
 
 /**
@@ -308,6 +630,24 @@ const getRidesByRider = async (riderId, options = {}) => {
 
 // Helper functions
 
+/**
+ * Parse and check a requested pickup time against the booking window
+ */
+const validateScheduledAt = (scheduledAt, now = Date.now()) => {
+  const pickupTime = new Date(scheduledAt);
+  const earliest = now + SCHEDULING_CONFIG.minLeadMins * 60 * 1000;
+  const latest = now + SCHEDULING_CONFIG.maxAdvanceDays * 24 * 60 * 60 * 1000;
+
+  if (pickupTime.getTime() < earliest || pickupTime.getTime() > latest) {
+    throw new ValidationError('Validation failed', [{
+      field: 'scheduled_at',
+      message: `Scheduled pickup must be between ${SCHEDULING_CONFIG.minLeadMins} minutes and ${SCHEDULING_CONFIG.maxAdvanceDays} days from now`,
+    }]);
+  }
+
+  return pickupTime;
+};
+
 /**
  * Calculate distance between two points (Haversine formula)
  */
@@ -326,23 +666,14 @@ const calculateDistance = (lat1, lng1, lat2, lng2) => {
 const toRad = (deg) => deg * (Math.PI / 180);
 
 /**
- * Calculate estimated fare
+ * Calculate the length of a route through ordered points ({ lat, lng })
  */
-const calculateEstimatedFare = (distanceKm, tier) => {
-  const baseFares = { economy: 50, premium: 100, xl: 150 };
-  const perKmRates = { economy: 12, premium: 18, xl: 22 };
-
-  const base = baseFares[tier] || baseFares.economy;
-  const perKm = perKmRates[tier] || perKmRates.economy;
-
-  return Math.round(base + (distanceKm * perKm));
-};
-
-/**
- * Get surge multiplier for area (cached)
- */
-const getSurgeMultiplier = async (tenantId, tier, lat, lng) => {
-  return 1.0; // Could be cached surge value
+const calculateRouteDistance = (points) => {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+  }
+  return Math.round(total * 100) / 100;
 };
 
 /**
@@ -372,8 +703,8 @@ const getRiderCurrentRide = async (riderId) => {
      LEFT JOIN trips t ON t.ride_id = r.id
      LEFT JOIN payments p ON p.trip_id = t.id
      WHERE r.rider_id = $1 
-       AND r.status NOT IN ('CANCELLED')
-     ORDER BY r.created_at DESC
+       AND r.status NOT IN ('CANCELLED', 'SCHEDULED')
+     ORDER BY COALESCE(r.scheduled_at, r.created_at) DESC
      LIMIT 1`,
     [riderId]
   );
@@ -399,10 +730,16 @@ module.exports = {
   getRideById,
   updateRideStatus,
   assignDriver,
-  cancelRide,
+  getRideStops,
+  updateStopStatus,
+  claimScheduledRideReminders,
+  releaseScheduledRides,
   getRidesByRider,
   getRiderCurrentRide,
   calculateDistance,
-  calculateEstimatedFare,
+  calculateRouteDistance,
+  validateScheduledAt,
   STATUS_TRANSITIONS,
+  REASSIGNABLE_STATUSES,
+  SCHEDULING_CONFIG,
 };
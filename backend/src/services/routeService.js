@@ -0,0 +1,220 @@
+const { query } = require('../config/database');
+const { NotFoundError } = require('../utils/errors');
+
+const ROUTE_CONFIG = {
+  // Fixes less accurate than this (meters) are dropped
+  maxAccuracyM: parseFloat(process.env.ROUTE_MAX_ACCURACY_M) || 50,
+  // A jump implying a faster speed than this (km/h) is a bad fix
+  maxSpeedKmh: parseFloat(process.env.ROUTE_MAX_SPEED_KMH) || 160,
+  // Movement smaller than this (or the fix's own accuracy) is the driver standing still
+  minStepM: 5,
+  // Fewer usable fixes than this and the trace isn't trusted for distance
+  minPoints: 2,
+};
+
+const EARTH_RADIUS_M = 6371000;
+
+const toRad = (deg) => deg * (Math.PI / 180);
+
+/**
+ * Distance between two fixes in meters (Haversine, unrounded so short GPS steps add up)
+ */
+const distanceMeters = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+/**
+ * Drop GPS jitter from a trace, oldest fix first
+ * - Fixes reporting worse accuracy than ROUTE_MAX_ACCURACY_M
+ * - Jumps faster than ROUTE_MAX_SPEED_KMH from the last kept fix
+ * - Steps shorter than the fix's accuracy, so a parked car doesn't accumulate distance
+ * Fixes without an accuracy (simulated drivers) are trusted.
+ * @param {Array<Object>} fixes - { lat, lng, accuracy, recordedAt }
+ * @returns {Array<Object>} Kept fixes
+ */
+const filterJitter = (fixes) => {
+  const kept = [];
+
+  for (const fix of fixes) {
+    if (fix.accuracy !== null && fix.accuracy > ROUTE_CONFIG.maxAccuracyM) continue;
+
+    const last = kept[kept.length - 1];
+    if (last) {
+      const stepM = distanceMeters(last, fix);
+      if (stepM < Math.max(ROUTE_CONFIG.minStepM, fix.accuracy || 0)) continue;
+
+      const elapsedHours = (fix.recordedAt - last.recordedAt) / 3600000;
+      if (elapsedHours > 0 && stepM / 1000 / elapsedHours > ROUTE_CONFIG.maxSpeedKmh) continue;
+    }
+
+    kept.push(fix);
+  }
+
+  return kept;
+};
+
+/**
+ * Length of a trace in kilometers
+ */
+const measureDistanceKm = (points) => {
+  let meters = 0;
+  for (let i = 1; i < points.length; i++) {
+    meters += distanceMeters(points[i - 1], points[i]);
+  }
+  return Math.round(meters / 10) / 100;
+};
+
+const encodeValue = (value) => {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+  while (v >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return encoded + String.fromCharCode(v + 63);
+};
+
+/**
+ * Encode points as a Google encoded polyline (precision 5)
+ * @param {Array<Object>} points - { lat, lng }
+ */
+const encodePolyline = (points) => {
+  let prevLat = 0;
+  let prevLng = 0;
+
+  return points.map(({ lat, lng }) => {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    const chunk = encodeValue(latE5 - prevLat) + encodeValue(lngE5 - prevLng);
+    prevLat = latE5;
+    prevLng = lngE5;
+    return chunk;
+  }).join('');
+};
+
+/**
+ * Decode a Google encoded polyline
+ * @returns {Array<Array<number>>} [lat, lng] pairs
+ */
+const decodePolyline = (encoded) => {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push([lat / 1e5, lng / 1e5]);
+  }
+
+  return points;
+};
+
+/**
+ * Rebuild the path a driver took between two instants from driver_locations
+ * @param {Object} db - Transaction client, or { query } for the pool
+ * @param {string} driverId
+ * @param {Date|string} from
+ * @param {Date|string|null} to - Up to now when null (trip still running)
+ * @returns {Promise<Object>} { points, distanceKm, polyline, rawPoints }
+ */
+const buildRoute = async (db, driverId, from, to = null) => {
+  const result = await db.query(
+    `SELECT latitude, longitude, accuracy, recorded_at FROM driver_locations
+     WHERE driver_id = $1 AND recorded_at >= $2 AND recorded_at <= COALESCE($3, NOW())
+     ORDER BY recorded_at`,
+    [driverId, from, to]
+  );
+
+  const fixes = result.rows.map(row => ({
+    lat: parseFloat(row.latitude),
+    lng: parseFloat(row.longitude),
+    accuracy: row.accuracy === null || row.accuracy === undefined ? null : parseFloat(row.accuracy),
+    recordedAt: new Date(row.recorded_at).getTime(),
+  }));
+  const points = filterJitter(fixes);
+
+  return {
+    points,
+    distanceKm: measureDistanceKm(points),
+    polyline: points.length > 0 ? encodePolyline(points) : null,
+    rawPoints: fixes.length,
+  };
+};
+
+/**
+ * Route of a trip for the map
+ * - A finished trip's stored polyline; a running trip's trace so far
+ * @param {string} tripId
+ * @returns {Promise<Object>} { trip_id, ride_id, status, distance_km, distance_source, polyline, points }
+ */
+const getTripRoute = async (tripId) => {
+  const result = await query(
+    `SELECT t.id, t.ride_id, t.status, t.started_at, t.ended_at, t.route_polyline,
+       t.actual_distance_km, t.distance_source, r.driver_id
+     FROM trips t
+     JOIN rides r ON t.ride_id = r.id
+     WHERE t.id = $1`,
+    [tripId]
+  );
+
+  if (result.rowCount === 0) {
+    throw new NotFoundError('Trip');
+  }
+
+  const trip = result.rows[0];
+  const route = {
+    trip_id: trip.id,
+    ride_id: trip.ride_id,
+    status: trip.status,
+  };
+
+  if (trip.route_polyline) {
+    return {
+      ...route,
+      distance_km: trip.actual_distance_km === null ? null : parseFloat(trip.actual_distance_km),
+      distance_source: trip.distance_source,
+      polyline: trip.route_polyline,
+      points: decodePolyline(trip.route_polyline),
+    };
+  }
+
+  const live = await buildRoute({ query }, trip.driver_id, trip.started_at, trip.ended_at);
+
+  return {
+    ...route,
+    distance_km: live.distanceKm,
+    distance_source: 'gps',
+    polyline: live.polyline,
+    points: live.points.map(point => [point.lat, point.lng]),
+  };
+};
+
+module.exports = {
+  filterJitter,
+  measureDistanceKm,
+  encodePolyline,
+  decodePolyline,
+  buildRoute,
+  getTripRoute,
+  ROUTE_CONFIG,
+};
@@ -6,6 +6,7 @@
 const { publishNotification } = require('../config/kafka');
 const { query } = require('../config/database');
 const { addDriverLocation } = require('../config/redis');
+const { updateStopStatus } = require('./rideService');
 
 // Active simulations storage
 const activeSimulations = new Map();
@@ -13,6 +14,7 @@ const activeSimulations = new Map();
 // Simulation configuration
 const SIMULATION_INTERVAL_MS = 2000; // Update every 2 seconds
 const SPEED_KM_PER_HOUR = 30; // Average speed in city traffic
+const STOP_DWELL_MS = 6000; // Time spent at each intermediate stop
 
 /**
  * Calculate distance between two points (Haversine formula)
@@ -117,15 +119,32 @@ const startDriverSimulation = async (rideId, driverId, riderId, phase = 'TO_PICK
     currentLng = parseFloat(ride.pickup_lng) + (offset.lng - parseFloat(ride.pickup_lng));
   }
   
-  // Determine destination based on phase
-  let destLat, destLng;
+  // Determine waypoints based on phase: the pickup, or every unfinished stop then the dropoff
+  let waypoints;
   if (phase === 'TO_PICKUP') {
-    destLat = parseFloat(ride.pickup_lat);
-    destLng = parseFloat(ride.pickup_lng);
+    waypoints = [{ lat: parseFloat(ride.pickup_lat), lng: parseFloat(ride.pickup_lng) }];
   } else {
-    destLat = parseFloat(ride.dropoff_lat);
-    destLng = parseFloat(ride.dropoff_lng);
+    const stopsResult = await query(
+      `SELECT id, sequence, latitude, longitude, status FROM ride_stops
+       WHERE ride_id = $1 AND status IN ('pending', 'arrived')
+       ORDER BY sequence`,
+      [rideId]
+    );
+
+    waypoints = [
+      ...stopsResult.rows.map(stop => ({
+        lat: parseFloat(stop.latitude),
+        lng: parseFloat(stop.longitude),
+        stopId: stop.id,
+        sequence: stop.sequence,
+        status: stop.status,
+      })),
+      { lat: parseFloat(ride.dropoff_lat), lng: parseFloat(ride.dropoff_lng) },
+    ];
   }
+
+  const destLat = waypoints[0].lat;
+  const destLng = waypoints[0].lng;
   
   console.log(`🚗 Starting ${phase} simulation for driver ${driverId}`);
   console.log(`   From: ${currentLat.toFixed(4)}, ${currentLng.toFixed(4)}`);
@@ -144,7 +163,11 @@ const startDriverSimulation = async (rideId, driverId, riderId, phase = 'TO_PICK
     currentLng,
     destLat,
     destLng,
+    waypoints,
+    waypointIndex: 0,
+    dwellUntil: null,
     distancePerUpdate,
+    tenantId: ride.tenant_id,
     vehicleType: ride.tier,
     interval: null,
   };
@@ -165,6 +188,12 @@ const startDriverSimulation = async (rideId, driverId, riderId, phase = 'TO_PICK
  * Update driver position in simulation
  */
 const updateDriverPosition = async (simulation) => {
+  // Waiting at an intermediate stop
+  if (simulation.dwellUntil) {
+    if (Date.now() < simulation.dwellUntil) return;
+    await departStop(simulation);
+  }
+
   const {
     driverId,
     riderId,
@@ -183,6 +212,12 @@ const updateDriverPosition = async (simulation) => {
   
   // Check if arrived
   if (remainingDistance < 0.05) { // Within 50 meters
+    const waypoint = simulation.waypoints[simulation.waypointIndex];
+    if (waypoint && waypoint.stopId) {
+      await arriveAtStop(simulation, waypoint);
+      return;
+    }
+
     console.log(`✅ Driver ${driverId} arrived at ${phase === 'TO_PICKUP' ? 'pickup' : 'dropoff'}`);
     
     // Stop simulation
@@ -211,7 +246,7 @@ const updateDriverPosition = async (simulation) => {
   simulation.currentLng = newPosition.lng + variation;
   
   // Update Redis geo-index
-  await addDriverLocation(vehicleType, driverId, simulation.currentLng, simulation.currentLat);
+  await addDriverLocation(simulation.tenantId, vehicleType, driverId, simulation.currentLng, simulation.currentLat);
   
   // Store location in DB (fire and forget)
   query(
@@ -226,6 +261,37 @@ const updateDriverPosition = async (simulation) => {
   await sendLocationUpdate(simulation);
 };
 
+/**
+ * Driver reached an intermediate stop: mark it arrived and wait there
+ */
+const arriveAtStop = async (simulation, waypoint) => {
+  console.log(`🛑 Driver ${simulation.driverId} arrived at stop ${waypoint.sequence}`);
+
+  simulation.dwellUntil = Date.now() + STOP_DWELL_MS;
+
+  // Already arrived if the simulation was restarted while waiting here
+  if (waypoint.status !== 'arrived') {
+    await updateStopStatus(simulation.rideId, waypoint.stopId, 'arrived')
+      .catch(err => console.error(`Failed to mark stop ${waypoint.sequence} arrived:`, err.message));
+  }
+};
+
+/**
+ * Leave the current stop and head for the next waypoint
+ */
+const departStop = async (simulation) => {
+  const waypoint = simulation.waypoints[simulation.waypointIndex];
+  simulation.dwellUntil = null;
+
+  await updateStopStatus(simulation.rideId, waypoint.stopId, 'departed')
+    .catch(err => console.error(`Failed to mark stop ${waypoint.sequence} departed:`, err.message));
+
+  simulation.waypointIndex++;
+  const next = simulation.waypoints[simulation.waypointIndex];
+  simulation.destLat = next.lat;
+  simulation.destLng = next.lng;
+};
+
 /**
  * Send location update to rider
  */
@@ -256,6 +322,7 @@ const sendLocationUpdate = async (simulation) => {
     distance: parseFloat(distance.toFixed(2)),
     eta_minutes: etaMinutes,
     phase,
+    next_stop: simulation.waypoints[simulation.waypointIndex].sequence || null,
     arrived: false,
   });
 };
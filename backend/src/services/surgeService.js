@@ -0,0 +1,263 @@
+const { v4: uuidv4 } = require('uuid');
+const { queryRead } = require('../config/database');
+const { countNearbyDrivers } = require('../config/redis');
+const {
+  cacheGet,
+  cacheSet,
+  getSurgeMultiplier,
+  CACHE_KEYS,
+  CACHE_TTL,
+} = require('./cacheService');
+
+// Surge configuration
+const SURGE_CONFIG = {
+  baseMultiplier: parseFloat(process.env.SURGE_BASE_MULTIPLIER) || 1.0,
+  maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 3.0,
+  geohashPrecision: parseInt(process.env.SURGE_GEOHASH_PRECISION) || 5, // ~4.9km x 4.9km cells
+  demandThreshold: 1.0,   // Demand/supply ratio at which surge kicks in
+  sensitivity: 0.5,       // Multiplier increase per unit of ratio above threshold
+  smoothingFactor: 0.3,   // EMA weight given to the newest sample
+  step: 0.1,              // Multipliers are quoted in 0.1 increments
+};
+
+const OPEN_RIDE_STATUSES = ['REQUESTED', 'MATCHING'];
+
+// Ride tiers served by other vehicle types' drivers (pool rides go to economy and xl cars)
+const SUPPLY_TIERS = {
+  pool: ['economy', 'xl'],
+};
+
+// =============================================
+// GEOHASH BUCKETING
+// =============================================
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode a coordinate into a geohash cell
+ */
+const encodeGeohash = (lat, lng, precision = SURGE_CONFIG.geohashPrecision) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let charIndex = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    if (value >= mid) {
+      charIndex = (charIndex << 1) | 1;
+      range[0] = mid;
+    } else {
+      charIndex = charIndex << 1;
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[charIndex];
+      bits = 0;
+      charIndex = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Decode a geohash cell into its bounding box
+ */
+const decodeGeohashBounds = (hash) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const charIndex = GEOHASH_BASE32.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((charIndex >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    minLat: latRange[0],
+    maxLat: latRange[1],
+    minLng: lngRange[0],
+    maxLng: lngRange[1],
+  };
+};
+
+/**
+ * Get the center point and covering radius of a geohash cell
+ */
+const getCellGeometry = (hash) => {
+  const bounds = decodeGeohashBounds(hash);
+  const lat = (bounds.minLat + bounds.maxLat) / 2;
+  const lng = (bounds.minLng + bounds.maxLng) / 2;
+
+  // Equirectangular approximation is plenty at cell scale
+  const heightKm = (bounds.maxLat - bounds.minLat) * 111.32;
+  const widthKm = (bounds.maxLng - bounds.minLng) * 111.32 * Math.cos(lat * Math.PI / 180);
+
+  return {
+    lat,
+    lng,
+    radiusKm: Math.sqrt(heightKm * heightKm + widthKm * widthKm) / 2,
+  };
+};
+
+// =============================================
+// MULTIPLIER CALCULATION
+// =============================================
+
+/**
+ * Raw multiplier from the demand/supply ratio of a cell
+ */
+const computeRawMultiplier = (demand, supply, config = SURGE_CONFIG) => {
+  if (demand <= 0) return config.baseMultiplier;
+
+  const ratio = demand / Math.max(supply, 1);
+  const excess = Math.max(0, ratio - config.demandThreshold);
+
+  return config.baseMultiplier + excess * config.sensitivity;
+};
+
+/**
+ * Exponential moving average so a single burst doesn't spike prices
+ */
+const smoothMultiplier = (previous, raw, alpha = SURGE_CONFIG.smoothingFactor) => {
+  if (previous === null || previous === undefined || Number.isNaN(previous)) {
+    return raw;
+  }
+  return previous + alpha * (raw - previous);
+};
+
+/**
+ * Clamp to the configured range and round to the quoting step
+ */
+const capMultiplier = (value, config = SURGE_CONFIG) => {
+  const clamped = Math.min(config.maxMultiplier, Math.max(config.baseMultiplier, value));
+  const stepped = Math.round(clamped / config.step) * config.step;
+  return Math.round(stepped * 100) / 100;
+};
+
+/**
+ * Count open ride requests in a cell for a tier
+ */
+const countOpenRequests = async (tenantId, tier, cell) => {
+  const result = await queryRead(
+    `SELECT COUNT(*) FROM rides
+     WHERE tenant_id = $1 AND tier = $2 AND pickup_geohash = $3
+       AND status = ANY($4)`,
+    [tenantId, tier, cell, OPEN_RIDE_STATUSES]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * Compute the smoothed multiplier for a cell/tier and persist the EMA state
+ */
+const computeCellSurge = async (tenantId, tier, cell) => {
+  const { lat, lng, radiusKm } = getCellGeometry(cell);
+
+  const [demand, supply, previousState] = await Promise.all([
+    countOpenRequests(tenantId, tier, cell),
+    Promise.all((SUPPLY_TIERS[tier] || [tier]).map(supplyTier =>
+      countNearbyDrivers(tenantId, supplyTier, lng, lat, radiusKm).catch(() => 0)
+    )).then(counts => counts.reduce((sum, count) => sum + count, 0)),
+    cacheGet(CACHE_KEYS.SURGE_STATE(tenantId, cell, tier)),
+  ]);
+
+  const raw = computeRawMultiplier(demand, supply);
+  const smoothed = smoothMultiplier(previousState ? previousState.smoothed : null, raw);
+  const multiplier = capMultiplier(smoothed);
+
+  await cacheSet(
+    CACHE_KEYS.SURGE_STATE(tenantId, cell, tier),
+    { smoothed, demand, supply, updated_at: Date.now() },
+    CACHE_TTL.SURGE_STATE
+  );
+
+  return { multiplier, cell, demand, supply };
+};
+
+/**
+ * Get the current surge for a pickup location (cached per cell/tier)
+ */
+const getSurgeForLocation = async (tenantId, tier, lat, lng) => {
+  const cell = encodeGeohash(lat, lng);
+  return getSurgeMultiplier(`${tenantId}:${cell}`, tier, () =>
+    computeCellSurge(tenantId, tier, cell)
+  );
+};
+
+// =============================================
+// QUOTES
+// =============================================
+
+/**
+ * Quote the current surge for a rider; the quote can be redeemed at ride creation
+ */
+const createSurgeQuote = async (tenantId, tier, lat, lng) => {
+  const surge = await getSurgeForLocation(tenantId, tier, lat, lng);
+  const quote = {
+    id: uuidv4(),
+    tenant_id: tenantId,
+    tier,
+    cell: surge.cell,
+    multiplier: surge.multiplier,
+    expires_at: new Date(Date.now() + CACHE_TTL.SURGE_QUOTE * 1000).toISOString(),
+  };
+
+  await cacheSet(CACHE_KEYS.SURGE_QUOTE(quote.id), quote, CACHE_TTL.SURGE_QUOTE);
+  return quote;
+};
+
+/**
+ * Resolve the multiplier to lock into a ride: the rider's quote if it is still
+ * valid for the same tenant, tier and cell, otherwise the live value
+ */
+const resolveSurgeMultiplier = async (tenantId, tier, lat, lng, quoteId = null) => {
+  const cell = encodeGeohash(lat, lng);
+
+  if (quoteId) {
+    const quote = await cacheGet(CACHE_KEYS.SURGE_QUOTE(quoteId));
+    if (quote && quote.tenant_id === tenantId && quote.tier === tier && quote.cell === cell) {
+      return { multiplier: quote.multiplier, cell, quoteId };
+    }
+  }
+
+  try {
+    const surge = await getSurgeForLocation(tenantId, tier, lat, lng);
+    return { multiplier: surge.multiplier, cell, quoteId: null };
+  } catch (error) {
+    // Never block a ride request on surge computation
+    console.error('Surge computation failed:', error.message);
+    return { multiplier: SURGE_CONFIG.baseMultiplier, cell, quoteId: null };
+  }
+};
+
+module.exports = {
+  encodeGeohash,
+  decodeGeohashBounds,
+  getCellGeometry,
+  computeRawMultiplier,
+  smoothMultiplier,
+  capMultiplier,
+  getSurgeForLocation,
+  createSurgeQuote,
+  resolveSurgeMultiplier,
+  SURGE_CONFIG,
+  SUPPLY_TIERS,
+};
@@ -1,9 +1,16 @@
 const { v4: uuidv4 } = require('uuid');
 const { query, executeTransaction } = require('../config/database');
 const { invalidateCache, addDriverLocation } = require('../config/redis');
-const { publishRideEvent, publishNotification } = require('../config/kafka');
+const { publishNotification } = require('../config/kafka');
 const { NotFoundError, ConflictError, InvalidStateTransitionError } = require('../utils/errors');
 const { switchToTripPhase, stopDriverSimulation } = require('./simulationService');
+const { completePoolStop, ACTIVE_POOL_STATUSES } = require('./poolService');
+const { estimateTripEarning } = require('./earningsService');
+const { finalizeFare, calculateWaitingFare, getWaitingRates } = require('./pricingService');
+const { claimRidePromo, recordRedemption } = require('./promoService');
+const { buildRoute, ROUTE_CONFIG } = require('./routeService');
+const { enqueueRideEvent, enqueueNotification } = require('./outboxService');
+const { recordRideEvent, SYSTEM_ACTOR } = require('./rideEventService');
 
 // Trip status transitions
 const TRIP_STATUS_TRANSITIONS = {
@@ -13,17 +20,65 @@ const TRIP_STATUS_TRANSITIONS = {
   DISPUTED: ['COMPLETED'],
 };
 
-// Fare calculation constants
-const FARE_CONFIG = {
-  economy: { baseFare: 50, perKm: 12, perMin: 1.5 },
-  premium: { baseFare: 100, perKm: 18, perMin: 2.5 },
-  xl: { baseFare: 150, perKm: 22, perMin: 3 },
+/**
+ * Minutes between the driver arriving at pickup and `until`
+ */
+const getWaitedMins = (ride, until) => {
+  if (!ride.arrived_at) return 0;
+  const waitedMs = new Date(until).getTime() - new Date(ride.arrived_at).getTime();
+  return Math.max(0, Math.round(waitedMs / 600) / 100);
+};
+
+/**
+ * Live waiting state of a ride whose driver is at the pickup
+ * @param {Object} ride - Ride row with arrived_at
+ * @param {number} [now=Date.now()]
+ * @returns {Object} Payload of the rider's and driver's `ride:waiting` timer
+ */
+const getWaitingStatus = (ride, now = Date.now()) => {
+  const { freeMins, perMin } = getWaitingRates(ride.tier);
+  const waitedMins = getWaitedMins(ride, now);
+
+  return {
+    ride_id: ride.id,
+    arrived_at: new Date(ride.arrived_at).toISOString(),
+    waited_secs: Math.floor(waitedMins * 60),
+    free_mins: freeMins,
+    per_min: perMin,
+    charging: waitedMins > freeMins,
+    waiting_fare: calculateWaitingFare(ride.tier, waitedMins),
+  };
+};
+
+/**
+ * Push the waiting timer to the ride's rider and driver
+ */
+const publishWaitingStatus = async (ride, now = Date.now()) => {
+  const status = getWaitingStatus(ride, now);
+
+  await Promise.all([
+    publishNotification(ride.rider_id, 'RIDE_WAITING', status),
+    ride.driver_id ? publishNotification(ride.driver_id, 'RIDE_WAITING', status) : null,
+  ]);
+};
+
+/**
+ * Rides whose driver is waiting at the pickup
+ */
+const findWaitingRides = async () => {
+  const result = await query(
+    `SELECT id, tier, rider_id, driver_id, arrived_at FROM rides
+     WHERE status = 'DRIVER_ARRIVED' AND arrived_at IS NOT NULL`
+  );
+
+  return result.rows;
 };
 
 /**
  * Start a trip (driver arrived, rider got in)
+ * - Stamps the ride's started_at and records how long the driver waited on the trip
  */
-const startTrip = async (rideId) => {
+const startTrip = async (rideId, { actor = SYSTEM_ACTOR } = {}) => {
   return executeTransaction(async (client) => {
     // Lock and get the ride
     const rideResult = await client.query(
@@ -41,49 +96,68 @@ const startTrip = async (rideId) => {
       throw new InvalidStateTransitionError(ride.status, 'IN_PROGRESS', 'Ride');
     }
 
+    // Update ride status
+    const startedResult = await client.query(
+      `UPDATE rides SET status = 'IN_PROGRESS', started_at = NOW(), version = version + 1, updated_at = NOW()
+       WHERE id = $1
+       RETURNING started_at`,
+      [rideId]
+    );
+    const startedAt = startedResult.rows[0].started_at;
+    const waitingMins = getWaitedMins(ride, startedAt);
+
     // Create trip record
     const tripId = uuidv4();
     await client.query(
-      `INSERT INTO trips (id, ride_id, started_at, status)
-       VALUES ($1, $2, NOW(), 'IN_PROGRESS')`,
-      [tripId, rideId]
+      `INSERT INTO trips (id, ride_id, started_at, waiting_mins, status)
+       VALUES ($1, $2, $3, $4, 'IN_PROGRESS')`,
+      [tripId, rideId, startedAt, waitingMins]
     );
 
-    // Update ride status
-    await client.query(
-      `UPDATE rides SET status = 'IN_PROGRESS', version = version + 1, updated_at = NOW()
-       WHERE id = $1`,
-      [rideId]
-    );
+    if (ride.tier === 'pool') {
+      await completePoolStop(client, rideId, 'pickup');
+    }
+
+    await recordRideEvent(client, {
+      rideId,
+      eventType: 'TRIP_STARTED',
+      fromStatus: ride.status,
+      toStatus: 'IN_PROGRESS',
+      actor,
+      metadata: { trip_id: tripId, waiting_mins: waitingMins },
+    });
 
     // Invalidate caches
     await invalidateCache(`ride:${rideId}`);
 
-    // Publish events
-    await publishRideEvent(rideId, ride.tenant_id, 'TRIP_STARTED', {
+    // Queue events, published once the transaction commits
+    await enqueueRideEvent(client, rideId, ride.tenant_id, 'TRIP_STARTED', {
       ride_id: rideId,
       trip_id: tripId,
-      started_at: new Date().toISOString(),
+      started_at: new Date(startedAt).toISOString(),
+      waiting_mins: waitingMins,
     });
 
-    await publishNotification(ride.rider_id, 'TRIP_STARTED', {
+    await enqueueNotification(client, ride.rider_id, 'TRIP_STARTED', {
       ride_id: rideId,
       trip_id: tripId,
+      waiting_mins: waitingMins,
+      waiting_fare: calculateWaitingFare(ride.tier, waitingMins),
     });
 
     // Switch simulation to trip phase (driver going to dropoff)
     switchToTripPhase(rideId, ride.driver_id, ride.rider_id)
       .catch(err => console.error('Failed to switch simulation phase:', err.message));
 
-    return { trip_id: tripId, ride_id: rideId, status: 'IN_PROGRESS' };
+    return { trip_id: tripId, ride_id: rideId, status: 'IN_PROGRESS', waiting_mins: waitingMins };
   });
 };
 
 /**
  * End a trip and calculate fare
  */
-const endTrip = async (tripId, tripData = {}) => {
-  const { actual_distance_km, actual_duration_mins, route_polyline } = tripData;
+const endTrip = async (tripId, tripData = {}, { actor = SYSTEM_ACTOR } = {}) => {
+  const { actual_distance_km, actual_duration_mins, route_polyline, tolls = 0 } = tripData;
 
   return executeTransaction(async (client) => {
     // Get trip with lock
@@ -110,12 +184,28 @@ const endTrip = async (tripId, tripData = {}) => {
 
     const ride = rideResult.rows[0];
 
-    // Calculate actual distance if not provided
-    const distance = actual_distance_km || ride.estimated_distance_km || 5;
+    // Distance and route come from the driver's GPS trace when there is one; failing that,
+    // what the client reports, then the quoted distance
+    const trace = await buildRoute(client, ride.driver_id, trip.started_at);
+    const hasTrace = trace.points.length >= ROUTE_CONFIG.minPoints;
+    const distance = hasTrace ? trace.distanceKm : (actual_distance_km || parseFloat(ride.estimated_distance_km) || 5);
+    const distanceSource = hasTrace ? 'gps' : (actual_distance_km ? 'client' : 'estimate');
+    const routePolyline = hasTrace ? trace.polyline : (route_polyline || null);
     const duration = actual_duration_mins || Math.ceil((Date.now() - new Date(trip.started_at).getTime()) / 60000);
 
+    // The ride's promo stays locked until this trip commits, so its usage limits hold
+    const promo = await claimRidePromo(client, ride);
+
     // Calculate fare
-    const fareBreakdown = calculateFare(ride.tier, distance, duration, ride.surge_multiplier);
+    // Surge, rate card and pricing mode are locked into the ride at request time; pool riders split by how many shared the car
+    const fareBreakdown = await finalizeFare(ride, {
+      distanceKm: distance,
+      durationMins: duration,
+      sharedRiders: ride.pool_riders || 1,
+      waitingFare: calculateWaitingFare(ride.tier, parseFloat(trip.waiting_mins) || 0),
+      tolls,
+      promo,
+    });
 
     // Update trip with fare details
     await client.query(
@@ -130,17 +220,33 @@ const endTrip = async (tripId, tripData = {}) => {
          surge_fare = $7,
          taxes = $8,
          total_fare = $9,
+         booking_fee = $10,
+         minimum_fare_adjustment = $11,
+         rate_card_id = $12,
+         waiting_fare = $13,
+         tolls = $14,
+         discount = $15,
+         pricing_mode = $16,
+         upfront_honored = $17,
+         distance_source = $18,
          status = 'COMPLETED',
          updated_at = NOW()
-       WHERE id = $10`,
+       WHERE id = $19`,
       [
-        distance, duration, route_polyline,
+        distance, duration, routePolyline,
         fareBreakdown.baseFare, fareBreakdown.distanceFare, fareBreakdown.timeFare,
         fareBreakdown.surgeFare, fareBreakdown.taxes, fareBreakdown.total,
+        fareBreakdown.bookingFee, fareBreakdown.minimumFareAdjustment, fareBreakdown.rateCardId,
+        fareBreakdown.waitingFare, fareBreakdown.tolls, fareBreakdown.discount,
+        fareBreakdown.pricingMode, fareBreakdown.upfrontHonored, distanceSource,
         tripId
       ]
     );
 
+    if (promo && fareBreakdown.discount > 0) {
+      await recordRedemption(client, { promo, ride, tripId, discount: fareBreakdown.discount });
+    }
+
     // Update ride status
     await client.query(
       `UPDATE rides SET status = 'COMPLETED', version = version + 1, updated_at = NOW()
@@ -148,48 +254,89 @@ const endTrip = async (tripId, tripData = {}) => {
       [trip.ride_id]
     );
 
+    // Any stops the trip ended without visiting are skipped
+    await client.query(
+      `UPDATE ride_stops SET status = 'skipped', updated_at = NOW()
+       WHERE ride_id = $1 AND status IN ('pending', 'arrived')`,
+      [trip.ride_id]
+    );
+
+    if (ride.tier === 'pool') {
+      await completePoolStop(client, trip.ride_id, 'dropoff');
+    }
+
+    // Driver's share of the fare; it's recorded (with any bonus it unlocks) once the rider pays
+    const earning = await estimateTripEarning(client, ride.tenant_id, fareBreakdown);
+
+    // A pool driver stays busy until their last rider is dropped off
+    const otherRidesResult = await client.query(
+      'SELECT COUNT(*) FROM rides WHERE driver_id = $1 AND id != $2 AND status = ANY($3)',
+      [ride.driver_id, trip.ride_id, ACTIVE_POOL_STATUSES]
+    );
+    const driverIsFree = parseInt(otherRidesResult.rows[0].count) === 0;
+
     // Update driver status back to online and add to geo-index
     const driverResult = await client.query(
-      "UPDATE drivers SET status = 'online', total_rides = total_rides + 1, updated_at = NOW() WHERE id = $1 RETURNING *",
-      [ride.driver_id]
+      `UPDATE drivers SET status = CASE WHEN $2 THEN 'online' ELSE status END,
+         total_rides = total_rides + 1, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [ride.driver_id, driverIsFree]
     );
 
     const driver = driverResult.rows[0];
 
     // Get driver's last location to add back to geo-index
-    const locationResult = await client.query(
+    const locationResult = driverIsFree ? await client.query(
       `SELECT latitude, longitude FROM driver_locations 
        WHERE driver_id = $1 ORDER BY recorded_at DESC LIMIT 1`,
       [ride.driver_id]
-    );
+    ) : { rows: [] };
 
     if (locationResult.rows[0]) {
       const { latitude, longitude } = locationResult.rows[0];
-      await addDriverLocation(driver.vehicle_type, driver.id, longitude, latitude);
+      await addDriverLocation(driver.tenant_id, driver.vehicle_type, driver.id, longitude, latitude);
     }
 
+    await recordRideEvent(client, {
+      rideId: trip.ride_id,
+      eventType: 'TRIP_COMPLETED',
+      fromStatus: ride.status,
+      toStatus: 'COMPLETED',
+      actor,
+      metadata: {
+        trip_id: tripId,
+        distance_km: distance,
+        distance_source: distanceSource,
+        duration_mins: duration,
+        total_fare: fareBreakdown.total,
+      },
+    });
+
     // Invalidate caches
     await invalidateCache(`ride:${trip.ride_id}`);
     await invalidateCache(`driver:${ride.driver_id}`);
     await invalidateCache(`driver:status:${ride.driver_id}`);
 
-    // Publish events
-    await publishRideEvent(trip.ride_id, ride.tenant_id, 'TRIP_COMPLETED', {
+    // Queue events, published once the transaction commits
+    await enqueueRideEvent(client, trip.ride_id, ride.tenant_id, 'TRIP_COMPLETED', {
       ride_id: trip.ride_id,
       trip_id: tripId,
       fare: fareBreakdown,
     });
 
-    await publishNotification(ride.rider_id, 'TRIP_COMPLETED', {
+    await enqueueNotification(client, ride.rider_id, 'TRIP_COMPLETED', {
       ride_id: trip.ride_id,
       trip_id: tripId,
       fare: fareBreakdown.total,
+      waiting_fare: fareBreakdown.waitingFare,
+      discount: fareBreakdown.discount,
+      promo_code: fareBreakdown.promoCode,
     });
 
-    await publishNotification(ride.driver_id, 'TRIP_COMPLETED', {
+    await enqueueNotification(client, ride.driver_id, 'TRIP_COMPLETED', {
       ride_id: trip.ride_id,
       trip_id: tripId,
-      earnings: fareBreakdown.total * 0.8, // Driver gets 80%
+      earnings: earning.amount,
     });
 
     // Stop driver simulation
@@ -199,7 +346,14 @@ const endTrip = async (tripId, tripData = {}) => {
       trip_id: tripId,
       ride_id: trip.ride_id,
       status: 'COMPLETED',
+      distance_km: distance,
+      distance_source: distanceSource,
       fare: fareBreakdown,
+      driver_earnings: {
+        amount: earning.amount,
+        commission: earning.commission,
+        commission_percent: earning.commissionPercent,
+      },
     };
   });
 };
@@ -210,11 +364,13 @@ const endTrip = async (tripId, tripData = {}) => {
 const getTripById = async (id) => {
   const result = await query(
     `SELECT t.*, r.pickup_address, r.dropoff_address, r.tier, r.payment_method,
-       d.name as driver_name, ri.name as rider_name
+       d.name as driver_name, ri.name as rider_name, pc.code as promo_code
      FROM trips t
      JOIN rides r ON t.ride_id = r.id
      LEFT JOIN drivers d ON r.driver_id = d.id
      LEFT JOIN riders ri ON r.rider_id = ri.id
+     LEFT JOIN promo_redemptions pr ON pr.ride_id = r.id
+     LEFT JOIN promo_codes pc ON pr.promo_code_id = pc.id
      WHERE t.id = $1`,
     [id]
   );
@@ -238,55 +394,43 @@ const getTripByRideId = async (rideId) => {
   return result.rows[0] || null;
 };
 
-/**
- * Calculate fare breakdown
- */
-const calculateFare = (tier, distanceKm, durationMins, surgeMultiplier = 1) => {
-  const config = FARE_CONFIG[tier] || FARE_CONFIG.economy;
-
-  const baseFare = config.baseFare;
-  const distanceFare = Math.round(distanceKm * config.perKm * 100) / 100;
-  const timeFare = Math.round(durationMins * config.perMin * 100) / 100;
-  const subtotal = baseFare + distanceFare + timeFare;
-  const surgeFare = surgeMultiplier > 1 ? Math.round(subtotal * (surgeMultiplier - 1) * 100) / 100 : 0;
-  const taxes = Math.round((subtotal + surgeFare) * 0.05 * 100) / 100; // 5% tax
-  const total = Math.round((subtotal + surgeFare + taxes) * 100) / 100;
-
-  return {
-    baseFare,
-    distanceFare,
-    timeFare,
-    surgeFare,
-    surgeMultiplier,
-    taxes,
-    subtotal,
-    total,
-    currency: 'INR',
-  };
-};
-
 /**
  * Update ride status (for intermediate states)
  */
-const updateRideStatusForTrip = async (rideId, newStatus) => {
+const updateRideStatusForTrip = async (rideId, newStatus, { actor = SYSTEM_ACTOR } = {}) => {
   const validStatuses = ['DRIVER_EN_ROUTE', 'DRIVER_ARRIVED'];
   if (!validStatuses.includes(newStatus)) {
     throw new ConflictError(`Invalid status transition: ${newStatus}`);
   }
 
-  const result = await query(
-    `UPDATE rides 
-     SET status = $1, version = version + 1, updated_at = NOW()
-     WHERE id = $2
-     RETURNING *`,
-    [newStatus, rideId]
-  );
+  const ride = await executeTransaction(async (client) => {
+    const current = await client.query('SELECT status FROM rides WHERE id = $1 FOR UPDATE', [rideId]);
+    if (current.rowCount === 0) {
+      throw new NotFoundError('Ride');
+    }
 
-  if (result.rowCount === 0) {
-    throw new NotFoundError('Ride');
-  }
+    // Waiting time (and what a cancellation at pickup costs) runs from arrived_at; a repeated
+    // arrival doesn't restart it
+    const result = await client.query(
+      `UPDATE rides 
+       SET status = $1, version = version + 1, updated_at = NOW(),
+           arrived_at = CASE WHEN $1 = 'DRIVER_ARRIVED' AND status <> 'DRIVER_ARRIVED' THEN NOW() ELSE arrived_at END
+       WHERE id = $2
+       RETURNING *`,
+      [newStatus, rideId]
+    );
+
+    await recordRideEvent(client, {
+      rideId,
+      eventType: 'RIDE_STATUS_CHANGED',
+      fromStatus: current.rows[0].status,
+      toStatus: newStatus,
+      actor,
+    });
+
+    return result.rows[0];
+  });
 
-  const ride = result.rows[0];
   await invalidateCache(`ride:${rideId}`);
 
   // Publish notification
@@ -295,7 +439,12 @@ const updateRideStatusForTrip = async (rideId, newStatus) => {
     status: newStatus,
   });
 
-  return result.rows[0];
+  // Start both sides' waiting timers; the waiting timer worker keeps them in step
+  if (newStatus === 'DRIVER_ARRIVED') {
+    await publishWaitingStatus(ride);
+  }
+
+  return ride;
 };
 
 module.exports = {
@@ -303,7 +452,8 @@ module.exports = {
   endTrip,
   getTripById,
   getTripByRideId,
-  calculateFare,
   updateRideStatusForTrip,
-  FARE_CONFIG,
+  getWaitingStatus,
+  publishWaitingStatus,
+  findWaitingRides,
 };
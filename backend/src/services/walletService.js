@@ -0,0 +1,254 @@
+const { v4: uuidv4 } = require('uuid');
+const { queryRead, executeTransaction } = require('../config/database');
+const { enqueueNotification } = require('./outboxService');
+const { NotFoundError, InsufficientFundsError } = require('../utils/errors');
+
+// Wallet owners that are people (tables they live in)
+const OWNER_TABLES = {
+  rider: 'riders',
+  driver: 'drivers',
+};
+
+// Per-tenant system accounts (owner_id = tenant_id)
+const SYSTEM_ACCOUNTS = {
+  PLATFORM: 'platform', // Receives trip payments, pays out refunds
+  FUNDING: 'funding',   // Contra account for card top-ups captured by the PSP (may go negative)
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get a wallet row locked for update, creating it on first use
+ */
+const lockWallet = async (client, tenantId, ownerType, ownerId) => {
+  await client.query(
+    `INSERT INTO wallets (tenant_id, owner_type, owner_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (owner_type, owner_id) DO NOTHING`,
+    [tenantId, ownerType, ownerId]
+  );
+
+  const result = await client.query(
+    'SELECT * FROM wallets WHERE owner_type = $1 AND owner_id = $2 FOR UPDATE',
+    [ownerType, ownerId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Move money between two wallets as one double-entry journal (inside a transaction)
+ * - Wallets are locked in a fixed order so concurrent transfers can't deadlock
+ * - Debits that would overdraw a non-funding wallet throw InsufficientFundsError
+ *   before anything is written
+ * @param {Object} client - Transaction client
+ * @param {Object} transfer - { tenantId, from: {type, id}, to: {type, id}, amount, kind, referenceId, description }
+ * @returns {Promise<{ journal_id, from, to }>} Wallets after the transfer
+ */
+const transfer = async (client, { tenantId, from, to, amount, kind, referenceId = null, description = null }) => {
+  const value = roundAmount(parseFloat(amount));
+
+  const [first, second] = [from, to].sort((a, b) =>
+    `${a.type}:${a.id}`.localeCompare(`${b.type}:${b.id}`)
+  );
+  const locked = {};
+  for (const owner of [first, second]) {
+    locked[`${owner.type}:${owner.id}`] = await lockWallet(client, tenantId, owner.type, owner.id);
+  }
+
+  const source = locked[`${from.type}:${from.id}`];
+  const destination = locked[`${to.type}:${to.id}`];
+
+  const sourceBalance = parseFloat(source.balance);
+  if (source.owner_type !== SYSTEM_ACCOUNTS.FUNDING && sourceBalance < value) {
+    throw new InsufficientFundsError(sourceBalance, value);
+  }
+
+  const journalId = uuidv4();
+  const entries = [
+    { wallet: source, entryType: 'debit', balanceAfter: roundAmount(sourceBalance - value) },
+    { wallet: destination, entryType: 'credit', balanceAfter: roundAmount(parseFloat(destination.balance) + value) },
+  ];
+
+  for (const entry of entries) {
+    await client.query(
+      'UPDATE wallets SET balance = $1, updated_at = NOW() WHERE id = $2',
+      [entry.balanceAfter, entry.wallet.id]
+    );
+    await client.query(
+      `INSERT INTO wallet_transactions
+         (journal_id, wallet_id, entry_type, amount, balance_after, kind, reference_id, description)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [journalId, entry.wallet.id, entry.entryType, value, entry.balanceAfter, kind, referenceId, description]
+    );
+  }
+
+  return {
+    journal_id: journalId,
+    from: { ...source, balance: entries[0].balanceAfter },
+    to: { ...destination, balance: entries[1].balanceAfter },
+  };
+};
+
+/**
+ * Look up the tenant a rider/driver belongs to
+ */
+const getOwnerTenant = async (client, ownerType, ownerId) => {
+  const result = await client.query(
+    `SELECT tenant_id FROM ${OWNER_TABLES[ownerType]} WHERE id = $1`,
+    [ownerId]
+  );
+
+  if (result.rowCount === 0) {
+    throw new NotFoundError(ownerType === 'rider' ? 'Rider' : 'Driver');
+  }
+
+  return result.rows[0].tenant_id;
+};
+
+/**
+ * Credit a card top-up to a rider/driver wallet
+ * - Only for money the PSP has captured (see paymentService.topUpWallet)
+ * - Throws only if nothing was credited; the owner's notification goes through the outbox
+ * @param {string} pspReference - The capture's PSP reference, kept on the ledger entry
+ */
+const creditTopUp = async (ownerType, ownerId, amount, pspReference) => {
+  const result = await executeTransaction(async (client) => {
+    const tenantId = await getOwnerTenant(client, ownerType, ownerId);
+
+    const credited = await transfer(client, {
+      tenantId,
+      from: { type: SYSTEM_ACCOUNTS.FUNDING, id: tenantId },
+      to: { type: ownerType, id: ownerId },
+      amount,
+      kind: 'topup',
+      referenceId: pspReference,
+      description: 'Wallet top-up',
+    });
+
+    await enqueueNotification(client, ownerId, 'WALLET_UPDATED', {
+      balance: credited.to.balance,
+      amount: roundAmount(amount),
+      kind: 'topup',
+    });
+
+    return credited;
+  });
+
+  return result.to;
+};
+
+/**
+ * Pay for a trip from the rider's wallet (inside the payment transaction)
+ */
+const debitForTrip = async (client, trip, amount, paymentId) => {
+  return transfer(client, {
+    tenantId: trip.tenant_id,
+    from: { type: 'rider', id: trip.rider_id },
+    to: { type: SYSTEM_ACCOUNTS.PLATFORM, id: trip.tenant_id },
+    amount,
+    kind: 'trip_payment',
+    referenceId: paymentId,
+    description: `Trip ${trip.id}`,
+  });
+};
+
+/**
+ * Return a refunded payment to the rider's wallet (inside the refund transaction)
+ */
+const creditRefund = async (client, trip, amount, paymentId) => {
+  return transfer(client, {
+    tenantId: trip.tenant_id,
+    from: { type: SYSTEM_ACCOUNTS.PLATFORM, id: trip.tenant_id },
+    to: { type: 'rider', id: trip.rider_id },
+    amount,
+    kind: 'refund',
+    referenceId: paymentId,
+    description: `Refund for trip ${trip.id}`,
+  });
+};
+
+/**
+ * Take a cancellation fee from the rider's wallet (inside the cancellation transaction)
+ * - Takes as much of the fee as the wallet holds
+ * @returns {Promise<number>} Amount debited
+ */
+const debitCancellationFee = async (client, ride, amount) => {
+  const debit = (value) => transfer(client, {
+    tenantId: ride.tenant_id,
+    from: { type: 'rider', id: ride.rider_id },
+    to: { type: SYSTEM_ACCOUNTS.PLATFORM, id: ride.tenant_id },
+    amount: value,
+    kind: 'cancellation_fee',
+    referenceId: ride.id,
+    description: `Cancellation fee for ride ${ride.id}`,
+  });
+
+  try {
+    await debit(amount);
+    return roundAmount(parseFloat(amount));
+  } catch (error) {
+    // Thrown before anything is written, with both wallets still locked
+    if (!(error instanceof InsufficientFundsError)) {
+      throw error;
+    }
+    if (error.balance <= 0) {
+      return 0;
+    }
+    await debit(error.balance);
+    return roundAmount(error.balance);
+  }
+};
+
+/**
+ * Get a rider/driver wallet (zero balance if they never used it)
+ */
+const getWallet = async (ownerType, ownerId) => {
+  const result = await queryRead(
+    'SELECT * FROM wallets WHERE owner_type = $1 AND owner_id = $2',
+    [ownerType, ownerId]
+  );
+
+  if (result.rows[0]) {
+    return result.rows[0];
+  }
+
+  const tenantId = await getOwnerTenant({ query: queryRead }, ownerType, ownerId);
+  return {
+    id: null,
+    tenant_id: tenantId,
+    owner_type: ownerType,
+    owner_id: ownerId,
+    balance: '0.00',
+    currency: 'INR',
+  };
+};
+
+/**
+ * Get a wallet's statement, newest first
+ */
+const getStatement = async (ownerType, ownerId, { limit = 50, offset = 0 } = {}) => {
+  const result = await queryRead(
+    `SELECT wt.id, wt.journal_id, wt.entry_type, wt.amount, wt.balance_after,
+       wt.kind, wt.reference_id, wt.description, wt.created_at
+     FROM wallet_transactions wt
+     JOIN wallets w ON w.id = wt.wallet_id
+     WHERE w.owner_type = $1 AND w.owner_id = $2
+     ORDER BY wt.created_at DESC
+     LIMIT $3 OFFSET $4`,
+    [ownerType, ownerId, limit, offset]
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  transfer,
+  creditTopUp,
+  debitForTrip,
+  creditRefund,
+  debitCancellationFee,
+  getWallet,
+  getStatement,
+  SYSTEM_ACCOUNTS,
+};
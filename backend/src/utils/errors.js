@@ -57,6 +57,12 @@ class IdempotencyError extends AppError {
   }
 }
 
+class IdempotencyKeyMismatchError extends AppError {
+  constructor(message = 'Idempotency key was already used for a different request') {
+    super(message, 422, 'IDEMPOTENCY_KEY_MISMATCH');
+  }
+}
+
 class TooManyRequestsError extends AppError {
   constructor(message = 'Too many requests') {
     super(message, 429, 'RATE_LIMITED');
@@ -97,6 +103,31 @@ class LockAcquisitionError extends AppError {
   }
 }
 
+// Wallet errors
+class InsufficientFundsError extends AppError {
+  constructor(balance, amount) {
+    super(`Insufficient wallet balance: ${balance} available, ${amount} required`, 402, 'INSUFFICIENT_FUNDS');
+    this.balance = balance;
+    this.amount = amount;
+  }
+}
+
+// Payment gateway errors
+class PaymentGatewayError extends AppError {
+  constructor(message = 'Payment gateway error', pspCode = null) {
+    super(message, 502, 'PAYMENT_GATEWAY_ERROR');
+    this.pspCode = pspCode;
+  }
+}
+
+class PaymentDeclinedError extends AppError {
+  constructor(message = 'Payment declined', pspCode = null, nextAction = null) {
+    super(message, 402, 'PAYMENT_DECLINED');
+    this.pspCode = pspCode;
+    this.nextAction = nextAction;
+  }
+}
+
 module.exports = {
   AppError,
   BadRequestError,
@@ -106,9 +137,13 @@ module.exports = {
   NotFoundError,
   ConflictError,
   IdempotencyError,
+  IdempotencyKeyMismatchError,
   TooManyRequestsError,
   InternalError,
   ServiceUnavailableError,
   InvalidStateTransitionError,
   LockAcquisitionError,
+  InsufficientFundsError,
+  PaymentGatewayError,
+  PaymentDeclinedError,
 };
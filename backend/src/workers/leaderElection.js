@@ -0,0 +1,49 @@
+const { acquireLock, releaseLock, extendLock, isLocked } = require('../services/lockingService');
+
+/**
+ * Leader election on top of the distributed lock - the holder keeps extending
+ * its lease on every tick, other instances stay idle until it lapses
+ * @param {string} resource - Lock resource shared by all instances
+ * @param {number} ttl - Lease TTL in milliseconds (must exceed the tick interval)
+ */
+const createLeaderElection = (resource, ttl) => {
+  let lock = null;
+
+  /**
+   * Become (or stay) the leader
+   * @returns {Promise<boolean>} True if this instance holds leadership
+   */
+  const ensureLeadership = async () => {
+    if (lock) {
+      lock = await extendLock(lock, ttl);
+      return lock !== null;
+    }
+
+    // Skip the Redlock retry loop when another instance clearly holds the lock
+    if (await isLocked(resource)) {
+      return false;
+    }
+
+    lock = await acquireLock(resource, ttl);
+    if (lock) {
+      console.log(`👑 Elected leader for ${resource}`);
+    }
+    return lock !== null;
+  };
+
+  /**
+   * Give up leadership so another instance can take over right away
+   */
+  const releaseLeadership = async () => {
+    if (lock) {
+      await releaseLock(lock);
+      lock = null;
+    }
+  };
+
+  return { ensureLeadership, releaseLeadership };
+};
+
+module.exports = {
+  createLeaderElection,
+};
@@ -0,0 +1,112 @@
+const { createLeaderElection } = require('./leaderElection');
+const {
+  expirePendingOffers,
+  updateAcceptanceRate,
+  findStalledMatchingRides,
+  findStalledRequestedRides,
+  findDriversForRide,
+  dispatchNextWave,
+} = require('../services/matchingService');
+const { publishNotification } = require('../config/kafka');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.OFFER_EXPIRY_SWEEP_MS) || 2000;
+
+// Only one instance runs the sweep
+const leader = createLeaderElection('worker:offer-expiry', 10000);
+
+let timer = null;
+let sweeping = false;
+
+/**
+ * Expire stale offers and push affected rides to their next dispatch round
+ */
+const sweep = async () => {
+  const expiredOffers = await expirePendingOffers();
+
+  const driverIds = [...new Set(expiredOffers.map(offer => offer.driver_id))];
+  const rideIds = new Set(expiredOffers.map(offer => offer.ride_id));
+
+  await Promise.all([
+    ...driverIds.map(driverId => updateAcceptanceRate(driverId)
+      .catch(err => console.error(`Acceptance rate update failed for ${driverId}:`, err.message))),
+    ...expiredOffers.map(offer => publishNotification(offer.driver_id, 'OFFER_EXPIRED', {
+      offer_id: offer.id,
+      ride_id: offer.ride_id,
+    }).catch(err => console.error(`Offer expiry notification failed for ${offer.driver_id}:`, err.message))),
+  ]);
+
+  // Also pick up rides that timed out or stalled without pending offers
+  const stalledRideIds = await findStalledMatchingRides();
+  stalledRideIds.forEach(rideId => rideIds.add(rideId));
+
+  for (const rideId of rideIds) {
+    try {
+      await dispatchNextWave(rideId);
+    } catch (err) {
+      console.error(`Re-dispatch failed for ride ${rideId}:`, err.message);
+    }
+  }
+
+  // Rides whose matching never started (their dispatch failed after release or re-dispatch)
+  const requestedRideIds = await findStalledRequestedRides();
+  for (const rideId of requestedRideIds) {
+    try {
+      await findDriversForRide(rideId);
+    } catch (err) {
+      console.error(`Dispatch failed for ride ${rideId}:`, err.message);
+    }
+  }
+
+  if (expiredOffers.length > 0) {
+    console.log(`Expired ${expiredOffers.length} offers, re-dispatched ${rideIds.size} rides`);
+  }
+};
+
+/**
+ * One tick of the worker
+ */
+const tick = async () => {
+  // Don't overlap sweeps if one runs long
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    if (await leader.ensureLeadership()) {
+      await sweep();
+    }
+  } catch (error) {
+    console.error('Offer expiry sweep failed:', error.message);
+  } finally {
+    sweeping = false;
+  }
+};
+
+/**
+ * Start the offer expiry worker
+ */
+const startOfferExpiryWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  console.log('✅ Offer expiry worker started');
+};
+
+/**
+ * Stop the worker and hand over leadership
+ */
+const stopOfferExpiryWorker = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await leader.releaseLeadership();
+
+  console.log('Offer expiry worker stopped');
+};
+
+module.exports = {
+  startOfferExpiryWorker,
+  stopOfferExpiryWorker,
+  sweep,
+};
@@ -0,0 +1,147 @@
+const { createLeaderElection } = require('./leaderElection');
+const { getProducer } = require('../config/kafka');
+const { recordMetric } = require('../middleware/metrics');
+const {
+  fetchDueMessages,
+  markSent,
+  markFailed,
+  getOutboxLag,
+  purgeSentMessages,
+} = require('../services/outboxService');
+
+const RELAY_INTERVAL_MS = parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS) || 250;
+const LAG_METRICS_INTERVAL_MS = 10000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// A single relay keeps each key's messages in order
+const leader = createLeaderElection('worker:outbox-relay', 10000);
+
+let timer = null;
+let running = false;
+let lastLagReportAt = 0;
+let lastPurgeAt = 0;
+
+/**
+ * Publish due outbox messages to Kafka, oldest first
+ * - A failed message is retried with backoff, and the rest of its key's messages
+ *   wait behind it; other keys carry on
+ * - Delivery is at least once: a crash between publishing and marking sent repeats messages
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const relayOutbox = async () => {
+  // Kafka down: everything stays in the outbox until it's back
+  const producer = getProducer();
+
+  const messages = await fetchDueMessages();
+  const sentIds = [];
+  const blockedKeys = new Set();
+  let failed = 0;
+  let lagMs = 0;
+
+  for (const message of messages) {
+    const stream = `${message.topic}:${message.message_key}`;
+    if (blockedKeys.has(stream)) continue;
+
+    try {
+      await producer.send({
+        topic: message.topic,
+        messages: [{
+          key: message.message_key,
+          value: JSON.stringify(message.payload),
+          timestamp: new Date(message.created_at).getTime().toString(),
+        }],
+      });
+      sentIds.push(message.id);
+      lagMs += Date.now() - new Date(message.created_at).getTime();
+    } catch (error) {
+      console.error(`Outbox message ${message.id} failed to publish:`, error.message);
+      blockedKeys.add(stream);
+      failed++;
+      await markFailed(message, error);
+    }
+  }
+
+  await markSent(sentIds);
+
+  if (sentIds.length > 0) {
+    recordMetric('Outbox/Published', sentIds.length);
+    recordMetric('Outbox/PublishLagMs', lagMs / sentIds.length);
+  }
+  if (failed > 0) {
+    recordMetric('Outbox/Failed', failed);
+  }
+
+  return { sent: sentIds.length, failed };
+};
+
+/**
+ * Report how far the outbox is behind (backlog, failing messages, oldest unsent age)
+ */
+const reportLag = async () => {
+  const lag = await getOutboxLag();
+
+  recordMetric('Outbox/Pending', lag.pending);
+  recordMetric('Outbox/Failing', lag.failing);
+  recordMetric('Outbox/OldestPendingSecs', lag.oldest_pending_secs);
+
+  return lag;
+};
+
+/**
+ * One tick of the worker
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    if (await leader.ensureLeadership()) {
+      await relayOutbox();
+
+      const now = Date.now();
+      if (now - lastLagReportAt >= LAG_METRICS_INTERVAL_MS) {
+        lastLagReportAt = now;
+        await reportLag();
+      }
+      if (now - lastPurgeAt >= PURGE_INTERVAL_MS) {
+        lastPurgeAt = now;
+        await purgeSentMessages();
+      }
+    }
+  } catch (error) {
+    console.error('Outbox relay tick failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the outbox relay
+ */
+const startOutboxRelay = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, RELAY_INTERVAL_MS);
+  console.log('✅ Outbox relay started');
+};
+
+/**
+ * Stop the relay and hand over leadership
+ */
+const stopOutboxRelay = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await leader.releaseLeadership();
+
+  console.log('Outbox relay stopped');
+};
+
+module.exports = {
+  startOutboxRelay,
+  stopOutboxRelay,
+  relayOutbox,
+  reportLag,
+};
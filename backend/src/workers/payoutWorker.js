@@ -0,0 +1,66 @@
+const { createLeaderElection } = require('./leaderElection');
+const { runPayoutBatch } = require('../services/earningsService');
+
+// Payouts cover earnings up to the start of the day; checking hourly picks up
+// a new day soon after midnight, and runs within a day find nothing left to pay
+const PAYOUT_INTERVAL_MS = parseInt(process.env.PAYOUT_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Only one instance creates payouts
+const leader = createLeaderElection('worker:payouts', PAYOUT_INTERVAL_MS * 3);
+
+let timer = null;
+let running = false;
+
+/**
+ * One tick of the worker
+ */
+const tick = async () => {
+  // Don't overlap runs if one takes long
+  if (running) return;
+  running = true;
+
+  try {
+    if (await leader.ensureLeadership()) {
+      const payouts = await runPayoutBatch();
+
+      if (payouts.length > 0) {
+        const total = payouts.reduce((sum, payout) => sum + parseFloat(payout.amount), 0);
+        console.log(`Payout batch: ${payouts.length} payouts, ₹${total.toFixed(2)}`);
+      }
+    }
+  } catch (error) {
+    console.error('Payout batch failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the payout worker
+ */
+const startPayoutWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, PAYOUT_INTERVAL_MS);
+  console.log('✅ Payout worker started');
+};
+
+/**
+ * Stop the worker and hand over leadership
+ */
+const stopPayoutWorker = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await leader.releaseLeadership();
+
+  console.log('Payout worker stopped');
+};
+
+module.exports = {
+  startPayoutWorker,
+  stopPayoutWorker,
+  tick,
+};
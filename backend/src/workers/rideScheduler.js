@@ -0,0 +1,96 @@
+const { createLeaderElection } = require('./leaderElection');
+const {
+  claimScheduledRideReminders,
+  releaseScheduledRides,
+} = require('../services/rideService');
+const { findDriversForRide } = require('../services/matchingService');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.RIDE_SCHEDULER_INTERVAL_MS) || 30000;
+
+// Only one instance releases scheduled rides
+const leader = createLeaderElection('worker:ride-scheduler', SCHEDULER_INTERVAL_MS * 3);
+
+let timer = null;
+let running = false;
+
+/**
+ * Remind riders of upcoming pickups (queued through the outbox when claimed)
+ */
+const sendReminders = async () => {
+  const rides = await claimScheduledRideReminders();
+  return rides.length;
+};
+
+/**
+ * Start matching for scheduled rides whose pickup is within the dispatch lead time
+ */
+const dispatchDueRides = async () => {
+  const rides = await releaseScheduledRides();
+
+  for (const ride of rides) {
+    try {
+      const matchResult = await findDriversForRide(ride.id);
+      console.log(`Scheduled ride ${ride.id} dispatched: ${matchResult.message}`);
+    } catch (err) {
+      // The offer expiry worker picks up rides left in REQUESTED or stalled in MATCHING
+      console.error(`Dispatch failed for scheduled ride ${ride.id}:`, err.message);
+    }
+  }
+
+  return rides.length;
+};
+
+/**
+ * One tick of the scheduler
+ */
+const tick = async () => {
+  // Don't overlap runs if one takes long
+  if (running) return;
+  running = true;
+
+  try {
+    if (await leader.ensureLeadership()) {
+      const reminded = await sendReminders();
+      const dispatched = await dispatchDueRides();
+
+      if (reminded > 0 || dispatched > 0) {
+        console.log(`Ride scheduler: ${reminded} reminders sent, ${dispatched} rides dispatched`);
+      }
+    }
+  } catch (error) {
+    console.error('Ride scheduler run failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the ride scheduler
+ */
+const startRideScheduler = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  console.log('✅ Ride scheduler started');
+};
+
+/**
+ * Stop the scheduler and hand over leadership
+ */
+const stopRideScheduler = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await leader.releaseLeadership();
+
+  console.log('Ride scheduler stopped');
+};
+
+module.exports = {
+  startRideScheduler,
+  stopRideScheduler,
+  sendReminders,
+  dispatchDueRides,
+};
@@ -0,0 +1,72 @@
+const { createLeaderElection } = require('./leaderElection');
+const { evictStaleDrivers } = require('../config/redis');
+
+const DRIVER_SWEEP_INTERVAL_MS = parseInt(process.env.DRIVER_SWEEP_INTERVAL_MS) || 30000;
+
+// Only one instance sweeps the geo index
+const leader = createLeaderElection('worker:stale-driver-sweeper', DRIVER_SWEEP_INTERVAL_MS * 3);
+
+let timer = null;
+let running = false;
+
+/**
+ * Evict drivers whose last location is older than DRIVER_STALE_AFTER_MS from the geo index
+ * - Their status is left alone: the next location they send puts them back
+ */
+const sweepStaleDrivers = async (now = Date.now()) => {
+  const evicted = await evictStaleDrivers(now);
+
+  if (evicted.length > 0) {
+    console.log(`Evicted ${evicted.length} stale driver(s) from the geo index`);
+  }
+
+  return evicted;
+};
+
+/**
+ * One tick of the worker
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    if (await leader.ensureLeadership()) {
+      await sweepStaleDrivers();
+    }
+  } catch (error) {
+    console.error('Stale driver sweep failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the stale driver sweeper
+ */
+const startStaleDriverSweeper = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, DRIVER_SWEEP_INTERVAL_MS);
+  console.log('✅ Stale driver sweeper started');
+};
+
+/**
+ * Stop the sweeper and hand over leadership
+ */
+const stopStaleDriverSweeper = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await leader.releaseLeadership();
+
+  console.log('Stale driver sweeper stopped');
+};
+
+module.exports = {
+  startStaleDriverSweeper,
+  stopStaleDriverSweeper,
+  sweepStaleDrivers,
+};
@@ -0,0 +1,72 @@
+const { createLeaderElection } = require('./leaderElection');
+const { findWaitingRides, publishWaitingStatus } = require('../services/tripService');
+
+const WAITING_TIMER_INTERVAL_MS = parseInt(process.env.WAITING_TIMER_INTERVAL_MS) || 15000;
+
+// Only one instance pushes the timers
+const leader = createLeaderElection('worker:waiting-timer', WAITING_TIMER_INTERVAL_MS * 3);
+
+let timer = null;
+let running = false;
+
+/**
+ * Push the waiting timer of every ride whose driver is at the pickup
+ * - Clients count the seconds themselves; this keeps them in step with the
+ *   server's clock and the waiting charge
+ */
+const pushWaitingTimers = async (now = Date.now()) => {
+  const rides = await findWaitingRides();
+
+  await Promise.all(rides.map(ride => publishWaitingStatus(ride, now)
+    .catch(err => console.error(`Waiting timer failed for ride ${ride.id}:`, err.message))));
+
+  return rides.length;
+};
+
+/**
+ * One tick of the worker
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    if (await leader.ensureLeadership()) {
+      await pushWaitingTimers();
+    }
+  } catch (error) {
+    console.error('Waiting timer tick failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the waiting timer worker
+ */
+const startWaitingTimerWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(tick, WAITING_TIMER_INTERVAL_MS);
+  console.log('✅ Waiting timer worker started');
+};
+
+/**
+ * Stop the worker and hand over leadership
+ */
+const stopWaitingTimerWorker = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await leader.releaseLeadership();
+
+  console.log('Waiting timer worker stopped');
+};
+
+module.exports = {
+  startWaitingTimerWorker,
+  stopWaitingTimerWorker,
+  pushWaitingTimers,
+};
@@ -0,0 +1,307 @@
+/**
+ * Tests for the operations (admin) API
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/redis', () => ({
+  getRedisClient: jest.fn(),
+  cacheGetOrSet: jest.fn(),
+  invalidateCache: jest.fn().mockResolvedValue(),
+  addDriverLocation: jest.fn().mockResolvedValue(),
+  removeDriverLocation: jest.fn().mockResolvedValue(),
+  getDriverLocations: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  publishRideEvent: jest.fn().mockResolvedValue(),
+  publishNotification: jest.fn().mockResolvedValue(),
+  publishLocationUpdate: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/cacheService', () => ({
+  CACHE_KEYS: {},
+  CACHE_TTL: {},
+  invalidateRideCache: jest.fn().mockResolvedValue(),
+  invalidateDriverCache: jest.fn().mockResolvedValue(),
+  invalidateRiderCurrentRide: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/paymentService', () => ({
+  releaseRideHold: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../src/services/simulationService', () => ({
+  startDriverSimulation: jest.fn().mockResolvedValue(),
+  stopDriverSimulation: jest.fn(),
+}));
+
+const { query, queryRead } = require('../src/config/database');
+const { getDriverLocations } = require('../src/config/redis');
+const { publishNotification } = require('../src/config/kafka');
+const { stopDriverSimulation, startDriverSimulation } = require('../src/services/simulationService');
+const { authenticate, generateToken } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const adminRoutes = require('../src/routes/admin');
+const adminService = require('../src/services/adminService');
+const rideService = require('../src/services/rideService');
+const driverService = require('../src/services/driverService');
+const { NotFoundError, ConflictError, ForbiddenError } = require('../src/utils/errors');
+
+const TENANT = '10000000-0000-4000-8000-000000000001';
+const RIDE_ID = '40000000-0000-4000-8000-000000000001';
+const DRIVER_ID = '30000000-0000-4000-8000-000000000001';
+const OLD_DRIVER_ID = '30000000-0000-4000-8000-000000000002';
+
+const app = express();
+app.use(express.json());
+app.use('/v1/admin', authenticate, adminRoutes);
+app.use(errorHandler);
+
+const tokenFor = (userType) => generateToken({ userId: 'user-1', userType, tenantId: TENANT });
+
+const found = (row) => Promise.resolve({ rowCount: 1, rows: [row] });
+const none = () => Promise.resolve({ rowCount: 0, rows: [] });
+
+describe('Admin API', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset();
+    query.mockReset();
+    queryRead.mockReset();
+  });
+
+  describe('routes', () => {
+    afterEach(() => {
+      adminService.listRides.mockRestore?.();
+    });
+
+    it('should only let operations users in', async () => {
+      const listRides = jest.spyOn(adminService, 'listRides')
+        .mockResolvedValue({ items: [], total: 0, limit: 25, offset: 0 });
+
+      const anonymous = await request(app).get('/v1/admin/rides');
+      const driver = await request(app).get('/v1/admin/rides').set('Authorization', `Bearer ${tokenFor('driver')}`);
+      const ops = await request(app).get('/v1/admin/rides').set('Authorization', `Bearer ${tokenFor('ops')}`);
+
+      expect(anonymous.status).toBe(401);
+      expect(driver.status).toBe(403);
+      expect(ops.status).toBe(200);
+      expect(listRides).toHaveBeenCalledTimes(1);
+    });
+
+    it('should scope listings to the operator tenant and parse the filters', async () => {
+      const listRides = jest.spyOn(adminService, 'listRides')
+        .mockResolvedValue({ items: [{ id: RIDE_ID }], total: 41, limit: 10, offset: 20 });
+
+      const res = await request(app)
+        .get('/v1/admin/rides?status=MATCHING,DRIVER_ASSIGNED&limit=10&offset=20')
+        .set('Authorization', `Bearer ${tokenFor('admin')}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.meta).toEqual({ total: 41, limit: 10, offset: 20 });
+      expect(listRides).toHaveBeenCalledWith(TENANT, expect.objectContaining({
+        status: ['MATCHING', 'DRIVER_ASSIGNED'],
+        limit: 10,
+        offset: 20,
+      }));
+    });
+
+    it('should reject unknown statuses and a missing cancellation reason', async () => {
+      const auth = `Bearer ${tokenFor('admin')}`;
+
+      const badStatus = await request(app).get('/v1/admin/rides?status=STUCK').set('Authorization', auth);
+      const noReason = await request(app).post(`/v1/admin/rides/${RIDE_ID}/cancel`).set('Authorization', auth).send({});
+
+      expect(badStatus.status).toBe(400);
+      expect(noReason.status).toBe(400);
+    });
+  });
+
+  describe('listings', () => {
+    it('should filter rides by tenant and the given filters only', async () => {
+      queryRead.mockImplementation((sql) => (sql.includes('COUNT(*)')
+        ? found({ total: '3' })
+        : Promise.resolve({ rowCount: 1, rows: [{ id: RIDE_ID }] })));
+
+      const page = await adminService.listRides(TENANT, { status: ['MATCHING'], limit: 25, offset: 0 });
+
+      const [listSql, listParams] = queryRead.mock.calls.find(([sql]) => sql.includes('LIMIT'));
+      expect(listSql).toContain('r.tenant_id = $1 AND r.status = ANY($2)');
+      expect(listSql).not.toContain('r.driver_id =');
+      expect(listParams).toEqual([TENANT, ['MATCHING'], 25, 0]);
+      expect(page).toEqual({ items: [{ id: RIDE_ID }], total: 3, limit: 25, offset: 0 });
+    });
+
+    it('should filter drivers by suspension, including not suspended', async () => {
+      queryRead.mockImplementation((sql) => (sql.includes('COUNT(*)') ? found({ total: '0' }) : none()));
+
+      await adminService.listDrivers(TENANT, { suspended: false, limit: 25, offset: 0 });
+
+      const [sql, params] = queryRead.mock.calls[0];
+      expect(sql).toContain('(d.suspended_at IS NOT NULL) = $2');
+      expect(params.slice(0, 2)).toEqual([TENANT, false]);
+    });
+  });
+
+  describe('getLiveMap', () => {
+    it('should place the tenant online drivers from the geo index', async () => {
+      getDriverLocations.mockImplementation((tenantId, tier) => Promise.resolve(tier === 'economy'
+        ? [{ driverId: DRIVER_ID, longitude: 77.59, latitude: 12.97 }, { driverId: 'other-tenant', longitude: 72.8, latitude: 19.07 }]
+        : []));
+      queryRead.mockImplementation((sql) => {
+        if (sql.includes('FROM drivers')) return found({ id: DRIVER_ID, name: 'Ravi', vehicle_type: 'economy' });
+        if (sql.includes('GROUP BY status')) return Promise.resolve({ rows: [{ status: 'MATCHING', count: '2' }] });
+        return Promise.resolve({ rows: [{ id: RIDE_ID, status: 'MATCHING' }] });
+      });
+
+      const map = await adminService.getLiveMap(TENANT);
+
+      expect(getDriverLocations).toHaveBeenCalledWith(TENANT, 'economy');
+
+      expect(map.drivers).toEqual([expect.objectContaining({ id: DRIVER_ID, latitude: 12.97, longitude: 77.59 })]);
+      expect(map.rides).toHaveLength(1);
+      expect(map.ride_counts).toEqual({ MATCHING: 2 });
+    });
+  });
+
+  describe('forceCancelRide', () => {
+    it('should not touch rides of another tenant', async () => {
+      queryRead.mockImplementation(none);
+
+      await expect(adminService.forceCancelRide(TENANT, RIDE_ID, 'Stuck')).rejects.toThrow(NotFoundError);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should cancel free of charge and withdraw pending offers', async () => {
+      queryRead.mockImplementation(() => found({ id: RIDE_ID }));
+      mockClient.query.mockImplementation((sql, params) => {
+        if (sql.includes('FROM rides WHERE id = $1 FOR UPDATE')) {
+          return found({ id: RIDE_ID, status: 'DRIVER_ARRIVED', tier: 'economy', driver_id: DRIVER_ID, arrived_at: new Date(0) });
+        }
+        if (sql.includes('UPDATE rides')) {
+          return found({ id: RIDE_ID, rider_id: 'rider-1', driver_id: DRIVER_ID, tier: 'economy', payment_method: 'cash', params });
+        }
+        return none();
+      });
+
+      const ride = await adminService.forceCancelRide(TENANT, RIDE_ID, 'Stuck in matching');
+
+      expect(ride.params.slice(0, 3)).toEqual(['Cancelled by operations: Stuck in matching', 0, 'system']);
+      expect(ride.cancellation.policy).toBe('operations');
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes("UPDATE ride_offers SET status = 'cancelled'"))).toBe(true);
+      expect(stopDriverSimulation).toHaveBeenCalledWith(DRIVER_ID);
+      expect(publishNotification).toHaveBeenCalledWith('rider-1', 'RIDE_CANCELLED', expect.anything());
+      expect(publishNotification).toHaveBeenCalledWith(DRIVER_ID, 'RIDE_CANCELLED', expect.anything());
+    });
+  });
+
+  describe('assignDriver', () => {
+    const mockAssignment = (ride, driver) => {
+      mockClient.query.mockImplementation((sql) => {
+        if (sql.includes('FROM rides')) return found(ride);
+        if (sql.includes('FROM drivers')) return driver ? found(driver) : none();
+        if (sql.includes('UPDATE rides')) return found({ ...ride, driver_id: DRIVER_ID, status: 'DRIVER_ASSIGNED' });
+        return none();
+      });
+    };
+
+    const matchingRide = { id: RIDE_ID, tenant_id: TENANT, rider_id: 'rider-1', driver_id: null, status: 'MATCHING', tier: 'economy' };
+    const onlineDriver = { id: DRIVER_ID, tenant_id: TENANT, status: 'online', vehicle_type: 'economy', suspended_at: null };
+
+    it('should assign a MATCHING ride and withdraw other offers', async () => {
+      mockAssignment(matchingRide, onlineDriver);
+
+      const ride = await rideService.assignDriver(RIDE_ID, DRIVER_ID);
+
+      expect(ride.status).toBe('DRIVER_ASSIGNED');
+      expect(ride.previous_driver_id).toBeNull();
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes("UPDATE ride_offers SET status = 'cancelled'"))).toBe(true);
+      expect(publishNotification).toHaveBeenCalledWith(DRIVER_ID, 'RIDE_ASSIGNED', { ride_id: RIDE_ID });
+    });
+
+    it('should refuse suspended or unavailable drivers', async () => {
+      mockAssignment(matchingRide, { ...onlineDriver, suspended_at: new Date() });
+      await expect(rideService.assignDriver(RIDE_ID, DRIVER_ID)).rejects.toThrow('Driver is suspended');
+
+      mockAssignment(matchingRide, { ...onlineDriver, status: 'busy' });
+      await expect(rideService.assignDriver(RIDE_ID, DRIVER_ID)).rejects.toThrow('Driver is not available');
+
+      // Looked up within the ride's tenant
+      mockAssignment(matchingRide, null);
+      await expect(rideService.assignDriver(RIDE_ID, DRIVER_ID)).rejects.toThrow(NotFoundError);
+    });
+
+    it('should only move an assigned ride when reassigning', async () => {
+      const assigned = { ...matchingRide, status: 'DRIVER_EN_ROUTE', driver_id: OLD_DRIVER_ID };
+      mockAssignment(assigned, onlineDriver);
+
+      await expect(rideService.assignDriver(RIDE_ID, DRIVER_ID)).rejects.toThrow('Cannot transition');
+
+      const ride = await rideService.assignDriver(RIDE_ID, DRIVER_ID, { reassign: true });
+
+      expect(ride.previous_driver_id).toBe(OLD_DRIVER_ID);
+      const [, freedParams] = mockClient.query.mock.calls.find(([sql]) => sql.includes("SET status = 'online'"));
+      expect(freedParams).toEqual([OLD_DRIVER_ID]);
+      expect(publishNotification).toHaveBeenCalledWith(OLD_DRIVER_ID, 'RIDE_REASSIGNED', { ride_id: RIDE_ID });
+    });
+
+    it('should leave pool rides to dispatch', async () => {
+      mockAssignment({ ...matchingRide, tier: 'pool' }, onlineDriver);
+
+      await expect(rideService.assignDriver(RIDE_ID, DRIVER_ID)).rejects.toThrow(ConflictError);
+    });
+
+    it('should move the simulation to the new driver on reassignment', async () => {
+      queryRead.mockImplementation(() => found({ id: RIDE_ID }));
+      mockAssignment({ ...matchingRide, status: 'DRIVER_ASSIGNED', driver_id: OLD_DRIVER_ID }, onlineDriver);
+
+      await adminService.reassignRide(TENANT, RIDE_ID, DRIVER_ID);
+
+      expect(stopDriverSimulation).toHaveBeenCalledWith(OLD_DRIVER_ID);
+      expect(startDriverSimulation).toHaveBeenCalledWith(RIDE_ID, DRIVER_ID, 'rider-1', 'TO_PICKUP');
+    });
+  });
+
+  describe('driver suspension', () => {
+    it('should keep a suspended driver from going online', async () => {
+      query.mockImplementation((sql) => (sql.includes('suspended_at IS NOT NULL') ? found({}) : none()));
+
+      await expect(driverService.updateDriverStatus(DRIVER_ID, 'online')).rejects.toThrow(ForbiddenError);
+      expect(query.mock.calls.some(([sql]) => sql.startsWith('UPDATE drivers'))).toBe(false);
+    });
+
+    it('should take the driver offline and withdraw their offers', async () => {
+      query.mockImplementation((sql) => (sql.includes('SET suspended_at = NOW()')
+        ? found({ id: DRIVER_ID, status: 'offline', vehicle_type: 'economy' })
+        : none()));
+
+      const driver = await driverService.suspendDriver(DRIVER_ID, 'Document check');
+
+      expect(driver.status).toBe('offline');
+      const [, offerParams] = query.mock.calls.find(([sql]) => sql.includes('UPDATE ride_offers'));
+      expect(offerParams).toEqual([DRIVER_ID]);
+    });
+
+    it('should tell an already suspended driver from an unknown one', async () => {
+      query.mockImplementation((sql) => (sql.startsWith('SELECT 1') ? found({}) : none()));
+      await expect(driverService.suspendDriver(DRIVER_ID, 'Again')).rejects.toThrow('Driver is already suspended');
+
+      query.mockImplementation(none);
+      await expect(driverService.suspendDriver(DRIVER_ID, 'Again')).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Tests for ride analytics (the ride events consumer's rollups and the analytics API)
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const mockClient = { query: jest.fn() };
+const mockConsumer = {
+  connect: jest.fn().mockResolvedValue(),
+  subscribe: jest.fn().mockResolvedValue(),
+  run: jest.fn().mockResolvedValue(),
+  disconnect: jest.fn().mockResolvedValue(),
+};
+
+jest.mock('kafkajs', () => ({
+  Kafka: jest.fn(() => ({
+    producer: () => ({ connect: jest.fn().mockResolvedValue() }),
+    consumer: () => mockConsumer,
+  })),
+  logLevel: { ERROR: 1 },
+}));
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+const { queryRead } = require('../src/config/database');
+const { buildRideEvent, connectKafka, TOPICS } = require('../src/config/kafka');
+const { authenticate, generateToken } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const analyticsRoutes = require('../src/routes/analytics');
+const { getRollupCounters, getRideStats, getRideStatsSummary } = require('../src/services/analyticsService');
+const {
+  processRideEvent,
+  startRideEventsConsumer,
+  stopRideEventsConsumer,
+} = require('../src/consumers/rideEventsConsumer');
+const { ValidationError } = require('../src/utils/errors');
+
+const TENANT = '10000000-0000-4000-8000-000000000001';
+const now = Date.parse('2025-01-01T10:30:00Z');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/analytics', authenticate, analyticsRoutes);
+app.use(errorHandler);
+
+const tokenFor = (userType) => generateToken({ userId: 'user-1', userType, tenantId: TENANT });
+
+const event = (eventType, data = {}) => ({ ...buildRideEvent('ride-1', TENANT, eventType, data).value, timestamp: now });
+
+const upserts = () => mockClient.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO ride_stats_hourly'))
+  .map(([, params]) => params);
+
+describe('Ride Analytics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset().mockResolvedValue({ rowCount: 1, rows: [] });
+    queryRead.mockReset();
+  });
+
+  describe('getRollupCounters', () => {
+    it('should count requests, completions with their fare, cancellations and rides nobody took', () => {
+      expect(getRollupCounters(event('RIDE_CREATED'))).toMatchObject({ requests: 1, matches: 0 });
+      expect(getRollupCounters(event('RIDE_SCHEDULED'))).toMatchObject({ requests: 1 });
+      expect(getRollupCounters(event('TRIP_COMPLETED', { fare: { total: 245.5 } })))
+        .toMatchObject({ completions: 1, gmv: 245.5 });
+      expect(getRollupCounters(event('RIDE_CANCELLED', { cancelled_by: 'rider' }))).toMatchObject({ cancellations: 1 });
+      expect(getRollupCounters(event('NO_DRIVERS_FOUND'))).toMatchObject({ unfulfilled: 1, cancellations: 0 });
+    });
+
+    it('should time a match from when matching started', () => {
+      const counters = getRollupCounters(event('RIDE_ACCEPTED', {
+        matching_started_at: new Date(now - 45 * 1000).toISOString(),
+      }));
+
+      expect(counters).toMatchObject({ matches: 1, timed_matches: 1, time_to_match_secs: 45 });
+    });
+
+    it('should not count a reassignment or events that carry no metric', () => {
+      expect(getRollupCounters(event('DRIVER_ASSIGNED', { previous_driver_id: 'driver-0' }))).toBeNull();
+      expect(getRollupCounters(event('DRIVER_ASSIGNED', {}))).toMatchObject({ matches: 1, timed_matches: 0 });
+      expect(getRollupCounters(event('RIDE_STATUS_CHANGED', { new_status: 'DRIVER_EN_ROUTE' }))).toBeNull();
+    });
+  });
+
+  describe('ride events consumer', () => {
+    it('should add an event to its tenant and hour', async () => {
+      await processRideEvent(event('TRIP_COMPLETED', { fare: { total: 300 } }));
+
+      const [params] = upserts();
+      expect(params.slice(0, 2)).toEqual([TENANT, now]);
+      expect(params.slice(2)).toEqual([0, 0, 1, 0, 0, 0, 0, 300]);
+    });
+
+    it('should count a redelivered event once', async () => {
+      const created = event('RIDE_CREATED');
+      mockClient.query
+        .mockResolvedValueOnce({ rowCount: 1, rows: [] })
+        .mockResolvedValueOnce({ rowCount: 1, rows: [] })
+        .mockResolvedValueOnce({ rowCount: 0, rows: [] });
+
+      await processRideEvent(created);
+      await processRideEvent(created);
+
+      const [[, firstId], [, secondId]] = mockClient.query.mock.calls
+        .filter(([sql]) => sql.includes('analytics_processed_events'));
+      expect(firstId).toEqual([created.eventId]);
+      expect(secondId).toEqual([created.eventId]);
+      expect(upserts()).toHaveLength(1);
+    });
+
+    it('should skip events it does not count without touching the database', async () => {
+      await processRideEvent(event('TRIP_STARTED'));
+
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should fail a message it could not count so kafkajs retries it', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await connectKafka();
+      await startRideEventsConsumer();
+      const { eachMessage } = mockConsumer.run.mock.calls[0][0];
+      const message = (value) => ({ topic: TOPICS.RIDE_EVENTS, partition: 0, message: { offset: '7', value: Buffer.from(value) } });
+      mockClient.query.mockRejectedValue(new Error('Connection terminated'));
+
+      await expect(eachMessage(message(JSON.stringify(event('RIDE_CREATED'))))).rejects.toThrow('Connection terminated');
+      // A message that can never be read is skipped rather than retried forever
+      await expect(eachMessage(message('not json'))).resolves.toBeUndefined();
+
+      await stopRideEventsConsumer();
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('queries', () => {
+    const row = {
+      requests: '10', matches: '8', completions: '4', cancellations: '2', unfulfilled: '1',
+      time_to_match_secs: '240', timed_matches: '8', gmv: '1000.50',
+    };
+
+    it('should sum the rollups per bucket and work out the averages', async () => {
+      queryRead.mockResolvedValueOnce({ rows: [{ bucket: '2025-01-01T00:00:00.000Z', ...row }] });
+
+      const stats = await getRideStats(TENANT, {
+        from: new Date('2025-01-01T00:20:00Z'),
+        to: new Date('2025-01-03T00:00:00Z'),
+        interval: 'day',
+      });
+
+      expect(stats.buckets).toEqual([{
+        bucket: '2025-01-01T00:00:00.000Z',
+        requests: 10,
+        matches: 8,
+        completions: 4,
+        cancellations: 2,
+        unfulfilled: 1,
+        avg_time_to_match_secs: 30,
+        gmv: 1000.5,
+        avg_fare: 250.13,
+      }]);
+      const [sql, params] = queryRead.mock.calls[0];
+      expect(sql).toContain('FROM ride_stats_hourly');
+      expect(params.slice(0, 2)).toEqual([TENANT, 'day']);
+      expect(params[2].getMinutes()).toBe(0);
+    });
+
+    it('should leave averages empty when there is nothing to average', async () => {
+      queryRead.mockResolvedValueOnce({ rows: [{ requests: null, matches: null }] });
+
+      const summary = await getRideStatsSummary(TENANT);
+
+      expect(summary).toMatchObject({ requests: 0, completions: 0, unfulfilled: 0, avg_time_to_match_secs: null, avg_fare: null });
+      expect(summary.to - summary.from).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000);
+    });
+
+    it('should reject an empty or too long window', async () => {
+      await expect(getRideStatsSummary(TENANT, { from: new Date(now), to: new Date(now - 60 * 60 * 1000) }))
+        .rejects.toThrow(ValidationError);
+      await expect(getRideStatsSummary(TENANT, { from: new Date('2024-01-01'), to: new Date('2025-01-01') }))
+        .rejects.toThrow(ValidationError);
+      expect(queryRead).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('routes', () => {
+    it('should only let operations users in, scoped to their tenant', async () => {
+      queryRead.mockResolvedValue({ rows: [] });
+
+      const driver = await request(app).get('/v1/analytics/rides').set('Authorization', `Bearer ${tokenFor('driver')}`);
+      const ops = await request(app).get('/v1/analytics/rides').set('Authorization', `Bearer ${tokenFor('ops')}`);
+
+      expect(driver.status).toBe(403);
+      expect(ops.status).toBe(200);
+      expect(ops.body.data).toMatchObject({ interval: 'hour', buckets: [] });
+      expect(queryRead.mock.calls[0][1][0]).toBe(TENANT);
+    });
+
+    it('should reject an unknown interval and bad dates', async () => {
+      const auth = `Bearer ${tokenFor('admin')}`;
+
+      const badInterval = await request(app).get('/v1/analytics/rides?interval=week').set('Authorization', auth);
+      const badDate = await request(app).get('/v1/analytics/rides/summary?from=yesterday').set('Authorization', auth);
+
+      expect(badInterval.status).toBe(400);
+      expect(badDate.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Tests for the cancellation policy (fees, no-shows and driver re-dispatch)
+ */
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  publishRideEvent: jest.fn().mockResolvedValue(),
+  publishNotification: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/cacheService', () => ({
+  invalidateRideCache: jest.fn().mockResolvedValue(),
+  invalidateDriverCache: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/paymentService', () => ({
+  releaseRideHold: jest.fn().mockResolvedValue({ status: 'captured' }),
+}));
+
+jest.mock('../src/services/walletService', () => ({
+  debitCancellationFee: jest.fn(),
+}));
+
+jest.mock('../src/services/matchingService', () => ({
+  findDriversForRide: jest.fn().mockResolvedValue({ drivers: [], message: 'Sent offers' }),
+  updateAcceptanceRate: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/simulationService', () => ({
+  stopDriverSimulation: jest.fn(),
+}));
+
+const { publishNotification, publishRideEvent } = require('../src/config/kafka');
+const { releaseRideHold } = require('../src/services/paymentService');
+const { debitCancellationFee } = require('../src/services/walletService');
+const { findDriversForRide, updateAcceptanceRate } = require('../src/services/matchingService');
+const { stopDriverSimulation } = require('../src/services/simulationService');
+const { assessCancellation, cancelRide, CANCELLATION_POLICY } = require('../src/services/cancellationService');
+const { calculateWaitingFare } = require('../src/services/pricingService');
+const { InvalidStateTransitionError } = require('../src/utils/errors');
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const now = Date.parse('2025-01-01T10:00:00Z');
+
+const ride = (overrides = {}) => ({
+  id: 'ride-1',
+  tenant_id: 'tenant-1',
+  rider_id: 'rider-1',
+  driver_id: 'driver-1',
+  tier: 'economy',
+  payment_method: 'card',
+  status: 'DRIVER_EN_ROUTE',
+  scheduled_at: null,
+  created_at: new Date(now - 20 * MIN),
+  matched_at: new Date(now - 5 * MIN),
+  arrived_at: null,
+  ...overrides,
+});
+
+describe('Cancellation Policy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset();
+  });
+
+  describe('assessCancellation', () => {
+    const fee = CANCELLATION_POLICY.fee.economy;
+
+    it('should let riders cancel free before a driver is assigned', () => {
+      const result = assessCancellation(ride({ status: 'MATCHING', driver_id: null, matched_at: null }), 'rider', now);
+
+      expect(result).toMatchObject({ policy: 'free_before_match', total: 0, redispatch: false });
+    });
+
+    it('should be free within the grace period after assignment', () => {
+      const result = assessCancellation(ride({ matched_at: new Date(now - MIN) }), 'rider', now);
+
+      expect(result).toMatchObject({ policy: 'free_grace', total: 0 });
+    });
+
+    it('should charge the tier fee after the grace period', () => {
+      const result = assessCancellation(ride(), 'rider', now);
+
+      expect(result).toMatchObject({ policy: 'late_cancellation', fee, total: fee, driverPenalty: false });
+    });
+
+    it('should not charge riders for a driver who never showed', () => {
+      const result = assessCancellation(
+        ride({ matched_at: new Date(now - (CANCELLATION_POLICY.driverNoShowMins + 1) * MIN) }), 'rider', now
+      );
+
+      expect(result).toMatchObject({ policy: 'driver_no_show', total: 0, driverPenalty: true, redispatch: false });
+    });
+
+    it('should add waiting time once the driver has arrived', () => {
+      const arrived = ride({ status: 'DRIVER_ARRIVED', arrived_at: new Date(now - 10 * MIN) });
+
+      const result = assessCancellation(arrived, 'rider', now);
+
+      expect(result.policy).toBe('driver_arrived');
+      expect(result.waitingFare).toBe(calculateWaitingFare('economy', 10));
+      expect(result.waitingFare).toBeGreaterThan(0);
+      expect(result.total).toBe(fee + result.waitingFare);
+    });
+
+    it('should re-dispatch and penalize a driver who cancels before pickup', () => {
+      const result = assessCancellation(ride(), 'driver', now);
+
+      expect(result).toMatchObject({ policy: 'driver_cancelled', total: 0, redispatch: true, driverPenalty: true });
+    });
+
+    it('should charge a rider no-show once the driver has waited long enough', () => {
+      const waited = ride({
+        status: 'DRIVER_ARRIVED',
+        arrived_at: new Date(now - CANCELLATION_POLICY.riderNoShowMins * MIN),
+      });
+      const early = ride({ status: 'DRIVER_ARRIVED', arrived_at: new Date(now - MIN) });
+
+      expect(assessCancellation(waited, 'driver', now)).toMatchObject({ policy: 'rider_no_show', redispatch: false });
+      expect(assessCancellation(waited, 'driver', now).total).toBeGreaterThanOrEqual(fee);
+      expect(assessCancellation(early, 'driver', now).policy).toBe('driver_cancelled');
+    });
+
+    it('should charge late cancellations of scheduled rides only', () => {
+      const scheduled = (pickupIn) => ride({
+        status: 'SCHEDULED', driver_id: null, matched_at: null, tier: 'premium', scheduled_at: new Date(now + pickupIn),
+      });
+
+      expect(assessCancellation(scheduled(3 * HOUR), 'rider', now).total).toBe(0);
+      expect(assessCancellation(scheduled(30 * MIN), 'rider', now))
+        .toMatchObject({ policy: 'late_scheduled', total: CANCELLATION_POLICY.fee.premium });
+    });
+
+    it('should keep charging a late scheduled cancellation after the ride is released for matching', () => {
+      const released = (overrides) => ride({
+        scheduled_at: new Date(now + 8 * MIN), created_at: new Date(now - 3 * HOUR), ...overrides,
+      });
+
+      expect(assessCancellation(released({ status: 'MATCHING', driver_id: null, matched_at: null }), 'rider', now))
+        .toMatchObject({ policy: 'late_scheduled', total: fee });
+      expect(assessCancellation(released({ status: 'REQUESTED', driver_id: null, matched_at: null }), 'rider', now))
+        .toMatchObject({ policy: 'late_scheduled', total: fee });
+      // The grace period after assignment is for on-demand rides
+      expect(assessCancellation(released({ matched_at: new Date(now - MIN) }), 'rider', now))
+        .toMatchObject({ policy: 'late_scheduled', total: fee });
+      expect(assessCancellation(released({ status: 'MATCHING', scheduled_at: null }), 'rider', now).total).toBe(0);
+    });
+
+    it('should let a ride booked inside the late window cancel free just after booking', () => {
+      const booked = (minsAgo) => ride({
+        status: 'SCHEDULED', driver_id: null, matched_at: null,
+        scheduled_at: new Date(now + 40 * MIN), created_at: new Date(now - minsAgo * MIN),
+      });
+
+      expect(assessCancellation(booked(CANCELLATION_POLICY.scheduledBookingGraceMins - 1), 'rider', now))
+        .toMatchObject({ policy: 'free_before_pickup', total: 0 });
+      expect(assessCancellation(booked(CANCELLATION_POLICY.scheduledBookingGraceMins + 1), 'rider', now))
+        .toMatchObject({ policy: 'late_scheduled', total: fee });
+    });
+
+    it('should let operations cancel anything unfinished for free', () => {
+      const result = assessCancellation(ride({ status: 'IN_PROGRESS' }), 'system', now);
+
+      expect(result).toMatchObject({ policy: 'operations', total: 0 });
+      expect(() => assessCancellation(ride({ status: 'COMPLETED' }), 'system', now))
+        .toThrow(InvalidStateTransitionError);
+    });
+
+    it('should not let riders or drivers cancel a trip under way', () => {
+      expect(() => assessCancellation(ride({ status: 'IN_PROGRESS' }), 'rider', now)).toThrow(InvalidStateTransitionError);
+      expect(() => assessCancellation(ride({ status: 'MATCHING', driver_id: null }), 'driver', now))
+        .toThrow(InvalidStateTransitionError);
+    });
+  });
+
+  describe('cancelRide', () => {
+    const mockCancel = (current) => {
+      mockClient.query.mockImplementation((sql) => {
+        if (sql.includes('FOR UPDATE')) return Promise.resolve({ rowCount: 1, rows: [current] });
+        if (sql.includes("SET status = 'MATCHING'")) {
+          return Promise.resolve({ rowCount: 1, rows: [{ ...current, status: 'MATCHING', driver_id: null }] });
+        }
+        if (sql.includes("SET status = 'CANCELLED'")) {
+          return Promise.resolve({ rowCount: 1, rows: [{ ...current, status: 'CANCELLED' }] });
+        }
+        return Promise.resolve({ rowCount: 1, rows: [] });
+      });
+    };
+
+    it('should cancel with the fee and capture it from the card hold', async () => {
+      mockCancel(ride({ matched_at: new Date(Date.now() - 5 * MIN) }));
+
+      const result = await cancelRide('ride-1', { cancelledBy: 'rider', reason: 'Changed my mind' });
+
+      expect(result.status).toBe('CANCELLED');
+      expect(result.cancellation).toMatchObject({ cancelled_by: 'rider', policy: 'late_cancellation' });
+      const [, params] = mockClient.query.mock.calls.find(([sql]) => sql.includes("SET status = 'CANCELLED'"));
+      expect(params.slice(0, 4)).toEqual(['Changed my mind', CANCELLATION_POLICY.fee.economy, 'rider', 'late_cancellation']);
+      expect(releaseRideHold).toHaveBeenCalledWith('ride-1', { captureAmount: CANCELLATION_POLICY.fee.economy });
+      expect(stopDriverSimulation).toHaveBeenCalledWith('driver-1');
+      expect(publishNotification).toHaveBeenCalledWith('driver-1', 'RIDE_CANCELLED', expect.anything());
+      expect(publishNotification).not.toHaveBeenCalledWith('rider-1', 'RIDE_CANCELLED', expect.anything());
+      expect(findDriversForRide).not.toHaveBeenCalled();
+    });
+
+    it('should take a wallet ride\'s fee from the wallet and carry the rest as a balance due', async () => {
+      mockCancel(ride({ payment_method: 'wallet', matched_at: new Date(Date.now() - 5 * MIN) }));
+      debitCancellationFee.mockResolvedValue(30);
+
+      const result = await cancelRide('ride-1', { cancelledBy: 'rider' });
+
+      expect(debitCancellationFee).toHaveBeenCalledWith(mockClient, expect.objectContaining({ id: 'ride-1' }), CANCELLATION_POLICY.fee.economy);
+      expect(result.cancellation).toMatchObject({ wallet_debited: 30, balance_due: CANCELLATION_POLICY.fee.economy - 30 });
+      const [, params] = mockClient.query.mock.calls.find(([sql]) => sql.includes('SET balance_due = balance_due +'));
+      expect(params).toEqual([CANCELLATION_POLICY.fee.economy - 30, 'rider-1']);
+      expect(releaseRideHold).not.toHaveBeenCalled();
+    });
+
+    it('should put a cash ride\'s fee on the rider\'s balance due', async () => {
+      mockCancel(ride({ payment_method: 'cash', matched_at: new Date(Date.now() - 5 * MIN) }));
+
+      const result = await cancelRide('ride-1', { cancelledBy: 'rider' });
+
+      expect(debitCancellationFee).not.toHaveBeenCalled();
+      expect(result.cancellation).toMatchObject({ wallet_debited: 0, balance_due: CANCELLATION_POLICY.fee.economy });
+    });
+
+    it('should not touch the balance due for a free cancellation', async () => {
+      mockCancel(ride({ payment_method: 'cash', matched_at: new Date(Date.now() - MIN) }));
+
+      await cancelRide('ride-1', { cancelledBy: 'rider' });
+
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('balance_due'))).toBe(false);
+    });
+
+    it('should record the cancellation in the ride history with who made it', async () => {
+      mockCancel(ride({ matched_at: new Date(Date.now() - 5 * MIN) }));
+
+      await cancelRide('ride-1', { cancelledBy: 'rider', actor: { type: 'rider', id: 'rider-1' } });
+
+      const [, params] = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO ride_events'));
+      expect(params.slice(0, 6)).toEqual(['ride-1', 'RIDE_CANCELLED', 'DRIVER_EN_ROUTE', 'CANCELLED', 'rider', 'rider-1']);
+      expect(JSON.parse(params[6])).toMatchObject({ cancelled_by: 'rider', policy: 'late_cancellation', driver_id: 'driver-1' });
+    });
+
+    it('should hand a driver-cancelled ride back for re-dispatch', async () => {
+      mockCancel(ride());
+
+      const result = await cancelRide('ride-1', { cancelledBy: 'driver', reason: 'Vehicle trouble' });
+
+      expect(result.status).toBe('MATCHING');
+      expect(result.cancellation.redispatched).toBe(true);
+      const [, offerParams] = mockClient.query.mock.calls.find(([sql]) => sql.includes("'driver_cancelled'"));
+      expect(offerParams).toEqual(['ride-1', 'driver-1', 'Vehicle trouble']);
+      expect(updateAcceptanceRate).toHaveBeenCalledWith('driver-1');
+      expect(releaseRideHold).not.toHaveBeenCalled();
+      expect(publishNotification).toHaveBeenCalledWith('rider-1', 'DRIVER_CANCELLED', expect.anything());
+      expect(publishRideEvent).toHaveBeenCalledWith('ride-1', 'tenant-1', 'DRIVER_CANCELLED', expect.anything());
+      expect(findDriversForRide).toHaveBeenCalledWith('ride-1');
+    });
+
+    it('should leave the ride untouched when it can no longer be cancelled', async () => {
+      mockCancel(ride({ status: 'IN_PROGRESS' }));
+
+      await expect(cancelRide('ride-1', { cancelledBy: 'rider' })).rejects.toThrow(InvalidStateTransitionError);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Tests for driver earnings, statements and payouts
+ */
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  publishNotification: jest.fn().mockResolvedValue(),
+}));
+
+const { query, queryRead } = require('../src/config/database');
+const { publishNotification } = require('../src/config/kafka');
+const {
+  splitFare,
+  tripFare,
+  recordTripEarning,
+  recordPaymentEarnings,
+  reverseTripEarnings,
+  getStatement,
+  runPayoutBatch,
+  EARNINGS_CONFIG,
+} = require('../src/services/earningsService');
+
+// Fare as returned by pricingService.calculateFare
+const fare = { subtotal: 250, surgeFare: 50, taxes: 15, total: 315 };
+
+const insertedEarnings = () => mockClient.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO driver_earnings'));
+
+describe('Driver Earnings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset();
+  });
+
+  describe('splitFare', () => {
+    it('should take the commission from the fare before taxes', () => {
+      expect(splitFare(fare, 20)).toEqual({ grossFare: 300, commission: 60, amount: 240 });
+    });
+
+    it('should hand tolls back to the driver without commission', () => {
+      expect(splitFare({ ...fare, tolls: 40 }, 20)).toEqual({ grossFare: 300, commission: 60, amount: 280 });
+    });
+
+    it('should round to paise', () => {
+      expect(splitFare({ subtotal: 99.99, surgeFare: 0 }, 17.5)).toEqual({
+        grossFare: 99.99,
+        commission: 17.5,
+        amount: 82.49,
+      });
+    });
+  });
+
+  describe('tripFare', () => {
+    it('should rebuild the fare before taxes from a trip row', () => {
+      const trip = {
+        base_fare: '50.00', distance_fare: '150.00', time_fare: '40.00', minimum_fare_adjustment: '10.00',
+        surge_fare: '50.00', tolls: '40.00', taxes: '15.00',
+      };
+
+      expect(tripFare(trip)).toEqual({ subtotal: 250, surgeFare: 50, tolls: 40 });
+      expect(splitFare(tripFare(trip), 20)).toEqual({ grossFare: 300, commission: 60, amount: 280 });
+    });
+  });
+
+  describe('recordTripEarning', () => {
+    const mockTripQueries = ({ tenantPercent = null, inserted = true, incentives = [] } = {}) => {
+      mockClient.query.mockImplementation((sql, params) => {
+        if (sql.includes('FROM tenants')) {
+          return Promise.resolve({ rowCount: 1, rows: [{ driver_commission_percent: tenantPercent }] });
+        }
+        if (sql.includes("VALUES ($1, $2, 'trip'")) {
+          return Promise.resolve(inserted
+            ? { rowCount: 1, rows: [{ id: 'earning-1', amount: params[6], commission: params[4], commission_percent: params[5] }] }
+            : { rowCount: 0, rows: [] });
+        }
+        if (sql.includes("kind = 'trip'") && sql.startsWith('SELECT')) {
+          return Promise.resolve({ rowCount: 1, rows: [{ id: 'earning-1', amount: '240.00' }] });
+        }
+        if (sql.includes('FROM incentive_rules')) {
+          return Promise.resolve({ rowCount: incentives.length, rows: incentives });
+        }
+        return Promise.resolve({ rowCount: 0, rows: [] });
+      });
+    };
+
+    const trip = { tripId: 'trip-1', tenantId: 'tenant-1', driverId: 'driver-1', fare };
+
+    it('should use the default commission when the tenant has none', async () => {
+      mockTripQueries();
+
+      const { earning } = await recordTripEarning(mockClient, trip);
+
+      const percent = EARNINGS_CONFIG.defaultCommissionPercent;
+      expect(earning.commission_percent).toBe(percent);
+      expect(earning.amount).toBe(300 - 300 * percent / 100);
+    });
+
+    it("should use the tenant's commission", async () => {
+      mockTripQueries({ tenantPercent: '15.00' });
+
+      const { earning } = await recordTripEarning(mockClient, trip);
+
+      expect(earning.commission).toBe(45);
+      expect(earning.amount).toBe(255);
+    });
+
+    it('should award the trip-count bonuses it unlocks', async () => {
+      const bonus = { id: 'earning-2', kind: 'incentive', amount: '100.00' };
+      mockTripQueries({ incentives: [bonus] });
+
+      const { incentives } = await recordTripEarning(mockClient, trip);
+
+      expect(incentives).toEqual([bonus]);
+      const [sql, params] = mockClient.query.mock.calls.find(([q]) => q.includes('FROM incentive_rules'));
+      expect(sql).toContain('ON CONFLICT (driver_id, incentive_rule_id, incentive_period_start)');
+      expect(params).toEqual(['tenant-1', 'driver-1']);
+    });
+
+    it('should not award bonuses again for a trip already recorded', async () => {
+      mockTripQueries({ inserted: false });
+
+      const { earning, incentives } = await recordTripEarning(mockClient, trip);
+
+      expect(earning.id).toBe('earning-1');
+      expect(incentives).toEqual([]);
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('FROM incentive_rules'))).toBe(false);
+    });
+  });
+
+  describe('recordPaymentEarnings', () => {
+    const payment = { tripId: 'trip-1', tenantId: 'tenant-1', driverId: 'driver-1', fare };
+
+    // Tip and cash entries, leaving out the trip's own entry and bonuses
+    const paymentEntries = () => insertedEarnings().filter(([sql]) => sql.includes('VALUES ($1, $2, $3, $4, $5)'));
+
+    beforeEach(() => {
+      mockClient.query.mockResolvedValue({ rowCount: 1, rows: [{ id: 'earning-1' }] });
+    });
+
+    it("should record the trip's share once the rider has paid", async () => {
+      const { earning } = await recordPaymentEarnings(mockClient, { ...payment, paymentMethod: 'card', amount: 315 });
+
+      const [, params] = insertedEarnings().find(([sql]) => sql.includes("VALUES ($1, $2, 'trip'"));
+      expect(params).toEqual(['tenant-1', 'driver-1', 'trip-1', 300, 60, 20, 240]);
+      expect(earning.id).toBe('earning-1');
+    });
+
+    it('should credit the tip in full', async () => {
+      await recordPaymentEarnings(mockClient, { ...payment, paymentMethod: 'card', amount: 365, tip: 50 });
+
+      const inserts = paymentEntries();
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][1]).toEqual(['tenant-1', 'driver-1', 'tip', 'trip-1', 50]);
+    });
+
+    it('should take cash the driver kept off what they are owed', async () => {
+      await recordPaymentEarnings(mockClient, { ...payment, paymentMethod: 'cash', amount: '315.00' });
+
+      const inserts = paymentEntries();
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][1]).toEqual(['tenant-1', 'driver-1', 'cash_collected', 'trip-1', -315]);
+    });
+
+    it('should record only the trip for a card payment without a tip', async () => {
+      await recordPaymentEarnings(mockClient, { ...payment, paymentMethod: 'card', amount: 315, tip: 0 });
+
+      expect(paymentEntries()).toHaveLength(0);
+    });
+  });
+
+  describe('reverseTripEarnings', () => {
+    it("should take the trip's share and tip back in one refund entry", async () => {
+      const refund = { id: 'earning-9', kind: 'refund', amount: '-290.00' };
+      mockClient.query.mockResolvedValue({ rowCount: 1, rows: [refund] });
+
+      await expect(reverseTripEarnings(mockClient, 'trip-1')).resolves.toEqual(refund);
+
+      const [[sql, params]] = insertedEarnings();
+      expect(sql).toContain("'refund', trip_id, -SUM(gross_fare), -SUM(commission), -SUM(amount)");
+      expect(sql).toContain("kind IN ('trip', 'tip')");
+      expect(sql).toContain('ON CONFLICT (trip_id, kind)');
+      expect(params).toEqual(['trip-1']);
+    });
+
+    it('should return null when nothing was earned on the trip or it was already reversed', async () => {
+      mockClient.query.mockResolvedValue({ rowCount: 0, rows: [] });
+
+      await expect(reverseTripEarnings(mockClient, 'trip-1')).resolves.toBeNull();
+    });
+  });
+
+  describe('getStatement', () => {
+    const summaryRow = {
+      trips: '3',
+      gross_fare: '900.00',
+      commission: '180.00',
+      trip_earnings: '720.00',
+      tips: '50.00',
+      incentives: '100.00',
+      cash_collected: '-315.00',
+      refunds: '-120.00',
+    };
+
+    beforeEach(() => {
+      queryRead.mockImplementation((sql) => {
+        if (sql.includes('GROUP BY period_start')) {
+          return Promise.resolve({ rows: [{ period_start: '2026-10-12T00:00:00.000Z', ...summaryRow }] });
+        }
+        if (sql.includes('AS balance')) {
+          return Promise.resolve({ rows: [{ balance: '435.00' }] });
+        }
+        if (sql.includes('LIMIT 100')) {
+          return Promise.resolve({ rows: [] });
+        }
+        return Promise.resolve({ rows: [summaryRow] });
+      });
+    });
+
+    it('should total earnings and what is still payable after refunds and cash', async () => {
+      const statement = await getStatement('driver-1', {
+        from: new Date('2026-10-01'),
+        to: new Date('2026-10-15'),
+      });
+
+      expect(statement.totals).toEqual({
+        trips: 3,
+        gross_fare: 900,
+        commission: 180,
+        trip_earnings: 720,
+        tips: 50,
+        incentives: 100,
+        cash_collected: -315,
+        refunds: -120,
+        earnings: 750,
+        net_payable: 435,
+      });
+      expect(statement.periods).toHaveLength(1);
+      expect(statement.unpaid_balance).toBe(435);
+    });
+
+    it('should group by week when asked', async () => {
+      await getStatement('driver-1', { groupBy: 'week' });
+
+      const [sql] = queryRead.mock.calls.find(([q]) => q.includes('GROUP BY period_start'));
+      expect(sql).toContain("date_trunc('week', created_at)");
+    });
+
+    it('should default to the last 7 days', async () => {
+      const statement = await getStatement('driver-1');
+
+      expect(statement.to.getTime() - statement.from.getTime()).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('runPayoutBatch', () => {
+    const cutoff = new Date('2026-10-18T00:00:00Z');
+
+    const mockUnpaid = (rowsByDriver) => {
+      mockClient.query.mockImplementation((sql, params) => {
+        if (sql.includes('FOR UPDATE')) {
+          const rows = rowsByDriver[params[0]];
+          if (rows instanceof Error) return Promise.reject(rows);
+          return Promise.resolve({ rowCount: rows.length, rows });
+        }
+        if (sql.includes('INSERT INTO driver_payouts')) {
+          return Promise.resolve({ rowCount: 1, rows: [{ id: `payout-${params[1]}`, driver_id: params[1], amount: params[2], entry_count: params[3] }] });
+        }
+        return Promise.resolve({ rowCount: 1, rows: [] });
+      });
+    };
+
+    it('should roll unpaid earnings into a payout', async () => {
+      query.mockResolvedValue({ rows: [{ driver_id: 'driver-1', tenant_id: 'tenant-1' }] });
+      mockUnpaid({
+        'driver-1': [
+          { id: 'e1', amount: '240.00', created_at: new Date('2026-10-16') },
+          { id: 'e2', amount: '50.00', created_at: new Date('2026-10-15') },
+          { id: 'e3', amount: '-100.00', created_at: new Date('2026-10-17') },
+        ],
+      });
+
+      const payouts = await runPayoutBatch({ cutoff });
+
+      expect(payouts).toHaveLength(1);
+      expect(payouts[0].amount).toBe(190);
+      const [, insertParams] = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO driver_payouts'));
+      expect(insertParams).toEqual(['tenant-1', 'driver-1', 190, 3, new Date('2026-10-15'), cutoff]);
+      const [, linkParams] = mockClient.query.mock.calls.find(([sql]) => sql.includes('SET payout_id'));
+      expect(linkParams).toEqual(['payout-driver-1', ['e1', 'e2', 'e3']]);
+      expect(publishNotification).toHaveBeenCalledWith('driver-1', 'PAYOUT_CREATED', {
+        payout_id: 'payout-driver-1',
+        amount: 190,
+      });
+    });
+
+    it('should carry over a balance the driver owes', async () => {
+      query.mockResolvedValue({ rows: [{ driver_id: 'driver-1', tenant_id: 'tenant-1' }] });
+      // Another earning was reversed between the scan and the lock
+      mockUnpaid({ 'driver-1': [{ id: 'e1', amount: '-20.00', created_at: new Date('2026-10-16') }] });
+
+      const payouts = await runPayoutBatch({ cutoff });
+
+      expect(payouts).toEqual([]);
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO driver_payouts'))).toBe(false);
+    });
+
+    it("should keep paying other drivers when one driver's payout fails", async () => {
+      query.mockResolvedValue({
+        rows: [
+          { driver_id: 'driver-1', tenant_id: 'tenant-1' },
+          { driver_id: 'driver-2', tenant_id: 'tenant-1' },
+        ],
+      });
+      mockUnpaid({
+        'driver-1': new Error('deadlock detected'),
+        'driver-2': [{ id: 'e9', amount: '80.00', created_at: new Date('2026-10-17') }],
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const payouts = await runPayoutBatch({ cutoff });
+
+      expect(payouts.map(payout => payout.driver_id)).toEqual(['driver-2']);
+      console.error.mockRestore();
+    });
+
+    it('should default the cut-off to the start of today', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ cutoff }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await runPayoutBatch();
+
+      expect(query.mock.calls[0][0]).toContain("date_trunc('day', NOW())");
+      expect(query.mock.calls[1][1]).toEqual([cutoff]);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for the driver geo index (tenant partitions, heartbeats and stale-driver eviction)
+ */
+
+// In-memory stand-in for the handful of Redis commands the geo helpers use
+jest.mock('ioredis', () => jest.fn().mockImplementation(() => {
+  const zsets = new Map();
+  const sets = new Map();
+  const zset = (key) => zsets.get(key) || zsets.set(key, new Map()).get(key);
+  const bound = (value) => (value === '-inf' ? -Infinity : value === '+inf' ? Infinity : value);
+
+  const commands = {
+    geoadd: async (key, lng, lat, member) => zset(key).set(member, [lng, lat]),
+    zadd: async (key, score, member) => zset(key).set(member, score),
+    sadd: async (key, member) => (sets.get(key) || sets.set(key, new Set()).get(key)).add(member),
+    smembers: async (key) => [...(sets.get(key) || [])],
+    zrem: async (key, ...members) => members.forEach(member => zset(key).delete(member)),
+    zscore: async (key, member) => (zset(key).has(member) ? String(zset(key).get(member)) : null),
+    zrangebyscore: async (key, min, max) => {
+      const exclusive = String(max).startsWith('(');
+      const upper = bound(exclusive ? Number(max.slice(1)) : max);
+      return [...zset(key)]
+        .filter(([, score]) => score >= bound(min) && (exclusive ? score < upper : score <= upper))
+        .map(([member]) => member);
+    },
+    geopos: async (key, ...members) => members.map(member => zset(key).get(member) || null),
+    // Flat-earth distance is plenty for points a few kilometers apart
+    georadius: async (key, lng, lat, radiusKm, unit, withDist) => [...zset(key)]
+      .map(([member, [mLng, mLat]]) => [member, Math.hypot(mLng - lng, mLat - lat) * 111])
+      .filter(([, distance]) => distance <= radiusKm)
+      .sort((a, b) => a[1] - b[1])
+      .map(([member, distance]) => (withDist === 'WITHDIST' ? [member, String(distance)] : member)),
+  };
+
+  const batch = (withErrors) => () => {
+    const queued = [];
+    const chain = { exec: async () => Promise.all(queued.map(run => run().then(result => (withErrors ? [null, result] : result)))) };
+    Object.keys(commands).forEach((name) => {
+      chain[name] = (...args) => {
+        queued.push(() => commands[name](...args));
+        return chain;
+      };
+    });
+    return chain;
+  };
+
+  return {
+    ...commands,
+    multi: batch(false),
+    pipeline: batch(true),
+    on: jest.fn(),
+    connect: jest.fn().mockResolvedValue(),
+  };
+}));
+
+jest.mock('../src/workers/leaderElection', () => ({
+  createLeaderElection: () => ({
+    ensureLeadership: jest.fn().mockResolvedValue(true),
+    releaseLeadership: jest.fn().mockResolvedValue(),
+  }),
+}));
+
+const {
+  connectRedis,
+  getRedisClient,
+  addDriverLocation,
+  removeDriverLocation,
+  getDriverLocations,
+  findNearbyDrivers,
+  countNearbyDrivers,
+  DRIVER_STALE_AFTER_MS,
+} = require('../src/config/redis');
+const { sweepStaleDrivers } = require('../src/workers/staleDriverSweeper');
+
+const PICKUP = { lng: 77.5946, lat: 12.9716 };
+
+describe('Driver Geo Index', () => {
+  let now;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await connectRedis();
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const seedDrivers = async () => {
+    await addDriverLocation('tenant-a', 'economy', 'driver-near', PICKUP.lng + 0.001, PICKUP.lat);
+    await addDriverLocation('tenant-a', 'economy', 'driver-far', PICKUP.lng + 0.02, PICKUP.lat);
+    await addDriverLocation('tenant-b', 'economy', 'driver-other-tenant', PICKUP.lng, PICKUP.lat);
+    await addDriverLocation('tenant-a', 'premium', 'driver-premium', PICKUP.lng, PICKUP.lat);
+  };
+
+  it('should only find drivers of the tenant and tier, nearest first', async () => {
+    await seedDrivers();
+
+    const nearby = await findNearbyDrivers('tenant-a', 'economy', PICKUP.lng, PICKUP.lat, 5, 10);
+
+    expect(nearby.map(d => d.driverId)).toEqual(['driver-near', 'driver-far']);
+    expect(await countNearbyDrivers('tenant-b', 'economy', PICKUP.lng, PICKUP.lat, 5)).toBe(1);
+    expect((await getDriverLocations('tenant-a', 'premium')).map(d => d.driverId)).toEqual(['driver-premium']);
+  });
+
+  it('should never return a driver whose heartbeat has gone stale', async () => {
+    await seedDrivers();
+    now += DRIVER_STALE_AFTER_MS / 2;
+    await addDriverLocation('tenant-a', 'economy', 'driver-far', PICKUP.lng + 0.02, PICKUP.lat);
+    now += DRIVER_STALE_AFTER_MS / 2 + 1;
+
+    expect((await findNearbyDrivers('tenant-a', 'economy', PICKUP.lng, PICKUP.lat)).map(d => d.driverId))
+      .toEqual(['driver-far']);
+    expect(await countNearbyDrivers('tenant-a', 'economy', PICKUP.lng, PICKUP.lat, 5)).toBe(1);
+    expect(await getDriverLocations('tenant-a', 'economy')).toEqual([
+      expect.objectContaining({ driverId: 'driver-far' }),
+    ]);
+  });
+
+  it('should treat a driver with no heartbeat as stale', async () => {
+    await getRedisClient().geoadd('drivers:geo:tenant-a:economy', PICKUP.lng, PICKUP.lat, 'driver-legacy');
+
+    expect(await findNearbyDrivers('tenant-a', 'economy', PICKUP.lng, PICKUP.lat)).toEqual([]);
+  });
+
+  it('should forget a removed driver in both sets', async () => {
+    await seedDrivers();
+
+    await removeDriverLocation('tenant-a', 'economy', 'driver-near');
+
+    const redis = getRedisClient();
+    expect(await redis.zscore('drivers:seen:tenant-a:economy', 'driver-near')).toBeNull();
+    expect(await redis.geopos('drivers:geo:tenant-a:economy', 'driver-near')).toEqual([null]);
+  });
+
+  describe('sweepStaleDrivers', () => {
+    it('should evict stale drivers from every partition and keep live ones', async () => {
+      await seedDrivers();
+      now += DRIVER_STALE_AFTER_MS + 1;
+      await addDriverLocation('tenant-b', 'economy', 'driver-other-tenant', PICKUP.lng, PICKUP.lat);
+
+      const evicted = await sweepStaleDrivers(now);
+
+      expect(evicted).toEqual(expect.arrayContaining([
+        { tenantId: 'tenant-a', tier: 'economy', driverId: 'driver-near' },
+        { tenantId: 'tenant-a', tier: 'economy', driverId: 'driver-far' },
+        { tenantId: 'tenant-a', tier: 'premium', driverId: 'driver-premium' },
+      ]));
+      expect(evicted).toHaveLength(3);
+      const redis = getRedisClient();
+      expect(await redis.geopos('drivers:geo:tenant-a:economy', 'driver-near')).toEqual([null]);
+      expect((await getDriverLocations('tenant-b', 'economy')).map(d => d.driverId)).toEqual(['driver-other-tenant']);
+    });
+
+    it('should let an evicted driver back in with their next location', async () => {
+      await seedDrivers();
+      now += DRIVER_STALE_AFTER_MS + 1;
+      await sweepStaleDrivers(now);
+
+      await addDriverLocation('tenant-a', 'economy', 'driver-near', PICKUP.lng + 0.001, PICKUP.lat);
+
+      expect((await findNearbyDrivers('tenant-a', 'economy', PICKUP.lng, PICKUP.lat)).map(d => d.driverId))
+        .toEqual(['driver-near']);
+    });
+  });
+});
@@ -1,36 +1,265 @@
 /**
- * Integration tests for idempotency middleware
- * These tests require Redis to be running
+ * Tests for idempotency keys (middleware, request fingerprints and the Postgres fallback)
  */
 
+const mockRedis = { data: new Map(), down: false };
+// idempotency_keys rows by `${scope}:${key}`
+const mockTable = new Map();
+
+jest.mock('../src/config/redis', () => ({
+  getRedisClient: () => {
+    if (mockRedis.down) throw new Error('Redis not connected. Call connectRedis() first.');
+    const { data } = mockRedis;
+    const client = {
+      get: async (key) => (data.has(key) ? data.get(key) : null),
+      set: async (key, value, ex, ttl, nx) => {
+        if (nx === 'NX' && data.has(key)) return null;
+        data.set(key, value);
+        return 'OK';
+      },
+      setex: async (key, ttl, value) => data.set(key, value),
+      del: async (key) => data.delete(key),
+      multi: () => {
+        const queued = [];
+        const chain = {
+          setex: (...args) => { queued.push(() => client.setex(...args)); return chain; },
+          del: (...args) => { queued.push(() => client.del(...args)); return chain; },
+          exec: () => Promise.all(queued.map(run => run())),
+        };
+        return chain;
+      },
+    };
+    return client;
+  },
+}));
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(async (sql, [scope, key, ...params]) => {
+    const id = `${scope}:${key}`;
+    const row = mockTable.get(id);
+
+    if (sql.startsWith('DELETE')) {
+      const stale = row && (sql.includes('expires_at < NOW()') ? row.stale : row.status === 'processing');
+      if (stale) mockTable.delete(id);
+      return { rowCount: stale ? 1 : 0, rows: [] };
+    }
+    if (sql.includes("VALUES ($1, $2, $3, 'completed'")) {
+      const [requestHash, responseStatus, responseBody] = params;
+      mockTable.set(id, {
+        request_hash: requestHash, status: 'completed', response_status: responseStatus, response_body: JSON.parse(responseBody),
+      });
+      return { rowCount: 1, rows: [] };
+    }
+    if (sql.startsWith('INSERT')) {
+      if (row) return { rowCount: 0, rows: [] };
+      mockTable.set(id, { request_hash: params[0], status: 'processing' });
+      return { rowCount: 1, rows: [{ key }] };
+    }
+    const visible = row && (!sql.includes("status = 'completed'") || row.status === 'completed');
+    return { rowCount: visible ? 1 : 0, rows: visible ? [row] : [] };
+  }),
+}));
+
+const { query } = require('../src/config/database');
+const { idempotency } = require('../src/middleware/idempotency');
+const {
+  fingerprintRequest,
+  claimKey,
+  findResponse,
+  saveResponse,
+} = require('../src/services/idempotencyService');
+const { IdempotencyKeyMismatchError } = require('../src/utils/errors');
+
+const request = (overrides = {}) => ({
+  method: 'POST',
+  originalUrl: '/api/v1/payments',
+  headers: { 'idempotency-key': 'key-1' },
+  body: { trip_id: 'trip-1', payment_method: 'card' },
+  user: { id: 'rider-1', type: 'rider' },
+  ...overrides,
+});
+
+const response = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Run a request through the middleware; the handler answers with `handle(res)` if reached
+ */
+const run = async (req, handle = (res) => res.json({ success: true, data: { id: 'payment-1' } }), options) => {
+  const res = response();
+  const sent = res.json;
+  const next = jest.fn();
+  await idempotency(options)(req, res, next);
+  if (next.mock.calls.length > 0 && next.mock.calls[0].length === 0) {
+    await handle(res);
+  }
+  return { res, next, sent, handled: next.mock.calls.length > 0 && next.mock.calls[0].length === 0 };
+};
+
 describe('Idempotency Middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRedis.data.clear();
+    mockRedis.down = false;
+    mockTable.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('fingerprintRequest', () => {
+    it('should ignore the order of body keys', () => {
+      expect(fingerprintRequest({ method: 'post', path: '/payments', body: { a: 1, b: { c: 2, d: 3 } } }))
+        .toBe(fingerprintRequest({ method: 'POST', path: '/payments', body: { b: { d: 3, c: 2 }, a: 1 } }));
+    });
+
+    it('should tell apart method, path and body', () => {
+      const base = { method: 'POST', path: '/payments', body: { amount: 10 } };
+
+      expect(fingerprintRequest({ ...base, method: 'PUT' })).not.toBe(fingerprintRequest(base));
+      expect(fingerprintRequest({ ...base, path: '/wallets' })).not.toBe(fingerprintRequest(base));
+      expect(fingerprintRequest({ ...base, body: { amount: 11 } })).not.toBe(fingerprintRequest(base));
+    });
+  });
+
   describe('with idempotency key', () => {
-    it('should process first request normally', () => {
-      // Mock test - in real scenario, this would hit the API
-      const idempotencyKey = `test-${Date.now()}`;
-      const result = { processed: true, key: idempotencyKey };
-      
-      expect(result.processed).toBe(true);
+    it('should process first request normally', async () => {
+      const { handled, sent } = await run(request());
+
+      expect(handled).toBe(true);
+      expect(sent).toHaveBeenCalledWith({ success: true, data: { id: 'payment-1' } });
+      expect(mockTable.get('rider:rider-1:key-1')).toMatchObject({ status: 'completed', response_status: 200 });
+    });
+
+    it('should return cached response for duplicate request', async () => {
+      await run(request());
+
+      const { handled, res } = await run(request({ body: { payment_method: 'card', trip_id: 'trip-1' } }));
+
+      expect(handled).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: { id: 'payment-1' } });
+    });
+
+    it('should reject a key reused with a different body or path with 422', async () => {
+      await run(request());
+
+      const otherBody = await run(request({ body: { trip_id: 'trip-2', payment_method: 'card' } }));
+      const otherPath = await run(request({ originalUrl: '/api/v1/payments/payment-1/retry' }));
+
+      [otherBody, otherPath].forEach(({ handled, next }) => {
+        expect(handled).toBe(false);
+        expect(next.mock.calls[0][0]).toBeInstanceOf(IdempotencyKeyMismatchError);
+        expect(next.mock.calls[0][0].statusCode).toBe(422);
+      });
     });
 
-    it('should return cached response for duplicate request', () => {
-      // Mock test
-      const idempotencyKey = 'duplicate-key';
-      const cachedResponse = { cached: true, key: idempotencyKey };
-      
-      expect(cachedResponse.cached).toBe(true);
+    it('should report a request still in flight', async () => {
+      const first = await run(request(), () => {});
+
+      const second = await run(request());
+
+      expect(first.handled).toBe(true);
+      expect(second.handled).toBe(false);
+      expect(second.res.status).toHaveBeenCalledWith(409);
+    });
+
+    it('should keep keys apart per caller', async () => {
+      await run(request());
+
+      const { handled } = await run(request({ user: { id: 'rider-2', type: 'rider' } }));
+
+      expect(handled).toBe(true);
+    });
+
+    it('should not store server errors, so the request can be retried', async () => {
+      await run(request(), (res) => res.status(500).json({ success: false }));
+
+      const { handled } = await run(request());
+
+      expect(handled).toBe(true);
+    });
+
+    it('should replay from Postgres when Redis lost the response', async () => {
+      await run(request());
+      mockRedis.data.clear();
+
+      const { handled, res } = await run(request());
+
+      expect(handled).toBe(false);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: { id: 'payment-1' } });
+    });
+  });
+
+  describe('while Redis is down', () => {
+    beforeEach(() => {
+      mockRedis.down = true;
+    });
+
+    it('should claim and replay keys in Postgres', async () => {
+      const first = await run(request());
+      const second = await run(request());
+
+      expect(first.handled).toBe(true);
+      expect(second.handled).toBe(false);
+      expect(second.res.json).toHaveBeenCalledWith({ success: true, data: { id: 'payment-1' } });
+    });
+
+    it('should still reject a mismatched key and a request in flight', async () => {
+      await run(request(), () => {});
+
+      const inFlight = await run(request());
+      const mismatched = await run(request({ body: { trip_id: 'trip-2' } }));
+
+      expect(inFlight.res.status).toHaveBeenCalledWith(409);
+      expect(mismatched.next.mock.calls[0][0]).toBeInstanceOf(IdempotencyKeyMismatchError);
+    });
+
+    it('should refuse required keys when no store is reachable', async () => {
+      query.mockRejectedValueOnce(new Error('connection refused'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const { handled, next } = await run(request(), undefined, { required: true });
+
+      expect(handled).toBe(false);
+      expect(next.mock.calls[0][0].statusCode).toBe(503);
     });
   });
 
   describe('without idempotency key', () => {
-    it('should process request when key is optional', () => {
-      const result = { processed: true, idempotencyKey: null };
-      expect(result.processed).toBe(true);
+    it('should process request when key is optional', async () => {
+      const { handled } = await run(request({ headers: {} }));
+
+      expect(handled).toBe(true);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should reject request when key is required', async () => {
+      const { handled, res } = await run(request({ headers: {} }), undefined, { required: true });
+
+      expect(handled).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe('IDEMPOTENCY_KEY_REQUIRED');
     });
+  });
+
+  describe('service-level keys', () => {
+    it('should find a saved response and reject a key reused for another request', async () => {
+      const hash = fingerprintRequest({ method: 'POST', path: '/trips/trip-1/payment', body: { payment_method: 'cash' } });
+      const otherHash = fingerprintRequest({ method: 'POST', path: '/trips/trip-2/payment', body: { payment_method: 'cash' } });
+
+      expect(await claimKey('payment', 'key-1', hash)).toEqual({ status: 'claimed' });
+      await saveResponse('payment', 'key-1', hash, { statusCode: 200, body: { id: 'payment-1' } });
 
-    it('should reject request when key is required', () => {
-      const error = { code: 'IDEMPOTENCY_KEY_REQUIRED' };
-      expect(error.code).toBe('IDEMPOTENCY_KEY_REQUIRED');
+      expect(await findResponse('payment', 'key-1', hash)).toEqual({ statusCode: 200, body: { id: 'payment-1' } });
+      await expect(findResponse('payment', 'key-1', otherHash)).rejects.toThrow(IdempotencyKeyMismatchError);
+      expect(await findResponse('payment', 'key-2', hash)).toBeNull();
     });
   });
 });
@@ -0,0 +1,248 @@
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/redis', () => ({
+  findNearbyDrivers: jest.fn(),
+  removeDriverLocation: jest.fn().mockResolvedValue(),
+  invalidateCache: jest.fn().mockResolvedValue(),
+  getRedisClient: jest.fn(() => null),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  ...jest.requireActual('../src/config/kafka'),
+  publishRideEvent: jest.fn().mockResolvedValue(),
+  publishNotification: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/lockingService', () => ({
+  acquireLock: jest.fn().mockResolvedValue({ resource: 'lock' }),
+  releaseLock: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/cacheService', () => ({
+  invalidateRideCache: jest.fn().mockResolvedValue(),
+  invalidateDriverCache: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/paymentService', () => ({
+  releaseRideHold: jest.fn().mockResolvedValue({ status: 'released' }),
+}));
+
+jest.mock('../src/services/simulationService', () => ({
+  startDriverSimulation: jest.fn(),
+  stopDriverSimulation: jest.fn(),
+  switchToTripPhase: jest.fn(),
+}));
+
+const { query, queryRead } = require('../src/config/database');
+const { findNearbyDrivers } = require('../src/config/redis');
+const { publishNotification } = require('../src/config/kafka');
+const { releaseRideHold } = require('../src/services/paymentService');
+const {
+  dispatchNextWave,
+  getDispatchRadius,
+  getWaveSize,
+  MATCHING_RADIUS_KM,
+  MATCHING_TIMEOUT_MS,
+} = require('../src/services/matchingService');
+const { STATUS_TRANSITIONS } = require('../src/services/rideService');
+
+/**
+ * Drivers in the geo index, nearest first: driver-1 at 0.5km, driver-2 at 1km, ...
+ */
+const nearbyDrivers = (count, firstKm = 0.5) =>
+  Array.from({ length: count }, (_, i) => ({ driverId: `driver-${i + 1}`, distance: firstKm + i * 0.5 }));
+
+/**
+ * Mock the reads and writes dispatchNextWave makes for a ride
+ * @param {Object} options - { ride, drivers, pendingOffers, offeredDriverIds }
+ */
+const mockDispatch = ({ ride = {}, drivers = [], pendingOffers = 0, offeredDriverIds = [] } = {}) => {
+  const matchingRide = {
+    id: 'ride-1',
+    tenant_id: 'tenant-1',
+    rider_id: 'rider-1',
+    tier: 'economy',
+    payment_method: 'cash',
+    status: 'MATCHING',
+    dispatch_round: 0,
+    matching_started_at: new Date(),
+    rider_rating: 4.8,
+    ...ride,
+  };
+
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM rides r')) return { rowCount: 1, rows: [matchingRide] };
+    if (sql.includes('COUNT(*)')) return { rowCount: 1, rows: [{ count: String(pendingOffers) }] };
+    if (sql.includes('SELECT DISTINCT driver_id')) {
+      return { rowCount: offeredDriverIds.length, rows: offeredDriverIds.map(driver_id => ({ driver_id })) };
+    }
+    return { rowCount: 1, rows: [] };
+  });
+
+  findNearbyDrivers.mockImplementation(async (tenantId, tier, lng, lat, radiusKm) =>
+    drivers.filter(d => d.distance <= radiusKm)
+  );
+
+  // Same rating and acceptance rate for everyone, so the nearest drivers score highest
+  queryRead.mockImplementation(async (sql, [ids]) => ({
+    rows: ids.map(id => ({ id, rating: 4.5, total_rides: 100, acceptance_rate: 90, vehicle_type: 'economy' })),
+  }));
+
+  return matchingRide;
+};
+
+const offeredDrivers = () => query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO ride_offers'))
+  .map(([, params]) => params[2]);
+
+const savedDispatchRound = () => query.mock.calls
+  .find(([sql]) => sql.includes('SET dispatch_round'))[1][0];
+
+const searchedRadii = () => findNearbyDrivers.mock.calls.map(call => call[4]);
+
+describe('Matching Service', () => {
+  describe('getDispatchRadius', () => {
+    it('should start with the initial radius', () => {
+      expect(getDispatchRadius(0)).toBe(Math.min(2, MATCHING_RADIUS_KM));
+    });
+
+    it('should grow the radius each round', () => {
+      expect(getDispatchRadius(1)).toBeGreaterThanOrEqual(getDispatchRadius(0));
+      expect(getDispatchRadius(2)).toBeGreaterThanOrEqual(getDispatchRadius(1));
+    });
+
+    it('should never exceed the maximum radius', () => {
+      expect(getDispatchRadius(20)).toBe(MATCHING_RADIUS_KM);
+    });
+  });
+
+  describe('getWaveSize', () => {
+    it('should offer to the top 3 drivers first', () => {
+      expect(getWaveSize(0)).toBe(3);
+    });
+
+    it('should offer to the next 5 drivers in later rounds', () => {
+      expect(getWaveSize(1)).toBe(5);
+      expect(getWaveSize(4)).toBe(5);
+    });
+  });
+
+  describe('NO_DRIVERS_FOUND', () => {
+    it('should be reachable from MATCHING', () => {
+      expect(STATUS_TRANSITIONS.MATCHING).toContain('NO_DRIVERS_FOUND');
+    });
+
+    it('should be terminal', () => {
+      expect(STATUS_TRANSITIONS.NO_DRIVERS_FOUND).toEqual([]);
+    });
+  });
+
+  describe('dispatchNextWave', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      query.mockReset();
+      queryRead.mockReset();
+      mockClient.query.mockReset();
+    });
+
+    it('should offer the first wave to the 3 best drivers within the initial radius', async () => {
+      mockDispatch({ drivers: nearbyDrivers(6) });
+
+      const result = await dispatchNextWave('ride-1');
+
+      expect(searchedRadii()).toEqual([getDispatchRadius(0)]);
+      expect(offeredDrivers()).toEqual(['driver-1', 'driver-2', 'driver-3']);
+      expect(result.drivers).toHaveLength(3);
+      expect(savedDispatchRound()).toBe(1);
+      expect(publishNotification).toHaveBeenCalledWith('driver-1', 'RIDE_OFFER', expect.objectContaining({ ride_id: 'ride-1' }));
+    });
+
+    it('should offer later waves to the next 5 drivers, skipping everyone already offered the ride', async () => {
+      // driver-1..3 were offered the first wave and declined or let it expire
+      mockDispatch({
+        ride: { dispatch_round: 1 },
+        drivers: nearbyDrivers(10, 0.1),
+        offeredDriverIds: ['driver-1', 'driver-2', 'driver-3'],
+      });
+
+      await dispatchNextWave('ride-1');
+
+      expect(searchedRadii()).toEqual([getDispatchRadius(1)]);
+      expect(offeredDrivers()).toEqual(['driver-4', 'driver-5', 'driver-6', 'driver-7', 'driver-8']);
+      expect(savedDispatchRound()).toBe(2);
+    });
+
+    it('should widen the radius round by round until it finds fresh drivers', async () => {
+      mockDispatch({ drivers: [{ driverId: 'driver-far', distance: 6 }] });
+
+      const result = await dispatchNextWave('ride-1');
+
+      expect(searchedRadii()).toEqual([getDispatchRadius(0), getDispatchRadius(1), getDispatchRadius(2)]);
+      expect(getDispatchRadius(2)).toBeGreaterThanOrEqual(6);
+      expect(offeredDrivers()).toEqual(['driver-far']);
+      expect(savedDispatchRound()).toBe(3);
+      expect(result.message).toContain(`within ${getDispatchRadius(2)}km`);
+    });
+
+    it('should stop widening at MATCHING_RADIUS_KM when nobody is left to offer', async () => {
+      mockDispatch({ drivers: nearbyDrivers(2), offeredDriverIds: ['driver-1', 'driver-2'] });
+
+      const result = await dispatchNextWave('ride-1');
+
+      const radii = searchedRadii();
+      expect(radii[radii.length - 1]).toBe(MATCHING_RADIUS_KM);
+      expect(radii.every(radius => radius <= MATCHING_RADIUS_KM)).toBe(true);
+      expect(offeredDrivers()).toEqual([]);
+      expect(result.message).toBe('No drivers available nearby');
+    });
+
+    it('should wait while offers from the previous wave are outstanding', async () => {
+      mockDispatch({ drivers: nearbyDrivers(6), pendingOffers: 2 });
+
+      const result = await dispatchNextWave('ride-1');
+
+      expect(result.message).toBe('Waiting for outstanding offers');
+      expect(findNearbyDrivers).not.toHaveBeenCalled();
+      expect(offeredDrivers()).toEqual([]);
+    });
+
+    it('should give up with NO_DRIVERS_FOUND once MATCHING_TIMEOUT_MS has elapsed', async () => {
+      const ride = mockDispatch({
+        ride: { payment_method: 'card', dispatch_round: 4, matching_started_at: new Date(Date.now() - MATCHING_TIMEOUT_MS - 1000) },
+        drivers: nearbyDrivers(6),
+      });
+      mockClient.query.mockImplementation(async (sql) => (
+        sql.includes("SET status = 'NO_DRIVERS_FOUND'")
+          ? { rowCount: 1, rows: [{ ...ride, status: 'NO_DRIVERS_FOUND' }] }
+          : { rowCount: 1, rows: [] }
+      ));
+
+      const result = await dispatchNextWave('ride-1');
+
+      expect(result.message).toBe('Matching timed out');
+      expect(findNearbyDrivers).not.toHaveBeenCalled();
+      expect(offeredDrivers()).toEqual([]);
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements.some(sql => sql.includes("SET status = 'cancelled'"))).toBe(true);
+      expect(statements.some(sql => sql.includes('INSERT INTO ride_events'))).toBe(true);
+      expect(publishNotification).toHaveBeenCalledWith('rider-1', 'NO_DRIVERS_FOUND', expect.objectContaining({ ride_id: 'ride-1' }));
+      expect(releaseRideHold).toHaveBeenCalledWith('ride-1');
+    });
+
+    it('should not dispatch a ride that has left MATCHING', async () => {
+      mockDispatch({ ride: { status: 'DRIVER_ASSIGNED' }, drivers: nearbyDrivers(6) });
+
+      const result = await dispatchNextWave('ride-1');
+
+      expect(result.message).toBe('Ride is DRIVER_ASSIGNED, dispatch stopped');
+      expect(offeredDrivers()).toEqual([]);
+    });
+  });
+});
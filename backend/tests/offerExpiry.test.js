@@ -0,0 +1,102 @@
+/**
+ * Tests for the offer expiry worker sweep
+ */
+
+jest.mock('../src/services/matchingService', () => ({
+  expirePendingOffers: jest.fn(),
+  updateAcceptanceRate: jest.fn().mockResolvedValue(),
+  findStalledMatchingRides: jest.fn().mockResolvedValue([]),
+  findStalledRequestedRides: jest.fn().mockResolvedValue([]),
+  findDriversForRide: jest.fn().mockResolvedValue({ drivers: [] }),
+  dispatchNextWave: jest.fn().mockResolvedValue({ drivers: [] }),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  publishNotification: jest.fn().mockResolvedValue(),
+}));
+
+const matchingService = require('../src/services/matchingService');
+const { publishNotification } = require('../src/config/kafka');
+const { sweep } = require('../src/workers/offerExpiryWorker');
+
+describe('Offer Expiry Worker', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should notify each driver whose offer expired', async () => {
+    matchingService.expirePendingOffers.mockResolvedValue([
+      { id: 'offer-1', ride_id: 'ride-1', driver_id: 'driver-1' },
+      { id: 'offer-2', ride_id: 'ride-1', driver_id: 'driver-2' },
+    ]);
+
+    await sweep();
+
+    expect(publishNotification).toHaveBeenCalledWith('driver-1', 'OFFER_EXPIRED', {
+      offer_id: 'offer-1',
+      ride_id: 'ride-1',
+    });
+    expect(publishNotification).toHaveBeenCalledTimes(2);
+    expect(matchingService.updateAcceptanceRate).toHaveBeenCalledTimes(2);
+  });
+
+  it('should re-dispatch each affected ride once', async () => {
+    matchingService.expirePendingOffers.mockResolvedValue([
+      { id: 'offer-1', ride_id: 'ride-1', driver_id: 'driver-1' },
+      { id: 'offer-2', ride_id: 'ride-1', driver_id: 'driver-2' },
+    ]);
+    matchingService.findStalledMatchingRides.mockResolvedValue(['ride-1', 'ride-2']);
+
+    await sweep();
+
+    expect(matchingService.dispatchNextWave).toHaveBeenCalledTimes(2);
+    expect(matchingService.dispatchNextWave).toHaveBeenCalledWith('ride-1');
+    expect(matchingService.dispatchNextWave).toHaveBeenCalledWith('ride-2');
+  });
+
+  it('should keep going when one ride fails to re-dispatch', async () => {
+    matchingService.expirePendingOffers.mockResolvedValue([]);
+    matchingService.findStalledMatchingRides.mockResolvedValue(['ride-1', 'ride-2']);
+    matchingService.dispatchNextWave
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce({ drivers: [] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await sweep();
+
+    expect(matchingService.dispatchNextWave).toHaveBeenCalledTimes(2);
+  });
+
+  it('should still re-dispatch rides when an expiry notification fails to publish', async () => {
+    matchingService.expirePendingOffers.mockResolvedValue([
+      { id: 'offer-1', ride_id: 'ride-1', driver_id: 'driver-1' },
+      { id: 'offer-2', ride_id: 'ride-1', driver_id: 'driver-2' },
+    ]);
+    matchingService.findStalledMatchingRides.mockResolvedValue(['ride-2']);
+    publishNotification.mockRejectedValueOnce(new Error('Kafka unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await sweep();
+
+    expect(publishNotification).toHaveBeenCalledTimes(2);
+    expect(matchingService.findStalledMatchingRides).toHaveBeenCalled();
+    expect(matchingService.dispatchNextWave).toHaveBeenCalledWith('ride-1');
+    expect(matchingService.dispatchNextWave).toHaveBeenCalledWith('ride-2');
+  });
+
+  it('should start matching for rides left in REQUESTED', async () => {
+    matchingService.expirePendingOffers.mockResolvedValue([]);
+    matchingService.findStalledMatchingRides.mockResolvedValue([]);
+    matchingService.findStalledRequestedRides.mockResolvedValue(['ride-3', 'ride-4']);
+    matchingService.findDriversForRide
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce({ drivers: [] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await sweep();
+
+    expect(matchingService.findDriversForRide).toHaveBeenCalledWith('ride-3');
+    expect(matchingService.findDriversForRide).toHaveBeenCalledWith('ride-4');
+    expect(matchingService.dispatchNextWave).not.toHaveBeenCalled();
+  });
+});
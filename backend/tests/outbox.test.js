@@ -0,0 +1,147 @@
+/**
+ * Tests for the transactional outbox and its Kafka relay
+ */
+
+const mockProducer = { send: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  ...jest.requireActual('../src/config/kafka'),
+  getProducer: jest.fn(() => mockProducer),
+}));
+
+jest.mock('../src/middleware/metrics', () => ({
+  recordMetric: jest.fn(),
+}));
+
+jest.mock('../src/workers/leaderElection', () => ({
+  createLeaderElection: () => ({
+    ensureLeadership: jest.fn().mockResolvedValue(true),
+    releaseLeadership: jest.fn().mockResolvedValue(),
+  }),
+}));
+
+const { query } = require('../src/config/database');
+const { getProducer } = require('../src/config/kafka');
+const { recordMetric } = require('../src/middleware/metrics');
+const { enqueueRideEvent, enqueueNotification } = require('../src/services/outboxService');
+const { relayOutbox, reportLag } = require('../src/workers/outboxRelay');
+
+const message = (id, topic, key, overrides = {}) => ({
+  id,
+  topic,
+  message_key: key,
+  payload: { id },
+  attempts: 0,
+  created_at: new Date(Date.now() - 1000),
+  ...overrides,
+});
+
+/**
+ * Answer the relay's queries with the given due messages
+ */
+const mockOutbox = (due) => {
+  query.mockImplementation((sql) => {
+    if (sql.includes('FROM outbox o')) return Promise.resolve({ rows: due });
+    return Promise.resolve({ rowCount: 1, rows: [] });
+  });
+};
+
+const updates = (fragment) => query.mock.calls.filter(([sql]) => sql.includes(fragment)).map(([, params]) => params);
+
+describe('Outbox', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+    mockProducer.send.mockReset().mockResolvedValue([]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('enqueue', () => {
+    it('should write ride events and notifications through the transaction client', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+      await enqueueRideEvent(client, 'ride-1', 'tenant-1', 'TRIP_COMPLETED', { fare: 100 });
+      await enqueueNotification(client, 'rider-1', 'TRIP_COMPLETED', { fare: 100 });
+
+      const [[, event], [, notification]] = client.query.mock.calls;
+      expect(event.slice(0, 2)).toEqual(['ride-events', 'tenant-1']);
+      expect(JSON.parse(event[2])).toMatchObject({ rideId: 'ride-1', tenantId: 'tenant-1', eventType: 'TRIP_COMPLETED' });
+      expect(notification.slice(0, 2)).toEqual(['notifications', 'rider-1']);
+      expect(JSON.parse(notification[2])).toMatchObject({ userId: 'rider-1', type: 'TRIP_COMPLETED', payload: { fare: 100 } });
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('relayOutbox', () => {
+    it('should publish due messages in order and mark them sent', async () => {
+      mockOutbox([message(1, 'ride-events', 'tenant-1'), message(2, 'notifications', 'rider-1')]);
+
+      const result = await relayOutbox();
+
+      expect(result).toEqual({ sent: 2, failed: 0 });
+      expect(mockProducer.send.mock.calls.map(([{ topic, messages }]) => [topic, messages[0].key, JSON.parse(messages[0].value)]))
+        .toEqual([['ride-events', 'tenant-1', { id: 1 }], ['notifications', 'rider-1', { id: 2 }]]);
+      expect(updates('SET sent_at')).toEqual([[[1, 2]]]);
+      expect(recordMetric).toHaveBeenCalledWith('Outbox/Published', 2);
+      expect(recordMetric).toHaveBeenCalledWith('Outbox/PublishLagMs', expect.any(Number));
+    });
+
+    it('should hold back a failed key and retry it with backoff, while other keys go on', async () => {
+      mockOutbox([
+        message(1, 'notifications', 'rider-1', { attempts: 2 }),
+        message(2, 'notifications', 'rider-2'),
+        message(3, 'notifications', 'rider-1'),
+      ]);
+      mockProducer.send.mockRejectedValueOnce(new Error('Broker unavailable'));
+
+      const result = await relayOutbox();
+
+      expect(result).toEqual({ sent: 1, failed: 1 });
+      expect(mockProducer.send).toHaveBeenCalledTimes(2);
+      expect(updates('SET attempts = attempts + 1')).toEqual([[1, 'Broker unavailable', 4]]);
+      expect(updates('SET sent_at')).toEqual([[[2]]]);
+      expect(recordMetric).toHaveBeenCalledWith('Outbox/Failed', 1);
+    });
+
+    it('should leave everything in the outbox while Kafka is down', async () => {
+      getProducer.mockImplementationOnce(() => {
+        throw new Error('Kafka producer not connected.');
+      });
+
+      await expect(relayOutbox()).rejects.toThrow('Kafka producer not connected.');
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should only fetch messages not queued behind a retrying one', async () => {
+      mockOutbox([]);
+
+      await relayOutbox();
+
+      const [sql] = query.mock.calls[0];
+      expect(sql).toContain('earlier.next_attempt_at > NOW()');
+      expect(sql).toContain('ORDER BY o.id');
+      expect(updates('SET sent_at')).toEqual([]);
+    });
+  });
+
+  describe('reportLag', () => {
+    it('should report the backlog and the age of the oldest unsent message', async () => {
+      query.mockResolvedValueOnce({ rows: [{ pending: '12', failing: '2', oldest_pending_secs: '45.6' }] });
+
+      const lag = await reportLag();
+
+      expect(lag).toEqual({ pending: 12, failing: 2, oldest_pending_secs: 46 });
+      expect(recordMetric).toHaveBeenCalledWith('Outbox/Pending', 12);
+      expect(recordMetric).toHaveBeenCalledWith('Outbox/Failing', 2);
+      expect(recordMetric).toHaveBeenCalledWith('Outbox/OldestPendingSecs', 46);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for the payment gateway adapters and mock PSP test cards
+ */
+
+const { createSimulatedGateway } = require('../src/gateways/simulatedGateway');
+const { createMockPspGateway } = require('../src/gateways/mockPspGateway');
+const { GATEWAY_STATUS } = require('../src/gateways');
+
+const authorize = (gateway, cardToken, overrides = {}) => gateway.authorize({
+  amount: 250,
+  currency: 'INR',
+  cardToken,
+  reference: 'payment-1',
+  idempotencyKey: `key-${cardToken}`,
+  ...overrides,
+});
+
+describe('Simulated Gateway', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = createSimulatedGateway({ latency: [0, 0] });
+  });
+
+  it('should authorize, capture and refund an approved card', async () => {
+    const auth = await authorize(gateway, 'tok_visa');
+    expect(auth.status).toBe(GATEWAY_STATUS.AUTHORIZED);
+    expect(auth.psp_reference).toMatch(/^psp_/);
+
+    const capture = await gateway.capture(auth.psp_reference, { amount: 200 });
+    expect(capture.status).toBe(GATEWAY_STATUS.CAPTURED);
+    expect(capture.raw.captured_amount).toBe(200);
+
+    const refund = await gateway.refund(auth.psp_reference);
+    expect(refund.status).toBe(GATEWAY_STATUS.REFUNDED);
+    expect(refund.raw.refunded_amount).toBe(200);
+  });
+
+  it('should decline the decline test cards with their decline codes', async () => {
+    const declined = await authorize(gateway, 'tok_decline');
+    const noFunds = await authorize(gateway, 'tok_insufficient_funds');
+
+    expect(declined.status).toBe(GATEWAY_STATUS.DECLINED);
+    expect(declined.error_code).toBe('CARD_DECLINED');
+    expect(noFunds.error_code).toBe('INSUFFICIENT_FUNDS');
+  });
+
+  it('should ask for 3-D Secure on the 3DS test card', async () => {
+    const result = await authorize(gateway, 'tok_3ds_required');
+
+    expect(result.status).toBe(GATEWAY_STATUS.REQUIRES_ACTION);
+    expect(result.error_code).toBe('AUTHENTICATION_REQUIRED');
+    expect(result.next_action.type).toBe('three_d_secure');
+  });
+
+  it('should report a timeout whose authorization can be found by reference', async () => {
+    const result = await authorize(gateway, 'tok_timeout');
+    expect(result.status).toBe(GATEWAY_STATUS.ERROR);
+    expect(result.error_code).toBe('PSP_TIMEOUT');
+    expect(result.retryable).toBe(true);
+
+    const status = await gateway.status({ reference: 'payment-1' });
+    expect(status.status).toBe(GATEWAY_STATUS.AUTHORIZED);
+  });
+
+  it('should report a network error that left nothing behind', async () => {
+    const result = await authorize(gateway, 'tok_network_error');
+    expect(result.error_code).toBe('PSP_NETWORK_ERROR');
+    expect(result.retryable).toBe(true);
+
+    const status = await gateway.status({ reference: 'payment-1' });
+    expect(status.status).toBe(GATEWAY_STATUS.NOT_FOUND);
+  });
+
+  it('should replay the original response for a repeated idempotency key', async () => {
+    const first = await authorize(gateway, 'tok_visa');
+    await gateway.capture(first.psp_reference);
+
+    const replay = await authorize(gateway, 'tok_visa');
+    expect(replay.psp_reference).toBe(first.psp_reference);
+    expect(replay.status).toBe(GATEWAY_STATUS.AUTHORIZED);
+  });
+
+  it('should raise a hold unless the card refuses increments', async () => {
+    const auth = await authorize(gateway, 'tok_visa');
+    const raised = await gateway.incrementAuthorization(auth.psp_reference, { amount: 300 });
+    expect(raised.status).toBe(GATEWAY_STATUS.AUTHORIZED);
+    expect(raised.amount).toBe(300);
+
+    const fixed = await authorize(gateway, 'tok_no_increment');
+    const refused = await gateway.incrementAuthorization(fixed.psp_reference, { amount: 300 });
+    expect(refused.status).toBe(GATEWAY_STATUS.ERROR);
+    expect(refused.error_code).toBe('PSP_INCREMENT_DECLINED');
+  });
+
+  it('should reject invalid state transitions', async () => {
+    const auth = await authorize(gateway, 'tok_visa');
+
+    const refund = await gateway.refund(auth.psp_reference);
+    expect(refund.status).toBe(GATEWAY_STATUS.ERROR);
+    expect(refund.error_code).toBe('PSP_INVALID_STATE');
+
+    const voided = await gateway.void(auth.psp_reference);
+    expect(voided.status).toBe(GATEWAY_STATUS.VOIDED);
+  });
+});
+
+describe('Mock PSP Gateway', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should send idempotency keys and map PSP payments', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 201,
+      json: () => Promise.resolve({ id: 'psp_1', status: 'authorized', amount: 250 }),
+    });
+    const gateway = createMockPspGateway({ baseUrl: 'http://psp.test', apiKey: 'secret' });
+
+    const result = await authorize(gateway, 'tok_visa');
+
+    expect(result.status).toBe(GATEWAY_STATUS.AUTHORIZED);
+    expect(result.psp_reference).toBe('psp_1');
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://psp.test/v1/payments');
+    expect(options.headers['Idempotency-Key']).toBe('key-tok_visa');
+    expect(options.headers.Authorization).toBe('Bearer secret');
+  });
+
+  it('should map PSP error responses', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 404,
+      json: () => Promise.resolve({ error: { code: 'payment_not_found', message: 'No such payment' } }),
+    });
+    const gateway = createMockPspGateway({ baseUrl: 'http://psp.test' });
+
+    const result = await gateway.status({ reference: 'payment-1' });
+
+    expect(result.status).toBe(GATEWAY_STATUS.NOT_FOUND);
+    expect(global.fetch.mock.calls[0][0]).toBe('http://psp.test/v1/payments?merchant_reference=payment-1');
+  });
+
+  it('should treat an aborted request as a retryable timeout', async () => {
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    const gateway = createMockPspGateway({ baseUrl: 'http://psp.test', timeoutMs: 10 });
+
+    const result = await authorize(gateway, 'tok_timeout');
+
+    expect(result.status).toBe(GATEWAY_STATUS.ERROR);
+    expect(result.error_code).toBe('PSP_TIMEOUT');
+    expect(result.retryable).toBe(true);
+  });
+});
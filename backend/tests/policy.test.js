@@ -0,0 +1,236 @@
+/**
+ * Tests for the route policies: every API route's role / ownership / tenant matrix
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/config/database', () => ({
+  queryRead: jest.fn(),
+}));
+
+jest.mock('../src/middleware/rateLimiter', () => ({
+  rateLimiter: () => (req, res, next) => next(),
+}));
+
+jest.mock('../src/middleware/idempotency', () => ({
+  idempotency: () => (req, res, next) => next(),
+}));
+
+jest.mock('../src/middleware/validation', () => ({
+  validate: () => (req, res, next) => next(),
+  validateMultiple: () => (req, res, next) => next(),
+  schemas: {},
+}));
+
+// Controllers just answer 200, so a request that gets past its policy succeeds
+const mockHandlers = (names) => Object.fromEntries(
+  names.map(name => [name, (req, res) => res.json({ success: true })])
+);
+
+jest.mock('../src/controllers/authController', () => mockHandlers([
+  'getTenants', 'sendOtp', 'verifyOtp', 'getProfile', 'updateProfile', 'updateVehicle', 'logout',
+]));
+jest.mock('../src/controllers/rideController', () => mockHandlers([
+  'createRide', 'getRide', 'updateRideStatus', 'cancelRide', 'updateStopStatus', 'getRideTimeline',
+  'getRidesByRider', 'getRiderCurrentRide',
+]));
+jest.mock('../src/controllers/driverController', () => mockHandlers([
+  'updateLocation', 'getDriver', 'updateStatus', 'acceptRide', 'declineRide',
+  'getCurrentRide', 'getPendingOffers', 'updateRiderFilter', 'getManifest', 'getEarnings', 'getPayouts',
+]));
+jest.mock('../src/controllers/tripController', () => mockHandlers([
+  'startTrip', 'getFareEstimate', 'endTrip', 'getTrip', 'getTripRoute', 'rateTrip', 'getTripRatings', 'updateRideStatus',
+]));
+jest.mock('../src/controllers/paymentController', () => mockHandlers([
+  'processPayment', 'getPayment', 'getPaymentByTrip', 'retryPayment', 'initiateRefund',
+]));
+jest.mock('../src/controllers/walletController', () => mockHandlers([
+  'getWallet', 'topUp', 'getStatement',
+]));
+
+const { queryRead } = require('../src/config/database');
+const { generateToken } = require('../src/middleware/auth');
+const { POLICIES } = require('../src/middleware/policy');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const router = require('../src/routes');
+
+const TENANT = '10000000-0000-4000-8000-000000000001';
+const OTHER_TENANT = '10000000-0000-4000-8000-000000000002';
+const RIDER_ID = '20000000-0000-4000-8000-000000000001';
+const OTHER_RIDER_ID = '20000000-0000-4000-8000-000000000002';
+const DRIVER_ID = '30000000-0000-4000-8000-000000000001';
+const OTHER_DRIVER_ID = '30000000-0000-4000-8000-000000000002';
+const RIDE_ID = '40000000-0000-4000-8000-000000000001';
+const TRIP_ID = '50000000-0000-4000-8000-000000000001';
+const PAYMENT_ID = '60000000-0000-4000-8000-000000000001';
+const STOP_ID = '70000000-0000-4000-8000-000000000001';
+
+const USERS = {
+  rider: { userId: RIDER_ID, userType: 'rider', tenantId: TENANT },
+  otherRider: { userId: OTHER_RIDER_ID, userType: 'rider', tenantId: TENANT },
+  driver: { userId: DRIVER_ID, userType: 'driver', tenantId: TENANT },
+  otherDriver: { userId: OTHER_DRIVER_ID, userType: 'driver', tenantId: TENANT },
+  ops: { userId: '80000000-0000-4000-8000-000000000001', userType: 'ops', tenantId: TENANT },
+  foreignOps: { userId: '80000000-0000-4000-8000-000000000002', userType: 'admin', tenantId: OTHER_TENANT },
+};
+
+const PARTIES = { tenant_id: TENANT, rider_id: RIDER_ID, driver_id: DRIVER_ID };
+
+/**
+ * Answer the policy lookups: one ride (with its trip and payment) between RIDER_ID and DRIVER_ID
+ */
+const mockRecords = (sql, [id]) => {
+  const found = (row) => Promise.resolve({ rowCount: 1, rows: [row] });
+  const missing = Promise.resolve({ rowCount: 0, rows: [] });
+
+  if (sql.includes('FROM payments')) return id === PAYMENT_ID ? found(PARTIES) : missing;
+  if (sql.includes('FROM trips')) return id === TRIP_ID ? found(PARTIES) : missing;
+  if (sql.includes('FROM rides')) return id === RIDE_ID ? found(PARTIES) : missing;
+  if (sql.includes('FROM riders')) {
+    return [RIDER_ID, OTHER_RIDER_ID].includes(id) ? found({ tenant_id: TENANT }) : missing;
+  }
+  if (sql.includes('FROM drivers')) {
+    return [DRIVER_ID, OTHER_DRIVER_ID].includes(id) ? found({ tenant_id: TENANT }) : missing;
+  }
+  return missing;
+};
+
+const RIDE_PARTIES = ['rider', 'driver', 'ops'];
+const RIDE_DRIVER = ['driver', 'ops'];
+const OWN_RIDER = ['rider', 'ops'];
+const TENANT_USERS = ['rider', 'otherRider', 'driver', 'otherDriver', 'ops'];
+
+/**
+ * Who may call each route. Everyone else is denied: 403 for callers of the
+ * resource's tenant, 404 for ops of another tenant (unless noted in `denied`)
+ */
+const MATRIX = [
+  { key: 'POST /rides', path: '/rides', body: { rider_id: RIDER_ID, tenant_id: TENANT }, allowed: OWN_RIDER },
+  { key: 'GET /rides/:id', path: `/rides/${RIDE_ID}`, allowed: RIDE_PARTIES },
+  { key: 'PATCH /rides/:id/status', path: `/rides/${RIDE_ID}/status`, allowed: RIDE_DRIVER },
+  { key: 'POST /rides/:id/cancel', path: `/rides/${RIDE_ID}/cancel`, allowed: RIDE_PARTIES },
+  { key: 'PATCH /rides/:id/stops/:stopId', path: `/rides/${RIDE_ID}/stops/${STOP_ID}`, allowed: RIDE_DRIVER },
+  { key: 'GET /rides/:id/timeline', path: `/rides/${RIDE_ID}/timeline`, allowed: ['ops'] },
+  { key: 'GET /riders/:riderId/rides', path: `/riders/${RIDER_ID}/rides`, allowed: OWN_RIDER },
+  { key: 'GET /riders/:riderId/current-ride', path: `/riders/${RIDER_ID}/current-ride`, allowed: OWN_RIDER },
+
+  { key: 'POST /drivers/:id/location', path: `/drivers/${DRIVER_ID}/location`, allowed: RIDE_DRIVER },
+  { key: 'GET /drivers/:id', path: `/drivers/${DRIVER_ID}`, allowed: TENANT_USERS },
+  { key: 'PATCH /drivers/:id/status', path: `/drivers/${DRIVER_ID}/status`, allowed: RIDE_DRIVER },
+  { key: 'POST /drivers/:id/accept', path: `/drivers/${DRIVER_ID}/accept`, allowed: RIDE_DRIVER },
+  { key: 'POST /drivers/:id/decline', path: `/drivers/${DRIVER_ID}/decline`, allowed: RIDE_DRIVER },
+  { key: 'GET /drivers/:id/current-ride', path: `/drivers/${DRIVER_ID}/current-ride`, allowed: RIDE_DRIVER },
+  { key: 'GET /drivers/:id/pending-offers', path: `/drivers/${DRIVER_ID}/pending-offers`, allowed: RIDE_DRIVER },
+  { key: 'PATCH /drivers/:id/rider-filter', path: `/drivers/${DRIVER_ID}/rider-filter`, allowed: RIDE_DRIVER },
+  { key: 'GET /drivers/:id/manifest', path: `/drivers/${DRIVER_ID}/manifest`, allowed: RIDE_DRIVER },
+  { key: 'GET /drivers/:id/earnings', path: `/drivers/${DRIVER_ID}/earnings`, allowed: RIDE_DRIVER },
+  { key: 'GET /drivers/:id/payouts', path: `/drivers/${DRIVER_ID}/payouts`, allowed: RIDE_DRIVER },
+
+  { key: 'POST /trips/start', path: '/trips/start', body: { ride_id: RIDE_ID }, allowed: RIDE_DRIVER },
+  {
+    key: 'GET /trips/fare-estimate',
+    path: `/trips/fare-estimate?tenant_id=${TENANT}`,
+    allowed: TENANT_USERS,
+    denied: { foreignOps: 403 },
+  },
+  { key: 'POST /trips/:id/end', path: `/trips/${TRIP_ID}/end`, allowed: RIDE_DRIVER },
+  { key: 'GET /trips/:id', path: `/trips/${TRIP_ID}`, allowed: RIDE_PARTIES },
+  { key: 'GET /trips/:id/route', path: `/trips/${TRIP_ID}/route`, allowed: RIDE_PARTIES },
+  { key: 'POST /trips/:id/rating', path: `/trips/${TRIP_ID}/rating`, allowed: RIDE_PARTIES },
+  { key: 'GET /trips/:id/ratings', path: `/trips/${TRIP_ID}/ratings`, allowed: RIDE_PARTIES },
+  { key: 'PATCH /trips/ride/:id/status', path: `/trips/ride/${RIDE_ID}/status`, allowed: RIDE_DRIVER },
+
+  { key: 'POST /payments', path: '/payments', body: { trip_id: TRIP_ID }, allowed: OWN_RIDER },
+  { key: 'GET /payments/:id', path: `/payments/${PAYMENT_ID}`, allowed: RIDE_PARTIES },
+  { key: 'GET /trips/:tripId/payment', path: `/trips/${TRIP_ID}/payment`, allowed: RIDE_PARTIES },
+  { key: 'POST /payments/:id/retry', path: `/payments/${PAYMENT_ID}/retry`, allowed: OWN_RIDER },
+  { key: 'POST /payments/:id/refund', path: `/payments/${PAYMENT_ID}/refund`, allowed: ['ops'] },
+
+  { key: 'GET /wallets/:ownerType/:ownerId', path: `/wallets/rider/${RIDER_ID}`, allowed: OWN_RIDER },
+  { key: 'POST /wallets/:ownerType/:ownerId/topup', path: `/wallets/driver/${DRIVER_ID}/topup`, allowed: ['driver'] },
+  { key: 'GET /wallets/:ownerType/:ownerId/transactions', path: `/wallets/rider/${RIDER_ID}/transactions`, allowed: OWN_RIDER },
+];
+
+const app = express();
+app.use(express.json());
+app.use('/v1', router);
+app.use(errorHandler);
+
+const call = ({ key, path, body }, user) => {
+  const method = key.split(' ')[0].toLowerCase();
+  const req = request(app)[method](`/v1${path}`);
+  if (user) {
+    req.set('Authorization', `Bearer ${generateToken(USERS[user])}`);
+  }
+  return body ? req.send(body) : req;
+};
+
+describe('Route Policies', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    queryRead.mockReset();
+    queryRead.mockImplementation(mockRecords);
+  });
+
+  it('should attach a policy to every non-auth route', () => {
+    const routes = router.stack.filter(layer => layer.route && !layer.route.path.startsWith('/auth/'));
+
+    for (const { route } of routes) {
+      const key = `${Object.keys(route.methods)[0].toUpperCase()} ${route.path}`;
+      const policyKeys = route.stack.map(layer => layer.handle.policyKey).filter(Boolean);
+      expect(policyKeys).toEqual([key]);
+    }
+    expect(routes).toHaveLength(Object.keys(POLICIES).length);
+  });
+
+  it('should cover every policy in the matrix', () => {
+    expect(MATRIX.map(entry => entry.key).sort()).toEqual(Object.keys(POLICIES).sort());
+  });
+
+  describe.each(MATRIX)('$key', (entry) => {
+    it('should reject anonymous callers', async () => {
+      const res = await call(entry);
+      expect(res.status).toBe(401);
+    });
+
+    it.each(Object.keys(USERS))('%s', async (user) => {
+      const res = await call(entry, user);
+
+      if (entry.allowed.includes(user)) {
+        expect(res.status).toBe(200);
+      } else {
+        const expected = entry.denied?.[user] || (user === 'foreignOps' ? 404 : 403);
+        expect(res.status).toBe(expected);
+        expect(res.body.success).toBe(false);
+      }
+    });
+  });
+
+  it('should reject a ride requested for another tenant', async () => {
+    const res = await call({ key: 'POST /rides', path: '/rides', body: { rider_id: RIDER_ID, tenant_id: OTHER_TENANT } }, 'rider');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should answer 404 for unknown or malformed resource ids', async () => {
+    const unknown = await call({ key: 'GET /rides/:id', path: '/rides/40000000-0000-4000-8000-000000000009' }, 'rider');
+    const malformed = await call({ key: 'GET /trips/:id', path: '/trips/not-a-uuid' }, 'rider');
+
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error.code).toBe('NOT_FOUND');
+    expect(malformed.status).toBe(404);
+  });
+
+  it('should not let a driver open the rider wallet that shares their id', async () => {
+    const res = await call(
+      { key: 'GET /wallets/:ownerType/:ownerId', path: `/wallets/rider/${DRIVER_ID}` },
+      'driver'
+    );
+
+    expect(res.status).toBe(403);
+  });
+});
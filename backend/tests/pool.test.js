@@ -0,0 +1,101 @@
+const {
+  planPoolInsertion,
+  getSeatCapacity,
+} = require('../src/services/poolService');
+const { calculateFare, getPoolShareFactor } = require('../src/services/pricingService');
+
+describe('Pool Service', () => {
+  describe('planPoolInsertion', () => {
+    // Points along a straight line heading north (~1.1km apart)
+    const point = (i, extra = {}) => ({ lat: 12.9 + i * 0.01, lng: 77.6, ...extra });
+
+    it('should plan a direct pickup then dropoff on an empty manifest', () => {
+      const pickup = point(1, { type: 'pickup' });
+      const dropoff = point(3, { type: 'dropoff' });
+
+      const plan = planPoolInsertion(point(0), [], pickup, dropoff);
+
+      expect(plan.stops).toEqual([pickup, dropoff]);
+      expect(plan.detourKm).toBe(0);
+    });
+
+    it('should slot a rider going the same way in without a detour', () => {
+      const manifest = [point(4, { ride_id: 'a', type: 'dropoff' })];
+      const pickup = point(1, { ride_id: 'b', type: 'pickup' });
+      const dropoff = point(2, { ride_id: 'b', type: 'dropoff' });
+
+      const plan = planPoolInsertion(point(0), manifest, pickup, dropoff);
+
+      expect(plan.stops.map(s => `${s.ride_id}:${s.type}`)).toEqual([
+        'b:pickup', 'b:dropoff', 'a:dropoff',
+      ]);
+      expect(plan.detourKm).toBeCloseTo(0, 1);
+    });
+
+    it('should report the detour for a rider going the other way', () => {
+      const manifest = [point(4, { ride_id: 'a', type: 'dropoff' })];
+      const pickup = point(-1, { ride_id: 'b', type: 'pickup' });
+      const dropoff = point(-2, { ride_id: 'b', type: 'dropoff' });
+
+      const plan = planPoolInsertion(point(0), manifest, pickup, dropoff);
+
+      expect(plan.detourKm).toBeGreaterThan(3);
+    });
+
+    it('should keep the existing stops in order', () => {
+      const manifest = [
+        point(2, { ride_id: 'a', type: 'pickup' }),
+        point(5, { ride_id: 'a', type: 'dropoff' }),
+      ];
+      const pickup = point(1, { ride_id: 'b', type: 'pickup' });
+      const dropoff = point(3, { ride_id: 'b', type: 'dropoff' });
+
+      const plan = planPoolInsertion(point(0), manifest, pickup, dropoff);
+      const order = plan.stops.map(s => `${s.ride_id}:${s.type}`);
+
+      expect(order.indexOf('a:pickup')).toBeLessThan(order.indexOf('a:dropoff'));
+      expect(order.indexOf('b:pickup')).toBeLessThan(order.indexOf('b:dropoff'));
+      expect(plan.stops).toHaveLength(4);
+    });
+  });
+
+  describe('getSeatCapacity', () => {
+    it('should use the driver seat capacity when set', () => {
+      expect(getSeatCapacity({ seat_capacity: 2, vehicle_type: 'xl' })).toBe(2);
+    });
+
+    it('should fall back to the vehicle default', () => {
+      expect(getSeatCapacity({ vehicle_type: 'economy' })).toBe(3);
+      expect(getSeatCapacity({ vehicle_type: 'xl' })).toBe(5);
+    });
+  });
+
+  describe('fare splitting', () => {
+    it('should charge a solo pool rider the full distance and time fare', () => {
+      expect(getPoolShareFactor(1)).toBe(1);
+    });
+
+    it('should discount each rider when the car is shared', () => {
+      expect(getPoolShareFactor(2)).toBeCloseTo(0.65);
+      expect(getPoolShareFactor(3)).toBeLessThan(getPoolShareFactor(2));
+    });
+
+    it('should split the distance and time fare but not the base fare', () => {
+      const solo = calculateFare('pool', 10, 20, 1);
+      const shared = calculateFare('pool', 10, 20, 1, { sharedRiders: 2 });
+
+      expect(shared.baseFare).toBe(solo.baseFare);
+      expect(shared.distanceFare).toBeCloseTo(solo.distanceFare * 0.65);
+      expect(shared.timeFare).toBeCloseTo(solo.timeFare * 0.65);
+      expect(shared.sharedRiders).toBe(2);
+      expect(shared.total).toBeLessThan(solo.total);
+    });
+
+    it('should ignore shared riders for other tiers', () => {
+      const fare = calculateFare('economy', 10, 20, 1, { sharedRiders: 3 });
+
+      expect(fare).toEqual(calculateFare('economy', 10, 20, 1));
+      expect(fare.shareFactor).toBe(1);
+    });
+  });
+});
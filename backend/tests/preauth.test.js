@@ -0,0 +1,324 @@
+/**
+ * Tests for card pre-authorization holds
+ */
+
+const mockClient = { query: jest.fn() };
+const mockGateway = {
+  name: 'test',
+  authorize: jest.fn(),
+  incrementAuthorization: jest.fn(),
+  capture: jest.fn(),
+  void: jest.fn(),
+  refund: jest.fn(),
+  status: jest.fn(),
+};
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn().mockResolvedValue({ rowCount: 0, rows: [] }),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/redis', () => ({
+  getRedisClient: jest.fn(() => ({
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    setex: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    multi: jest.fn(() => {
+      const chain = { setex: () => chain, del: () => chain, exec: jest.fn().mockResolvedValue([]) };
+      return chain;
+    }),
+  })),
+  invalidateCache: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  ...jest.requireActual('../src/config/kafka'),
+  publishNotification: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/cacheService', () => ({
+  CACHE_KEYS: {
+    PAYMENT: (tripId) => `payment:${tripId}`,
+    IDEMPOTENCY: (key) => `idempotency:${key}`,
+  },
+  cachePaymentStatus: jest.fn().mockResolvedValue(),
+  getPaymentFromCache: jest.fn().mockResolvedValue(null),
+  invalidateRideCache: jest.fn().mockResolvedValue(),
+  invalidateDriverCurrentRide: jest.fn().mockResolvedValue(),
+  invalidateRiderCurrentRide: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/gateways', () => ({
+  getPaymentGateway: () => mockGateway,
+  GATEWAY_STATUS: jest.requireActual('../src/gateways/gatewayResult').GATEWAY_STATUS,
+}));
+
+const {
+  processPayment,
+  initiateRefund,
+  authorizeRideHold,
+  releaseRideHold,
+} = require('../src/services/paymentService');
+const { PaymentDeclinedError, PaymentGatewayError } = require('../src/utils/errors');
+
+const pspResult = (status, overrides = {}) => ({
+  status,
+  psp_reference: 'psp_hold',
+  error_code: null,
+  error: null,
+  retryable: false,
+  raw: { id: 'psp_hold', status, card: { brand: 'visa', last4: '4242' } },
+  ...overrides,
+});
+
+const hold = {
+  id: 'hold-1',
+  ride_id: 'ride-1',
+  psp_reference: 'psp_hold',
+  card_token: 'tok_visa',
+  amount: '240.00',
+  status: 'held',
+};
+
+/**
+ * Answer the payment transaction's queries for a completed trip with the given fare
+ */
+const mockPaymentQueries = (totalFare, activeHold = hold, balanceDue = '0.00') => {
+  mockClient.query.mockImplementation((sql, params) => {
+    if (sql.includes('SELECT balance_due FROM riders')) {
+      return Promise.resolve({ rowCount: 1, rows: [{ balance_due: balanceDue }] });
+    }
+    if (sql.includes('FROM trips t')) {
+      return Promise.resolve({
+        rowCount: 1,
+        rows: [{
+          id: 'trip-1', status: 'COMPLETED', total_fare: totalFare, base_fare: '50.00', distance_fare: '100.00',
+          time_fare: '30.00', surge_fare: '0.00', ride_id: 'ride-1', rider_id: 'rider-1', driver_id: 'driver-1', tenant_id: 'tenant-1',
+        }],
+      });
+    }
+    if (sql.includes('FROM payment_holds')) {
+      return Promise.resolve({ rowCount: activeHold ? 1 : 0, rows: activeHold ? [activeHold] : [] });
+    }
+    if (sql.includes('UPDATE payments') && sql.includes('RETURNING')) {
+      return Promise.resolve({ rowCount: 1, rows: [{ id: 'payment-1', status: params[0], psp_reference: params[1] }] });
+    }
+    return Promise.resolve({ rowCount: 0, rows: [] });
+  });
+};
+
+const earningsEntry = (kind) => mockClient.query.mock.calls
+  .find(([sql, params]) => sql.includes('INSERT INTO driver_earnings') && (sql.includes(`'${kind}'`) || params[2] === kind));
+
+const holdUpdates = () => mockClient.query.mock.calls
+  .filter(([sql]) => sql.includes('UPDATE payment_holds'))
+  .map(([, params]) => params);
+
+describe('Card Pre-Authorization', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset();
+  });
+
+  describe('authorizeRideHold', () => {
+    it('should hold the estimated fare plus the buffer', async () => {
+      mockGateway.authorize.mockResolvedValue(pspResult('authorized'));
+
+      const result = await authorizeRideHold('ride-1', 199, 'tok_visa');
+
+      expect(result.amount).toBe(239); // 199 * 1.2, rounded up
+      expect(result.psp_reference).toBe('psp_hold');
+      expect(mockGateway.authorize).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 239,
+        reference: 'ride-1',
+        idempotencyKey: 'ride-1:hold',
+      }));
+    });
+
+    it('should reject the ride when the card is declined', async () => {
+      mockGateway.authorize.mockResolvedValue(pspResult('declined', {
+        error_code: 'INSUFFICIENT_FUNDS',
+        error: 'Card declined (insufficient_funds)',
+      }));
+
+      const error = await authorizeRideHold('ride-1', 199, 'tok_insufficient_funds').catch(e => e);
+
+      expect(error).toBeInstanceOf(PaymentDeclinedError);
+      expect(error.statusCode).toBe(402);
+      expect(error.pspCode).toBe('INSUFFICIENT_FUNDS');
+    });
+  });
+
+  describe('releaseRideHold', () => {
+    it('should void the hold when nothing is owed', async () => {
+      mockClient.query.mockResolvedValueOnce({ rowCount: 1, rows: [hold] })
+        .mockResolvedValueOnce({ rowCount: 1, rows: [{ ...hold, status: 'released' }] });
+      mockGateway.void.mockResolvedValue(pspResult('voided'));
+
+      const result = await releaseRideHold('ride-1');
+
+      expect(result.status).toBe('released');
+      expect(mockGateway.capture).not.toHaveBeenCalled();
+    });
+
+    it('should capture a cancellation fee from the hold', async () => {
+      mockClient.query.mockResolvedValueOnce({ rowCount: 1, rows: [hold] })
+        .mockResolvedValueOnce({ rowCount: 1, rows: [{ ...hold, status: 'captured' }] });
+      mockGateway.capture.mockResolvedValue(pspResult('captured'));
+
+      await releaseRideHold('ride-1', { captureAmount: 50 });
+
+      expect(mockGateway.capture).toHaveBeenCalledWith('psp_hold', expect.objectContaining({ amount: 50 }));
+      expect(holdUpdates()[0].slice(0, 2)).toEqual(['captured', 50]);
+    });
+
+    it('should do nothing for rides without an open hold', async () => {
+      mockClient.query.mockResolvedValueOnce({ rowCount: 0, rows: [] });
+
+      expect(await releaseRideHold('ride-1')).toBeNull();
+      expect(mockGateway.void).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processPayment', () => {
+    it('should capture the final fare against the hold', async () => {
+      mockPaymentQueries('212.40');
+      mockGateway.capture.mockResolvedValue(pspResult('captured'));
+
+      const payment = await processPayment('trip-1', 'card', 'key-1');
+
+      expect(payment.status).toBe('completed');
+      expect(mockGateway.authorize).not.toHaveBeenCalled();
+      expect(mockGateway.incrementAuthorization).not.toHaveBeenCalled();
+      expect(mockGateway.capture).toHaveBeenCalledWith('psp_hold', expect.objectContaining({ amount: 212.4 }));
+    });
+
+    it('should raise the hold when the final fare exceeds it', async () => {
+      mockPaymentQueries('275.00');
+      mockGateway.incrementAuthorization.mockResolvedValue(pspResult('authorized'));
+      mockGateway.capture.mockResolvedValue(pspResult('captured'));
+
+      const payment = await processPayment('trip-1', 'card', 'key-1');
+
+      expect(payment.status).toBe('completed');
+      expect(mockGateway.incrementAuthorization).toHaveBeenCalledWith('psp_hold', expect.objectContaining({ amount: 275 }));
+      expect(mockGateway.capture).toHaveBeenCalledWith('psp_hold', expect.objectContaining({ amount: 275 }));
+    });
+
+    it('should charge the card afresh when the increment is declined', async () => {
+      mockPaymentQueries('275.00');
+      mockGateway.incrementAuthorization.mockResolvedValue(pspResult('error', { error_code: 'PSP_INCREMENT_DECLINED' }));
+      mockGateway.void.mockResolvedValue(pspResult('voided'));
+      mockGateway.authorize.mockResolvedValue(pspResult('authorized', { psp_reference: 'psp_new' }));
+      mockGateway.capture.mockResolvedValue(pspResult('captured', { psp_reference: 'psp_new' }));
+
+      const payment = await processPayment('trip-1', 'card', 'key-1');
+
+      expect(payment.status).toBe('completed');
+      expect(payment.psp_reference).toBe('psp_new');
+      expect(mockGateway.void).toHaveBeenCalledWith('psp_hold', expect.anything());
+      expect(mockGateway.authorize).toHaveBeenCalledWith(expect.objectContaining({ amount: 275, cardToken: 'tok_visa' }));
+    });
+
+    it('should capture a tip with the fare and credit it to the driver', async () => {
+      mockPaymentQueries('212.40');
+      mockGateway.capture.mockResolvedValue(pspResult('captured'));
+
+      const payment = await processPayment('trip-1', 'card', 'key-1', { tip: 20 });
+
+      expect(payment.status).toBe('completed');
+      expect(mockGateway.capture).toHaveBeenCalledWith('psp_hold', expect.objectContaining({ amount: 232.4 }));
+      const tipEntry = mockClient.query.mock.calls
+        .find(([sql, params]) => sql.includes('INSERT INTO driver_earnings') && params[2] === 'tip');
+      expect(tipEntry[1]).toEqual(['tenant-1', 'driver-1', 'tip', 'trip-1', 20]);
+    });
+
+    it("should record the driver's share of the fare once the card is captured", async () => {
+      mockPaymentQueries('212.40');
+      mockGateway.capture.mockResolvedValue(pspResult('captured'));
+
+      await processPayment('trip-1', 'card', 'key-1');
+
+      // Fare before taxes 180, less the default 20% commission
+      expect(earningsEntry('trip')[1]).toEqual(['tenant-1', 'driver-1', 'trip-1', 180, 36, 20, 144]);
+    });
+
+    it('should not record trip earnings when the capture fails', async () => {
+      mockPaymentQueries('212.40');
+      mockGateway.capture.mockResolvedValue(pspResult('declined', { error_code: 'CARD_DECLINED' }));
+
+      const payment = await processPayment('trip-1', 'card', 'key-1');
+
+      expect(payment.status).toBe('failed');
+      expect(earningsEntry('trip')).toBeUndefined();
+    });
+
+    it('should collect cancellation fees the rider owes with the fare and clear them', async () => {
+      mockPaymentQueries('212.40', hold, '20.00');
+      mockGateway.capture.mockResolvedValue(pspResult('captured'));
+
+      const payment = await processPayment('trip-1', 'card', 'key-1');
+
+      expect(payment.status).toBe('completed');
+      expect(mockGateway.capture).toHaveBeenCalledWith('psp_hold', expect.objectContaining({ amount: 232.4 }));
+      const [, settleParams] = mockClient.query.mock.calls.find(([sql]) => sql.includes('GREATEST(balance_due - $1, 0)'));
+      expect(settleParams).toEqual([20, 'rider-1']);
+    });
+
+    it('should keep the balance due when the payment fails', async () => {
+      mockPaymentQueries('212.40', hold, '50.00');
+      mockGateway.capture.mockResolvedValue(pspResult('declined', { error_code: 'CARD_DECLINED' }));
+
+      await processPayment('trip-1', 'card', 'key-1');
+
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('GREATEST(balance_due'))).toBe(false);
+    });
+
+    it('should release the hold when the rider pays another way', async () => {
+      mockPaymentQueries('212.40');
+      mockGateway.void.mockResolvedValue(pspResult('voided'));
+
+      const payment = await processPayment('trip-1', 'cash', 'key-1');
+
+      expect(payment.status).toBe('completed');
+      expect(mockGateway.void).toHaveBeenCalledWith('psp_hold', expect.anything());
+      expect(holdUpdates()[0][0]).toBe('released');
+    });
+  });
+
+  describe('initiateRefund', () => {
+    it("should take the driver's earnings on the trip back with the refund", async () => {
+      mockClient.query.mockImplementation((sql) => {
+        if (sql.includes('FOR UPDATE OF p')) {
+          return Promise.resolve({
+            rowCount: 1,
+            rows: [{ id: 'payment-1', trip_id: 'trip-1', ride_id: 'ride-1', status: 'completed', payment_method: 'card', amount: '232.40', psp_reference: 'psp_hold' }],
+          });
+        }
+        if (sql.includes('UPDATE payments')) {
+          return Promise.resolve({ rowCount: 1, rows: [{ id: 'payment-1', trip_id: 'trip-1', status: 'refunded' }] });
+        }
+        return Promise.resolve({ rowCount: 1, rows: [] });
+      });
+      mockGateway.refund.mockResolvedValue(pspResult('refunded', { psp_reference: 'psp_refund' }));
+
+      const refunded = await initiateRefund('payment-1', 'Driver took a longer route');
+
+      expect(refunded.status).toBe('refunded');
+      expect(earningsEntry('refund')[1]).toEqual(['trip-1']);
+    });
+
+    it('should leave earnings alone when the gateway does not confirm the refund', async () => {
+      mockClient.query.mockResolvedValue({
+        rowCount: 1,
+        rows: [{ id: 'payment-1', trip_id: 'trip-1', status: 'completed', payment_method: 'card', amount: '232.40', psp_reference: 'psp_hold' }],
+      });
+      mockGateway.refund.mockResolvedValue(pspResult('error', { error_code: 'PSP_TIMEOUT' }));
+
+      await expect(initiateRefund('payment-1', 'Duplicate charge')).rejects.toThrow(PaymentGatewayError);
+      expect(earningsEntry('refund')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Tests for fare pricing (estimates, ride quotes and final fares)
+ */
+
+jest.mock('../src/services/rateCardService', () => ({
+  ...jest.requireActual('../src/services/rateCardService'),
+  getActiveRateCard: jest.fn(),
+  getRideRateCard: jest.fn(),
+}));
+
+const { getActiveRateCard, getRideRateCard, getDefaultRateCard } = require('../src/services/rateCardService');
+const {
+  calculateFare,
+  quoteFare,
+  finalizeFare,
+  PRICING_CONFIG,
+} = require('../src/services/pricingService');
+
+const card = {
+  id: 'card-3',
+  version: 3,
+  baseFare: 60,
+  perKm: 15,
+  perMin: 2,
+  minimumFare: 120,
+  bookingFee: 10,
+  taxPercent: 18,
+  currency: 'INR',
+};
+
+describe('Pricing Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateFare', () => {
+    it('should calculate fare breakdown correctly', () => {
+      const fare = calculateFare('economy', 10, 30, 1);
+
+      expect(fare.baseFare).toBe(50);
+      expect(fare.distanceFare).toBe(120); // 10 * 12
+      expect(fare.timeFare).toBe(45); // 30 * 1.5
+      expect(fare.surgeFare).toBe(0); // No surge
+      expect(fare.surgeMultiplier).toBe(1);
+      expect(fare.currency).toBe('INR');
+    });
+
+    it('should apply surge correctly', () => {
+      const fare = calculateFare('economy', 10, 30, 1.5);
+
+      const subtotal = 50 + 120 + 45; // 215
+      const surgeFare = subtotal * 0.5; // 107.5
+
+      expect(fare.surgeFare).toBe(surgeFare);
+      expect(fare.surgeMultiplier).toBe(1.5);
+    });
+
+    it('should calculate taxes correctly', () => {
+      const fare = calculateFare('economy', 10, 30, 1);
+
+      // 5% of 215
+      expect(fare.taxes).toBe(10.75);
+    });
+
+    it('should calculate total correctly', () => {
+      const fare = calculateFare('economy', 10, 30, 1);
+
+      expect(fare.total).toBe(225.75); // 215 + 10.75
+    });
+
+    it('should price each tier on its own rates', () => {
+      const distanceOnly = (tier) => {
+        const fare = calculateFare(tier, 10, 0, 1);
+        return fare.baseFare + fare.distanceFare;
+      };
+
+      expect(distanceOnly('economy')).toBe(170); // 50 + 10km * 12
+      expect(distanceOnly('premium')).toBe(280); // 100 + 10km * 18
+      expect(distanceOnly('xl')).toBe(370); // 150 + 10km * 22
+      expect(distanceOnly('unknown')).toBe(170); // Same as economy
+    });
+
+    it('should charge the rate card and stamp its version', () => {
+      const fare = calculateFare('economy', 10, 20, 1, { rateCard: card });
+
+      expect(fare.baseFare).toBe(60);
+      expect(fare.distanceFare).toBe(150);
+      expect(fare.timeFare).toBe(40);
+      expect(fare.minimumFareAdjustment).toBe(0);
+      expect(fare.bookingFee).toBe(10);
+      expect(fare.taxes).toBe(46.8); // 18% of 250 + 10
+      expect(fare.total).toBe(306.8);
+      expect(fare.rateCardId).toBe('card-3');
+      expect(fare.rateCardVersion).toBe(3);
+    });
+
+    it('should top short trips up to the minimum fare before surge', () => {
+      const fare = calculateFare('economy', 1, 2, 2, { rateCard: card });
+
+      // 60 + 15 + 4 = 79 metered
+      expect(fare.minimumFareAdjustment).toBe(41);
+      expect(fare.subtotal).toBe(120);
+      expect(fare.surgeFare).toBe(120);
+    });
+
+    it('should never surge the booking fee', () => {
+      const calm = calculateFare('economy', 10, 20, 1, { rateCard: card });
+      const surged = calculateFare('economy', 10, 20, 2, { rateCard: card });
+
+      expect(surged.bookingFee).toBe(calm.bookingFee);
+      expect(surged.surgeFare).toBe(calm.subtotal);
+    });
+
+    it('should keep the built-in rates without a rate card', () => {
+      const fare = calculateFare('premium', 10, 30, 1);
+
+      expect(fare.baseFare).toBe(100);
+      expect(fare.rateCardId).toBeNull();
+      expect(fare.taxPercent).toBe(5);
+    });
+
+    it('should pass tolls through untaxed', () => {
+      const withoutTolls = calculateFare('economy', 10, 30, 1);
+      const withTolls = calculateFare('economy', 10, 30, 1, { tolls: 40 });
+
+      expect(withTolls.tolls).toBe(40);
+      expect(withTolls.taxes).toBe(withoutTolls.taxes);
+      expect(withTolls.total).toBe(withoutTolls.total + 40);
+    });
+
+    it('should take a promo discount off before tax, and never below zero', () => {
+      const flat = (discountValue) => ({ code: 'FLAT', discountType: 'flat', discountValue, maxDiscount: null });
+      const discounted = calculateFare('economy', 10, 30, 1, { promo: flat(15) });
+      const free = calculateFare('economy', 10, 30, 1, { promo: flat(1000), tolls: 20 });
+
+      expect(discounted.discount).toBe(15);
+      expect(discounted.promoCode).toBe('FLAT');
+      expect(discounted.taxes).toBe(10); // 5% of 200
+      expect(discounted.total).toBe(210);
+      expect(free.discount).toBe(215);
+      expect(free.total).toBe(20); // Only the tolls
+    });
+  });
+
+  describe('quoteFare', () => {
+    beforeEach(() => {
+      getActiveRateCard.mockResolvedValue(card);
+    });
+
+    it('should quote on the tenant rate card with the estimated duration', async () => {
+      const quote = await quoteFare('tenant-1', 'economy', 10, { surgeMultiplier: 1.2 });
+
+      expect(getActiveRateCard).toHaveBeenCalledWith('tenant-1', 'economy');
+      expect(quote.durationMins).toBe(10 * PRICING_CONFIG.minutesPerKm);
+      expect(quote).toMatchObject(calculateFare('economy', 10, 30, 1.2, { rateCard: card }));
+      expect(quote.pricingMode).toBe(PRICING_CONFIG.defaultMode);
+    });
+
+    it('should always meter pool rides', async () => {
+      const quote = await quoteFare('tenant-1', 'pool', 10, { pricingMode: 'upfront' });
+
+      expect(quote.pricingMode).toBe('metered');
+    });
+  });
+
+  describe('finalizeFare', () => {
+    const ride = {
+      tier: 'economy',
+      tenant_id: 'tenant-1',
+      rate_card_id: 'card-3',
+      surge_multiplier: '1.50',
+      estimated_distance_km: '10.00',
+      estimated_duration_mins: 30,
+      pricing_mode: 'upfront',
+    };
+    const quoted = calculateFare('economy', 10, 30, 1.5, { rateCard: card });
+
+    beforeEach(() => {
+      getRideRateCard.mockResolvedValue(card);
+    });
+
+    it('should charge the upfront quote when the route was followed', async () => {
+      const fare = await finalizeFare(ride, { distanceKm: 11, durationMins: 55 });
+
+      expect(getRideRateCard).toHaveBeenCalledWith(ride);
+      expect(fare.total).toBe(quoted.total);
+      expect(fare.upfrontHonored).toBe(true);
+      expect(fare.routeDeviation).toBe(0.1);
+    });
+
+    it('should meter the trip when the route strayed too far', async () => {
+      const fare = await finalizeFare(ride, { distanceKm: 14, durationMins: 45 });
+
+      expect(fare).toMatchObject(calculateFare('economy', 14, 45, 1.5, { rateCard: card }));
+      expect(fare.upfrontHonored).toBe(false);
+      expect(fare.routeDeviation).toBe(0.4);
+    });
+
+    it('should meter metered rides on the actuals', async () => {
+      const fare = await finalizeFare({ ...ride, pricing_mode: 'metered' }, { distanceKm: 9, durationMins: 25 });
+
+      expect(fare.total).toBe(calculateFare('economy', 9, 25, 1.5, { rateCard: card }).total);
+      expect(fare.pricingMode).toBe('metered');
+      expect(fare.upfrontHonored).toBe(false);
+    });
+
+    it('should add tolls on top of the upfront price', async () => {
+      const fare = await finalizeFare(ride, { distanceKm: 10, durationMins: 30, tolls: 35 });
+
+      expect(fare.total).toBe(Math.round((quoted.total + 35) * 100) / 100);
+    });
+
+    it('should fall back to the built-in rates for an unknown card', async () => {
+      getRideRateCard.mockResolvedValue(getDefaultRateCard('economy'));
+
+      const fare = await finalizeFare({ ...ride, pricing_mode: 'metered', surge_multiplier: '1.00' }, {
+        distanceKm: 10,
+        durationMins: 30,
+      });
+
+      expect(fare.total).toBe(225.75);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Tests for promo codes (discount rules, eligibility and redemption)
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+const { query, queryRead } = require('../src/config/database');
+const { authenticate, generateToken } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const adminRoutes = require('../src/routes/admin');
+const {
+  calculatePromoDiscount,
+  previewPromo,
+  resolvePromo,
+  claimRidePromo,
+  recordRedemption,
+} = require('../src/services/promoService');
+const { ValidationError } = require('../src/utils/errors');
+
+const TENANT = '10000000-0000-4000-8000-000000000001';
+const OTHER_TENANT = '10000000-0000-4000-8000-000000000002';
+
+const app = express();
+app.use(express.json());
+app.use('/v1/admin', authenticate, adminRoutes);
+app.use(errorHandler);
+
+const tokenFor = (userType) => generateToken({ userId: 'user-1', userType, tenantId: TENANT });
+
+const HOUR = 60 * 60 * 1000;
+
+const promoRow = (overrides = {}) => ({
+  id: 'promo-1',
+  tenant_id: TENANT,
+  code: 'WELCOME50',
+  discount_type: 'percent',
+  discount_value: '50.00',
+  max_discount: '100.00',
+  tiers: null,
+  first_ride_only: false,
+  max_redemptions: null,
+  max_redemptions_per_rider: 1,
+  redemption_count: 0,
+  starts_at: new Date('2024-01-01'),
+  ends_at: null,
+  active: true,
+  ...overrides,
+});
+
+const rideFor = { tenantId: TENANT, tier: 'economy', riderId: 'rider-1' };
+
+// Answers the promo lookup, then the per-rider and first-ride counts
+const mockLookups = (db, row, { used = 0, completedRides = 0 } = {}) => {
+  db.mockImplementation((sql) => {
+    if (sql.includes('FROM promo_codes')) return Promise.resolve({ rowCount: row ? 1 : 0, rows: row ? [row] : [] });
+    if (sql.includes('FROM promo_redemptions')) return Promise.resolve({ rows: [{ count: String(used) }] });
+    if (sql.includes('FROM rides')) return Promise.resolve({ rows: [{ count: String(completedRides) }] });
+    return Promise.resolve({ rowCount: 1, rows: [] });
+  });
+};
+
+describe('Promo Codes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset();
+    query.mockReset();
+    queryRead.mockReset();
+  });
+
+  describe('calculatePromoDiscount', () => {
+    it('should take a percentage, up to the cap', () => {
+      const promo = { discountType: 'percent', discountValue: 50, maxDiscount: 100 };
+
+      expect(calculatePromoDiscount(promo, 150)).toBe(75);
+      expect(calculatePromoDiscount(promo, 400)).toBe(100);
+    });
+
+    it('should take a flat amount, never more than the fare', () => {
+      const promo = { discountType: 'flat', discountValue: 30, maxDiscount: null };
+
+      expect(calculatePromoDiscount(promo, 200)).toBe(30);
+      expect(calculatePromoDiscount(promo, 20)).toBe(20);
+    });
+  });
+
+  describe('previewPromo', () => {
+    it('should apply a valid code regardless of case', async () => {
+      mockLookups(queryRead, promoRow());
+
+      const result = await previewPromo(' welcome50 ', rideFor);
+
+      expect(queryRead.mock.calls[0][1]).toEqual(['WELCOME50']);
+      expect(result.reason).toBeNull();
+      expect(result.promo).toEqual({
+        id: 'promo-1',
+        code: 'WELCOME50',
+        discountType: 'percent',
+        discountValue: 50,
+        maxDiscount: 100,
+      });
+    });
+
+    it.each([
+      ['unknown', null, {}, 'Unknown promo code'],
+      ['inactive', promoRow({ active: false }), {}, 'no longer active'],
+      ['not started', promoRow({ starts_at: new Date(Date.now() + HOUR) }), {}, 'not active yet'],
+      ['expired', promoRow({ ends_at: new Date(Date.now() - HOUR) }), {}, 'expired'],
+      ['for another tenant', promoRow({ tenant_id: OTHER_TENANT }), {}, 'not valid in your city'],
+      ['for another tier', promoRow({ tiers: ['premium', 'xl'] }), {}, 'only valid for premium, xl'],
+      ['fully redeemed', promoRow({ max_redemptions: 100, redemption_count: 100 }), {}, 'fully redeemed'],
+      ['used by the rider', promoRow(), { used: 1 }, 'already used'],
+      ['past the first ride', promoRow({ first_ride_only: true }), { completedRides: 2 }, 'first ride'],
+    ])('should refuse a code that is %s', async (_, row, counts, reason) => {
+      mockLookups(queryRead, row, counts);
+
+      const result = await previewPromo('WELCOME50', rideFor);
+
+      expect(result.promo).toBeNull();
+      expect(result.reason).toContain(reason);
+    });
+
+    it('should let riders reuse codes without a per-rider limit', async () => {
+      mockLookups(queryRead, promoRow({ max_redemptions_per_rider: null }), { used: 5 });
+
+      const result = await previewPromo('WELCOME50', rideFor);
+
+      expect(result.promo).not.toBeNull();
+    });
+
+    it('should fail ride requests with an unusable code', async () => {
+      mockLookups(queryRead, promoRow({ active: false }));
+
+      await expect(resolvePromo('WELCOME50', rideFor)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('claimRidePromo', () => {
+    const ride = {
+      id: 'ride-1',
+      tenant_id: TENANT,
+      rider_id: 'rider-1',
+      tier: 'economy',
+      promo_code_id: 'promo-1',
+      created_at: new Date(Date.now() - HOUR),
+    };
+
+    it('should lock the promo and judge it as of the ride request', async () => {
+      // Expired after the ride was requested
+      mockLookups(mockClient.query, promoRow({ ends_at: new Date(Date.now() - HOUR / 2) }));
+
+      const promo = await claimRidePromo(mockClient, ride);
+
+      expect(promo.code).toBe('WELCOME50');
+      expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      // The ride's own redemption doesn't count against it
+      const [, params] = mockClient.query.mock.calls.find(([sql]) => sql.includes('FROM promo_redemptions'));
+      expect(params).toEqual(['promo-1', 'rider-1', 'ride-1']);
+    });
+
+    it('should drop a promo used up by the time the trip ends', async () => {
+      mockLookups(mockClient.query, promoRow({ max_redemptions: 10, redemption_count: 10 }));
+
+      await expect(claimRidePromo(mockClient, ride)).resolves.toBeNull();
+    });
+
+    it('should skip rides without a promo', async () => {
+      await expect(claimRidePromo(mockClient, { ...ride, promo_code_id: null })).resolves.toBeNull();
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordRedemption', () => {
+    const args = {
+      promo: { id: 'promo-1' },
+      ride: { id: 'ride-1', rider_id: 'rider-1' },
+      tripId: 'trip-1',
+      discount: 75,
+    };
+
+    it('should record the redemption and count it', async () => {
+      mockClient.query.mockResolvedValueOnce({ rowCount: 1, rows: [{ id: 'redemption-1' }] });
+      mockClient.query.mockResolvedValueOnce({ rowCount: 1, rows: [] });
+
+      await recordRedemption(mockClient, args);
+
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['promo-1', 'rider-1', 'ride-1', 'trip-1', 75]);
+      expect(mockClient.query.mock.calls[1][0]).toContain('redemption_count = redemption_count + 1');
+    });
+
+    it('should not count a ride twice', async () => {
+      mockClient.query.mockResolvedValueOnce({ rowCount: 0, rows: [] });
+
+      await recordRedemption(mockClient, args);
+
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('admin routes', () => {
+    const newPromo = {
+      code: 'monsoon25',
+      discount_type: 'percent',
+      discount_value: 25,
+      max_discount: 80,
+      tiers: ['economy'],
+    };
+
+    it('should let admins create codes but not ops', async () => {
+      query.mockImplementation((sql, params) => Promise.resolve({
+        rowCount: 1,
+        rows: [{ id: 'promo-2', tenant_id: params[0], code: params[1] }],
+      }));
+
+      const ops = await request(app)
+        .post('/v1/admin/promo-codes')
+        .set('Authorization', `Bearer ${tokenFor('ops')}`)
+        .send(newPromo);
+      const admin = await request(app)
+        .post('/v1/admin/promo-codes')
+        .set('Authorization', `Bearer ${tokenFor('admin')}`)
+        .send(newPromo);
+
+      expect(ops.status).toBe(403);
+      expect(admin.status).toBe(201);
+      expect(admin.body.data.code).toBe('MONSOON25');
+      expect(query.mock.calls[0][1][0]).toBe(TENANT);
+    });
+
+    it('should refuse a percentage over 100', async () => {
+      const res = await request(app)
+        .post('/v1/admin/promo-codes')
+        .set('Authorization', `Bearer ${tokenFor('admin')}`)
+        .send({ ...newPromo, discount_value: 150 });
+
+      expect(res.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should list codes for ops', async () => {
+      queryRead.mockResolvedValue({ rows: [promoRow()] });
+
+      const res = await request(app)
+        .get('/v1/admin/promo-codes')
+        .set('Authorization', `Bearer ${tokenFor('ops')}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for per-tenant, versioned rate cards
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/redis', () => ({
+  getRedisClient: jest.fn(),
+  cacheGetOrSet: jest.fn(),
+  invalidateCache: jest.fn().mockResolvedValue(),
+}));
+
+// Always read through to the database
+jest.mock('../src/services/cacheService', () => ({
+  ...jest.requireActual('../src/services/cacheService'),
+  getOrCompute: jest.fn((key, ttl, computeFn) => computeFn()),
+}));
+
+const { query, queryRead } = require('../src/config/database');
+const { invalidateCache } = require('../src/config/redis');
+const { authenticate, generateToken } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const adminRoutes = require('../src/routes/admin');
+const {
+  getActiveRateCard,
+  getRideRateCard,
+  listRateCards,
+  publishRateCard,
+} = require('../src/services/rateCardService');
+const { ValidationError } = require('../src/utils/errors');
+
+const TENANT = '10000000-0000-4000-8000-000000000001';
+
+const app = express();
+app.use(express.json());
+app.use('/v1/admin', authenticate, adminRoutes);
+app.use(errorHandler);
+
+const tokenFor = (userType) => generateToken({ userId: 'user-1', userType, tenantId: TENANT });
+
+const row = (version, effectiveFrom, overrides = {}) => ({
+  id: `card-${version}`,
+  tenant_id: TENANT,
+  tier: 'economy',
+  version,
+  base_fare: '60.00',
+  per_km: '15.00',
+  per_min: '2.00',
+  minimum_fare: '120.00',
+  booking_fee: '10.00',
+  tax_percent: '18.00',
+  currency: 'INR',
+  effective_from: effectiveFrom,
+  ...overrides,
+});
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Rate Cards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset();
+    query.mockReset();
+    queryRead.mockReset();
+  });
+
+  describe('getActiveRateCard', () => {
+    it('should use the newest version already in effect', async () => {
+      queryRead.mockResolvedValue({
+        rows: [
+          row(3, new Date(Date.now() + HOUR)),
+          row(2, new Date(Date.now() - HOUR), { per_km: '16.00' }),
+          row(1, new Date('2024-01-01')),
+        ],
+      });
+
+      const active = await getActiveRateCard(TENANT, 'economy');
+
+      expect(active.version).toBe(2);
+      expect(active.perKm).toBe(16);
+      expect(queryRead.mock.calls[0][1]).toEqual([TENANT, 'economy']);
+    });
+
+    it('should fall back to the built-in rates when the tenant has none', async () => {
+      queryRead.mockResolvedValue({ rows: [] });
+
+      const active = await getActiveRateCard(TENANT, 'xl');
+
+      expect(active).toMatchObject({ id: null, baseFare: 150, perKm: 22 });
+    });
+
+    it('should charge a ride on the version it was quoted on, not the latest', async () => {
+      query.mockResolvedValue({ rowCount: 1, rows: [row(1, new Date('2024-01-01'))] });
+
+      const quoted = await getRideRateCard({ rate_card_id: 'card-1', tenant_id: TENANT, tier: 'economy' });
+
+      expect(quoted.id).toBe('card-1');
+      expect(queryRead).not.toHaveBeenCalled();
+    });
+
+    it('should price unstamped rides on the card in effect when they were requested', async () => {
+      queryRead.mockResolvedValue({
+        rows: [
+          row(2, new Date('2026-06-01')),
+          row(1, new Date('2024-01-01')),
+        ],
+      });
+
+      const requested = await getRideRateCard({
+        rate_card_id: null,
+        tenant_id: TENANT,
+        tier: 'economy',
+        created_at: new Date('2026-01-15'),
+      });
+
+      expect(requested.version).toBe(1);
+    });
+  });
+
+  describe('listRateCards', () => {
+    it('should mark the active, scheduled and superseded versions', async () => {
+      queryRead.mockResolvedValue({
+        rows: [
+          row(3, new Date(Date.now() + HOUR)),
+          row(2, new Date(Date.now() - HOUR)),
+          row(1, new Date('2024-01-01')),
+        ],
+      });
+
+      const cards = await listRateCards(TENANT, { tier: 'economy' });
+
+      expect(cards.map(c => c.status)).toEqual(['scheduled', 'active', 'superseded']);
+      expect(queryRead.mock.calls[0][1]).toEqual([TENANT, 'economy']);
+    });
+  });
+
+  describe('publishRateCard', () => {
+    const newCard = {
+      tier: 'economy',
+      base_fare: 55,
+      per_km: 13,
+      per_min: 1.5,
+      minimum_fare: 90,
+      booking_fee: 5,
+      tax_percent: 5,
+      currency: 'INR',
+    };
+
+    const mockPublish = (nextVersion) => {
+      mockClient.query.mockImplementation((sql, params) => {
+        if (sql.includes('FROM tenants')) return Promise.resolve({ rowCount: 1, rows: [{ id: TENANT }] });
+        if (sql.includes('MAX(version)')) return Promise.resolve({ rowCount: 1, rows: [{ version: String(nextVersion) }] });
+        if (sql.includes('INSERT INTO rate_cards')) {
+          return Promise.resolve({ rowCount: 1, rows: [{ id: 'card-new', tier: params[1], version: params[2] }] });
+        }
+        return Promise.resolve({ rowCount: 0, rows: [] });
+      });
+    };
+
+    it('should publish the next version and drop the cached versions', async () => {
+      mockPublish(4);
+
+      const published = await publishRateCard(TENANT, newCard, 'admin-1');
+
+      expect(published.version).toBe(4);
+      const [sql] = mockClient.query.mock.calls.find(([q]) => q.includes('FROM tenants'));
+      expect(sql).toContain('FOR UPDATE');
+      const [, params] = mockClient.query.mock.calls.find(([q]) => q.includes('INSERT INTO rate_cards'));
+      expect(params[11]).toBe('admin-1');
+      expect(invalidateCache).toHaveBeenCalledWith(`rate_cards:${TENANT}:economy`);
+    });
+
+    it('should refuse to change fares already charged', async () => {
+      await expect(publishRateCard(TENANT, { ...newCard, effective_from: new Date(Date.now() - HOUR) }))
+        .rejects.toThrow(ValidationError);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should let admins publish but not ops', async () => {
+      mockPublish(2);
+
+      const ops = await request(app)
+        .post('/v1/admin/rate-cards')
+        .set('Authorization', `Bearer ${tokenFor('ops')}`)
+        .send(newCard);
+      const admin = await request(app)
+        .post('/v1/admin/rate-cards')
+        .set('Authorization', `Bearer ${tokenFor('admin')}`)
+        .send(newCard);
+
+      expect(ops.status).toBe(403);
+      expect(admin.status).toBe(201);
+      expect(admin.body.data.version).toBe(2);
+    });
+
+    it('should validate the rates', async () => {
+      const res = await request(app)
+        .post('/v1/admin/rate-cards')
+        .set('Authorization', `Bearer ${tokenFor('admin')}`)
+        .send({ ...newCard, per_km: -1 });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
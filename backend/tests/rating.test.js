@@ -0,0 +1,103 @@
+/**
+ * Tests for post-trip ratings
+ */
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  publishRideEvent: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/driverService', () => ({
+  updateDriverRating: jest.fn().mockResolvedValue({ rating: '4.50' }),
+  RATING_WINDOW_SIZE: 100,
+}));
+
+const { query } = require('../src/config/database');
+const { publishRideEvent } = require('../src/config/kafka');
+const { updateDriverRating } = require('../src/services/driverService');
+const { submitRating } = require('../src/services/ratingService');
+
+const completedTrip = {
+  id: 'trip-1',
+  status: 'COMPLETED',
+  ride_id: 'ride-1',
+  tenant_id: 'tenant-1',
+  rider_id: 'rider-1',
+  driver_id: 'driver-1',
+};
+
+describe('Rating Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should record a rider rating and update the driver average', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({ rowCount: 1, rows: [completedTrip] })
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rowCount: 1,
+        rows: [{ id: 'rating-1', rated_by: params[2], rater_id: params[3], ratee_id: params[4], rating: params[5] }],
+      }));
+
+    const result = await submitRating('trip-1', { rated_by: 'rider', rating: 4, tags: ['Friendly'] });
+
+    expect(result.rater_id).toBe('rider-1');
+    expect(result.ratee_id).toBe('driver-1');
+    expect(result.ratee_rating).toBe(4.5);
+    expect(updateDriverRating).toHaveBeenCalledWith('driver-1');
+    expect(publishRideEvent).toHaveBeenCalledWith('ride-1', 'tenant-1', 'TRIP_RATED', expect.objectContaining({
+      rated_by: 'rider',
+      rating: 4,
+    }));
+  });
+
+  it('should update the rider average when the driver rates', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({ rowCount: 1, rows: [completedTrip] })
+      .mockResolvedValueOnce({ rowCount: 1, rows: [{ id: 'rating-2', ratee_id: 'rider-1' }] });
+    query.mockResolvedValueOnce({ rowCount: 1, rows: [{ id: 'rider-1', rating: '3.75' }] });
+
+    const result = await submitRating('trip-1', { rated_by: 'driver', rating: 3 });
+
+    expect(result.ratee_rating).toBe(3.75);
+    expect(query.mock.calls[0][0]).toContain('UPDATE riders');
+    expect(updateDriverRating).not.toHaveBeenCalled();
+  });
+
+  it('should reject a second rating from the same party', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({ rowCount: 1, rows: [completedTrip] })
+      .mockResolvedValueOnce({ rowCount: 0, rows: [] });
+
+    await expect(submitRating('trip-1', { rated_by: 'rider', rating: 5 }))
+      .rejects.toThrow('already been rated by the rider');
+    expect(updateDriverRating).not.toHaveBeenCalled();
+  });
+
+  it('should reject ratings for trips that are not completed', async () => {
+    mockClient.query.mockResolvedValueOnce({
+      rowCount: 1,
+      rows: [{ ...completedTrip, status: 'IN_PROGRESS' }],
+    });
+
+    await expect(submitRating('trip-1', { rated_by: 'rider', rating: 5 }))
+      .rejects.toThrow('Only completed trips can be rated');
+  });
+
+  it('should reject a rating submitted by someone other than the party', async () => {
+    mockClient.query.mockResolvedValueOnce({ rowCount: 1, rows: [completedTrip] });
+
+    await expect(submitRating(
+      'trip-1',
+      { rated_by: 'rider', rating: 5 },
+      { id: 'rider-2', type: 'rider' }
+    )).rejects.toThrow("Only the trip's rider can submit this rating");
+  });
+});
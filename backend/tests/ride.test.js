@@ -1,5 +1,10 @@
-const { calculateDistance, calculateEstimatedFare } = require('../src/services/rideService');
-const { calculateFare } = require('../src/services/tripService');
+const {
+  calculateDistance,
+  calculateRouteDistance,
+  validateScheduledAt,
+  STATUS_TRANSITIONS,
+  SCHEDULING_CONFIG,
+} = require('../src/services/rideService');
 
 describe('Ride Service', () => {
   describe('calculateDistance', () => {
@@ -21,73 +26,60 @@ describe('Ride Service', () => {
       expect(distance).toBe(0);
     });
   });
+});
+
+describe('Multi-stop Rides', () => {
+  describe('calculateRouteDistance', () => {
+    const pickup = { lat: 12.9716, lng: 77.5946 };
+    const stop = { lat: 12.9352, lng: 77.6245 };
+    const dropoff = { lat: 12.9279, lng: 77.6271 };
 
-  describe('calculateEstimatedFare', () => {
-    it('should calculate economy fare correctly', () => {
-      const fare = calculateEstimatedFare(10, 'economy');
-      // base (50) + 10km * 12/km = 50 + 120 = 170
-      expect(fare).toBe(170);
+    it('should match calculateDistance for a single leg', () => {
+      expect(calculateRouteDistance([pickup, dropoff]))
+        .toBeCloseTo(calculateDistance(pickup.lat, pickup.lng, dropoff.lat, dropoff.lng), 1);
     });
 
-    it('should calculate premium fare correctly', () => {
-      const fare = calculateEstimatedFare(10, 'premium');
-      // base (100) + 10km * 18/km = 100 + 180 = 280
-      expect(fare).toBe(280);
+    it('should sum the distance over every leg', () => {
+      const viaStop = calculateRouteDistance([pickup, stop, dropoff]);
+      const legs = calculateDistance(pickup.lat, pickup.lng, stop.lat, stop.lng) +
+        calculateDistance(stop.lat, stop.lng, dropoff.lat, dropoff.lng);
+
+      expect(viaStop).toBeCloseTo(legs, 1);
     });
 
-    it('should calculate xl fare correctly', () => {
-      const fare = calculateEstimatedFare(10, 'xl');
-      // base (150) + 10km * 22/km = 150 + 220 = 370
-      expect(fare).toBe(370);
+    it('should never be shorter than the direct route', () => {
+      expect(calculateRouteDistance([pickup, { lat: 13.0, lng: 77.5 }, dropoff]))
+        .toBeGreaterThan(calculateRouteDistance([pickup, dropoff]));
     });
 
-    it('should default to economy for unknown tier', () => {
-      const fare = calculateEstimatedFare(10, 'unknown');
-      expect(fare).toBe(170); // Same as economy
+    it('should return 0 for a single point', () => {
+      expect(calculateRouteDistance([pickup])).toBe(0);
     });
   });
 });
 
-describe('Trip Service', () => {
-  describe('calculateFare', () => {
-    it('should calculate fare breakdown correctly', () => {
-      const fare = calculateFare('economy', 10, 30, 1);
+describe('Scheduled Rides', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.parse('2025-01-01T10:00:00Z');
 
-      expect(fare.baseFare).toBe(50);
-      expect(fare.distanceFare).toBe(120); // 10 * 12
-      expect(fare.timeFare).toBe(45); // 30 * 1.5
-      expect(fare.surgeFare).toBe(0); // No surge
-      expect(fare.surgeMultiplier).toBe(1);
-      expect(fare.currency).toBe('INR');
+  describe('validateScheduledAt', () => {
+    it('should accept a pickup inside the booking window', () => {
+      const pickup = new Date(now + 2 * HOUR).toISOString();
+      expect(validateScheduledAt(pickup, now).getTime()).toBe(now + 2 * HOUR);
     });
 
-    it('should apply surge correctly', () => {
-      const fare = calculateFare('economy', 10, 30, 1.5);
-
-      const subtotal = 50 + 120 + 45; // 215
-      const surgeFare = subtotal * 0.5; // 107.5
-      
-      expect(fare.surgeFare).toBe(107.5);
-      expect(fare.surgeMultiplier).toBe(1.5);
+    it('should reject a pickup sooner than the minimum lead time', () => {
+      const pickup = new Date(now + 5 * 60 * 1000).toISOString();
+      expect(() => validateScheduledAt(pickup, now)).toThrow('Validation failed');
     });
 
-    it('should calculate taxes correctly', () => {
-      const fare = calculateFare('economy', 10, 30, 1);
-
-      const subtotal = 50 + 120 + 45; // 215
-      const expectedTax = subtotal * 0.05; // 10.75
-      
-      expect(fare.taxes).toBe(10.75);
+    it('should reject a pickup too far in advance', () => {
+      const pickup = new Date(now + (SCHEDULING_CONFIG.maxAdvanceDays + 1) * 24 * HOUR).toISOString();
+      expect(() => validateScheduledAt(pickup, now)).toThrow('Validation failed');
     });
+  });
 
-    it('should calculate total correctly', () => {
-      const fare = calculateFare('economy', 10, 30, 1);
-
-      const subtotal = 50 + 120 + 45; // 215
-      const taxes = subtotal * 0.05; // 10.75
-      const expectedTotal = subtotal + taxes; // 225.75
-      
-      expect(fare.total).toBe(225.75);
-    });
+  it('should only leave SCHEDULED by dispatch or cancellation', () => {
+    expect(STATUS_TRANSITIONS.SCHEDULED).toEqual(['REQUESTED', 'CANCELLED']);
   });
 });
@@ -0,0 +1,121 @@
+/**
+ * Tests for the ride event store and the ride timeline
+ */
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  ...jest.requireActual('../src/config/kafka'),
+  publishRideEvent: jest.fn().mockResolvedValue(),
+  publishNotification: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/cacheService', () => ({
+  cacheGet: jest.fn().mockResolvedValue(null),
+  cacheSet: jest.fn().mockResolvedValue(),
+  invalidateRiderCurrentRide: jest.fn().mockResolvedValue(),
+  CACHE_KEYS: { RIDE: (id) => `ride:${id}` },
+  CACHE_TTL: { RIDE: 60 },
+}));
+
+const { queryRead } = require('../src/config/database');
+const { publishRideEvent } = require('../src/config/kafka');
+const { recordRideEvent, getRideTimeline, actorFromUser } = require('../src/services/rideEventService');
+const { updateRideStatus } = require('../src/services/rideService');
+const { NotFoundError, ConflictError } = require('../src/utils/errors');
+
+const RIDER = { type: 'rider', id: 'rider-1' };
+
+const insertedEvents = () => mockClient.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO ride_events'))
+  .map(([, params]) => params);
+
+describe('Ride Events', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset();
+    queryRead.mockReset();
+  });
+
+  describe('recordRideEvent', () => {
+    it('should append the transition with its actor through the given client', async () => {
+      mockClient.query.mockResolvedValue({ rowCount: 1 });
+
+      await recordRideEvent(mockClient, {
+        rideId: 'ride-1',
+        eventType: 'RIDE_CANCELLED',
+        fromStatus: 'MATCHING',
+        toStatus: 'CANCELLED',
+        actor: RIDER,
+        metadata: { reason: 'Changed my mind' },
+      });
+
+      const [params] = insertedEvents();
+      expect(params.slice(0, 6)).toEqual(['ride-1', 'RIDE_CANCELLED', 'MATCHING', 'CANCELLED', 'rider', 'rider-1']);
+      expect(JSON.parse(params[6])).toEqual({ reason: 'Changed my mind' });
+    });
+
+    it('should attribute changes without a user to the system', async () => {
+      mockClient.query.mockResolvedValue({ rowCount: 1 });
+
+      await recordRideEvent(mockClient, { rideId: 'ride-1', eventType: 'NO_DRIVERS_FOUND' });
+
+      const [params] = insertedEvents();
+      expect(params.slice(2, 7)).toEqual([null, null, 'system', null, '{}']);
+      expect(actorFromUser({ id: 'ops-1', type: 'ops', tenantId: 'tenant-1' })).toEqual({ type: 'ops', id: 'ops-1' });
+    });
+  });
+
+  describe('getRideTimeline', () => {
+    it('should return the ride with its events in order', async () => {
+      const events = [
+        { id: '1', event_type: 'RIDE_CREATED', to_status: 'REQUESTED' },
+        { id: '2', event_type: 'MATCHING_STARTED', from_status: 'REQUESTED', to_status: 'MATCHING' },
+      ];
+      queryRead
+        .mockResolvedValueOnce({ rowCount: 1, rows: [{ id: 'ride-1', status: 'MATCHING', created_at: 'then' }] })
+        .mockResolvedValueOnce({ rowCount: 2, rows: events });
+
+      const timeline = await getRideTimeline('ride-1');
+
+      expect(timeline).toEqual({ ride_id: 'ride-1', status: 'MATCHING', created_at: 'then', events });
+      expect(queryRead.mock.calls[1][0]).toContain('ORDER BY id');
+    });
+
+    it('should throw NotFoundError for an unknown ride', async () => {
+      queryRead.mockResolvedValueOnce({ rowCount: 0, rows: [] });
+
+      await expect(getRideTimeline('ride-404')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('updateRideStatus', () => {
+    beforeEach(() => {
+      queryRead.mockResolvedValue({ rowCount: 1, rows: [{ status: 'MATCHING', version: 3 }] });
+    });
+
+    it('should record the transition in the same transaction as the update', async () => {
+      mockClient.query.mockResolvedValue({ rowCount: 1, rows: [{ id: 'ride-1', tenant_id: 'tenant-1', status: 'CANCELLED', rider_id: 'rider-1' }] });
+
+      await updateRideStatus('ride-1', 'CANCELLED', null, { actor: RIDER });
+
+      expect(mockClient.query.mock.calls[0][0]).toContain('UPDATE rides');
+      expect(insertedEvents()[0].slice(0, 6))
+        .toEqual(['ride-1', 'RIDE_STATUS_CHANGED', 'MATCHING', 'CANCELLED', 'rider', 'rider-1']);
+      expect(publishRideEvent).toHaveBeenCalledWith('ride-1', 'tenant-1', 'RIDE_STATUS_CHANGED', expect.anything());
+    });
+
+    it('should record nothing when the version check fails', async () => {
+      mockClient.query.mockResolvedValue({ rowCount: 0, rows: [] });
+
+      await expect(updateRideStatus('ride-1', 'CANCELLED', 2, { actor: RIDER })).rejects.toThrow(ConflictError);
+      expect(insertedEvents()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the scheduled ride release and reminders
+ */
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  ...jest.requireActual('../src/config/kafka'),
+  publishRideEvent: jest.fn().mockRejectedValue(new Error('Kafka unavailable')),
+  publishNotification: jest.fn().mockRejectedValue(new Error('Kafka unavailable')),
+}));
+
+jest.mock('../src/services/cacheService', () => ({
+  invalidateRideCache: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/matchingService', () => ({
+  findDriversForRide: jest.fn(),
+}));
+
+const { publishRideEvent, publishNotification } = require('../src/config/kafka');
+const { findDriversForRide } = require('../src/services/matchingService');
+const { sendReminders, dispatchDueRides } = require('../src/workers/rideScheduler');
+
+const scheduledRide = (id) => ({
+  id,
+  tenant_id: 'tenant-1',
+  rider_id: `rider-${id}`,
+  scheduled_at: '2025-01-01T10:00:00Z',
+  pickup_address: 'MG Road',
+});
+
+const outboxMessages = () => mockClient.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO outbox'))
+  .map(([, params]) => ({ topic: params[0], key: params[1], value: JSON.parse(params[2]) }));
+
+describe('Ride Scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset().mockImplementation(async (sql) => (
+      sql.includes('UPDATE rides') || sql.includes('WITH released')
+        ? { rowCount: 2, rows: [scheduledRide('ride-1'), scheduledRide('ride-2')] }
+        : { rowCount: 1, rows: [] }
+    ));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('should queue reminders in the transaction that claims them', async () => {
+    const reminded = await sendReminders();
+
+    expect(reminded).toBe(2);
+    expect(outboxMessages().map(m => [m.key, m.value.type])).toEqual([
+      ['rider-ride-1', 'RIDE_REMINDER'],
+      ['rider-ride-2', 'RIDE_REMINDER'],
+    ]);
+    expect(publishNotification).not.toHaveBeenCalled();
+  });
+
+  it('should queue the release events with the release and dispatch every ride', async () => {
+    findDriversForRide
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce({ message: 'Sent offers' });
+
+    const dispatched = await dispatchDueRides();
+
+    expect(dispatched).toBe(2);
+    expect(outboxMessages().map(m => m.value.type || m.value.eventType)).toEqual([
+      'RIDE_STATUS_CHANGED', 'SCHEDULED_RIDE_DISPATCHED',
+      'RIDE_STATUS_CHANGED', 'SCHEDULED_RIDE_DISPATCHED',
+    ]);
+    expect(publishRideEvent).not.toHaveBeenCalled();
+    expect(publishNotification).not.toHaveBeenCalled();
+    expect(findDriversForRide).toHaveBeenCalledWith('ride-1');
+    expect(findDriversForRide).toHaveBeenCalledWith('ride-2');
+  });
+});
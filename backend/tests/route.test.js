@@ -0,0 +1,244 @@
+/**
+ * Tests for trip routes (GPS jitter filtering, distance and polylines)
+ */
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/redis', () => ({
+  invalidateCache: jest.fn().mockResolvedValue(),
+  addDriverLocation: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  ...jest.requireActual('../src/config/kafka'),
+  publishRideEvent: jest.fn().mockResolvedValue(),
+  publishNotification: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/simulationService', () => ({
+  switchToTripPhase: jest.fn().mockResolvedValue(),
+  stopDriverSimulation: jest.fn(),
+}));
+
+jest.mock('../src/services/earningsService', () => ({
+  estimateTripEarning: jest.fn().mockResolvedValue({ grossFare: 125, commission: 25, amount: 100, commissionPercent: 20 }),
+}));
+
+jest.mock('../src/services/rateCardService', () => ({
+  ...jest.requireActual('../src/services/rateCardService'),
+  getRideRateCard: jest.fn((ride) => Promise.resolve(
+    jest.requireActual('../src/services/rateCardService').getDefaultRateCard(ride.tier)
+  )),
+}));
+
+const { query } = require('../src/config/database');
+const { endTrip } = require('../src/services/tripService');
+const {
+  filterJitter,
+  measureDistanceKm,
+  encodePolyline,
+  decodePolyline,
+  buildRoute,
+  getTripRoute,
+  ROUTE_CONFIG,
+} = require('../src/services/routeService');
+
+const SECOND = 1000;
+const start = Date.parse('2025-01-01T10:00:00Z');
+
+// Heading north from Bangalore; 0.001 degrees of latitude is about 111m
+const fix = (index, overrides = {}) => ({
+  lat: 12.9716 + index * 0.001,
+  lng: 77.5946,
+  accuracy: 10,
+  recordedAt: start + index * 10 * SECOND,
+  ...overrides,
+});
+
+const row = ({ lat, lng, accuracy, recordedAt }) => ({
+  latitude: String(lat),
+  longitude: String(lng),
+  accuracy: accuracy === null ? null : String(accuracy),
+  recorded_at: new Date(recordedAt),
+});
+
+describe('Trip Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockReset();
+    mockClient.query.mockReset();
+  });
+
+  describe('encodePolyline', () => {
+    // Google's reference example
+    const points = [{ lat: 38.5, lng: -120.2 }, { lat: 40.7, lng: -120.95 }, { lat: 43.252, lng: -126.453 }];
+    const encoded = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+    it('should encode the reference example', () => {
+      expect(encodePolyline(points)).toBe(encoded);
+    });
+
+    it('should decode what it encodes', () => {
+      expect(decodePolyline(encoded)).toEqual(points.map(({ lat, lng }) => [lat, lng]));
+    });
+  });
+
+  describe('filterJitter', () => {
+    it('should keep a clean trace', () => {
+      const trace = [fix(0), fix(1), fix(2)];
+
+      expect(filterJitter(trace)).toEqual(trace);
+    });
+
+    it('should drop inaccurate fixes', () => {
+      const trace = [fix(0), fix(1, { accuracy: ROUTE_CONFIG.maxAccuracyM + 1 }), fix(2)];
+
+      expect(filterJitter(trace)).toEqual([trace[0], trace[2]]);
+    });
+
+    it('should drop jumps no car could make', () => {
+      // 1km sideways in 10 seconds
+      const trace = [fix(0), fix(1, { lng: 77.6046 }), fix(2)];
+
+      expect(filterJitter(trace)).toEqual([trace[0], trace[2]]);
+    });
+
+    it('should not count wander while standing still', () => {
+      const parked = [0, 1, 2, 3].map(i => fix(0, { lat: 12.9716 + (i % 2) * 0.00005, recordedAt: start + i * SECOND }));
+
+      expect(filterJitter(parked)).toHaveLength(1);
+    });
+
+    it('should trust fixes without an accuracy', () => {
+      const trace = [fix(0, { accuracy: null }), fix(1, { accuracy: null })];
+
+      expect(filterJitter(trace)).toHaveLength(2);
+    });
+  });
+
+  describe('measureDistanceKm', () => {
+    it('should add up short steps without rounding each one away', () => {
+      const trace = Array.from({ length: 11 }, (_, i) => fix(i / 10));
+
+      // Ten steps of 11m; rounded to 0.01km one by one they'd come to 0.1
+      expect(measureDistanceKm(trace)).toBe(0.11);
+      expect(measureDistanceKm([fix(0), fix(10)])).toBe(1.11);
+    });
+  });
+
+  describe('buildRoute', () => {
+    it('should rebuild the driver trace over the window', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [fix(0), fix(5, { accuracy: 500 }), fix(10)].map(row) }) };
+
+      const route = await buildRoute(client, 'driver-1', new Date(start));
+
+      expect(client.query.mock.calls[0][1]).toEqual(['driver-1', new Date(start), null]);
+      expect(route.rawPoints).toBe(3);
+      expect(route.points).toHaveLength(2);
+      expect(route.distanceKm).toBe(1.11);
+      expect(decodePolyline(route.polyline)).toEqual([[12.9716, 77.5946], [12.9816, 77.5946]]);
+    });
+  });
+
+  describe('getTripRoute', () => {
+    const trip = {
+      id: 'trip-1',
+      ride_id: 'ride-1',
+      driver_id: 'driver-1',
+      started_at: new Date(start),
+      ended_at: null,
+      actual_distance_km: null,
+      distance_source: null,
+      route_polyline: null,
+    };
+
+    it('should return the stored route of a finished trip', async () => {
+      query.mockResolvedValueOnce({
+        rowCount: 1,
+        rows: [{ ...trip, status: 'COMPLETED', route_polyline: '_p~iF~ps|U', actual_distance_km: '4.20', distance_source: 'gps' }],
+      });
+
+      const route = await getTripRoute('trip-1');
+
+      expect(route).toMatchObject({ distance_km: 4.2, distance_source: 'gps', points: [[38.5, -120.2]] });
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should trace a running trip so far', async () => {
+      query
+        .mockResolvedValueOnce({ rowCount: 1, rows: [{ ...trip, status: 'IN_PROGRESS' }] })
+        .mockResolvedValueOnce({ rows: [fix(0), fix(1)].map(row) });
+
+      const route = await getTripRoute('trip-1');
+
+      expect(route.points).toEqual([[12.9716, 77.5946], [12.9726, 77.5946]]);
+      expect(route.distance_km).toBe(0.11);
+    });
+
+    it('should 404 an unknown trip', async () => {
+      query.mockResolvedValueOnce({ rowCount: 0, rows: [] });
+
+      await expect(getTripRoute('trip-9')).rejects.toThrow('Trip not found');
+    });
+  });
+
+  describe('endTrip', () => {
+    const mockTrip = (locations) => {
+      mockClient.query.mockImplementation((sql) => {
+        if (sql.includes('FROM trips')) {
+          return Promise.resolve({
+            rowCount: 1,
+            rows: [{ id: 'trip-1', ride_id: 'ride-1', status: 'IN_PROGRESS', started_at: new Date(start), waiting_mins: '0' }],
+          });
+        }
+        if (sql.includes('FROM rides WHERE id')) {
+          return Promise.resolve({
+            rowCount: 1,
+            rows: [{
+              id: 'ride-1', rider_id: 'rider-1', driver_id: 'driver-1', tier: 'economy', status: 'IN_PROGRESS',
+              estimated_distance_km: '3.00', surge_multiplier: '1.00', pricing_mode: 'metered', promo_code_id: null,
+            }],
+          });
+        }
+        if (sql.includes('FROM driver_locations') && sql.includes('recorded_at >=')) {
+          return Promise.resolve({ rows: locations.map(row) });
+        }
+        if (sql.includes('COUNT(*)')) return Promise.resolve({ rowCount: 1, rows: [{ count: '0' }] });
+        if (sql.includes('UPDATE drivers')) return Promise.resolve({ rowCount: 1, rows: [{ id: 'driver-1', vehicle_type: 'economy' }] });
+        return Promise.resolve({ rowCount: 1, rows: [] });
+      });
+    };
+
+    const tripUpdateParams = () => mockClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE trips SET'))[1];
+
+    it('should charge the GPS distance over what the client reports', async () => {
+      mockTrip([fix(0), fix(10), fix(20)]);
+
+      const result = await endTrip('trip-1', { actual_distance_km: 9, route_polyline: 'client' });
+
+      expect(result.distance_km).toBe(2.22);
+      expect(result.distance_source).toBe('gps');
+      const params = tripUpdateParams();
+      expect(params[0]).toBe(2.22);
+      expect(decodePolyline(params[2])).toHaveLength(3);
+      expect(params[17]).toBe('gps');
+    });
+
+    it('should fall back to the client, then the quote, without a trace', async () => {
+      mockTrip([fix(0)]);
+      const reported = await endTrip('trip-1', { actual_distance_km: 9, route_polyline: 'client' });
+      expect(reported).toMatchObject({ distance_km: 9, distance_source: 'client' });
+      expect(tripUpdateParams()[2]).toBe('client');
+
+      mockClient.query.mockClear();
+      const estimated = await endTrip('trip-1');
+      expect(estimated).toMatchObject({ distance_km: 3, distance_source: 'estimate' });
+    });
+  });
+});
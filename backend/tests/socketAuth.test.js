@@ -0,0 +1,114 @@
+/**
+ * Tests for Socket.io handshake authentication and ride room authorization
+ */
+
+jest.mock('../src/config/database', () => ({
+  queryRead: jest.fn(),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  createConsumer: jest.fn(),
+  publishLocationUpdate: jest.fn(),
+  TOPICS: {},
+}));
+
+jest.mock('../src/config/redis', () => ({
+  addDriverLocation: jest.fn(),
+  getRedisClient: jest.fn(),
+}));
+
+const { queryRead } = require('../src/config/database');
+const { generateToken, authenticateSocket } = require('../src/middleware/auth');
+const { canAccessRide, canBroadcastToRide } = require('../src/services/notificationService');
+
+const handshake = (overrides = {}) => ({ handshake: { auth: {}, headers: {}, ...overrides } });
+
+describe('Socket Authentication', () => {
+  describe('authenticateSocket', () => {
+    it('should take the identity from the token, not the client', () => {
+      const token = generateToken({ userId: 'driver-1', userType: 'driver', tenantId: 'tenant-1' });
+      const socket = handshake({ auth: { token, userId: 'someone-else' } });
+      const next = jest.fn();
+
+      authenticateSocket(socket, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.user).toEqual({ id: 'driver-1', type: 'driver', tenantId: 'tenant-1' });
+    });
+
+    it('should accept a bearer token in the Authorization header', () => {
+      const token = generateToken({ userId: 'rider-1', userType: 'rider', tenantId: 'tenant-1' });
+      const socket = handshake({ headers: { authorization: `Bearer ${token}` } });
+      const next = jest.fn();
+
+      authenticateSocket(socket, next);
+
+      expect(socket.user.id).toBe('rider-1');
+    });
+
+    it('should reject handshakes without a valid token', () => {
+      const missing = jest.fn();
+      const forged = jest.fn();
+      const [header, data] = generateToken({ userId: 'rider-1', userType: 'rider' }).split('.');
+
+      authenticateSocket(handshake(), missing);
+      authenticateSocket(handshake({ auth: { token: `${header}.${data}.forged` } }), forged);
+
+      expect(missing.mock.calls[0][0].message).toBe('No token provided');
+      expect(forged.mock.calls[0][0].message).toBe('Invalid token signature');
+      expect(forged.mock.calls[0][0].data).toEqual({ code: 'UNAUTHORIZED' });
+    });
+  });
+
+  describe('canAccessRide', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      queryRead.mockResolvedValue({ rowCount: 1, rows: [{ tenant_id: 'tenant-1', rider_id: 'rider-1', driver_id: 'driver-1' }] });
+    });
+
+    it('should let the ride\'s rider and assigned driver watch it', async () => {
+      expect(await canAccessRide({ id: 'rider-1', type: 'rider' }, 'ride-1')).toBe(true);
+      expect(await canAccessRide({ id: 'driver-1', type: 'driver' }, 'ride-1')).toBe(true);
+    });
+
+    it('should keep other riders and drivers out', async () => {
+      expect(await canAccessRide({ id: 'rider-2', type: 'rider' }, 'ride-1')).toBe(false);
+      expect(await canAccessRide({ id: 'driver-2', type: 'driver' }, 'ride-1')).toBe(false);
+      // A rider id that happens to match the driver column doesn't count
+      expect(await canAccessRide({ id: 'driver-1', type: 'rider' }, 'ride-1')).toBe(false);
+    });
+
+    it('should let ops watch rides in their own tenant only', async () => {
+      expect(await canAccessRide({ id: 'ops-1', type: 'ops', tenantId: 'tenant-1' }, 'ride-1')).toBe(true);
+      expect(await canAccessRide({ id: 'admin-2', type: 'admin', tenantId: 'tenant-2' }, 'ride-1')).toBe(false);
+      expect(await canAccessRide({ id: 'ops-3', type: 'ops' }, 'ride-1')).toBe(false);
+    });
+
+    it('should deny unknown rides', async () => {
+      queryRead.mockResolvedValue({ rowCount: 0, rows: [] });
+
+      expect(await canAccessRide({ id: 'rider-1', type: 'rider' }, 'ride-404')).toBe(false);
+    });
+  });
+
+  describe('canBroadcastToRide', () => {
+    const socket = { user: { id: 'driver-1', type: 'driver', tenantId: 'tenant-1' } };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('should check the assignment on every update', async () => {
+      queryRead
+        .mockResolvedValueOnce({ rowCount: 1, rows: [{}] })
+        .mockResolvedValueOnce({ rowCount: 0, rows: [] });
+
+      expect(await canBroadcastToRide(socket, 'ride-1')).toBe(true);
+      // Reassigned or cancelled in between
+      expect(await canBroadcastToRide(socket, 'ride-1')).toBe(false);
+
+      expect(queryRead).toHaveBeenCalledTimes(2);
+      expect(queryRead.mock.calls[1][1].slice(0, 2)).toEqual(['ride-1', 'driver-1']);
+    });
+  });
+});
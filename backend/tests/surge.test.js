@@ -0,0 +1,75 @@
+const {
+  encodeGeohash,
+  decodeGeohashBounds,
+  computeRawMultiplier,
+  smoothMultiplier,
+  capMultiplier,
+  SURGE_CONFIG,
+} = require('../src/services/surgeService');
+
+describe('Surge Service', () => {
+  describe('encodeGeohash', () => {
+    it('should encode a known coordinate', () => {
+      expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    });
+
+    it('should bucket nearby points into the same cell', () => {
+      // Two points ~200m apart on MG Road, Bangalore
+      expect(encodeGeohash(12.9716, 77.5946, 5)).toBe(encodeGeohash(12.9730, 77.5960, 5));
+    });
+
+    it('should decode a cell into bounds containing the original point', () => {
+      const bounds = decodeGeohashBounds(encodeGeohash(12.9716, 77.5946, 5));
+
+      expect(bounds.minLat).toBeLessThanOrEqual(12.9716);
+      expect(bounds.maxLat).toBeGreaterThanOrEqual(12.9716);
+      expect(bounds.minLng).toBeLessThanOrEqual(77.5946);
+      expect(bounds.maxLng).toBeGreaterThanOrEqual(77.5946);
+    });
+  });
+
+  describe('computeRawMultiplier', () => {
+    it('should return base multiplier when there is no demand', () => {
+      expect(computeRawMultiplier(0, 10)).toBe(SURGE_CONFIG.baseMultiplier);
+    });
+
+    it('should not surge while supply covers demand', () => {
+      expect(computeRawMultiplier(5, 5)).toBe(SURGE_CONFIG.baseMultiplier);
+    });
+
+    it('should surge when demand exceeds supply', () => {
+      // ratio 3 -> 1.0 + (3 - 1) * 0.5 = 2.0
+      expect(computeRawMultiplier(6, 2)).toBe(2.0);
+    });
+
+    it('should treat zero supply as a single driver', () => {
+      expect(computeRawMultiplier(2, 0)).toBe(1.5);
+    });
+  });
+
+  describe('smoothMultiplier', () => {
+    it('should use the raw value when there is no history', () => {
+      expect(smoothMultiplier(null, 2.0)).toBe(2.0);
+    });
+
+    it('should move partially towards the raw value', () => {
+      // 1.0 + 0.3 * (2.0 - 1.0) = 1.3
+      expect(smoothMultiplier(1.0, 2.0)).toBeCloseTo(1.3);
+    });
+  });
+
+  describe('capMultiplier', () => {
+    it('should cap at the configured maximum', () => {
+      expect(capMultiplier(10)).toBe(SURGE_CONFIG.maxMultiplier);
+    });
+
+    it('should never go below the base multiplier', () => {
+      expect(capMultiplier(0.5)).toBe(SURGE_CONFIG.baseMultiplier);
+    });
+
+    it('should round to the quoting step', () => {
+      expect(capMultiplier(1.34)).toBe(1.3);
+      expect(capMultiplier(1.36)).toBe(1.4);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests for waiting time at pickup (tracking, charges and the live timer)
+ */
+
+const mockClient = { query: jest.fn() };
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn((callback) => callback(mockClient)),
+}));
+
+jest.mock('../src/config/redis', () => ({
+  invalidateCache: jest.fn().mockResolvedValue(),
+  addDriverLocation: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  ...jest.requireActual('../src/config/kafka'),
+  publishRideEvent: jest.fn().mockResolvedValue(),
+  publishNotification: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/simulationService', () => ({
+  switchToTripPhase: jest.fn().mockResolvedValue(),
+  stopDriverSimulation: jest.fn(),
+}));
+
+jest.mock('../src/services/earningsService', () => ({
+  estimateTripEarning: jest.fn().mockResolvedValue({ grossFare: 125, commission: 25, amount: 100, commissionPercent: 20 }),
+}));
+
+jest.mock('../src/services/rateCardService', () => ({
+  ...jest.requireActual('../src/services/rateCardService'),
+  getRideRateCard: jest.fn((ride) => Promise.resolve(
+    jest.requireActual('../src/services/rateCardService').getDefaultRateCard(ride.tier)
+  )),
+}));
+
+jest.mock('../src/workers/leaderElection', () => ({
+  createLeaderElection: () => ({
+    ensureLeadership: jest.fn().mockResolvedValue(true),
+    releaseLeadership: jest.fn().mockResolvedValue(),
+  }),
+}));
+
+const { query } = require('../src/config/database');
+const { publishNotification } = require('../src/config/kafka');
+const { calculateWaitingFare, getWaitingRates, PRICING_CONFIG } = require('../src/services/pricingService');
+const {
+  startTrip,
+  endTrip,
+  updateRideStatusForTrip,
+  getWaitingStatus,
+} = require('../src/services/tripService');
+const { pushWaitingTimers } = require('../src/workers/waitingTimerWorker');
+
+const MIN = 60 * 1000;
+const now = Date.parse('2025-01-01T10:00:00Z');
+
+const ride = (overrides = {}) => ({
+  id: 'ride-1',
+  tenant_id: 'tenant-1',
+  rider_id: 'rider-1',
+  driver_id: 'driver-1',
+  tier: 'economy',
+  status: 'DRIVER_ARRIVED',
+  arrived_at: new Date(now - 7 * MIN),
+  estimated_distance_km: '10.00',
+  estimated_duration_mins: 30,
+  surge_multiplier: '1.00',
+  pricing_mode: 'metered',
+  promo_code_id: null,
+  ...overrides,
+});
+
+describe('Waiting Time', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockReset();
+    query.mockReset();
+  });
+
+  describe('calculateWaitingFare', () => {
+    it('should be free within the tier window', () => {
+      expect(calculateWaitingFare('economy', PRICING_CONFIG.freeWaitingMins.economy)).toBe(0);
+      expect(calculateWaitingFare('premium', 4.9)).toBe(0);
+    });
+
+    it('should charge every started minute past the window', () => {
+      // 3 free minutes, then 2/min: 4.5 minutes charges 2 started minutes
+      expect(calculateWaitingFare('economy', 4.5)).toBe(4);
+      expect(calculateWaitingFare('xl', 7)).toBe(8);
+    });
+
+    it('should use economy rates for an unknown tier', () => {
+      expect(getWaitingRates('unknown')).toEqual(getWaitingRates('economy'));
+    });
+  });
+
+  describe('getWaitingStatus', () => {
+    it('should describe the timer and the charge so far', () => {
+      const status = getWaitingStatus(ride(), now);
+
+      expect(status).toEqual({
+        ride_id: 'ride-1',
+        arrived_at: new Date(now - 7 * MIN).toISOString(),
+        waited_secs: 420,
+        free_mins: 3,
+        per_min: 2,
+        charging: true,
+        waiting_fare: 8,
+      });
+    });
+
+    it('should not be charging inside the free window', () => {
+      const status = getWaitingStatus(ride({ arrived_at: new Date(now - MIN) }), now);
+
+      expect(status.charging).toBe(false);
+      expect(status.waiting_fare).toBe(0);
+    });
+  });
+
+  describe('updateRideStatusForTrip', () => {
+    it('should stamp the arrival once and start both timers', async () => {
+      mockClient.query.mockResolvedValue({ rowCount: 1, rows: [ride({ arrived_at: new Date() })] });
+
+      await updateRideStatusForTrip('ride-1', 'DRIVER_ARRIVED');
+
+      expect(mockClient.query.mock.calls[1][0]).toContain("status <> 'DRIVER_ARRIVED' THEN NOW() ELSE arrived_at");
+      expect(publishNotification).toHaveBeenCalledWith('rider-1', 'RIDE_WAITING', expect.objectContaining({ ride_id: 'ride-1' }));
+      expect(publishNotification).toHaveBeenCalledWith('driver-1', 'RIDE_WAITING', expect.objectContaining({ ride_id: 'ride-1' }));
+    });
+
+    it('should not start timers while the driver is on the way', async () => {
+      mockClient.query.mockResolvedValue({ rowCount: 1, rows: [ride({ status: 'DRIVER_EN_ROUTE', arrived_at: null })] });
+
+      await updateRideStatusForTrip('ride-1', 'DRIVER_EN_ROUTE');
+
+      expect(publishNotification).not.toHaveBeenCalledWith(expect.anything(), 'RIDE_WAITING', expect.anything());
+    });
+  });
+
+  describe('startTrip', () => {
+    it('should record how long the driver waited', async () => {
+      const startedAt = new Date(now);
+      mockClient.query.mockImplementation((sql) => {
+        if (sql.includes('FOR UPDATE')) return Promise.resolve({ rowCount: 1, rows: [ride()] });
+        if (sql.includes("SET status = 'IN_PROGRESS'")) {
+          return Promise.resolve({ rowCount: 1, rows: [{ started_at: startedAt }] });
+        }
+        return Promise.resolve({ rowCount: 1, rows: [] });
+      });
+
+      const result = await startTrip('ride-1');
+
+      expect(result.waiting_mins).toBe(7);
+      const [, params] = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO trips'));
+      expect(params.slice(1)).toEqual(['ride-1', startedAt, 7]);
+      const outboxed = mockClient.query.mock.calls
+        .filter(([sql]) => sql.includes('INSERT INTO outbox'))
+        .map(([, [topic, key, payload]]) => ({ topic, key, ...JSON.parse(payload) }));
+      expect(outboxed).toContainEqual(expect.objectContaining({
+        topic: 'notifications',
+        key: 'rider-1',
+        type: 'TRIP_STARTED',
+        payload: expect.objectContaining({ waiting_mins: 7, waiting_fare: 8 }),
+      }));
+      expect(publishNotification).not.toHaveBeenCalledWith('rider-1', 'TRIP_STARTED', expect.anything());
+    });
+  });
+
+  describe('endTrip', () => {
+    it('should add the waiting charge to the fare', async () => {
+      mockClient.query.mockImplementation((sql) => {
+        if (sql.includes('FROM trips')) {
+          return Promise.resolve({
+            rowCount: 1,
+            rows: [{ id: 'trip-1', ride_id: 'ride-1', status: 'IN_PROGRESS', started_at: new Date(), waiting_mins: '7.00' }],
+          });
+        }
+        if (sql.includes('FROM rides WHERE id')) return Promise.resolve({ rowCount: 1, rows: [ride({ status: 'IN_PROGRESS' })] });
+        if (sql.includes('COUNT(*)')) return Promise.resolve({ rowCount: 1, rows: [{ count: '0' }] });
+        if (sql.includes('UPDATE drivers')) return Promise.resolve({ rowCount: 1, rows: [{ id: 'driver-1', vehicle_type: 'economy' }] });
+        return Promise.resolve({ rowCount: 1, rows: [] });
+      });
+
+      const result = await endTrip('trip-1', { actual_distance_km: 10, actual_duration_mins: 30 });
+
+      expect(result.fare.waitingFare).toBe(8);
+      // 215 metered + 8 waiting, plus 5% tax
+      expect(result.fare.total).toBe(234.15);
+      const [, params] = mockClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE trips SET'));
+      expect(params[12]).toBe(8);
+    });
+  });
+
+  describe('waiting timer worker', () => {
+    it('should push the timer of every waiting ride', async () => {
+      query.mockResolvedValue({ rows: [ride(), ride({ id: 'ride-2', rider_id: 'rider-2', driver_id: 'driver-2' })] });
+
+      const pushed = await pushWaitingTimers(now);
+
+      expect(pushed).toBe(2);
+      expect(publishNotification).toHaveBeenCalledTimes(4);
+      expect(publishNotification).toHaveBeenCalledWith('rider-2', 'RIDE_WAITING', expect.objectContaining({
+        ride_id: 'ride-2',
+        waited_secs: 420,
+      }));
+    });
+  });
+});
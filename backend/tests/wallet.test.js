@@ -0,0 +1,257 @@
+/**
+ * Tests for the double-entry wallet ledger
+ */
+
+const mockGateway = {
+  name: 'test',
+  authorize: jest.fn(),
+  capture: jest.fn(),
+  void: jest.fn(),
+  refund: jest.fn(),
+  status: jest.fn(),
+};
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  queryRead: jest.fn(),
+  executeTransaction: jest.fn(),
+}));
+
+jest.mock('../src/config/redis', () => ({
+  getRedisClient: jest.fn(() => null),
+  invalidateCache: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/config/kafka', () => ({
+  ...jest.requireActual('../src/config/kafka'),
+  publishNotification: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/services/cacheService', () => ({}));
+
+jest.mock('../src/gateways', () => ({
+  getPaymentGateway: () => mockGateway,
+  GATEWAY_STATUS: jest.requireActual('../src/gateways/gatewayResult').GATEWAY_STATUS,
+}));
+
+const { executeTransaction } = require('../src/config/database');
+const { publishNotification } = require('../src/config/kafka');
+const { transfer, debitCancellationFee, SYSTEM_ACCOUNTS } = require('../src/services/walletService');
+const { topUpWallet } = require('../src/services/paymentService');
+const { InsufficientFundsError, PaymentDeclinedError, PaymentGatewayError } = require('../src/utils/errors');
+
+/**
+ * In-memory stand-in for a transaction client holding a few wallets
+ */
+const createClient = (balances) => {
+  const wallets = new Map(Object.entries(balances).map(([key, balance], index) => {
+    const [owner_type, owner_id] = key.split(':');
+    return [key, { id: `wallet-${index}`, owner_type, owner_id, balance: String(balance) }];
+  }));
+
+  const client = {
+    locked: [],
+    writes: [],
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FOR UPDATE')) {
+        const key = `${params[0]}:${params[1]}`;
+        client.locked.push(key);
+        return { rowCount: 1, rows: [wallets.get(key)] };
+      }
+      if (sql.includes('INSERT INTO wallets')) {
+        return { rowCount: 0, rows: [] };
+      }
+      if (sql.includes('SELECT tenant_id')) {
+        return { rowCount: 1, rows: [{ tenant_id: 'tenant-1' }] };
+      }
+      if (sql.includes('UPDATE wallets')) {
+        [...wallets.values()].find(wallet => wallet.id === params[1]).balance = String(params[0]);
+      }
+      client.writes.push({ sql, params });
+      return { rowCount: 1, rows: [] };
+    }),
+  };
+
+  client.balance = (key) => parseFloat(wallets.get(key).balance);
+
+  return client;
+};
+
+const pspResult = (status, overrides = {}) => ({
+  status,
+  psp_reference: 'psp_topup',
+  error_code: null,
+  error: null,
+  next_action: null,
+  retryable: false,
+  raw: { id: 'psp_topup', status, card: { brand: 'visa', last4: '4242' } },
+  ...overrides,
+});
+
+const rider = { type: 'rider', id: 'rider-1' };
+const platform = { type: SYSTEM_ACCOUNTS.PLATFORM, id: 'tenant-1' };
+const funding = { type: SYSTEM_ACCOUNTS.FUNDING, id: 'tenant-1' };
+
+describe('Wallet Service', () => {
+  describe('transfer', () => {
+    it('should write a balanced debit and credit under one journal', async () => {
+      const client = createClient({ 'rider:rider-1': 500, 'platform:tenant-1': 0 });
+
+      const result = await transfer(client, {
+        tenantId: 'tenant-1', from: rider, to: platform, amount: 156.45, kind: 'trip_payment',
+      });
+
+      expect(result.from.balance).toBe(343.55);
+      expect(result.to.balance).toBe(156.45);
+
+      const entries = client.writes
+        .filter(w => w.sql.includes('INSERT INTO wallet_transactions'))
+        .map(w => ({ journal: w.params[0], type: w.params[2], amount: w.params[3] }));
+
+      expect(entries).toEqual([
+        { journal: result.journal_id, type: 'debit', amount: 156.45 },
+        { journal: result.journal_id, type: 'credit', amount: 156.45 },
+      ]);
+    });
+
+    it('should refuse to overdraw a rider wallet without writing anything', async () => {
+      const client = createClient({ 'rider:rider-1': 100, 'platform:tenant-1': 0 });
+
+      await expect(transfer(client, {
+        tenantId: 'tenant-1', from: rider, to: platform, amount: 150, kind: 'trip_payment',
+      })).rejects.toBeInstanceOf(InsufficientFundsError);
+
+      expect(client.writes).toHaveLength(0);
+    });
+
+    it('should let the funding account go negative for top-ups', async () => {
+      const client = createClient({ 'funding:tenant-1': 0, 'rider:rider-1': 0 });
+
+      const result = await transfer(client, {
+        tenantId: 'tenant-1', from: funding, to: rider, amount: 200, kind: 'topup',
+      });
+
+      expect(result.from.balance).toBe(-200);
+      expect(result.to.balance).toBe(200);
+    });
+
+    it('should lock wallets in the same order regardless of direction', async () => {
+      const payment = createClient({ 'rider:rider-1': 500, 'platform:tenant-1': 500 });
+      const refund = createClient({ 'rider:rider-1': 500, 'platform:tenant-1': 500 });
+
+      await transfer(payment, { tenantId: 'tenant-1', from: rider, to: platform, amount: 10, kind: 'trip_payment' });
+      await transfer(refund, { tenantId: 'tenant-1', from: platform, to: rider, amount: 10, kind: 'refund' });
+
+      expect(payment.locked).toEqual(refund.locked);
+    });
+  });
+
+  describe('debitCancellationFee', () => {
+    const ride = { id: 'ride-1', tenant_id: 'tenant-1', rider_id: 'rider-1' };
+
+    it('should take the whole fee when the wallet covers it', async () => {
+      const client = createClient({ 'rider:rider-1': 500, 'platform:tenant-1': 0 });
+
+      expect(await debitCancellationFee(client, ride, 50)).toBe(50);
+      expect(client.balance('rider:rider-1')).toBe(450);
+      expect(client.balance('platform:tenant-1')).toBe(50);
+    });
+
+    it('should take what the wallet holds when it falls short', async () => {
+      const client = createClient({ 'rider:rider-1': 30, 'platform:tenant-1': 0 });
+
+      expect(await debitCancellationFee(client, ride, 50)).toBe(30);
+      expect(client.balance('rider:rider-1')).toBe(0);
+      const kinds = client.writes
+        .filter(w => w.sql.includes('INSERT INTO wallet_transactions'))
+        .map(w => [w.params[3], w.params[5], w.params[6]]);
+      expect(kinds).toEqual([[30, 'cancellation_fee', 'ride-1'], [30, 'cancellation_fee', 'ride-1']]);
+    });
+
+    it('should take nothing from an empty wallet', async () => {
+      const client = createClient({ 'rider:rider-1': 0, 'platform:tenant-1': 0 });
+
+      expect(await debitCancellationFee(client, ride, 50)).toBe(0);
+      expect(client.writes).toHaveLength(0);
+    });
+  });
+
+  describe('topUpWallet', () => {
+    let client;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      client = createClient({ 'funding:tenant-1': 0, 'rider:rider-1': 100 });
+      executeTransaction.mockImplementation((callback) => callback(client));
+      mockGateway.authorize.mockResolvedValue(pspResult('authorized'));
+      mockGateway.capture.mockResolvedValue(pspResult('captured'));
+      mockGateway.void.mockResolvedValue(pspResult('voided'));
+      mockGateway.refund.mockResolvedValue(pspResult('refunded'));
+    });
+
+    it('should charge the card and credit the wallet with the capture reference', async () => {
+      const wallet = await topUpWallet('rider', 'rider-1', 250, 'key-1', { cardToken: 'tok_visa' });
+
+      expect(mockGateway.authorize).toHaveBeenCalledWith(expect.objectContaining({ amount: 250, cardToken: 'tok_visa' }));
+      expect(mockGateway.capture).toHaveBeenCalledWith('psp_topup', expect.objectContaining({ amount: 250 }));
+      expect(wallet.balance).toBe(350);
+      expect(client.balance('funding:tenant-1')).toBe(-250);
+
+      const references = client.writes
+        .filter(w => w.sql.includes('INSERT INTO wallet_transactions'))
+        .map(w => w.params[6]);
+      expect(references).toEqual(['psp_topup', 'psp_topup']);
+    });
+
+    it('should queue the owner\'s notification with the credit and never refund a committed credit', async () => {
+      publishNotification.mockRejectedValue(new Error('Kafka unavailable'));
+
+      const wallet = await topUpWallet('rider', 'rider-1', 250, 'key-1');
+
+      expect(wallet.balance).toBe(350);
+      const [notification] = client.writes.filter(w => w.sql.includes('INSERT INTO outbox'));
+      expect(notification.params[1]).toBe('rider-1');
+      expect(JSON.parse(notification.params[2])).toMatchObject({ type: 'WALLET_UPDATED', payload: { balance: 350 } });
+      expect(publishNotification).not.toHaveBeenCalled();
+      expect(mockGateway.refund).not.toHaveBeenCalled();
+    });
+
+    it('should leave the balance unchanged when the card is declined', async () => {
+      mockGateway.authorize.mockResolvedValue(pspResult('declined', {
+        error_code: 'INSUFFICIENT_FUNDS',
+        error: 'Card declined (insufficient_funds)',
+      }));
+
+      await expect(topUpWallet('rider', 'rider-1', 250, 'key-1')).rejects.toBeInstanceOf(PaymentDeclinedError);
+
+      expect(mockGateway.capture).not.toHaveBeenCalled();
+      expect(client.balance('rider:rider-1')).toBe(100);
+      expect(client.writes).toHaveLength(0);
+      expect(client.writes.filter(w => w.sql.includes('INSERT INTO outbox'))).toHaveLength(0);
+    });
+
+    it('should void the hold and credit nothing when the capture fails', async () => {
+      mockGateway.capture.mockResolvedValue(pspResult('error', {
+        psp_reference: null,
+        error_code: 'PSP_INTERNAL_ERROR',
+        error: 'Internal error',
+      }));
+
+      await expect(topUpWallet('rider', 'rider-1', 250, 'key-1')).rejects.toBeInstanceOf(PaymentGatewayError);
+
+      expect(mockGateway.void).toHaveBeenCalledWith('psp_topup', expect.anything());
+      expect(client.balance('rider:rider-1')).toBe(100);
+      expect(client.writes).toHaveLength(0);
+    });
+
+    it('should refund the charge when the credit cannot be written', async () => {
+      executeTransaction.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(topUpWallet('rider', 'rider-1', 250, 'key-1')).rejects.toThrow('connection lost');
+
+      expect(mockGateway.refund).toHaveBeenCalledWith('psp_topup', {
+        idempotencyKey: 'topup:rider:rider-1:key-1:refund',
+      });
+    });
+  });
+});
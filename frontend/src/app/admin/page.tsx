@@ -0,0 +1,438 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { useRouter } from 'next/navigation'
+import dynamic from 'next/dynamic'
+import { api } from '@/lib/api'
+import { getStoredAuth, logout, sessionTypeOf, User } from '@/lib/auth'
+import {
+  Shield, LogOut, User as UserIcon, RefreshCw, AlertCircle, ChevronLeft, ChevronRight,
+  Ban, UserCheck, XCircle, Car
+} from 'lucide-react'
+
+const MapView = dynamic(() => import('@/components/Map'), { ssr: false })
+
+// Bangalore coordinates for demo
+const BANGALORE_CENTER: [number, number] = [12.9716, 77.5946]
+
+// How often the live map is refreshed
+const LIVE_MAP_POLL_MS = 5000
+
+const PAGE_SIZE = 25
+
+type Tab = 'rides' | 'drivers' | 'trips' | 'payments'
+
+interface LiveMap {
+  drivers: Array<{
+    id: string
+    name: string
+    vehicle_number: string
+    status: string
+    latitude: number
+    longitude: number
+  }>
+  rides: Array<{
+    id: string
+    status: string
+    pickup_lat: number
+    pickup_lng: number
+  }>
+  ride_counts: Record<string, number>
+}
+
+type Row = Record<string, any>
+
+const STATUS_FILTERS: Record<Tab, string[]> = {
+  rides: ['MATCHING', 'DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE', 'DRIVER_ARRIVED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'NO_DRIVERS_FOUND', 'SCHEDULED'],
+  drivers: ['online', 'offline', 'busy'],
+  trips: ['STARTED', 'IN_PROGRESS', 'COMPLETED', 'DISPUTED'],
+  payments: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+}
+
+const COLUMNS: Record<Tab, Array<{ key: string; label: string }>> = {
+  rides: [
+    { key: 'id', label: 'Ride' },
+    { key: 'status', label: 'Status' },
+    { key: 'tier', label: 'Tier' },
+    { key: 'rider_name', label: 'Rider' },
+    { key: 'driver_name', label: 'Driver' },
+    { key: 'estimated_fare', label: 'Fare' },
+    { key: 'created_at', label: 'Created' },
+  ],
+  drivers: [
+    { key: 'name', label: 'Name' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'vehicle_number', label: 'Vehicle' },
+    { key: 'vehicle_type', label: 'Type' },
+    { key: 'status', label: 'Status' },
+    { key: 'rating', label: 'Rating' },
+    { key: 'suspension_reason', label: 'Suspended for' },
+  ],
+  trips: [
+    { key: 'id', label: 'Trip' },
+    { key: 'ride_id', label: 'Ride' },
+    { key: 'status', label: 'Status' },
+    { key: 'actual_distance_km', label: 'Km' },
+    { key: 'total_fare', label: 'Fare' },
+    { key: 'created_at', label: 'Started' },
+  ],
+  payments: [
+    { key: 'id', label: 'Payment' },
+    { key: 'trip_id', label: 'Trip' },
+    { key: 'amount', label: 'Amount' },
+    { key: 'payment_method', label: 'Method' },
+    { key: 'status', label: 'Status' },
+    { key: 'created_at', label: 'Created' },
+  ],
+}
+
+// Rides operations can still hand to another driver (before pickup)
+const ASSIGNABLE_STATUSES = ['MATCHING', 'DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE', 'DRIVER_ARRIVED']
+const CANCELLABLE_STATUSES = ['SCHEDULED', 'REQUESTED', 'MATCHING', 'DRIVER_ASSIGNED', 'DRIVER_EN_ROUTE', 'DRIVER_ARRIVED']
+
+const formatCell = (key: string, value: unknown) => {
+  if (value === null || value === undefined || value === '') return '-'
+  if (key === 'id' || key.endsWith('_id')) return String(value).slice(0, 8)
+  if (key.endsWith('_at')) return new Date(String(value)).toLocaleString()
+  return String(value)
+}
+
+export default function AdminPage() {
+  const router = useRouter()
+  const [user, setUser] = useState<User | null>(null)
+  const [liveMap, setLiveMap] = useState<LiveMap | null>(null)
+  const [tab, setTab] = useState<Tab>('rides')
+  const [status, setStatus] = useState('')
+  const [search, setSearch] = useState('')
+  const [offset, setOffset] = useState(0)
+  const [rows, setRows] = useState<Row[]>([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [notice, setNotice] = useState<string | null>(null)
+
+  // Check authentication
+  useEffect(() => {
+    const auth = getStoredAuth('admin')
+    if (!auth.isAuthenticated || !auth.user || sessionTypeOf(auth.user) !== 'admin') {
+      router.push('/login?type=admin')
+      return
+    }
+    setUser(auth.user)
+  }, [router])
+
+  // Poll the live map
+  useEffect(() => {
+    if (!user) return
+
+    const fetchLiveMap = async () => {
+      const response = await api.getAdminLiveMap()
+      if (response.success && response.data) {
+        setLiveMap(response.data as LiveMap)
+      }
+    }
+
+    fetchLiveMap()
+    const interval = setInterval(fetchLiveMap, LIVE_MAP_POLL_MS)
+    return () => clearInterval(interval)
+  }, [user])
+
+  const fetchRows = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    const filters = { status: status || undefined, limit: PAGE_SIZE, offset }
+    const fetchers = {
+      rides: () => api.getAdminRides(filters),
+      drivers: () => api.getAdminDrivers({ ...filters, search: search || undefined }),
+      trips: () => api.getAdminTrips(filters),
+      payments: () => api.getAdminPayments(filters),
+    }
+
+    const response = await fetchers[tab]()
+    if (response.success) {
+      setRows((response.data as Row[]) || [])
+      setTotal(response.meta?.total || 0)
+    } else {
+      setError(response.error?.message || 'Failed to load')
+    }
+    setLoading(false)
+  }, [tab, status, search, offset])
+
+  useEffect(() => {
+    if (user) fetchRows()
+  }, [user, fetchRows])
+
+  const switchTab = (next: Tab) => {
+    setTab(next)
+    setStatus('')
+    setSearch('')
+    setOffset(0)
+  }
+
+  // Run an intervention, then refresh the listing
+  const intervene = async (action: () => Promise<{ success: boolean; message?: string; error?: { message: string } }>) => {
+    setError(null)
+    setNotice(null)
+    const response = await action()
+    if (response.success) {
+      setNotice(response.message || 'Done')
+      fetchRows()
+    } else {
+      setError(response.error?.message || 'Action failed')
+    }
+  }
+
+  const handleCancelRide = (rideId: string) => {
+    const reason = window.prompt('Reason for cancelling this ride')
+    if (reason) intervene(() => api.adminCancelRide(rideId, reason))
+  }
+
+  const handleAssignRide = (rideId: string) => {
+    const driverId = window.prompt('Driver ID to assign')
+    if (driverId) intervene(() => api.adminAssignRide(rideId, driverId.trim()))
+  }
+
+  const handleSuspendDriver = (driverId: string) => {
+    const reason = window.prompt('Reason for suspending this driver')
+    if (reason) intervene(() => api.suspendDriver(driverId, reason))
+  }
+
+  const handleReinstateDriver = (driverId: string) => {
+    intervene(() => api.reinstateDriver(driverId))
+  }
+
+  // Logout
+  const handleLogout = async () => {
+    await logout('admin')
+    router.push('/login?type=admin')
+  }
+
+  // Online drivers and pickups of open rides
+  const markers: Array<{
+    id: string
+    position: [number, number]
+    type: 'pickup' | 'dropoff' | 'stop' | 'driver' | 'rider'
+    label: string
+  }> = []
+
+  liveMap?.drivers.forEach(driver => {
+    markers.push({
+      id: `driver-${driver.id}`,
+      position: [driver.latitude, driver.longitude],
+      type: 'driver',
+      label: `${driver.name} (${driver.vehicle_number}) - ${driver.status}`,
+    })
+  })
+  liveMap?.rides.forEach(ride => {
+    markers.push({
+      id: `ride-${ride.id}`,
+      position: [parseFloat(String(ride.pickup_lat)), parseFloat(String(ride.pickup_lng))],
+      type: 'pickup',
+      label: `Ride ${ride.id.slice(0, 8)} - ${ride.status}`,
+    })
+  })
+
+  if (!user) {
+    return null
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-100">
+      {/* Header */}
+      <header className="bg-gradient-to-r from-blue-900 via-indigo-800 to-purple-900 shadow-lg">
+        <div className="max-w-7xl mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <div className="w-8 h-8 bg-white rounded-lg flex items-center justify-center">
+              <span className="text-blue-600 font-bold">G</span>
+            </div>
+            <h1 className="text-xl font-bold text-white">GoComet Operations</h1>
+          </div>
+          <div className="flex items-center gap-4">
+            <div className="flex items-center gap-2 text-sm text-blue-100">
+              <Shield className="w-4 h-4" />
+              <span className="capitalize">{user.type}</span>
+            </div>
+            <div className="flex items-center gap-2 text-sm text-blue-100">
+              <UserIcon className="w-4 h-4" />
+              <span>{user.name || user.phone}</span>
+            </div>
+            <button
+              onClick={handleLogout}
+              className="p-2 text-blue-200 hover:text-white hover:bg-white/10 rounded-lg transition-all"
+              title="Logout"
+            >
+              <LogOut className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        <div className="grid lg:grid-cols-3 gap-6">
+          {/* Live Map */}
+          <div className="lg:col-span-2">
+            <div className="card p-4 h-[420px]">
+              <MapView center={BANGALORE_CENTER} markers={markers} zoom={12} />
+            </div>
+          </div>
+
+          {/* Open Rides */}
+          <div className="card p-4">
+            <h2 className="font-semibold text-slate-800 mb-3 flex items-center gap-2">
+              <Car className="w-5 h-5 text-primary-600" />
+              Live
+            </h2>
+            <div className="flex items-center justify-between py-2 border-b border-slate-100">
+              <span className="text-slate-600">Online drivers</span>
+              <span className="font-semibold text-slate-800">{liveMap?.drivers.length ?? '-'}</span>
+            </div>
+            {STATUS_FILTERS.rides.slice(0, 5).map(rideStatus => (
+              <div key={rideStatus} className="flex items-center justify-between py-2 border-b border-slate-100 last:border-0">
+                <span className="text-slate-600 text-sm">{rideStatus.replace(/_/g, ' ')}</span>
+                <span className="font-semibold text-slate-800">{liveMap?.ride_counts[rideStatus] ?? 0}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Listings */}
+        <div className="card p-4">
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            {(Object.keys(COLUMNS) as Tab[]).map(name => (
+              <button
+                key={name}
+                onClick={() => switchTab(name)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium capitalize transition-all ${
+                  tab === name ? 'bg-primary-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+                }`}
+              >
+                {name}
+              </button>
+            ))}
+            <div className="flex-1" />
+            <select
+              value={status}
+              onChange={(e) => { setStatus(e.target.value); setOffset(0) }}
+              className="input w-auto text-sm"
+            >
+              <option value="">All statuses</option>
+              {STATUS_FILTERS[tab].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+            {tab === 'drivers' && (
+              <input
+                value={search}
+                onChange={(e) => { setSearch(e.target.value); setOffset(0) }}
+                placeholder="Name, phone or vehicle"
+                className="input w-56 text-sm"
+              />
+            )}
+            <button
+              onClick={fetchRows}
+              className="p-2 text-slate-500 hover:text-slate-800 hover:bg-slate-100 rounded-lg"
+              title="Refresh"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg flex items-center gap-2 text-sm">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+          {notice && (
+            <div className="mb-4 p-3 bg-green-50 text-green-700 rounded-lg text-sm">{notice}</div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 border-b border-slate-200">
+                  {COLUMNS[tab].map(column => (
+                    <th key={column.key} className="py-2 pr-4 font-medium">{column.label}</th>
+                  ))}
+                  {(tab === 'rides' || tab === 'drivers') && <th className="py-2 font-medium">Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.id} className="border-b border-slate-100 last:border-0">
+                    {COLUMNS[tab].map(column => (
+                      <td key={column.key} className="py-2 pr-4 text-slate-700" title={String(row[column.key] ?? '')}>
+                        {formatCell(column.key, row[column.key])}
+                      </td>
+                    ))}
+                    {tab === 'rides' && (
+                      <td className="py-2 flex gap-2">
+                        {ASSIGNABLE_STATUSES.includes(row.status) && (
+                          <button onClick={() => handleAssignRide(row.id)} className="text-primary-600 hover:underline">
+                            {row.driver_id ? 'Reassign' : 'Assign'}
+                          </button>
+                        )}
+                        {CANCELLABLE_STATUSES.includes(row.status) && (
+                          <button onClick={() => handleCancelRide(row.id)} className="text-red-600 hover:underline flex items-center gap-1">
+                            <XCircle className="w-4 h-4" />
+                            Cancel
+                          </button>
+                        )}
+                      </td>
+                    )}
+                    {tab === 'drivers' && (
+                      <td className="py-2">
+                        {row.suspended_at ? (
+                          <button onClick={() => handleReinstateDriver(row.id)} className="text-green-600 hover:underline flex items-center gap-1">
+                            <UserCheck className="w-4 h-4" />
+                            Reinstate
+                          </button>
+                        ) : (
+                          <button onClick={() => handleSuspendDriver(row.id)} className="text-red-600 hover:underline flex items-center gap-1">
+                            <Ban className="w-4 h-4" />
+                            Suspend
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+                {rows.length === 0 && !loading && (
+                  <tr>
+                    <td colSpan={COLUMNS[tab].length + 1} className="py-8 text-center text-slate-500">
+                      Nothing to show
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="flex items-center justify-between mt-4 text-sm text-slate-600">
+            <span>
+              {total === 0 ? 0 : offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                disabled={offset === 0}
+                className="p-2 rounded-lg hover:bg-slate-100 disabled:opacity-40"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+                disabled={offset + PAGE_SIZE >= total}
+                className="p-2 rounded-lg hover:bg-slate-100 disabled:opacity-40"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  )
+}
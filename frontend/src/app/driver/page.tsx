@@ -1,27 +1,34 @@
 'use client'
 
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
 import { useRouter } from 'next/navigation'
 import dynamic from 'next/dynamic'
 import { api } from '@/lib/api'
 import { getStoredAuth, logout, User } from '@/lib/auth'
-import { registerUser, subscribeToRide, onEvent, sendDriverLocation, sendDriverLocationUpdate, getSocket } from '@/lib/socket'
+import { registerUser, subscribeToRide, onEvent, sendDriverLocation, sendDriverLocationUpdate, getSocket, WaitingStatus } from '@/lib/socket'
 import { 
   MapPin, Navigation, Car, Clock, IndianRupee, Check, X, 
-  Power, PowerOff, Play, Square, AlertCircle, LogOut, User as UserIcon 
+  Power, PowerOff, Play, Square, AlertCircle, LogOut, User as UserIcon, Users, Map as MapIcon, BarChart3
 } from 'lucide-react'
+import RatingInput, { RatingValue, EMPTY_RATING } from '@/components/RatingInput'
+import EarningsPanel, { EarningsSummary } from '@/components/EarningsPanel'
+import WaitingTimer from '@/components/WaitingTimer'
 
 const MapView = dynamic(() => import('@/components/Map'), { ssr: false })
 
 // Bangalore coordinates for demo
 const BANGALORE_CENTER: [number, number] = [12.9716, 77.5946]
 
+// How often the trip's route is redrawn while it runs
+const ROUTE_REFRESH_MS = 10000
+
 interface RideOffer {
   offer_id: string
   ride_id: string
   expires_at: string
   pickup?: { lat: number; lng: number }
   dropoff?: { lat: number; lng: number }
+  rider_rating?: number
 }
 
 interface CurrentRide {
@@ -38,6 +45,17 @@ interface CurrentRide {
   trip_id?: string
 }
 
+interface PoolStop {
+  id: string
+  ride_id: string
+  type: 'pickup' | 'dropoff'
+  sequence: number
+  ride_status: string
+  seats: number
+  rider_name?: string
+  trip_id?: string
+}
+
 export default function DriverPage() {
   const router = useRouter()
   const [user, setUser] = useState<User | null>(null)
@@ -51,35 +69,32 @@ export default function DriverPage() {
   const [earnings, setEarnings] = useState(0)
   const [waitingForPayment, setWaitingForPayment] = useState(false)
   const [lastTripEarnings, setLastTripEarnings] = useState(0)
+  const [waiting, setWaiting] = useState<WaitingStatus | null>(null)
+  const [driverPath, setDriverPath] = useState<Array<[number, number]> | undefined>(undefined)
+  const [manifest, setManifest] = useState<PoolStop[]>([])
+  const [ratingPrompt, setRatingPrompt] = useState<{ tripId: string; riderName?: string } | null>(null)
+  const [riderRating, setRiderRating] = useState<RatingValue>(EMPTY_RATING)
+  const [minRiderRating, setMinRiderRating] = useState<number | null>(null)
+  const [view, setView] = useState<'map' | 'earnings'>('map')
+  const [earningsVersion, setEarningsVersion] = useState(0)
   const locationIntervalRef = useRef<NodeJS.Timeout | null>(null)
   const offerTimeoutRef = useRef<NodeJS.Timeout | null>(null)
 
-  // Load earnings from localStorage on mount
-  useEffect(() => {
-    const today = new Date().toDateString()
-    const stored = localStorage.getItem('driver_earnings')
-    if (stored) {
-      try {
-        const data = JSON.parse(stored)
-        if (data.date === today) {
-          setEarnings(data.amount || 0)
-        } else {
-          // New day, reset earnings
-          localStorage.setItem('driver_earnings', JSON.stringify({ date: today, amount: 0 }))
-        }
-      } catch {
-        localStorage.setItem('driver_earnings', JSON.stringify({ date: today, amount: 0 }))
-      }
+  // Today's earnings come from the driver's earnings ledger
+  const refreshEarnings = useCallback(async () => {
+    if (!user) return
+    const startOfDay = new Date()
+    startOfDay.setHours(0, 0, 0, 0)
+    const response = await api.getDriverEarnings(user.id, { from: startOfDay.toISOString() })
+    if (response.success && response.data) {
+      setEarnings((response.data as { totals: EarningsSummary }).totals.earnings)
     }
-  }, [])
+    setEarningsVersion(version => version + 1)
+  }, [user])
 
-  // Save earnings to localStorage when it changes
   useEffect(() => {
-    if (earnings > 0) {
-      const today = new Date().toDateString()
-      localStorage.setItem('driver_earnings', JSON.stringify({ date: today, amount: earnings }))
-    }
-  }, [earnings])
+    refreshEarnings().catch(err => console.error('Failed to load earnings:', err))
+  }, [refreshEarnings])
 
   // Check authentication
   useEffect(() => {
@@ -96,6 +111,7 @@ export default function DriverPage() {
     if (!user) return
     
     let unsubRideOffer: (() => void) | null = null
+    let unsubOfferExpired: (() => void) | null = null
     
     const init = async () => {
       try {
@@ -117,6 +133,11 @@ export default function DriverPage() {
             setRideOffer(null)
           }, 15000)
         })
+
+        // Server is the source of truth for expiry - drop the offer as soon as it says so
+        unsubOfferExpired = onEvent('ride:offer_expired', (data) => {
+          setRideOffer(prev => (prev && prev.offer_id === data.offer_id ? null : prev))
+        })
         
         // Try to get current ride if any
         const response = await api.getDriverCurrentRide(user.id)
@@ -139,7 +160,7 @@ export default function DriverPage() {
             // If ride is completed but payment not received, show waiting state
             if (ride.status === 'COMPLETED') {
               setWaitingForPayment(true)
-              setLastTripEarnings(Number(ride.total_fare || 0) * 0.8)
+              setLastTripEarnings(Number(ride.driver_earnings || 0))
             }
           }
         } else {
@@ -156,16 +177,32 @@ export default function DriverPage() {
     
     return () => {
       if (unsubRideOffer) unsubRideOffer()
+      if (unsubOfferExpired) unsubOfferExpired()
       if (offerTimeoutRef.current) {
         clearTimeout(offerTimeoutRef.current)
       }
     }
   }, [user])
 
+  // Load the driver's rider rating filter
+  useEffect(() => {
+    if (!user) return
+
+    api.getDriver(user.id).then(response => {
+      const driver = response.success ? response.data as any : null
+      if (driver?.min_rider_rating) {
+        setMinRiderRating(parseFloat(driver.min_rider_rating))
+      }
+    }).catch(err => console.error('Failed to load driver profile:', err))
+  }, [user])
+
+  // A driver on an in-progress pool trip can still pick up riders going the same way
+  const canTakePoolRiders = currentRide?.tier === 'pool' && currentRide.status === 'IN_PROGRESS'
+
   // Poll for pending offers (runs when online and no current ride/offer)
   useEffect(() => {
-    // Poll when: user exists, is online, no current ride, no current offer
-    if (!user || !isOnline || currentRide || rideOffer) return
+    // Poll when: user exists, is online, no current ride (unless pooling), no current offer
+    if (!user || !isOnline || (currentRide && !canTakePoolRiders) || rideOffer) return
 
     const pollOffers = async () => {
       try {
@@ -179,6 +216,7 @@ export default function DriverPage() {
             expires_at: offer.expires_at,
             pickup: { lat: parseFloat(offer.pickup_lat), lng: parseFloat(offer.pickup_lng) },
             dropoff: { lat: parseFloat(offer.dropoff_lat), lng: parseFloat(offer.dropoff_lng) },
+            rider_rating: offer.rider_rating ? parseFloat(offer.rider_rating) : undefined,
           })
         }
       } catch (err) {
@@ -195,7 +233,31 @@ export default function DriverPage() {
       clearInterval(interval)
       console.log('🛑 Stopped offer polling')
     }
-  }, [user, isOnline, currentRide, rideOffer])
+  }, [user, isOnline, currentRide, canTakePoolRiders, rideOffer])
+
+  // Keep the pool manifest (ordered pickups and dropoffs) fresh while on a pool ride
+  const fetchManifest = async () => {
+    if (!user) return
+    try {
+      const response = await api.getDriverManifest(user.id)
+      if (response.success && Array.isArray(response.data)) {
+        setManifest(response.data as PoolStop[])
+      }
+    } catch (err) {
+      console.error('Failed to fetch manifest:', err)
+    }
+  }
+
+  useEffect(() => {
+    if (!user || currentRide?.tier !== 'pool') {
+      setManifest([])
+      return
+    }
+
+    fetchManifest()
+    const interval = setInterval(fetchManifest, 5000)
+    return () => clearInterval(interval)
+  }, [user, currentRide?.id, currentRide?.tier, currentRide?.status])
 
   // Subscribe to ride events when we have a current ride
   useEffect(() => {
@@ -203,30 +265,76 @@ export default function DriverPage() {
 
     subscribeToRide(currentRide.id)
 
+    const unsubCancelled = onEvent('ride:cancelled', (data) => {
+      if (data.ride_id !== currentRide.id) return
+      setCurrentRide(null)
+      setError(data.message || 'This ride was cancelled')
+    })
+
+    const unsubWaiting = onEvent('ride:waiting', (data) => {
+      if (data.ride_id === currentRide.id) setWaiting(data)
+    })
+
     return () => {
-      // Cleanup if needed
+      unsubCancelled()
+      unsubWaiting()
+      setWaiting(null)
     }
   }, [currentRide?.id])
 
+  // Draw the driver's path from the server's GPS trace while the trip runs
+  useEffect(() => {
+    if (!currentRide?.trip_id || (currentRide?.status !== 'IN_PROGRESS' && currentRide?.status !== 'COMPLETED')) {
+      setDriverPath(undefined)
+      return
+    }
+
+    const tripId = currentRide.trip_id
+    const loadRoute = () => {
+      api.getTripRoute(tripId)
+        .then(response => {
+          if (response.success && response.data) setDriverPath(response.data.points)
+        })
+        .catch(err => console.error('Failed to load route:', err))
+    }
+
+    loadRoute()
+    if (currentRide?.status !== 'IN_PROGRESS') return
+    const interval = setInterval(loadRoute, ROUTE_REFRESH_MS)
+    return () => clearInterval(interval)
+  }, [currentRide?.trip_id, currentRide?.status])
+
   // Listen for payment completion
   useEffect(() => {
     if (!waitingForPayment) return
 
+    // Pool riders still on board become the current ride once this one is paid
+    const resumeActiveRide = async () => {
+      if (!user) return
+      const response = await api.getDriverCurrentRide(user.id)
+      const ride = response.success ? response.data as any : null
+      if (ride && ride.status !== 'COMPLETED') {
+        setCurrentRide(ride as CurrentRide)
+      }
+    }
+
     const unsubPayment = onEvent('payment:received', (data) => {
       console.log('💰 Payment received:', data)
-      setEarnings(prev => prev + lastTripEarnings)
+      refreshEarnings().catch(err => console.error('Failed to load earnings:', err))
       setWaitingForPayment(false)
       setCurrentRide(null)
       setLastTripEarnings(0)
+      resumeActiveRide().catch(err => console.error('Failed to resume ride:', err))
     })
 
     // Also auto-clear after 60 seconds if no payment event (fallback)
     const timeout = setTimeout(() => {
       if (waitingForPayment) {
-        setEarnings(prev => prev + lastTripEarnings)
+        refreshEarnings().catch(err => console.error('Failed to load earnings:', err))
         setWaitingForPayment(false)
         setCurrentRide(null)
         setLastTripEarnings(0)
+        resumeActiveRide().catch(err => console.error('Failed to resume ride:', err))
       }
     }, 60000)
 
@@ -234,7 +342,7 @@ export default function DriverPage() {
       unsubPayment()
       clearTimeout(timeout)
     }
-  }, [waitingForPayment, lastTripEarnings])
+  }, [waitingForPayment, user, refreshEarnings])
 
   // Simulate location updates when online
   useEffect(() => {
@@ -337,7 +445,12 @@ export default function DriverPage() {
       const response = await api.acceptRide(user.id, rideOffer.ride_id)
       
       if (response.success && response.data) {
-        setCurrentRide(response.data as CurrentRide)
+        // A pooled rider joins the manifest; the ride already on screen stays current
+        if (canTakePoolRiders) {
+          fetchManifest()
+        } else {
+          setCurrentRide(response.data as CurrentRide)
+        }
         setRideOffer(null)
         if (offerTimeoutRef.current) {
           clearTimeout(offerTimeoutRef.current)
@@ -414,10 +527,10 @@ export default function DriverPage() {
     try {
       const response = await api.endTrip(currentRide.trip_id)
       if (response.success && response.data) {
-        const fare = (response.data as any).fare?.total || 0
-        setLastTripEarnings(fare * 0.8) // Driver gets 80%
+        setLastTripEarnings((response.data as any).driver_earnings?.amount || 0)
         setCurrentRide(prev => prev ? { ...prev, status: 'COMPLETED' } : null)
         setWaitingForPayment(true)
+        setRatingPrompt({ tripId: currentRide.trip_id, riderName: currentRide.rider_name })
       }
     } catch (err) {
       setError('Failed to end trip')
@@ -426,6 +539,84 @@ export default function DriverPage() {
     }
   }
 
+  // Work through the next stop of the pool manifest
+  const completeManifestStop = async (stop: PoolStop) => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const isCurrent = stop.ride_id === currentRide?.id
+
+      if (stop.type === 'pickup' && stop.ride_status !== 'DRIVER_ARRIVED') {
+        await api.updateRideStatus(stop.ride_id, 'DRIVER_ARRIVED')
+        if (isCurrent) setCurrentRide(prev => prev ? { ...prev, status: 'DRIVER_ARRIVED' } : null)
+      } else if (stop.type === 'pickup') {
+        const response = await api.startTrip(stop.ride_id)
+        if (isCurrent && response.success && response.data) {
+          setCurrentRide(prev => prev ? {
+            ...prev,
+            status: 'IN_PROGRESS',
+            trip_id: (response.data as any).trip_id,
+          } : null)
+        }
+      } else if (stop.trip_id) {
+        const response = await api.endTrip(stop.trip_id)
+        if (response.success && response.data) {
+          if (isCurrent) {
+            setLastTripEarnings((response.data as any).driver_earnings?.amount || 0)
+            setCurrentRide(prev => prev ? { ...prev, status: 'COMPLETED' } : null)
+            setWaitingForPayment(true)
+          } else {
+            refreshEarnings().catch(err => console.error('Failed to load earnings:', err))
+          }
+          setRatingPrompt({ tripId: stop.trip_id, riderName: stop.rider_name })
+        }
+      }
+
+      await fetchManifest()
+    } catch (err) {
+      setError('Failed to update pool stop')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Rate the rider of the trip that just ended
+  const submitRiderRating = async () => {
+    if (!ratingPrompt) return
+
+    try {
+      await api.rateTrip(ratingPrompt.tripId, {
+        rated_by: 'driver',
+        rating: riderRating.rating,
+        tags: riderRating.tags,
+        comment: riderRating.comment || undefined,
+      })
+    } catch (err) {
+      console.error('Rating failed:', err)
+    }
+
+    setRatingPrompt(null)
+    setRiderRating(EMPTY_RATING)
+  }
+
+  // Only receive offers from riders rated at least this high
+  const changeRiderFilter = async (value: string) => {
+    if (!user) return
+
+    const minRating = value ? parseFloat(value) : null
+    try {
+      const response = await api.updateRiderFilter(user.id, minRating)
+      if (response.success) {
+        setMinRiderRating(minRating)
+      } else {
+        setError(response.error?.message || 'Failed to update rider filter')
+      }
+    } catch (err) {
+      setError('Failed to update rider filter')
+    }
+  }
+
   // Logout
   const handleLogout = async () => {
     await logout('driver')
@@ -458,7 +649,7 @@ export default function DriverPage() {
     
     setLoading(true)
     try {
-      await api.cancelRide(currentRide.id, 'Cancelled by driver')
+      await api.cancelRide(currentRide.id, currentRide.status === 'DRIVER_ARRIVED' ? 'Rider did not show up' : 'Cancelled by driver')
       setCurrentRide(null)
       setError(null)
     } catch (err) {
@@ -506,14 +697,25 @@ export default function DriverPage() {
         )
       case 'DRIVER_ARRIVED':
         return (
-          <button
-            onClick={startTrip}
-            className="btn btn-primary w-full"
-            disabled={loading}
-          >
-            <Play className="w-4 h-4 mr-2" />
-            Start Trip
-          </button>
+          <div className="space-y-2">
+            {waiting && <WaitingTimer status={waiting} viewer="driver" />}
+            <button
+              onClick={startTrip}
+              className="btn btn-primary w-full"
+              disabled={loading}
+            >
+              <Play className="w-4 h-4 mr-2" />
+              Start Trip
+            </button>
+            <button
+              onClick={cancelCurrentRide}
+              className="btn btn-secondary w-full text-red-600"
+              disabled={loading}
+            >
+              <X className="w-4 h-4 mr-2" />
+              Cancel Ride
+            </button>
+          </div>
         )
       case 'IN_PROGRESS':
         return (
@@ -587,18 +789,45 @@ export default function DriverPage() {
 
       <main className="max-w-7xl mx-auto px-4 py-6">
         <div className="grid lg:grid-cols-3 gap-6">
-          {/* Map */}
-          <div className="lg:col-span-2">
-            <div className="card p-4 h-[500px]">
-              <MapView 
-                center={currentRide 
-                  ? [parseFloat(String(currentRide.pickup_lat)), parseFloat(String(currentRide.pickup_lng))] 
-                  : currentLocation
-                } 
-                markers={markers} 
-                zoom={14} 
-              />
+          {/* Map / Earnings */}
+          <div className="lg:col-span-2 space-y-3">
+            <div className="flex gap-2">
+              <button
+                onClick={() => setView('map')}
+                className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 transition-all ${
+                  view === 'map' ? 'bg-primary-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'
+                }`}
+              >
+                <MapIcon className="w-4 h-4" />
+                Map
+              </button>
+              <button
+                onClick={() => setView('earnings')}
+                className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 transition-all ${
+                  view === 'earnings' ? 'bg-primary-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'
+                }`}
+              >
+                <BarChart3 className="w-4 h-4" />
+                Earnings
+              </button>
             </div>
+            {view === 'map' ? (
+              <div className="card p-4 h-[500px]">
+                <MapView 
+                  center={currentRide 
+                    ? [parseFloat(String(currentRide.pickup_lat)), parseFloat(String(currentRide.pickup_lng))] 
+                    : currentLocation
+                  } 
+                  markers={markers} 
+                  zoom={14} 
+                  driverPath={driverPath}
+                />
+              </div>
+            ) : (
+              <div className="card p-6">
+                <EarningsPanel driverId={user.id} refreshKey={earningsVersion} />
+              </div>
+            )}
           </div>
 
           {/* Sidebar */}
@@ -625,6 +854,21 @@ export default function DriverPage() {
                 </button>
               </div>
 
+              <div className="flex items-center justify-between mb-3 text-sm">
+                <label htmlFor="rider-filter" className="text-slate-600">Minimum rider rating</label>
+                <select
+                  id="rider-filter"
+                  value={minRiderRating ?? ''}
+                  onChange={(e) => changeRiderFilter(e.target.value)}
+                  className="border border-slate-200 rounded-lg px-2 py-1"
+                >
+                  <option value="">Any</option>
+                  {[3, 3.5, 4, 4.5].map((r) => (
+                    <option key={r} value={r}>{r}+</option>
+                  ))}
+                </select>
+              </div>
+
               {isOnline && !currentRide && !rideOffer && (
                 <div className="flex items-center gap-2 text-blue-600 animate-pulse-soft">
                   <Clock className="w-4 h-4" />
@@ -643,6 +887,7 @@ export default function DriverPage() {
 
                 <p className="text-sm text-yellow-700 mb-4">
                   A rider is requesting a ride nearby
+                  {rideOffer.rider_rating ? ` • Rider rating ${rideOffer.rider_rating.toFixed(1)}★` : ''}
                 </p>
 
                 <div className="flex gap-3">
@@ -713,8 +958,42 @@ export default function DriverPage() {
                   </div>
                 )}
 
+                {/* Pool Manifest: the next stop is worked from here */}
+                {manifest.length > 0 && (
+                  <div className="border-t pt-3 mb-4">
+                    <div className="flex items-center gap-2 mb-2">
+                      <Users className="w-4 h-4 text-slate-500" />
+                      <p className="text-sm font-medium text-slate-700">Pool Manifest</p>
+                    </div>
+                    <ol className="space-y-2">
+                      {manifest.map((stop, index) => (
+                        <li key={stop.id} className="flex items-center gap-3 text-sm">
+                          {stop.type === 'pickup'
+                            ? <MapPin className="w-4 h-4 text-green-500" />
+                            : <Navigation className="w-4 h-4 text-red-500" />}
+                          <span className="flex-1">
+                            {stop.type === 'pickup' ? 'Pick up' : 'Drop off'} {stop.rider_name || 'rider'}
+                            {stop.seats > 1 ? ` (${stop.seats} seats)` : ''}
+                          </span>
+                          {index === 0 && (
+                            <button
+                              onClick={() => completeManifestStop(stop)}
+                              disabled={loading}
+                              className="btn btn-primary py-1 px-3 text-xs"
+                            >
+                              {stop.type === 'dropoff'
+                                ? 'Drop off'
+                                : stop.ride_status === 'DRIVER_ARRIVED' ? 'Start' : 'Arrived'}
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+
                 {/* Action Button */}
-                {getActionButton()}
+                {manifest.length === 0 && getActionButton()}
 
                 {/* Error */}
                 {error && (
@@ -725,12 +1004,40 @@ export default function DriverPage() {
               </div>
             )}
 
+            {/* Rate the Rider */}
+            {ratingPrompt && (
+              <div className="card p-6 animate-slide-up">
+                <RatingInput
+                  label={`Rate ${ratingPrompt.riderName || 'your rider'}`}
+                  value={riderRating}
+                  onChange={setRiderRating}
+                  praiseTags={['Polite', 'On time', 'Clear directions']}
+                  complaintTags={['Kept me waiting', 'Rude', 'Wrong pickup point']}
+                />
+                <div className="flex gap-3 mt-3">
+                  <button onClick={submitRiderRating} className="btn btn-primary flex-1">
+                    Submit Rating
+                  </button>
+                  <button
+                    onClick={() => {
+                      setRatingPrompt(null)
+                      setRiderRating(EMPTY_RATING)
+                    }}
+                    className="btn bg-slate-100 text-slate-600 hover:bg-slate-200"
+                  >
+                    Skip
+                  </button>
+                </div>
+              </div>
+            )}
+
             {/* Instructions */}
             <div className="card p-4 bg-slate-50">
               <h3 className="font-medium text-slate-700 mb-2">Driver Guide</h3>
               <ul className="text-sm text-slate-600 space-y-1">
                 <li>• Toggle status to go online/offline</li>
                 <li>• Accept ride offers within 15 seconds</li>
+                <li>• On a pool trip, work through the manifest stop by stop</li>
                 <li>• Blue marker shows your location</li>
                 <li>• Location updates every 2 seconds</li>
               </ul>
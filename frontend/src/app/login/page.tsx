@@ -3,11 +3,11 @@
 import { useState, useEffect } from 'react'
 import { useRouter, useSearchParams } from 'next/navigation'
 import Link from 'next/link'
-import { Phone, ArrowRight, Loader2, User, Car, MapPin } from 'lucide-react'
-import { getTenants, sendOtp, verifyOtp, getStoredAuth, Tenant } from '@/lib/auth'
+import { Phone, ArrowRight, Loader2, User, Car, MapPin, Shield } from 'lucide-react'
+import { getTenants, sendOtp, verifyOtp, getStoredAuth, sessionTypeOf, SessionType, Tenant } from '@/lib/auth'
 
 type Step = 'phone' | 'otp'
-type UserType = 'rider' | 'driver'
+type UserType = SessionType
 
 export default function LoginPage() {
   const router = useRouter()
@@ -72,8 +72,8 @@ export default function LoginPage() {
   // Check if already logged in for the specific user type
   useEffect(() => {
     const auth = getStoredAuth(userType) // Check auth for the selected user type
-    if (auth.isAuthenticated && auth.user?.type === userType) {
-      router.push(userType === 'driver' ? '/driver' : '/rider')
+    if (auth.isAuthenticated && auth.user && sessionTypeOf(auth.user) === userType) {
+      router.push(`/${userType}`)
     }
   }, [router, userType])
 
@@ -131,7 +131,7 @@ export default function LoginPage() {
 
     if (result.success) {
       // Redirect based on user type
-      router.push(userType === 'driver' ? '/driver' : '/rider')
+      router.push(`/${userType}`)
     } else {
       setError(result.error || 'Invalid OTP')
     }
@@ -161,38 +161,47 @@ export default function LoginPage() {
 
         {/* Login Card */}
         <div className="card p-8">
-          {/* User Type Toggle */}
-          <div className="flex gap-2 mb-6">
-            <button
-              onClick={() => setUserType('rider')}
-              className={`flex-1 py-3 px-4 rounded-lg font-medium flex items-center justify-center gap-2 transition-all ${
-                userType === 'rider'
-                  ? 'bg-primary-600 text-white'
-                  : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
-              }`}
-            >
-              <User className="w-5 h-5" />
-              Rider
-            </button>
-            <button
-              onClick={() => setUserType('driver')}
-              className={`flex-1 py-3 px-4 rounded-lg font-medium flex items-center justify-center gap-2 transition-all ${
-                userType === 'driver'
-                  ? 'bg-primary-600 text-white'
-                  : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
-              }`}
-            >
-              <Car className="w-5 h-5" />
-              Driver
-            </button>
-          </div>
+          {/* User Type Toggle (operations users sign in from /login?type=admin) */}
+          {userType === 'admin' ? (
+            <div className="flex items-center justify-center gap-2 py-3 mb-6 rounded-lg bg-slate-800 text-white font-medium">
+              <Shield className="w-5 h-5" />
+              Operations Console
+            </div>
+          ) : (
+            <div className="flex gap-2 mb-6">
+              <button
+                onClick={() => setUserType('rider')}
+                className={`flex-1 py-3 px-4 rounded-lg font-medium flex items-center justify-center gap-2 transition-all ${
+                  userType === 'rider'
+                    ? 'bg-primary-600 text-white'
+                    : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                }`}
+              >
+                <User className="w-5 h-5" />
+                Rider
+              </button>
+              <button
+                onClick={() => setUserType('driver')}
+                className={`flex-1 py-3 px-4 rounded-lg font-medium flex items-center justify-center gap-2 transition-all ${
+                  userType === 'driver'
+                    ? 'bg-primary-600 text-white'
+                    : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                }`}
+              >
+                <Car className="w-5 h-5" />
+                Driver
+              </button>
+            </div>
+          )}
 
           <h2 className="text-xl font-semibold text-slate-800 mb-2">
             {step === 'phone' ? 'Login / Register' : 'Enter OTP'}
           </h2>
           <p className="text-slate-600 text-sm mb-6">
             {step === 'phone'
-              ? `Enter your phone number to continue as a ${userType}`
+              ? userType === 'admin'
+                ? 'Enter the phone number of your operations account'
+                : `Enter your phone number to continue as a ${userType}`
               : `We sent a code to +91 ${getDigitsOnly(phone).slice(-10)}`}
           </p>
 
@@ -51,7 +51,7 @@ export default function Home() {
           <div className="flex items-center gap-4">
             {isLoggedIn ? (
               <Link 
-                href={userType === 'driver' ? '/driver' : '/rider'}
+                href={userType === 'driver' ? '/driver' : userType === 'admin' || userType === 'ops' ? '/admin' : '/rider'}
                 className="inline-flex items-center justify-center px-5 py-2.5 text-sm font-semibold text-white bg-primary-600 rounded-lg hover:bg-primary-700 transition-all shadow-lg"
               >
                 Go to Dashboard
@@ -203,6 +203,12 @@ export default function Home() {
             <p className="text-blue-300 mb-8 text-sm">
               Use OTP <span className="font-mono bg-white/10 px-3 py-1 rounded-lg">123456</span> to login
             </p>
+            <p className="text-blue-300 -mt-4 mb-8 text-sm">
+              Operations team?{' '}
+              <Link href="/login?type=admin" className="text-white underline hover:text-blue-100">
+                Open the operations console
+              </Link>
+            </p>
             <div className="flex flex-wrap justify-center gap-3">
               <TechBadge>Node.js</TechBadge>
               <TechBadge>PostgreSQL</TechBadge>
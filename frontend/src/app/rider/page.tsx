@@ -5,8 +5,10 @@ import { useRouter } from 'next/navigation'
 import dynamic from 'next/dynamic'
 import { api } from '@/lib/api'
 import { getStoredAuth, logout, User } from '@/lib/auth'
-import { registerUser, subscribeToRide, onEvent, unsubscribeFromRide } from '@/lib/socket'
-import { MapPin, Navigation, Car, Clock, IndianRupee, X, CheckCircle, LogOut, User as UserIcon, CreditCard, Wallet, Banknote, Loader2, Star } from 'lucide-react'
+import { registerUser, subscribeToRide, onEvent, unsubscribeFromRide, WaitingStatus } from '@/lib/socket'
+import { MapPin, Navigation, Car, Clock, IndianRupee, X, CheckCircle, LogOut, User as UserIcon, CreditCard, Wallet, Banknote, Loader2, Plus, ChevronUp, ChevronDown, Flag } from 'lucide-react'
+import RatingInput, { RatingValue, EMPTY_RATING } from '@/components/RatingInput'
+import WaitingTimer from '@/components/WaitingTimer'
 
 // Dynamic import for Map to avoid SSR issues with Leaflet
 const MapView = dynamic(() => import('@/components/Map'), { ssr: false })
@@ -14,6 +16,20 @@ const MapView = dynamic(() => import('@/components/Map'), { ssr: false })
 // Bangalore coordinates for demo
 const BANGALORE_CENTER: [number, number] = [12.9716, 77.5946]
 
+// Matches MAX_RIDE_STOPS on the backend
+const MAX_STOPS = 3
+
+// How often the trip's route is redrawn while it runs
+const ROUTE_REFRESH_MS = 10000
+
+interface RideStop {
+  id: string
+  sequence: number
+  latitude: number
+  longitude: number
+  status: 'pending' | 'arrived' | 'departed' | 'skipped'
+}
+
 interface RideStatus {
   id: string
   status: string
@@ -27,6 +43,23 @@ interface RideStatus {
   driver_rating?: number
   estimated_fare?: number
   tier: string
+  stops?: RideStop[]
+}
+
+interface FareEstimate {
+  total: number
+  surgeMultiplier: number
+  pricingMode: 'upfront' | 'metered'
+  discount: number
+  surge_quote_id: string | null
+  promo: { code: string; applied: boolean; reason: string | null } | null
+}
+
+interface ScheduledRide {
+  id: string
+  scheduled_at: string
+  tier: string
+  estimated_fare?: number
 }
 
 interface DriverLocation {
@@ -35,18 +68,35 @@ interface DriverLocation {
   heading?: number
 }
 
+// Format a timestamp for a datetime-local input (local time, minute precision)
+const toLocalInputValue = (timestamp: number) => {
+  const date = new Date(timestamp)
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset())
+  return date.toISOString().slice(0, 16)
+}
+
 export default function RiderPage() {
   const router = useRouter()
   const [user, setUser] = useState<User | null>(null)
   const [pickup, setPickup] = useState<[number, number] | null>(null)
   const [dropoff, setDropoff] = useState<[number, number] | null>(null)
-  const [selectingLocation, setSelectingLocation] = useState<'pickup' | 'dropoff' | null>('pickup')
+  const [stops, setStops] = useState<Array<[number, number]>>([])
+  const [selectingLocation, setSelectingLocation] = useState<'pickup' | 'dropoff' | 'stop' | null>('pickup')
   const [tier, setTier] = useState('economy')
+  const [seats, setSeats] = useState(1)
   const [paymentMethod, setPaymentMethod] = useState('cash')
   const [currentRide, setCurrentRide] = useState<RideStatus | null>(null)
+  const [fareEstimate, setFareEstimate] = useState<FareEstimate | null>(null)
+  const [promoInput, setPromoInput] = useState('')
+  const [promoCode, setPromoCode] = useState('')
+  const [scheduleFor, setScheduleFor] = useState('')
+  const [scheduledRides, setScheduledRides] = useState<ScheduledRide[]>([])
+  const [notice, setNotice] = useState<string | null>(null)
   const [driverLocation, setDriverLocation] = useState<DriverLocation | null>(null)
   const [driverDistance, setDriverDistance] = useState<number | null>(null)
   const [driverEta, setDriverEta] = useState<number | null>(null)
+  const [waiting, setWaiting] = useState<WaitingStatus | null>(null)
+  const [driverPath, setDriverPath] = useState<Array<[number, number]> | undefined>(undefined)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [isConnected, setIsConnected] = useState(false)
@@ -55,9 +105,12 @@ export default function RiderPage() {
   const [showPayment, setShowPayment] = useState(false)
   const [tripId, setTripId] = useState<string | null>(null)
   const [tripFare, setTripFare] = useState<number>(0)
+  const [tripDiscount, setTripDiscount] = useState<{ amount: number; code: string | null } | null>(null)
+  const [tripWaitingFare, setTripWaitingFare] = useState(0)
   const [paymentProcessing, setPaymentProcessing] = useState(false)
   const [paymentComplete, setPaymentComplete] = useState(false)
-  const [rating, setRating] = useState(5)
+  const [rating, setRating] = useState<RatingValue>(EMPTY_RATING)
+  const [walletBalance, setWalletBalance] = useState<number | null>(null)
 
   // Check authentication
   useEffect(() => {
@@ -81,6 +134,12 @@ export default function RiderPage() {
         await registerUser(user.id, 'rider')
         setIsConnected(true)
         
+        // Fetch upcoming scheduled rides
+        const scheduledResponse = await api.getRiderRides(user.id, 'SCHEDULED')
+        if (scheduledResponse.success && scheduledResponse.data) {
+          setScheduledRides(scheduledResponse.data as ScheduledRide[])
+        }
+
         // Fetch current ride if any
         const response = await api.getRiderCurrentRide(user.id)
         if (response.success && response.data) {
@@ -98,8 +157,11 @@ export default function RiderPage() {
             driver_rating: ride.driver_rating,
             estimated_fare: ride.estimated_fare,
             tier: ride.tier,
+            stops: ride.stops,
           })
           
+          if (ride.trip_id) setTripId(ride.trip_id)
+
           // If trip is completed but not paid, show payment modal
           if (ride.status === 'COMPLETED' && ride.payment_status !== 'completed') {
             setTripId(ride.trip_id)
@@ -114,6 +176,29 @@ export default function RiderPage() {
     init()
   }, [user])
 
+  // Scheduled ride reminders and dispatch
+  useEffect(() => {
+    if (!user) return
+
+    const unsubReminder = onEvent('ride:reminder', (data) => {
+      setNotice(`Reminder: your ride is scheduled for ${new Date(data.scheduled_at).toLocaleString()}`)
+    })
+
+    const unsubDispatched = onEvent('ride:scheduled_dispatched', async (data) => {
+      setScheduledRides(prev => prev.filter(ride => ride.id !== data.ride_id))
+      setNotice('We are finding a driver for your scheduled ride')
+      const response = await api.getRide(data.ride_id)
+      if (response.success && response.data) {
+        setCurrentRide(response.data as RideStatus)
+      }
+    })
+
+    return () => {
+      unsubReminder()
+      unsubDispatched()
+    }
+  }, [user])
+
   // Subscribe to ride events when we have a current ride
   useEffect(() => {
     if (!currentRide?.id) return
@@ -130,6 +215,46 @@ export default function RiderPage() {
       } : null)
     })
 
+    const unsubNoDrivers = onEvent('ride:no_drivers_found', (data) => {
+      setCurrentRide(null)
+      setError(data.message || 'No drivers available. Please try again.')
+    })
+
+    // The driver backed out; the ride goes back to matching with another driver
+    const unsubDriverCancelled = onEvent('ride:driver_cancelled', (data) => {
+      setCurrentRide(prev => prev ? {
+        ...prev,
+        status: 'MATCHING',
+        driver_name: undefined,
+        driver_phone: undefined,
+        vehicle_number: undefined,
+        driver_rating: undefined,
+      } : null)
+      setDriverLocation(null)
+      setDriverDistance(null)
+      setDriverEta(null)
+      setNotice(data.message || 'Your driver cancelled. Finding you another driver.')
+    })
+
+    const unsubCancelled = onEvent('ride:cancelled', (data) => {
+      if (data.cancelled_by === 'rider') return
+      setCurrentRide(null)
+      setDriverLocation(null)
+      setDriverDistance(null)
+      setDriverEta(null)
+      setNotice(data.message || 'Your ride was cancelled')
+    })
+
+    const updateStop = (stopId: string, status: RideStop['status']) => {
+      setCurrentRide(prev => prev ? {
+        ...prev,
+        stops: prev.stops?.map(stop => stop.id === stopId ? { ...stop, status } : stop),
+      } : null)
+    }
+
+    const unsubStopArrived = onEvent('ride:stop_arrived', (data) => updateStop(data.stop_id, 'arrived'))
+    const unsubStopDeparted = onEvent('ride:stop_departed', (data) => updateStop(data.stop_id, 'departed'))
+
     const unsubDriverEnRoute = onEvent('ride:driver_en_route', () => {
       setCurrentRide(prev => prev ? { ...prev, status: 'DRIVER_EN_ROUTE' } : null)
     })
@@ -138,8 +263,14 @@ export default function RiderPage() {
       setCurrentRide(prev => prev ? { ...prev, status: 'DRIVER_ARRIVED' } : null)
     })
 
-    const unsubTripStarted = onEvent('trip:started', () => {
+    const unsubWaiting = onEvent('ride:waiting', (data) => {
+      if (data.ride_id === currentRide.id) setWaiting(data)
+    })
+
+    const unsubTripStarted = onEvent('trip:started', (data) => {
       setCurrentRide(prev => prev ? { ...prev, status: 'IN_PROGRESS' } : null)
+      setTripId(data.trip_id)
+      setWaiting(null)
       // Clear distance/ETA when trip starts (driver has arrived, trip in progress)
       setDriverDistance(null)
       setDriverEta(null)
@@ -155,6 +286,8 @@ export default function RiderPage() {
         ? data.fare 
         : (data.fare?.total || currentRide?.estimated_fare || 0)
       setTripFare(Number(fareAmount) || 0)
+      setTripDiscount(data.discount > 0 ? { amount: Number(data.discount), code: data.promo_code || null } : null)
+      setTripWaitingFare(Number(data.waiting_fare) || 0)
       setShowPayment(true)
     })
 
@@ -186,15 +319,71 @@ export default function RiderPage() {
 
     return () => {
       unsubDriverAssigned()
+      unsubNoDrivers()
+      unsubDriverCancelled()
+      unsubCancelled()
+      unsubStopArrived()
+      unsubStopDeparted()
       unsubDriverEnRoute()
       unsubDriverArrived()
+      unsubWaiting()
       unsubTripStarted()
       unsubTripCompleted()
       unsubDriverLocation()
       unsubscribeFromRide(currentRide.id)
+      setWaiting(null)
     }
   }, [currentRide?.id])
 
+  // Draw the driver's path from the server's GPS trace while the trip runs
+  useEffect(() => {
+    if (!tripId || (currentRide?.status !== 'IN_PROGRESS' && currentRide?.status !== 'COMPLETED')) {
+      setDriverPath(undefined)
+      return
+    }
+
+    const loadRoute = () => {
+      api.getTripRoute(tripId)
+        .then(response => {
+          if (response.success && response.data) setDriverPath(response.data.points)
+        })
+        .catch(err => console.error('Failed to load route:', err))
+    }
+
+    loadRoute()
+    if (currentRide?.status !== 'IN_PROGRESS') return
+    const interval = setInterval(loadRoute, ROUTE_REFRESH_MS)
+    return () => clearInterval(interval)
+  }, [tripId, currentRide?.status])
+
+  // Fetch a fare estimate (with surge quote) whenever the booking inputs change
+  useEffect(() => {
+    if (!user || !pickup || !dropoff || currentRide) {
+      setFareEstimate(null)
+      return
+    }
+
+    let cancelled = false
+    api.getFareEstimate({
+      tenant_id: user.tenantId,
+      tier,
+      pickup_lat: pickup[0],
+      pickup_lng: pickup[1],
+      dropoff_lat: dropoff[0],
+      dropoff_lng: dropoff[1],
+      stops,
+      promo_code: promoCode || undefined,
+    }).then(response => {
+      if (!cancelled && response.success && response.data) {
+        setFareEstimate(response.data as FareEstimate)
+      }
+    }).catch(err => console.error('Fare estimate failed:', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [user, pickup, dropoff, stops, tier, promoCode, currentRide])
+
   // Handle map click for location selection
   const handleMapClick = useCallback((lat: number, lng: number) => {
     if (selectingLocation === 'pickup') {
@@ -203,9 +392,27 @@ export default function RiderPage() {
     } else if (selectingLocation === 'dropoff') {
       setDropoff([lat, lng])
       setSelectingLocation(null)
+    } else if (selectingLocation === 'stop') {
+      setStops(prev => [...prev, [lat, lng]])
+      setSelectingLocation(null)
     }
   }, [selectingLocation])
 
+  // Move a stop one place earlier (-1) or later (+1) in the route
+  const moveStop = (index: number, direction: -1 | 1) => {
+    setStops(prev => {
+      const target = index + direction
+      if (target < 0 || target >= prev.length) return prev
+      const next = [...prev]
+      ;[next[index], next[target]] = [next[target], next[index]]
+      return next
+    })
+  }
+
+  const removeStop = (index: number) => {
+    setStops(prev => prev.filter((_, i) => i !== index))
+  }
+
   // Request a ride
   const requestRide = async () => {
     if (!pickup || !dropoff || !user) {
@@ -226,10 +433,28 @@ export default function RiderPage() {
         dropoff_lng: dropoff[1],
         tier,
         payment_method: paymentMethod,
+        surge_quote_id: fareEstimate?.surge_quote_id || undefined,
+        scheduled_at: scheduleFor ? new Date(scheduleFor).toISOString() : undefined,
+        stops: stops.map(([lat, lng]) => ({ lat, lng })),
+        seats: tier === 'pool' ? seats : undefined,
+        // Only a code the estimate accepted; a rejected one would fail the request
+        promo_code: fareEstimate?.promo?.applied ? fareEstimate.promo.code : undefined,
       })
 
       if (response.success && response.data) {
-        setCurrentRide(response.data as RideStatus)
+        const ride = response.data as any
+        if (ride.status === 'SCHEDULED') {
+          setScheduledRides(prev => [...prev, ride as ScheduledRide]
+            .sort((a, b) => new Date(a.scheduled_at).getTime() - new Date(b.scheduled_at).getTime()))
+          setNotice(`Ride scheduled for ${new Date(ride.scheduled_at).toLocaleString()}`)
+          setScheduleFor('')
+          setPickup(null)
+          setDropoff(null)
+          setStops([])
+          setSelectingLocation('pickup')
+        } else {
+          setCurrentRide(ride as RideStatus)
+        }
       } else {
         setError(response.error?.message || 'Failed to create ride')
       }
@@ -246,11 +471,15 @@ export default function RiderPage() {
 
     setLoading(true)
     try {
-      await api.cancelRide(currentRide.id, 'Cancelled by rider')
+      const response = await api.cancelRide(currentRide.id, 'Cancelled by rider')
       setCurrentRide(null)
       setDriverLocation(null)
       setDriverDistance(null)
       setDriverEta(null)
+      const cancellation = (response.data as any)?.cancellation
+      if (cancellation?.total > 0) {
+        setNotice(response.message || `A cancellation fee of ${cancellation.total} applies`)
+      }
     } catch (err) {
       setError('Failed to cancel ride')
     } finally {
@@ -258,6 +487,58 @@ export default function RiderPage() {
     }
   }
 
+  // Cancel a scheduled ride
+  const cancelScheduledRide = async (rideId: string) => {
+    setLoading(true)
+    try {
+      const response = await api.cancelRide(rideId, 'Cancelled by rider')
+      if (response.success) {
+        setScheduledRides(prev => prev.filter(ride => ride.id !== rideId))
+        setNotice(response.message || 'Scheduled ride cancelled')
+      } else {
+        setError(response.error?.message || 'Failed to cancel ride')
+      }
+    } catch (err) {
+      setError('Failed to cancel ride')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Load the wallet balance whenever the payment modal opens
+  useEffect(() => {
+    if (!user || !showPayment) return
+
+    api.getWallet('rider', user.id).then(response => {
+      if (response.success && response.data) {
+        setWalletBalance(Number((response.data as any).balance))
+      }
+    }).catch(err => console.error('Failed to load wallet:', err))
+  }, [user, showPayment])
+
+  // Top up just enough (in steps of ₹100) to cover the fare, charged to the rider's card
+  const topUpWallet = async () => {
+    if (!user) return
+
+    const shortfall = Math.max(tripFare - (walletBalance || 0), 0)
+    const amount = Math.max(Math.ceil(shortfall / 100) * 100, 100)
+
+    setPaymentProcessing(true)
+    setError(null)
+    try {
+      const response = await api.topUpWallet('rider', user.id, amount)
+      if (response.success && response.data) {
+        setWalletBalance(Number((response.data as any).balance))
+      } else {
+        setError(response.error?.message || 'Top-up failed')
+      }
+    } catch (err) {
+      setError('Top-up failed')
+    } finally {
+      setPaymentProcessing(false)
+    }
+  }
+
   // Process payment
   const processPayment = async () => {
     if (!tripId) return
@@ -265,7 +546,22 @@ export default function RiderPage() {
     setPaymentProcessing(true)
     try {
       const response = await api.processPayment(tripId, paymentMethod)
-      if (response.success) {
+      const payment = response.data as any
+      if (response.success && payment?.status === 'failed') {
+        // Declined card / insufficient wallet balance - rider can switch method or top up
+        setError(payment.psp_response?.error || 'Payment failed')
+        if (payment.psp_response?.wallet_balance !== undefined) {
+          setWalletBalance(Number(payment.psp_response.wallet_balance))
+        }
+      } else if (response.success) {
+        // Rating goes along with the payment; a failed rating never blocks the rider
+        api.rateTrip(tripId, {
+          rated_by: 'rider',
+          rating: rating.rating,
+          tags: rating.tags,
+          comment: rating.comment || undefined,
+        }).catch(err => console.error('Rating failed:', err))
+
         setPaymentComplete(true)
         // Wait a moment then reset
         setTimeout(() => {
@@ -277,6 +573,11 @@ export default function RiderPage() {
           setDriverEta(null)
           setPickup(null)
           setDropoff(null)
+          setStops([])
+          setRating(EMPTY_RATING)
+          setTripDiscount(null)
+          setPromoInput('')
+          setPromoCode('')
           setSelectingLocation('pickup')
         }, 2000)
       } else {
@@ -299,7 +600,7 @@ export default function RiderPage() {
   const markers: Array<{
     id: string
     position: [number, number]
-    type: 'pickup' | 'dropoff' | 'driver' | 'rider'
+    type: 'pickup' | 'dropoff' | 'stop' | 'driver' | 'rider'
     label: string
   }> = []
   
@@ -314,6 +615,12 @@ export default function RiderPage() {
   if (pickupCoords) {
     markers.push({ id: 'pickup', position: pickupCoords, type: 'pickup' as const, label: 'Pickup' })
   }
+  const stopCoords: Array<[number, number]> = currentRide
+    ? (currentRide.stops || []).map(stop => [parseFloat(String(stop.latitude)), parseFloat(String(stop.longitude))] as [number, number])
+    : stops
+  stopCoords.forEach((position, index) => {
+    markers.push({ id: `stop-${index}`, position, type: 'stop' as const, label: `Stop ${index + 1}` })
+  })
   if (dropoffCoords) {
     markers.push({ id: 'dropoff', position: dropoffCoords, type: 'dropoff' as const, label: 'Dropoff' })
   }
@@ -336,10 +643,22 @@ export default function RiderPage() {
       IN_PROGRESS: 'bg-green-100 text-green-800',
       COMPLETED: 'bg-emerald-100 text-emerald-800',
       CANCELLED: 'bg-red-100 text-red-800',
+      SCHEDULED: 'bg-sky-100 text-sky-800',
+      NO_DRIVERS_FOUND: 'bg-red-100 text-red-800',
     }
     return colors[status] || 'bg-gray-100 text-gray-800'
   }
 
+  const getStopStatusColor = (status: RideStop['status']) => {
+    const colors: Record<RideStop['status'], string> = {
+      pending: 'bg-slate-100 text-slate-700',
+      arrived: 'bg-amber-100 text-amber-800',
+      departed: 'bg-green-100 text-green-800',
+      skipped: 'bg-red-100 text-red-800',
+    }
+    return colors[status]
+  }
+
   if (!user) {
     return null
   }
@@ -375,6 +694,24 @@ export default function RiderPage() {
                         {Number(tripFare || 0).toFixed(2)}
                       </span>
                     </div>
+                    {tripWaitingFare > 0 && (
+                      <div className="flex items-center justify-between mb-2 text-sm text-slate-600">
+                        <span>Waiting at pickup</span>
+                        <span className="flex items-center">
+                          <IndianRupee className="w-3 h-3" />
+                          {tripWaitingFare.toFixed(2)}
+                        </span>
+                      </div>
+                    )}
+                    {tripDiscount && (
+                      <div className="flex items-center justify-between mb-2 text-sm text-green-700">
+                        <span>Promo{tripDiscount.code ? ` (${tripDiscount.code})` : ''}</span>
+                        <span className="flex items-center">
+                          -<IndianRupee className="w-3 h-3" />
+                          {tripDiscount.amount.toFixed(2)}
+                        </span>
+                      </div>
+                    )}
                     <div className="text-xs text-slate-500">
                       Includes base fare + distance + time charges
                     </div>
@@ -418,30 +755,34 @@ export default function RiderPage() {
                       >
                         <Wallet className={`w-6 h-6 mx-auto mb-1 ${paymentMethod === 'wallet' ? 'text-primary-600' : 'text-slate-400'}`} />
                         <span className={`text-xs font-medium ${paymentMethod === 'wallet' ? 'text-primary-600' : 'text-slate-600'}`}>Wallet</span>
+                        {walletBalance !== null && (
+                          <span className="block text-[10px] text-slate-500">₹{walletBalance.toFixed(2)}</span>
+                        )}
                       </button>
                     </div>
+                    {paymentMethod === 'wallet' && walletBalance !== null && walletBalance < tripFare && (
+                      <div className="mt-3 flex items-center justify-between p-3 bg-amber-50 rounded-lg text-sm">
+                        <span className="text-amber-800">Balance too low for this trip</span>
+                        <button
+                          onClick={topUpWallet}
+                          disabled={paymentProcessing}
+                          className="btn bg-amber-500 text-white hover:bg-amber-600 py-1 px-3 text-xs"
+                        >
+                          Top up ₹{Math.max(Math.ceil((tripFare - walletBalance) / 100) * 100, 100)} from card
+                        </button>
+                      </div>
+                    )}
                   </div>
 
                   {/* Rating */}
                   <div className="mb-6">
-                    <label className="block text-sm font-medium text-slate-700 mb-3">
-                      Rate your driver
-                    </label>
-                    <div className="flex justify-center gap-2">
-                      {[1, 2, 3, 4, 5].map((star) => (
-                        <button
-                          key={star}
-                          onClick={() => setRating(star)}
-                          className="p-1 transition-transform hover:scale-110"
-                        >
-                          <Star
-                            className={`w-8 h-8 ${
-                              star <= rating ? 'text-yellow-400 fill-yellow-400' : 'text-slate-300'
-                            }`}
-                          />
-                        </button>
-                      ))}
-                    </div>
+                    <RatingInput
+                      label="Rate your driver"
+                      value={rating}
+                      onChange={setRating}
+                      praiseTags={['Friendly', 'Safe driving', 'Clean car', 'Great route']}
+                      complaintTags={['Late pickup', 'Rash driving', 'Unclean car', 'Wrong route']}
+                    />
                   </div>
 
                   {error && (
@@ -509,13 +850,14 @@ export default function RiderPage() {
                 center={pickup || BANGALORE_CENTER}
                 markers={markers}
                 onMapClick={!currentRide ? handleMapClick : undefined}
+                driverPath={driverPath}
               />
             </div>
             
             {selectingLocation && !currentRide && (
               <div className="mt-4 p-4 bg-primary-50 rounded-lg border border-primary-200">
                 <p className="text-primary-800 font-medium">
-                  Click on the map to select your {selectingLocation === 'pickup' ? 'pickup' : 'dropoff'} location
+                  Click on the map to select your {selectingLocation === 'stop' ? 'next stop' : selectingLocation} location
                 </p>
               </div>
             )}
@@ -593,6 +935,28 @@ export default function RiderPage() {
                   </div>
                 )}
 
+                {/* Waiting at pickup */}
+                {currentRide.status === 'DRIVER_ARRIVED' && waiting && (
+                  <WaitingTimer status={waiting} viewer="rider" />
+                )}
+
+                {/* Stops */}
+                {currentRide.stops && currentRide.stops.length > 0 && (
+                  <ul className="mb-4 space-y-2">
+                    {currentRide.stops.map((stop) => (
+                      <li key={stop.id} className="flex items-center justify-between text-sm">
+                        <span className="flex items-center gap-2 text-slate-700">
+                          <Flag className="w-4 h-4 text-amber-500" />
+                          Stop {stop.sequence}
+                        </span>
+                        <span className={`badge ${getStopStatusColor(stop.status)}`}>
+                          {stop.status}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
                 {/* Fare Info */}
                 {currentRide.estimated_fare && (
                   <div className="flex items-center justify-between py-3 border-t">
@@ -642,6 +1006,51 @@ export default function RiderPage() {
                     </span>
                   </button>
 
+                  {/* Intermediate Stops */}
+                  {stops.map((stop, index) => (
+                    <div key={`${stop[0]}-${stop[1]}-${index}`} className="flex items-center gap-2 p-3 rounded-lg border border-slate-200">
+                      <Flag className="w-5 h-5 text-amber-500" />
+                      <span className="flex-1 text-sm text-slate-800">
+                        Stop {index + 1}: {stop[0].toFixed(4)}, {stop[1].toFixed(4)}
+                      </span>
+                      <button
+                        onClick={() => moveStop(index, -1)}
+                        disabled={index === 0}
+                        className="p-1 text-slate-500 hover:text-slate-800 disabled:opacity-30"
+                        title="Move earlier"
+                      >
+                        <ChevronUp className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => moveStop(index, 1)}
+                        disabled={index === stops.length - 1}
+                        className="p-1 text-slate-500 hover:text-slate-800 disabled:opacity-30"
+                        title="Move later"
+                      >
+                        <ChevronDown className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => removeStop(index)}
+                        className="p-1 text-red-500 hover:text-red-700"
+                        title="Remove stop"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+
+                  {stops.length < MAX_STOPS && tier !== 'pool' && (
+                    <button
+                      onClick={() => setSelectingLocation('stop')}
+                      className={`w-full flex items-center gap-3 p-2 rounded-lg border border-dashed text-sm ${
+                        selectingLocation === 'stop' ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-slate-300 text-slate-500'
+                      }`}
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add stop
+                    </button>
+                  )}
+
                   <button
                     onClick={() => setSelectingLocation('dropoff')}
                     className={`w-full flex items-center gap-3 p-3 rounded-lg border ${
@@ -658,11 +1067,15 @@ export default function RiderPage() {
                 {/* Vehicle Type */}
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-slate-700 mb-2">Vehicle Type</label>
-                  <div className="grid grid-cols-3 gap-2">
-                    {['economy', 'premium', 'xl'].map((t) => (
+                  <div className="grid grid-cols-4 gap-2">
+                    {['economy', 'premium', 'xl', 'pool'].map((t) => (
                       <button
                         key={t}
-                        onClick={() => setTier(t)}
+                        onClick={() => {
+                          setTier(t)
+                          // Pool rides don't support intermediate stops
+                          if (t === 'pool') setStops([])
+                        }}
                         className={`py-2 px-3 rounded-lg text-sm font-medium capitalize ${
                           tier === t
                             ? 'bg-primary-600 text-white'
@@ -673,6 +1086,57 @@ export default function RiderPage() {
                       </button>
                     ))}
                   </div>
+                  {tier === 'pool' && (
+                    <div className="mt-2 flex items-center gap-2">
+                      <span className="text-sm text-slate-600">Seats</span>
+                      {[1, 2].map((n) => (
+                        <button
+                          key={n}
+                          onClick={() => setSeats(n)}
+                          className={`py-1 px-3 rounded-lg text-sm font-medium ${
+                            seats === n
+                              ? 'bg-primary-600 text-white'
+                              : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                          }`}
+                        >
+                          {n}
+                        </button>
+                      ))}
+                      <span className="text-xs text-slate-500">Shared with riders going your way</span>
+                    </div>
+                  )}
+                </div>
+
+                {/* Pickup Time */}
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Pickup Time</label>
+                  <div className="grid grid-cols-2 gap-2 mb-2">
+                    <button
+                      onClick={() => setScheduleFor('')}
+                      className={`py-2 px-3 rounded-lg text-sm font-medium ${
+                        !scheduleFor ? 'bg-primary-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                      }`}
+                    >
+                      Now
+                    </button>
+                    <button
+                      onClick={() => setScheduleFor(scheduleFor || toLocalInputValue(Date.now() + 60 * 60 * 1000))}
+                      className={`py-2 px-3 rounded-lg text-sm font-medium ${
+                        scheduleFor ? 'bg-primary-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                      }`}
+                    >
+                      Later
+                    </button>
+                  </div>
+                  {scheduleFor && (
+                    <input
+                      type="datetime-local"
+                      value={scheduleFor}
+                      min={toLocalInputValue(Date.now() + 30 * 60 * 1000)}
+                      onChange={(e) => setScheduleFor(e.target.value)}
+                      className="input"
+                    />
+                  )}
                 </div>
 
                 {/* Payment Method */}
@@ -689,6 +1153,66 @@ export default function RiderPage() {
                   </select>
                 </div>
 
+                {/* Promo Code */}
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-slate-700 mb-2">Promo Code</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={promoInput}
+                      onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                      placeholder="Enter code"
+                      className="input flex-1"
+                    />
+                    {promoCode ? (
+                      <button
+                        onClick={() => {
+                          setPromoInput('')
+                          setPromoCode('')
+                        }}
+                        className="py-2 px-3 rounded-lg text-sm font-medium bg-slate-100 text-slate-600 hover:bg-slate-200"
+                      >
+                        Remove
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => setPromoCode(promoInput.trim())}
+                        disabled={promoInput.trim().length < 3}
+                        className="py-2 px-3 rounded-lg text-sm font-medium bg-primary-600 text-white disabled:opacity-50"
+                      >
+                        Apply
+                      </button>
+                    )}
+                  </div>
+                  {fareEstimate?.promo && (
+                    <p className={`mt-1 text-xs ${fareEstimate.promo.applied ? 'text-green-700' : 'text-red-600'}`}>
+                      {fareEstimate.promo.applied
+                        ? `${fareEstimate.promo.code} applied: ₹${Number(fareEstimate.discount).toFixed(0)} off`
+                        : fareEstimate.promo.reason}
+                    </p>
+                  )}
+                </div>
+
+                {/* Fare Estimate */}
+                {fareEstimate && (
+                  <div className="mb-4 flex items-center justify-between p-3 bg-slate-50 rounded-lg">
+                    <span className="text-sm text-slate-600">
+                      {fareEstimate.pricingMode === 'upfront' ? 'Upfront Price' : 'Estimated Fare'}
+                    </span>
+                    <span className="flex items-center gap-2">
+                      {fareEstimate.surgeMultiplier > 1 && !scheduleFor && (
+                        <span className="badge bg-orange-100 text-orange-800">
+                          {fareEstimate.surgeMultiplier}x surge
+                        </span>
+                      )}
+                      <span className="font-semibold flex items-center">
+                        <IndianRupee className="w-4 h-4" />
+                        {Number(fareEstimate.total).toFixed(0)}
+                      </span>
+                    </span>
+                  </div>
+                )}
+
                 {/* Error Message */}
                 {error && (
                   <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">
@@ -708,18 +1232,57 @@ export default function RiderPage() {
                       Requesting...
                     </span>
                   ) : (
-                    'Request Ride'
+                    scheduleFor ? 'Schedule Ride' : 'Request Ride'
                   )}
                 </button>
               </div>
             )}
 
+            {notice && (
+              <div className="p-3 bg-sky-50 text-sky-800 rounded-lg text-sm flex items-start justify-between gap-2">
+                <span>{notice}</span>
+                <button onClick={() => setNotice(null)} className="text-sky-600 hover:text-sky-800">
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
+            {/* Scheduled Rides */}
+            {scheduledRides.length > 0 && (
+              <div className="card p-4">
+                <h3 className="font-medium text-slate-700 mb-3">Scheduled Rides</h3>
+                <ul className="space-y-2">
+                  {scheduledRides.map((ride) => (
+                    <li key={ride.id} className="flex items-center justify-between p-3 bg-slate-50 rounded-lg">
+                      <div>
+                        <p className="text-sm font-medium text-slate-800">
+                          {new Date(ride.scheduled_at).toLocaleString()}
+                        </p>
+                        <p className="text-xs text-slate-500 capitalize">
+                          {ride.tier}{ride.estimated_fare ? ` • ₹${ride.estimated_fare}` : ''}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => cancelScheduledRide(ride.id)}
+                        disabled={loading}
+                        className="p-2 text-red-500 hover:bg-red-50 rounded-lg"
+                        title="Cancel scheduled ride"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* Tips */}
             <div className="card p-4 bg-slate-50">
               <h3 className="font-medium text-slate-700 mb-2">Tips</h3>
               <ul className="text-sm text-slate-600 space-y-1">
                 <li>• Click on the map to set locations</li>
                 <li>• Green marker = Pickup</li>
+                <li>• Amber marker = Stop (up to {MAX_STOPS}, reorder with the arrows)</li>
                 <li>• Red marker = Dropoff</li>
                 <li>• Blue marker = Driver location</li>
               </ul>
@@ -2,12 +2,12 @@
 
 import { useEffect, useState } from 'react'
 import { useRouter } from 'next/navigation'
-import { getStoredAuth, User } from '@/lib/auth'
+import { getStoredAuth, sessionTypeOf, SessionType, User } from '@/lib/auth'
 import { Loader2 } from 'lucide-react'
 
 interface AuthGuardProps {
   children: React.ReactNode
-  requiredType?: 'rider' | 'driver'
+  requiredType?: SessionType
 }
 
 export default function AuthGuard({ children, requiredType }: AuthGuardProps) {
@@ -24,8 +24,8 @@ export default function AuthGuard({ children, requiredType }: AuthGuardProps) {
       return
     }
 
-    if (requiredType && auth.user?.type !== requiredType) {
-      router.push(`/${auth.user?.type || 'login'}`)
+    if (requiredType && (!auth.user || sessionTypeOf(auth.user) !== requiredType)) {
+      router.push(`/${auth.user ? sessionTypeOf(auth.user) : 'login'}`)
       return
     }
 
@@ -48,7 +48,7 @@ export default function AuthGuard({ children, requiredType }: AuthGuardProps) {
 }
 
 // Hook to get current user
-export function useAuth(userType?: 'rider' | 'driver') {
+export function useAuth(userType?: SessionType) {
   const [auth, setAuth] = useState(getStoredAuth(userType))
 
   useEffect(() => {
@@ -0,0 +1,241 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import { api } from '@/lib/api'
+import { IndianRupee, RefreshCw, Wallet } from 'lucide-react'
+
+export interface EarningsSummary {
+  trips: number
+  gross_fare: number
+  commission: number
+  trip_earnings: number
+  tips: number
+  incentives: number
+  cash_collected: number
+  refunds: number
+  earnings: number
+  net_payable: number
+}
+
+interface EarningsStatement {
+  totals: EarningsSummary
+  periods: Array<EarningsSummary & { period_start: string }>
+  entries: Array<{
+    id: string
+    kind: 'trip' | 'tip' | 'incentive' | 'cash_collected' | 'refund'
+    trip_id: string | null
+    amount: string
+    incentive_name: string | null
+    created_at: string
+  }>
+  unpaid_balance: number
+}
+
+interface Payout {
+  id: string
+  amount: string
+  status: string
+  period_end: string
+  created_at: string
+}
+
+interface EarningsPanelProps {
+  driverId: string
+  // Bumped by the parent when a trip or payment changes the figures
+  refreshKey?: number
+}
+
+type Range = 'today' | 'week' | 'month'
+
+const ENTRY_LABELS: Record<EarningsStatement['entries'][number]['kind'], string> = {
+  trip: 'Trip',
+  tip: 'Tip',
+  incentive: 'Bonus',
+  cash_collected: 'Cash collected',
+  refund: 'Refunded trip',
+}
+
+// Start of the range, in the browser's day
+const rangeStart = (range: Range) => {
+  const start = new Date()
+  start.setHours(0, 0, 0, 0)
+  if (range === 'week') start.setDate(start.getDate() - 6)
+  if (range === 'month') start.setDate(start.getDate() - 29)
+  return start
+}
+
+const rupees = (value: number | string) => `₹${Number(value).toFixed(2)}`
+
+export default function EarningsPanel({ driverId, refreshKey = 0 }: EarningsPanelProps) {
+  const [range, setRange] = useState<Range>('week')
+  const [statement, setStatement] = useState<EarningsStatement | null>(null)
+  const [payouts, setPayouts] = useState<Payout[]>([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const load = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    const [statementResponse, payoutsResponse] = await Promise.all([
+      api.getDriverEarnings(driverId, {
+        from: rangeStart(range).toISOString(),
+        group_by: range === 'month' ? 'week' : 'day',
+      }),
+      api.getDriverPayouts(driverId),
+    ])
+
+    if (statementResponse.success) {
+      setStatement(statementResponse.data as EarningsStatement)
+    } else {
+      setError(statementResponse.error?.message || 'Failed to load earnings')
+    }
+    if (payoutsResponse.success) {
+      setPayouts((payoutsResponse.data as Payout[]) || [])
+    }
+    setLoading(false)
+  }, [driverId, range])
+
+  useEffect(() => {
+    load()
+  }, [load, refreshKey])
+
+  const totals = statement?.totals
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex gap-2">
+          {(['today', 'week', 'month'] as Range[]).map(option => (
+            <button
+              key={option}
+              onClick={() => setRange(option)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium capitalize transition-all ${
+                range === option ? 'bg-primary-600 text-white' : 'text-slate-600 hover:bg-slate-100'
+              }`}
+            >
+              {option === 'today' ? 'Today' : option === 'week' ? '7 days' : '30 days'}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={load}
+          className="p-2 text-slate-500 hover:text-slate-800 hover:bg-slate-100 rounded-lg"
+          title="Refresh"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {totals && (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div className="bg-green-50 rounded-xl p-4">
+              <p className="text-xs text-green-700">Earned</p>
+              <p className="text-xl font-bold text-green-800 flex items-center">
+                <IndianRupee className="w-4 h-4" />
+                {totals.earnings.toFixed(0)}
+              </p>
+              <p className="text-xs text-green-700">{totals.trips} trips</p>
+            </div>
+            <div className="bg-slate-50 rounded-xl p-4">
+              <p className="text-xs text-slate-500">Fares (before tax)</p>
+              <p className="text-lg font-semibold text-slate-800">{rupees(totals.gross_fare)}</p>
+              <p className="text-xs text-slate-500">Commission {rupees(totals.commission)}</p>
+            </div>
+            <div className="bg-slate-50 rounded-xl p-4">
+              <p className="text-xs text-slate-500">Tips / Bonuses</p>
+              <p className="text-lg font-semibold text-slate-800">{rupees(totals.tips)}</p>
+              <p className="text-xs text-slate-500">Bonuses {rupees(totals.incentives)}</p>
+            </div>
+            <div className="bg-slate-50 rounded-xl p-4">
+              <p className="text-xs text-slate-500">Cash collected</p>
+              <p className="text-lg font-semibold text-slate-800">{rupees(-totals.cash_collected)}</p>
+              <p className="text-xs text-slate-500">Payable {rupees(totals.net_payable)}</p>
+            </div>
+          </div>
+
+          {/* Per day / week */}
+          <div>
+            <h3 className="text-sm font-semibold text-slate-700 mb-2">
+              By {range === 'month' ? 'week' : 'day'}
+            </h3>
+            {statement.periods.length === 0 ? (
+              <p className="text-sm text-slate-500">No earnings in this period</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-slate-500 border-b border-slate-200">
+                    <th className="py-1.5 font-medium">{range === 'month' ? 'Week of' : 'Day'}</th>
+                    <th className="py-1.5 font-medium">Trips</th>
+                    <th className="py-1.5 font-medium">Earned</th>
+                    <th className="py-1.5 font-medium">Cash</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {statement.periods.map(period => (
+                    <tr key={period.period_start} className="border-b border-slate-100 last:border-0">
+                      <td className="py-1.5 text-slate-700">{new Date(period.period_start).toLocaleDateString()}</td>
+                      <td className="py-1.5 text-slate-700">{period.trips}</td>
+                      <td className="py-1.5 text-slate-800 font-medium">{rupees(period.earnings)}</td>
+                      <td className="py-1.5 text-slate-500">{rupees(-period.cash_collected)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {/* Recent entries */}
+          {statement.entries.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-slate-700 mb-2">Recent activity</h3>
+              <div className="max-h-48 overflow-y-auto divide-y divide-slate-100">
+                {statement.entries.map(entry => (
+                  <div key={entry.id} className="flex items-center justify-between py-1.5 text-sm">
+                    <div>
+                      <span className="text-slate-700">{entry.incentive_name || ENTRY_LABELS[entry.kind]}</span>
+                      <span className="text-xs text-slate-400 ml-2">{new Date(entry.created_at).toLocaleString()}</span>
+                    </div>
+                    <span className={Number(entry.amount) < 0 ? 'text-slate-500' : 'text-green-700 font-medium'}>
+                      {rupees(entry.amount)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Payouts */}
+      <div className="border-t border-slate-100 pt-4">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-semibold text-slate-700 flex items-center gap-2">
+            <Wallet className="w-4 h-4" />
+            Payouts
+          </h3>
+          {statement && (
+            <span className="text-xs text-slate-500">Next payout: {rupees(Math.max(0, statement.unpaid_balance))}</span>
+          )}
+        </div>
+        {payouts.length === 0 ? (
+          <p className="text-sm text-slate-500">No payouts yet</p>
+        ) : (
+          <div className="divide-y divide-slate-100">
+            {payouts.map(payout => (
+              <div key={payout.id} className="flex items-center justify-between py-1.5 text-sm">
+                <span className="text-slate-700">{new Date(payout.created_at).toLocaleDateString()}</span>
+                <span className="text-xs text-slate-500 capitalize">{payout.status}</span>
+                <span className="text-slate-800 font-medium">{rupees(payout.amount)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
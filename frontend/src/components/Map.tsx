@@ -9,7 +9,7 @@ interface MapViewProps {
   markers?: Array<{
     id: string
     position: [number, number]
-    type: 'pickup' | 'dropoff' | 'driver' | 'rider'
+    type: 'pickup' | 'dropoff' | 'stop' | 'driver' | 'rider'
     label?: string
   }>
   onMapClick?: (lat: number, lng: number) => void
@@ -21,6 +21,7 @@ const createIcon = (type: string) => {
   const colors: Record<string, string> = {
     pickup: '#22c55e',
     dropoff: '#ef4444',
+    stop: '#f59e0b',
     driver: '#3b82f6',
     rider: '#8b5cf6',
   }
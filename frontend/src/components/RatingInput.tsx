@@ -0,0 +1,83 @@
+'use client'
+
+import { Star } from 'lucide-react'
+
+export interface RatingValue {
+  rating: number
+  tags: string[]
+  comment: string
+}
+
+interface RatingInputProps {
+  label: string
+  value: RatingValue
+  onChange: (value: RatingValue) => void
+  // Suggested tags shown for praise (4-5 stars) and for complaints (1-3 stars)
+  praiseTags: string[]
+  complaintTags: string[]
+}
+
+export const EMPTY_RATING: RatingValue = { rating: 5, tags: [], comment: '' }
+
+export default function RatingInput({ label, value, onChange, praiseTags, complaintTags }: RatingInputProps) {
+  const tagOptions = value.rating >= 4 ? praiseTags : complaintTags
+
+  const setRating = (rating: number) => {
+    // Tags belong to one side of the scale; drop them when switching sides
+    const keepTags = (rating >= 4) === (value.rating >= 4)
+    onChange({ ...value, rating, tags: keepTags ? value.tags : [] })
+  }
+
+  const toggleTag = (tag: string) => {
+    const tags = value.tags.includes(tag)
+      ? value.tags.filter(t => t !== tag)
+      : [...value.tags, tag]
+    onChange({ ...value, tags })
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-700 mb-3">
+        {label}
+      </label>
+      <div className="flex justify-center gap-2 mb-3">
+        {[1, 2, 3, 4, 5].map((star) => (
+          <button
+            key={star}
+            onClick={() => setRating(star)}
+            className="p-1 transition-transform hover:scale-110"
+          >
+            <Star
+              className={`w-8 h-8 ${
+                star <= value.rating ? 'text-yellow-400 fill-yellow-400' : 'text-slate-300'
+              }`}
+            />
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap justify-center gap-2 mb-3">
+        {tagOptions.map((tag) => (
+          <button
+            key={tag}
+            onClick={() => toggleTag(tag)}
+            className={`px-3 py-1 rounded-full text-xs font-medium border ${
+              value.tags.includes(tag)
+                ? 'bg-primary-600 text-white border-primary-600'
+                : 'bg-white text-slate-600 border-slate-200 hover:border-slate-300'
+            }`}
+          >
+            {tag}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={value.comment}
+        onChange={(e) => onChange({ ...value, comment: e.target.value })}
+        maxLength={500}
+        rows={2}
+        placeholder="Add a comment (optional)"
+        className="w-full p-2 rounded-lg border border-slate-200 text-sm resize-none"
+      />
+    </div>
+  )
+}
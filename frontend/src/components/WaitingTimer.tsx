@@ -0,0 +1,58 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { Clock } from 'lucide-react'
+import type { WaitingStatus } from '@/lib/socket'
+
+interface WaitingTimerProps {
+  status: WaitingStatus
+  // Whose page it is; riders are told what waiting costs them, drivers what it earns
+  viewer: 'rider' | 'driver'
+}
+
+const formatElapsed = (secs: number) => {
+  const minutes = Math.floor(secs / 60)
+  const seconds = secs % 60
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
+
+export default function WaitingTimer({ status, viewer }: WaitingTimerProps) {
+  const [receivedAt, setReceivedAt] = useState(() => Date.now())
+  const [now, setNow] = useState(() => Date.now())
+
+  // Count from the server's figure each time a new one is pushed
+  useEffect(() => {
+    setReceivedAt(Date.now())
+    setNow(Date.now())
+  }, [status])
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const waitedSecs = status.waited_secs + Math.max(0, Math.floor((now - receivedAt) / 1000))
+  const freeSecs = status.free_mins * 60
+  const charging = waitedSecs > freeSecs
+  // Every started minute past the free window is charged
+  const charge = charging
+    ? Math.max(status.waiting_fare, Math.ceil((waitedSecs - freeSecs) / 60) * status.per_min)
+    : 0
+
+  return (
+    <div className={`rounded-lg px-3 py-2 mb-4 ${charging ? 'bg-amber-50 text-amber-800' : 'bg-pink-50 text-pink-800'}`}>
+      <div className="flex items-center justify-between">
+        <span className="flex items-center gap-2 text-sm font-medium">
+          <Clock className="w-4 h-4" />
+          {viewer === 'rider' ? 'Your driver is waiting' : 'Waiting for rider'}
+        </span>
+        <span className="text-lg font-bold tabular-nums">{formatElapsed(waitedSecs)}</span>
+      </div>
+      <p className="text-xs mt-1">
+        {charging
+          ? `Waiting charge ₹${charge.toFixed(2)} (₹${status.per_min}/min after ${status.free_mins} min)`
+          : `Free for ${formatElapsed(freeSecs - waitedSecs)} more, then ₹${status.per_min}/min`}
+      </p>
+    </div>
+  )
+}
@@ -10,8 +10,27 @@ interface ApiResponse<T> {
     message: string
   }
   message?: string
+  meta?: {
+    total?: number
+    limit: number
+    offset: number
+  }
+}
+
+// Path the driver took on a trip, rebuilt from their GPS trace
+interface TripRoute {
+  trip_id: string
+  ride_id: string
+  status: string
+  distance_km: number | null
+  distance_source: 'gps' | 'client' | 'estimate' | null
+  polyline: string | null
+  points: Array<[number, number]>
 }
 
+// Filters for the admin listings (unset values are left out of the query)
+type AdminFilters = Record<string, string | number | boolean | undefined>
+
 class ApiClient {
   private baseUrl: string
 
@@ -22,7 +41,12 @@ class ApiClient {
   private getAuthHeaders(): HeadersInit {
     if (typeof window === 'undefined') return {}
     
-    const auth = getStoredAuth()
+    // Rider and driver can be signed in side by side; the API checks the token's
+    // role, so send the one of the app being used
+    const path = window.location.pathname
+    const userType = path.startsWith('/driver') ? 'driver' : path.startsWith('/admin') ? 'admin' : 'rider'
+    const typed = getStoredAuth(userType)
+    const auth = typed.token ? typed : getStoredAuth()
     if (auth.token) {
       return { 'Authorization': `Bearer ${auth.token}` }
     }
@@ -73,6 +97,11 @@ class ApiClient {
     dropoff_address?: string
     tier?: string
     payment_method?: string
+    surge_quote_id?: string
+    scheduled_at?: string
+    stops?: Array<{ lat: number; lng: number; address?: string }>
+    seats?: number
+    promo_code?: string
   }) {
     return this.request('/rides', {
       method: 'POST',
@@ -94,8 +123,16 @@ class ApiClient {
     })
   }
 
-  async getRiderRides(riderId: string) {
-    return this.request(`/riders/${riderId}/rides`)
+  async updateStopStatus(rideId: string, stopId: string, status: 'arrived' | 'departed') {
+    return this.request(`/rides/${rideId}/stops/${stopId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status }),
+    })
+  }
+
+  async getRiderRides(riderId: string, status?: string) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : ''
+    return this.request(`/riders/${riderId}/rides${query}`)
   }
 
   async getRiderCurrentRide(riderId: string) {
@@ -148,6 +185,27 @@ class ApiClient {
     return this.request(`/drivers/${driverId}/pending-offers`)
   }
 
+  async updateRiderFilter(driverId: string, minRiderRating: number | null) {
+    return this.request(`/drivers/${driverId}/rider-filter`, {
+      method: 'PATCH',
+      body: JSON.stringify({ min_rider_rating: minRiderRating }),
+    })
+  }
+
+  async getDriverManifest(driverId: string) {
+    return this.request(`/drivers/${driverId}/manifest`)
+  }
+
+  async getDriverEarnings(driverId: string, params: { from?: string; to?: string; group_by?: 'day' | 'week' } = {}) {
+    const entries = Object.entries(params).filter(([, value]) => value !== undefined) as Array<[string, string]>
+    const query = entries.length > 0 ? `?${new URLSearchParams(entries).toString()}` : ''
+    return this.request(`/drivers/${driverId}/earnings${query}`)
+  }
+
+  async getDriverPayouts(driverId: string) {
+    return this.request(`/drivers/${driverId}/payouts`)
+  }
+
   // Trips
   async startTrip(rideId: string) {
     return this.request('/trips/start', {
@@ -170,6 +228,32 @@ class ApiClient {
     return this.request(`/trips/${tripId}`)
   }
 
+  async getTripRoute(tripId: string) {
+    return this.request<TripRoute>(`/trips/${tripId}/route`)
+  }
+
+  async getFareEstimate(params: {
+    tenant_id: string
+    tier: string
+    pickup_lat: number
+    pickup_lng: number
+    dropoff_lat: number
+    dropoff_lng: number
+    stops?: Array<[number, number]>
+    promo_code?: string
+  }) {
+    const { stops, ...rest } = params
+    const entries = Object.entries(rest)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [key, String(value)])
+    if (stops && stops.length > 0) {
+      // Stops travel as "lat,lng;lat,lng" in visiting order
+      entries.push(['stops', stops.map(([lat, lng]) => `${lat},${lng}`).join(';')])
+    }
+    const query = new URLSearchParams(entries).toString()
+    return this.request(`/trips/fare-estimate?${query}`)
+  }
+
   async updateRideStatus(rideId: string, status: string) {
     return this.request(`/trips/ride/${rideId}/status`, {
       method: 'PATCH',
@@ -178,6 +262,36 @@ class ApiClient {
   }
 
   // Payments
+  async rateTrip(tripId: string, data: {
+    rated_by: 'rider' | 'driver'
+    rating: number
+    tags?: string[]
+    comment?: string
+  }) {
+    return this.request(`/trips/${tripId}/rating`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async getWallet(ownerType: 'rider' | 'driver', ownerId: string) {
+    return this.request(`/wallets/${ownerType}/${ownerId}`)
+  }
+
+  async topUpWallet(ownerType: 'rider' | 'driver', ownerId: string, amount: number) {
+    return this.request(`/wallets/${ownerType}/${ownerId}/topup`, {
+      method: 'POST',
+      body: JSON.stringify({ amount }),
+      headers: {
+        'Idempotency-Key': `topup-${ownerId}-${Date.now()}`,
+      },
+    })
+  }
+
+  async getWalletTransactions(ownerType: 'rider' | 'driver', ownerId: string, limit = 50) {
+    return this.request(`/wallets/${ownerType}/${ownerId}/transactions?limit=${limit}`)
+  }
+
   async processPayment(tripId: string, paymentMethod: string) {
     const idempotencyKey = `payment-${tripId}-${Date.now()}`
     return this.request('/payments', {
@@ -193,6 +307,61 @@ class ApiClient {
     })
   }
 
+  // Admin (operations console)
+  private adminQuery(filters: AdminFilters) {
+    const entries = Object.entries(filters)
+      .filter(([, value]) => value !== undefined && value !== '')
+      .map(([key, value]) => [key, String(value)])
+    return entries.length > 0 ? `?${new URLSearchParams(entries).toString()}` : ''
+  }
+
+  async getAdminRides(filters: AdminFilters = {}) {
+    return this.request(`/admin/rides${this.adminQuery(filters)}`)
+  }
+
+  async getAdminDrivers(filters: AdminFilters = {}) {
+    return this.request(`/admin/drivers${this.adminQuery(filters)}`)
+  }
+
+  async getAdminTrips(filters: AdminFilters = {}) {
+    return this.request(`/admin/trips${this.adminQuery(filters)}`)
+  }
+
+  async getAdminPayments(filters: AdminFilters = {}) {
+    return this.request(`/admin/payments${this.adminQuery(filters)}`)
+  }
+
+  async getAdminLiveMap() {
+    return this.request('/admin/live-map')
+  }
+
+  async adminCancelRide(rideId: string, reason: string) {
+    return this.request(`/admin/rides/${rideId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    })
+  }
+
+  async adminAssignRide(rideId: string, driverId: string) {
+    return this.request(`/admin/rides/${rideId}/assign`, {
+      method: 'POST',
+      body: JSON.stringify({ driver_id: driverId }),
+    })
+  }
+
+  async suspendDriver(driverId: string, reason: string) {
+    return this.request(`/admin/drivers/${driverId}/suspend`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    })
+  }
+
+  async reinstateDriver(driverId: string) {
+    return this.request(`/admin/drivers/${driverId}/reinstate`, {
+      method: 'POST',
+    })
+  }
+
   // Health check
   async healthCheck() {
     try {
@@ -205,4 +374,4 @@ class ApiClient {
 }
 
 export const api = new ApiClient(API_URL)
-export type { ApiResponse }
+export type { ApiResponse, TripRoute }
@@ -6,7 +6,7 @@ export interface User {
   id: string
   phone: string
   name: string | null
-  type: 'rider' | 'driver'
+  type: 'rider' | 'driver' | 'admin' | 'ops'
   tenantId: string
   isNewUser?: boolean
 }
@@ -17,12 +17,18 @@ export interface AuthState {
   isAuthenticated: boolean
 }
 
-// Store auth state in localStorage - separate keys for rider and driver
+// App a session belongs to: admin and ops users share the operations console
+export type SessionType = 'rider' | 'driver' | 'admin'
+
+export const sessionTypeOf = (user: User): SessionType =>
+  user.type === 'ops' ? 'admin' : user.type
+
+// Store auth state in localStorage - separate keys for rider, driver and admin
 // This allows side-by-side sessions in the same browser
-const AUTH_STORAGE_KEY = (userType?: 'rider' | 'driver') => 
+const AUTH_STORAGE_KEY = (userType?: SessionType) => 
   userType ? `gocomet_auth_${userType}` : 'gocomet_auth'
 
-export function getStoredAuth(userType?: 'rider' | 'driver'): AuthState {
+export function getStoredAuth(userType?: SessionType): AuthState {
   if (typeof window === 'undefined') {
     return { user: null, token: null, isAuthenticated: false }
   }
@@ -86,14 +92,14 @@ export function setStoredAuth(user: User, token: string): void {
   if (typeof window === 'undefined') return
   
   // Store in user-type-specific key
-  const key = AUTH_STORAGE_KEY(user.type)
+  const key = AUTH_STORAGE_KEY(sessionTypeOf(user))
   localStorage.setItem(key, JSON.stringify({ user, token }))
   
   // Also store in generic key for backward compatibility
   localStorage.setItem(AUTH_STORAGE_KEY(), JSON.stringify({ user, token }))
 }
 
-export function clearStoredAuth(userType?: 'rider' | 'driver'): void {
+export function clearStoredAuth(userType?: SessionType): void {
   if (typeof window === 'undefined') return
   
   if (userType) {
@@ -103,6 +109,7 @@ export function clearStoredAuth(userType?: 'rider' | 'driver'): void {
     // Clear all auth keys
     localStorage.removeItem(AUTH_STORAGE_KEY('rider'))
     localStorage.removeItem(AUTH_STORAGE_KEY('driver'))
+    localStorage.removeItem(AUTH_STORAGE_KEY('admin'))
     localStorage.removeItem(AUTH_STORAGE_KEY())
   }
 }
@@ -126,7 +133,7 @@ export async function getTenants(): Promise<Tenant[]> {
   }
 }
 
-export async function sendOtp(phone: string, userType: 'rider' | 'driver'): Promise<{
+export async function sendOtp(phone: string, userType: SessionType): Promise<{
   success: boolean
   message?: string
   otp?: string // Only in development
@@ -164,7 +171,7 @@ export async function sendOtp(phone: string, userType: 'rider' | 'driver'): Prom
 export async function verifyOtp(
   phone: string,
   otp: string,
-  userType: 'rider' | 'driver',
+  userType: SessionType,
   tenantId: string
 ): Promise<{
   success: boolean
@@ -214,7 +221,7 @@ export async function verifyOtp(
   }
 }
 
-export async function logout(userType?: 'rider' | 'driver'): Promise<void> {
+export async function logout(userType?: SessionType): Promise<void> {
   const auth = getStoredAuth(userType)
   
   if (auth.token) {
@@ -1,23 +1,48 @@
 'use client'
 
 import { io, Socket } from 'socket.io-client'
+import { getStoredAuth } from './auth'
 
 const WS_URL = process.env.NEXT_PUBLIC_WS_URL || 'http://localhost:3000'
 
 let socket: Socket | null = null
+// Whose token the handshake presents (rider and driver sessions can share a browser)
+let authUserType: 'rider' | 'driver' | undefined
+
+// Driver waiting at the pickup; pushed on arrival and every few seconds until the trip starts
+export interface WaitingStatus {
+  ride_id: string
+  arrived_at: string
+  waited_secs: number
+  free_mins: number
+  per_min: number
+  charging: boolean
+  waiting_fare: number
+}
 
 export interface SocketEvents {
   'ride:offer': (data: { offer_id: string; ride_id: string; expires_at: string }) => void
+  'ride:offer_expired': (data: { offer_id: string; ride_id: string }) => void
   'ride:driver_assigned': (data: { ride_id: string; driver_id: string; driver_name: string; vehicle_number: string; rating: number }) => void
+  'ride:no_drivers_found': (data: { ride_id: string; message: string }) => void
+  'ride:cancelled': (data: { ride_id: string; cancelled_by: 'rider' | 'driver' | 'system'; fee?: number; message: string }) => void
+  'ride:driver_cancelled': (data: { ride_id: string; message: string }) => void
+  'ride:reminder': (data: { ride_id: string; scheduled_at: string; pickup_address?: string }) => void
+  'ride:scheduled_dispatched': (data: { ride_id: string; scheduled_at: string }) => void
+  'ride:stop_arrived': (data: { ride_id: string; stop_id: string; sequence: number; status: 'arrived' }) => void
+  'ride:stop_departed': (data: { ride_id: string; stop_id: string; sequence: number; status: 'departed' }) => void
   'ride:driver_en_route': (data: { ride_id: string }) => void
   'ride:driver_arrived': (data: { ride_id: string }) => void
-  'trip:started': (data: { ride_id: string; trip_id: string }) => void
-  'trip:completed': (data: { ride_id: string; trip_id: string; fare: number }) => void
+  'ride:waiting': (data: WaitingStatus) => void
+  'trip:started': (data: { ride_id: string; trip_id: string; waiting_mins?: number; waiting_fare?: number }) => void
+  'trip:completed': (data: { ride_id: string; trip_id: string; fare: number; waiting_fare?: number; discount?: number; promo_code?: string | null }) => void
   'payment:completed': (data: { trip_id: string; amount: number }) => void
   'payment:received': (data: { trip_id: string; amount: number }) => void
+  'wallet:updated': (data: { balance: number; amount: number; kind: string }) => void
   'driver:location:update': (data: { driverId: string; latitude: number; longitude: number; heading?: number }) => void
   'driver:location:ack': (data: { timestamp: number }) => void
   'driver:location:error': (data: { message: string }) => void
+  'subscribe:ride:error': (data: { rideId: string; message: string }) => void
 }
 
 export function getSocket(): Socket {
@@ -27,6 +52,8 @@ export function getSocket(): Socket {
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
+      // Read on every (re)connect so a refreshed login is picked up
+      auth: (cb) => cb({ token: getStoredAuth(authUserType).token }),
     })
 
     socket.on('connect', () => {
@@ -45,15 +72,20 @@ export function getSocket(): Socket {
   return socket
 }
 
+// The server registers the socket from the handshake token, so (re)connect with this user's token
 export function registerUser(userId: string, userType: 'rider' | 'driver') {
+  authUserType = userType
   const sock = getSocket()
-  sock.emit('register', { userId, userType })
-  
+
   return new Promise<void>((resolve) => {
     sock.once('registered', () => {
       console.log(`Registered as ${userType}: ${userId}`)
       resolve()
     })
+
+    if (sock.connected) {
+      sock.disconnect().connect()
+    }
   })
 }
 